@@ -0,0 +1,11 @@
+import { NextResponse } from 'next/server';
+import { buildOpenApiDocument } from '../../../lib/api/openapi';
+
+export const runtime = 'nodejs';
+
+// GET /api/openapi.json
+export async function GET() {
+  return NextResponse.json(buildOpenApiDocument(), {
+    headers: { 'Cache-Control': 'public, s-maxage=3600' },
+  });
+}
@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import { getDataProvider } from '../../../lib/providers';
+import { buildTickerIndex, searchTickers } from '../../../lib/search/tickers';
+import { SCHEMA_VERSION } from '../../../lib/api/schema';
+import { enforceSchema } from '../../../lib/api/validate';
+
+export const runtime = 'nodejs';
+
+const MAX_QUERY_LENGTH = 64;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 25;
+
+// GET /api/search?q=apple&limit=10
+// Ticker and company-name matches from SEC's ticker lists, best first. The
+// exchange list is optional: without it results carry `exchange: null`.
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const query = (searchParams.get('q') || '').trim();
+  if (!query || query.length > MAX_QUERY_LENGTH) {
+    return NextResponse.json({ error: `q must be 1-${MAX_QUERY_LENGTH} characters` }, { status: 400 });
+  }
+  const limitParam = searchParams.get('limit');
+  const limit = limitParam === null ? DEFAULT_LIMIT : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return NextResponse.json({ error: `limit must be an integer from 1 to ${MAX_LIMIT}` }, { status: 400 });
+  }
+
+  try {
+    const provider = getDataProvider();
+    const [tickerMap, exchangeMap] = await Promise.allSettled([
+      provider.filings.getTickerMap(),
+      provider.filings.getTickerExchangeMap(),
+    ]);
+    if (tickerMap.status === 'rejected' && exchangeMap.status === 'rejected') {
+      throw tickerMap.reason;
+    }
+
+    const entries = buildTickerIndex({
+      tickerMap: tickerMap.status === 'fulfilled' ? tickerMap.value : null,
+      exchangeMap: exchangeMap.status === 'fulfilled' ? exchangeMap.value : null,
+    });
+    const payload = {
+      schemaVersion: SCHEMA_VERSION,
+      query,
+      results: searchTickers(entries, query, { limit }),
+    };
+    enforceSchema('SearchResponse', payload);
+    return NextResponse.json(payload, {
+      headers: { 'Cache-Control': 'public, s-maxage=3600, stale-while-revalidate=86400' },
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    return NextResponse.json(
+      { error: 'Ticker search failed', detail: error?.message || String(error) },
+      { status: 500 }
+    );
+  }
+}
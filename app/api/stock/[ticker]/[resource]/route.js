@@ -0,0 +1,171 @@
+import { NextResponse } from 'next/server';
+import { GET as analyzeTicker } from '../../route';
+import { getDataProvider } from '../../../../../lib/providers';
+import { quoteSnapshot } from '../../../../../lib/market/quote';
+import { normalizeCik, normalizeSymbol, resolveIdentifiers } from '../../../../../lib/market/symbols';
+import { calculateTradingSignals, normalizePriceHistory } from '../../../../../lib/trading/signals';
+import { priceHistoryFreshness } from '../../../../../lib/quality/freshness';
+import { RESOURCE_FIELDS, SCHEMA_VERSION, resourceSchemaName } from '../../../../../lib/api/schema';
+import { enforceSchema } from '../../../../../lib/api/validate';
+
+export const runtime = 'nodejs';
+
+// Results of the full analysis, shared by the resources cut from it so that
+// loading several tabs for one company runs it once.
+const ANALYSIS_TTL_MS = 5 * 60 * 1000;
+const MAX_ANALYSES = 20;
+const analyses = new Map();
+
+function runAnalysis(request, symbol, fcfBasis) {
+  const key = `${symbol}:${fcfBasis || 'reported'}`;
+  const cached = analyses.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.pending;
+
+  const url = new URL('/api/stock', request.url);
+  url.searchParams.set('ticker', symbol);
+  if (fcfBasis) url.searchParams.set('fcfBasis', fcfBasis);
+  const entry = { expiresAt: Date.now() + ANALYSIS_TTL_MS };
+  // Only successful analyses are kept; errors are retried on the next call.
+  const forget = () => {
+    if (analyses.get(key) === entry) analyses.delete(key);
+  };
+  entry.pending = analyzeTicker(new Request(url)).then(async (response) => {
+    const body = await response.json();
+    if (!response.ok) forget();
+    return { status: response.status, body };
+  });
+  entry.pending.catch(forget);
+
+  analyses.delete(key);
+  analyses.set(key, entry);
+  while (analyses.size > MAX_ANALYSES) analyses.delete(analyses.keys().next().value);
+  return entry.pending;
+}
+
+// The path segment is a ticker in any spelling (BRK.B, BRK-B), or a CIK when
+// it is all digits, optionally prefixed with CIK; no US listing is all digits.
+// Both resolve against SEC's ticker map as in /api/stock. A ticker resolves
+// without it, with a null CIK, and skips it when the resource does not echo
+// `identifiers`.
+async function resolvePath(provider, segment, { withCik }) {
+  if (/^(?:CIK)?\d+$/i.test(segment)) {
+    if (!normalizeCik(segment)) return { status: 400, body: { error: 'Invalid CIK' } };
+    const identifiers = resolveIdentifiers({ cik: segment }, await provider.filings.getTickerMap());
+    return identifiers ? { identifiers } : { status: 404, body: { error: 'CIK not found' } };
+  }
+  const symbol = normalizeSymbol(segment);
+  if (!symbol) return { status: 400, body: { error: 'Invalid ticker symbol' } };
+  let tickerMap = null;
+  if (symbol.sec && withCik) {
+    try {
+      tickerMap = await provider.filings.getTickerMap();
+    } catch (error) {
+      console.warn(`ticker map unavailable, ${symbol.yahoo} resolved without a CIK: ${error?.message || error}`);
+    }
+  }
+  return { identifiers: resolveIdentifiers({ ticker: segment }, tickerMap) };
+}
+
+// Each resource has its own shared-cache lifetime: quotes move by the second,
+// filings-based data only when the company reports. `quote` and `trading` read
+// Yahoo directly; the others are cut from the full analysis. Fields per
+// resource are part of the contract (RESOURCE_FIELDS in lib/api/schema).
+const RESOURCES = {
+  quote: {
+    maxAge: 15,
+    staleWhileRevalidate: 60,
+    load: async ({ provider, symbol, identifiers }) => {
+      const [yahooQuote, yahooStats] = await Promise.all([
+        provider.market.getQuote(symbol),
+        provider.market.getQuoteSummary(symbol, ['assetProfile']),
+      ]);
+      if (!yahooQuote) return { status: 404, body: { error: 'Ticker not found' } };
+      return {
+        status: 200,
+        body: { identifiers, ...quoteSnapshot(symbol, yahooQuote, yahooStats) },
+      };
+    },
+  },
+  trading: {
+    maxAge: 300,
+    staleWhileRevalidate: 900,
+    load: async ({ provider, symbol }) => {
+      const [yahooQuote, priceHistoryRaw] = await Promise.all([
+        provider.market.getQuote(symbol),
+        provider.market.getHistoricalPrices(symbol),
+      ]);
+      const priceHistory = normalizePriceHistory(priceHistoryRaw);
+      if (!yahooQuote && priceHistory.length === 0) return { status: 404, body: { error: 'Ticker not found' } };
+      return {
+        status: 200,
+        body: {
+          priceHistory,
+          tradingSignals: calculateTradingSignals(priceHistory, yahooQuote?.regularMarketPrice || 0),
+          freshness: { priceHistory: priceHistoryFreshness(priceHistory) },
+        },
+      };
+    },
+  },
+  financials: {
+    maxAge: 3600,
+    staleWhileRevalidate: 6 * 3600,
+    fromAnalysis: true,
+  },
+  valuation: {
+    maxAge: 300,
+    staleWhileRevalidate: 3600,
+    fromAnalysis: true,
+  },
+  ownership: {
+    maxAge: 3600,
+    staleWhileRevalidate: 6 * 3600,
+    fromAnalysis: true,
+  },
+};
+
+// GET /api/stock/AAPL/quote | trading | financials | valuation | ownership
+// (`fcfBasis` applies to the analysis-backed resources). /api/stock/320193/quote
+// takes a CIK.
+export async function GET(request, { params }) {
+  const resource = RESOURCES[params.resource];
+  if (!resource) {
+    return NextResponse.json({ error: `resource must be one of: ${Object.keys(RESOURCES).join(', ')}` }, { status: 404 });
+  }
+
+  try {
+    const provider = getDataProvider();
+    const resolved = await resolvePath(provider, params.ticker || '', {
+      withCik: RESOURCE_FIELDS[params.resource].includes('identifiers'),
+    });
+    if (!resolved.identifiers) return NextResponse.json(resolved.body, { status: resolved.status });
+    const { identifiers } = resolved;
+    // BRK.B, BRK-B and the CIK share one cached analysis under Yahoo's spelling.
+    const symbol = identifiers.yahoo;
+
+    const { status, body } = resource.fromAnalysis
+      ? await runAnalysis(request, symbol, new URL(request.url).searchParams.get('fcfBasis'))
+      : await resource.load({ provider, symbol, identifiers });
+    if (status !== 200) return NextResponse.json(body, { status });
+
+    const payload = { schemaVersion: SCHEMA_VERSION };
+    for (const key of RESOURCE_FIELDS[params.resource]) payload[key] = body[key] ?? null;
+    // As requested here, not as the shared analysis was run.
+    if (payload.identifiers) payload.identifiers = identifiers;
+    enforceSchema(resourceSchemaName(params.resource), payload);
+
+    return NextResponse.json(payload, {
+      headers: {
+        'Cache-Control': `public, s-maxage=${resource.maxAge}, stale-while-revalidate=${resource.staleWhileRevalidate}`,
+      },
+    });
+  } catch (error) {
+    console.error('API Error:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to fetch stock data',
+        detail: error?.message || 'unknown_error',
+      },
+      { status: 500 }
+    );
+  }
+}
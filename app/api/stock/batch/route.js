@@ -0,0 +1,147 @@
+import { NextResponse } from 'next/server';
+import { GET as analyzeTicker } from '../route';
+import { normalizeSymbol } from '../../../../lib/market/symbols';
+import { FCF_BASES, SCHEMA_VERSION } from '../../../../lib/api/schema';
+import { enforceSchema } from '../../../../lib/api/validate';
+
+export const runtime = 'nodejs';
+
+// Each ticker runs the full /api/stock analysis, so a batch is capped in size
+// and in how many analyses run at once. SEC documents such as the ticker map
+// come from the shared disk cache. Quotes are not cached: a sibling share
+// class's quote requested by two analyses at the same moment is fetched once
+// (lib/upstream coalesces identical requests in flight), otherwise again.
+const MAX_TICKERS = 25;
+const CONCURRENCY = 4;
+
+// "aapl, MSFT,aapl" or ['aapl', 'MSFT'] -> ['AAPL', 'MSFT'], first-seen order.
+// Spellings of one symbol collapse to Yahoo's ("brk.b,BRK-B" -> ['BRK-B']);
+// invalid ones are kept as typed and reported per ticker.
+function parseTickers(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const tickers = list
+    .map((t) => String(t ?? '').trim())
+    .filter(Boolean)
+    .map((t) => normalizeSymbol(t)?.yahoo || t.toUpperCase());
+  return Array.from(new Set(tickers));
+}
+
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+// Compact per-ticker summary for watchlists and screeners.
+function summarize(ticker, data) {
+  const current = data.valuationRatios?.current || {};
+  return {
+    ticker,
+    status: 'ok',
+    name: data.profile?.companyName || null,
+    sector: data.profile?.sector || null,
+    currency: data.reporting?.presentationCurrency || null,
+    price: finiteOrNull(data.quote?.price),
+    marketCap: finiteOrNull(data.quote?.marketCap),
+    fairValue: finiteOrNull(data.dcf?.compositeValue),
+    upside: finiteOrNull(data.dcf?.upside),
+    compositeSource: data.dcf?.compositeSource || null,
+    valuationModel: data.dcf?.valuationModel || null,
+    factorRankings: Object.fromEntries(
+      Object.entries(data.factorRankings || {}).map(([key, { score, rank }]) => [key, { score, rank }])
+    ),
+    multiples: {
+      peRatio: finiteOrNull(current.peRatio),
+      psRatio: finiteOrNull(current.psRatio),
+      pbRatio: finiteOrNull(current.pbRatio),
+      pegRatio: finiteOrNull(current.pegRatio),
+      debtToEbitda: finiteOrNull(data.favorites?.debtToEbitda),
+      dividendYield: finiteOrNull(data.dividends?.dividendYield ?? data.favorites?.dividendYield),
+    },
+  };
+}
+
+async function analyze(ticker, { origin, fcfBasis }) {
+  if (!normalizeSymbol(ticker)) {
+    return { ticker, status: 'error', httpStatus: 400, error: 'Invalid ticker symbol' };
+  }
+  const url = new URL('/api/stock', origin);
+  url.searchParams.set('ticker', ticker);
+  if (fcfBasis) url.searchParams.set('fcfBasis', fcfBasis);
+
+  try {
+    const response = await analyzeTicker(new Request(url));
+    const body = await response.json();
+    if (!response.ok) {
+      return {
+        ticker,
+        status: 'error',
+        httpStatus: response.status,
+        error: body?.error || 'Failed to fetch stock data',
+        ...(body?.detail ? { detail: body.detail } : {}),
+      };
+    }
+    return summarize(ticker, body);
+  } catch (error) {
+    return { ticker, status: 'error', httpStatus: 500, error: 'Failed to fetch stock data', detail: error?.message || 'unknown_error' };
+  }
+}
+
+async function runBatch(request, { tickers, fcfBasis }) {
+  if (tickers.length === 0) {
+    return NextResponse.json({ error: 'At least one ticker is required' }, { status: 400 });
+  }
+  if (tickers.length > MAX_TICKERS) {
+    return NextResponse.json({ error: `At most ${MAX_TICKERS} tickers per batch` }, { status: 400 });
+  }
+  // Checked once here rather than failing every ticker's analysis alike.
+  if (fcfBasis !== null && !FCF_BASES.includes(fcfBasis)) {
+    return NextResponse.json({ error: `fcfBasis must be one of: ${FCF_BASES.join(', ')}` }, { status: 400 });
+  }
+
+  const { origin } = new URL(request.url);
+  const results = await mapWithConcurrency(tickers, CONCURRENCY, (ticker) => analyze(ticker, { origin, fcfBasis }));
+  const failed = results.filter((result) => result.status === 'error').length;
+
+  const payload = {
+    schemaVersion: SCHEMA_VERSION,
+    requested: tickers.length,
+    succeeded: tickers.length - failed,
+    failed,
+    results,
+  };
+  enforceSchema('BatchResponse', payload);
+  return NextResponse.json(payload);
+}
+
+// GET /api/stock/batch?tickers=AAPL,MSFT[&fcfBasis=after-sbc]
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  return runBatch(request, {
+    tickers: parseTickers(searchParams.get('tickers')),
+    fcfBasis: searchParams.get('fcfBasis') || null,
+  });
+}
+
+// POST /api/stock/batch  { "tickers": ["AAPL", "MSFT"], "fcfBasis": "reported" }
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Request body must be JSON' }, { status: 400 });
+  }
+  return runBatch(request, {
+    tickers: parseTickers(body?.tickers),
+    fcfBasis: body?.fcfBasis ?? null,
+  });
+}
@@ -1,164 +1,97 @@
 import { NextResponse } from 'next/server';
-import YahooFinance from 'yahoo-finance2';
+import { getDataProvider } from '../../../lib/providers';
+import { convertAmount } from '../../../lib/fx/rates';
+import { getMetricValues } from '../../../lib/sec/facts';
+import { createFiscalCalendar } from '../../../lib/sec/fiscalCalendar';
+import { resolveReportingFacts } from '../../../lib/sec/taxonomies';
+import {
+  inferSplitsFromShares,
+  normalizeShareSeries,
+  normalizeSplitEvents,
+} from '../../../lib/shares/splits';
+import {
+  buildShareClassStructure,
+  getShareClassCounts,
+  listedClassSymbols,
+  reportedShareConversion,
+} from '../../../lib/shares/classes';
+import { adrShareRatio, isForeignFiler } from '../../../lib/shares/adr';
+import { getQuarterlyValues, computeTrailingTwelveMonths } from '../../../lib/sec/quarters';
+import { classifyFiler, isFinancialModel } from '../../../lib/sectors/classify';
+import { buildFinancialRatios, valueFinancialInstitution } from '../../../lib/sectors/financials';
+import { buildReitMetrics, valueReit } from '../../../lib/sectors/reits';
+import {
+  buildDividendHistory,
+  dividendGrowth,
+  normalizeDividendEvents,
+  trailingDividend,
+} from '../../../lib/dividends/history';
+import { valueDividendDiscount } from '../../../lib/dividends/ddm';
+import { buildCapitalAllocation, capitalAllocationScorecard } from '../../../lib/capital/allocation';
+import { calculateTradingSignals, normalizePriceHistory } from '../../../lib/trading/signals';
+import { quoteSnapshot } from '../../../lib/market/quote';
+import { normalizeCik, normalizeSymbol, resolveIdentifiers } from '../../../lib/market/symbols';
+import { auditFinancials } from '../../../lib/quality/audit';
+import { growthDcf, multiStageDcf, projectedDilution, valueOnFcfBasis } from '../../../lib/valuation/dcf';
+import {
+  fundamentalsFreshness,
+  insidersFreshness,
+  ownershipFreshness,
+  priceHistoryFreshness,
+} from '../../../lib/quality/freshness';
+import { FCF_BASES, SCHEMA_VERSION, applyFieldAliases } from '../../../lib/api/schema';
+import { enforceSchema } from '../../../lib/api/validate';
 
 export const runtime = 'nodejs';
 
-const yahooFinance = new YahooFinance({ validation: { logErrors: false } });
-const SEC_BASE = 'https://data.sec.gov';
-const USER_AGENT = `StockValuationCalculator/1.0 (${process.env.SEC_CONTACT_EMAIL || 'admin@stockvaluationcalculator.app'})`;
-const EXTERNAL_FETCH_TIMEOUT_MS = 12000;
-
-// In-memory cache for SEC company tickers (refreshes once per day)
-let tickerCache = { data: null, fetchedAt: 0 };
-const TICKER_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
-let historyCache = new Map();
-const HISTORY_CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours
-
-function isValidDate(value) {
-  const time = Date.parse(value);
-  return Number.isFinite(time);
-}
-
-function formatDateISO(value) {
-  if (!isValidDate(value)) return null;
-  return new Date(value).toISOString().slice(0, 10);
-}
-
-async function withTimeout(promise, timeoutMs, label = 'request') {
-  let timeoutId;
-  const timeoutPromise = new Promise((_, reject) => {
-    timeoutId = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
-  });
-  try {
-    return await Promise.race([promise, timeoutPromise]);
-  } finally {
-    clearTimeout(timeoutId);
-  }
-}
-
-async function fetchWithTimeout(url, options = {}, timeoutMs = EXTERNAL_FETCH_TIMEOUT_MS) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    return await fetch(url, { ...options, signal: controller.signal });
-  } finally {
-    clearTimeout(timeoutId);
-  }
+// Yahoo fundamentalsTimeSeries fields read below, by how they are restated
+// into the quote currency (period-average vs period-end FX rate).
+const FTS_FLOW_FIELDS = [
+  'totalRevenue', 'costOfRevenue', 'grossProfit', 'operatingIncome', 'netIncome',
+  'interestExpenseNonOperating', 'operatingCashFlow', 'capitalExpenditure',
+  'sellingGeneralAndAdministration', 'researchAndDevelopment', 'stockBasedCompensation',
+  'cashDividendsPaid', 'repurchaseOfCapitalStock', 'commonStockIssuance', 'issuanceOfDebt',
+  'repaymentOfDebt', 'purchaseOfBusiness',
+];
+const FTS_BALANCE_FIELDS = [
+  'totalAssets', 'stockholdersEquity', 'inventory', 'accountsReceivable', 'accountsPayable', 'netPPE',
+  'cashAndCashEquivalents', 'otherShortTermInvestments', 'currentAssets', 'currentLiabilities',
+  'totalDebt', 'longTermDebt', 'goodwill', 'otherIntangibleAssets', 'capitalLeaseObligations',
+  'currentDeferredRevenue', 'nonCurrentDeferredRevenue', 'totalLiabilitiesNetMinorityInterest', 'minorityInterest',
+];
+
+// Line items beyond the core statement fields, from an FTS row. Yahoo reports
+// cash outflows as negatives, as the statement rows do; lease obligations
+// there include operating leases.
+function ftsIncomeLines(row) {
+  return {
+    sellingGeneralAndAdministrativeExpenses: row.sellingGeneralAndAdministration ?? null,
+    researchAndDevelopmentExpenses: row.researchAndDevelopment ?? null,
+  };
 }
 
-async function getTickerMap() {
-  const now = Date.now();
-  if (tickerCache.data && (now - tickerCache.fetchedAt) < TICKER_CACHE_TTL) {
-    return tickerCache.data;
-  }
-  const response = await fetchWithTimeout(`https://www.sec.gov/files/company_tickers.json`, {
-    headers: { 'User-Agent': USER_AGENT },
-  });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`SEC ticker map fetch failed (${response.status}): ${text.slice(0, 200)}`);
-  }
-  const data = await response.json();
-  tickerCache = { data, fetchedAt: now };
-  return data;
-}
-
-async function getHistoricalPrices(symbol) {
-  const cacheKey = symbol.toUpperCase();
-  const now = Date.now();
-  const cached = historyCache.get(cacheKey);
-  if (cached && (now - cached.fetchedAt) < HISTORY_CACHE_TTL) {
-    return cached.data;
-  }
-
-  const period2 = new Date();
-  const period1 = new Date(period2);
-  period1.setFullYear(period1.getFullYear() - 10); // bounded window for reliability on serverless
-
-  const data = await withTimeout(
-    yahooFinance.historical(cacheKey, {
-      period1,
-      period2,
-      interval: '1d',
-    }),
-    EXTERNAL_FETCH_TIMEOUT_MS,
-    'yahoo historical'
-  ).catch(() => null);
-
-  const normalized = Array.isArray(data) ? data : [];
-  historyCache.set(cacheKey, { data: normalized, fetchedAt: now });
-  return normalized;
+function ftsBalanceLines(row) {
+  const hasDeferredRevenue = row.currentDeferredRevenue != null || row.nonCurrentDeferredRevenue != null;
+  return {
+    totalLiabilities: row.totalLiabilitiesNetMinorityInterest ?? null,
+    minorityInterest: row.minorityInterest ?? null,
+    goodwill: row.goodwill ?? null,
+    intangibleAssets: row.otherIntangibleAssets ?? null,
+    operatingLeaseLiabilities: row.capitalLeaseObligations ?? null,
+    deferredRevenue: hasDeferredRevenue ? (row.currentDeferredRevenue ?? 0) + (row.nonCurrentDeferredRevenue ?? 0) : null,
+  };
 }
 
-// Map common tickers to CIK numbers
-async function getCIK(ticker) {
-  const data = await getTickerMap();
-  const upperTicker = ticker.toUpperCase();
-  for (const entry of Object.values(data)) {
-    if (entry.ticker === upperTicker) {
-      return String(entry.cik_str).padStart(10, '0');
-    }
-  }
-  return null;
-}
-
-// Get metric values, combining data from multiple field names for full history.
-// Keys by actual data period (end date) instead of filing year to avoid picking
-// prior-year comparative data that SEC EDGAR includes in each filing.
-function getMetricValues(facts, fieldNames, period = 'FY', limit = 20) {
-  const seen = new Map();
-
-  for (const fieldName of fieldNames) {
-    const units = facts?.[fieldName]?.units || {};
-    const data = units.USD || units.shares || units.Share || units.Shares || Object.values(units)[0] || [];
-
-    let filtered;
-    if (period === 'Q') {
-      // Quarterly: require fp in Q1-Q4 and a single-quarter span (~3 months)
-      filtered = data.filter(d => {
-        if (!['Q1', 'Q2', 'Q3', 'Q4'].includes(d.fp)) return false;
-        if (d.start && d.end) {
-          const months = (new Date(d.end) - new Date(d.start)) / (1000 * 60 * 60 * 24 * 30);
-          return months < 5;
-        }
-        return true;
-      });
-    } else {
-      // Annual: require fp === 'FY' and validate ~12-month span when dates available
-      filtered = data.filter(d => {
-        if (d.fp !== period) return false;
-        if (d.start && d.end) {
-          const months = (new Date(d.end) - new Date(d.start)) / (1000 * 60 * 60 * 24 * 30);
-          if (months < 10 || months > 14) return false;
-        }
-        return true;
-      });
-    }
-
-    // Key by the actual data period (end date) instead of the filing year.
-    // SEC filings include prior-year comparatives, so the same fy can have
-    // entries for different actual years. Using end date ensures we get the
-    // correct value for each period and don't lose the most recent year's data.
-    for (const entry of filtered) {
-      if (!entry.end) continue;
-      const key = entry.end; // e.g. "2024-12-31" for annual, "2024-03-31" for Q1
-      const existing = seen.get(key);
-      if (!existing || new Date(entry.filed) > new Date(existing.filed)) {
-        // Normalize fy to reflect the actual data year (from end date)
-        // so downstream code using .fy gets the correct calendar year
-        const actualYear = new Date(entry.end).getFullYear();
-        seen.set(key, { ...entry, fy: actualYear });
-      }
-    }
-  }
-
-  return Array.from(seen.values())
-    .sort((a, b) => {
-      // Sort by end date descending for consistent ordering
-      if (a.end && b.end) return b.end.localeCompare(a.end);
-      return b.fy - a.fy || (b.fp || '').localeCompare(a.fp || '');
-    })
-    .slice(0, limit);
+function ftsCashflowLines(row) {
+  return {
+    stockBasedCompensation: row.stockBasedCompensation ?? null,
+    dividendsPaid: row.cashDividendsPaid != null ? -Math.abs(row.cashDividendsPaid) : null,
+    commonStockRepurchased: row.repurchaseOfCapitalStock != null ? -Math.abs(row.repurchaseOfCapitalStock) : null,
+    commonStockIssued: row.commonStockIssuance ?? null,
+    debtIssued: row.issuanceOfDebt ?? null,
+    debtRepayment: row.repaymentOfDebt != null ? -Math.abs(row.repaymentOfDebt) : null,
+    acquisitionsNet: row.purchaseOfBusiness != null ? -Math.abs(row.purchaseOfBusiness) : null,
+  };
 }
 
 function toEpochMs(value) {
@@ -301,20 +234,83 @@ function normalizeOwnershipRows(rows = [], source = 'institution') {
     });
 }
 
+// `stream=1` answers with NDJSON, one `{ part, data }` object per line as the
+// analysis progresses: `quote` (live quote and Yahoo profile), `history`
+// (prices and trading signals), `fundamentals` (statements and TTM), then
+// `complete` with the full payload or `error` with `{ status, error, detail }`.
+function streamAnalysis(query) {
+  const encoder = new TextEncoder();
+  let cancelled = false;
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (part, data) => {
+        if (!cancelled) controller.enqueue(encoder.encode(`${JSON.stringify({ part, data })}\n`));
+      };
+      const response = await analyzeStock(query, send);
+      const body = await response.json();
+      send(response.ok ? 'complete' : 'error', response.ok ? body : { status: response.status, ...body });
+      if (!cancelled) controller.close();
+    },
+    cancel() {
+      cancelled = true;
+    },
+  });
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'application/x-ndjson; charset=utf-8',
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
 export async function GET(request) {
   const { searchParams } = new URL(request.url);
   const ticker = searchParams.get('ticker');
+  const cik = searchParams.get('cik')?.trim() || null;
 
-  if (!ticker) {
-    return NextResponse.json({ error: 'Ticker symbol is required' }, { status: 400 });
+  if (!ticker && !cik) {
+    return NextResponse.json({ error: 'Ticker symbol or CIK is required' }, { status: 400 });
+  }
+  if (ticker && cik) {
+    return NextResponse.json({ error: 'Pass either ticker or cik, not both' }, { status: 400 });
   }
 
-  if (!/^[A-Z0-9.\-^]{1,10}$/i.test(ticker)) {
+  if (ticker && !normalizeSymbol(ticker)) {
     return NextResponse.json({ error: 'Invalid ticker symbol' }, { status: 400 });
   }
+  if (cik && !normalizeCik(cik)) {
+    return NextResponse.json({ error: 'Invalid CIK' }, { status: 400 });
+  }
 
+  // Cash flow basis for the cash-flow valuation methods: 'reported' (OCF less
+  // capex) or 'after-sbc' (stock-based compensation treated as a cash cost).
+  const fcfBasis = searchParams.get('fcfBasis') || 'reported';
+  if (!FCF_BASES.includes(fcfBasis)) {
+    return NextResponse.json({ error: `fcfBasis must be one of: ${FCF_BASES.join(', ')}` }, { status: 400 });
+  }
+
+  return searchParams.get('stream') === '1'
+    ? streamAnalysis({ ticker, cik, fcfBasis })
+    : analyzeStock({ ticker, cik, fcfBasis });
+}
+
+// Full analysis for one ticker or CIK. `emit(part, data)` is called as each
+// stage of the payload becomes available (see streamAnalysis).
+async function analyzeStock({ ticker, cik: requestedCik, fcfBasis }, emit = () => {}) {
   try {
-    const symbol = ticker.toUpperCase();
+    const upstreamTrace = { cache: {}, upstream: {} };
+    const provider = getDataProvider({ trace: upstreamTrace });
+    // A CIK is turned into its ticker up front; a ticker is looked up in SEC's
+    // ticker map with the SEC data below (see lib/market/symbols). Yahoo calls
+    // use Yahoo's spelling.
+    let identifiers = null;
+    if (requestedCik) {
+      identifiers = resolveIdentifiers({ cik: requestedCik }, await provider.filings.getTickerMap());
+      if (!identifiers) {
+        return NextResponse.json({ error: 'CIK not found' }, { status: 404 });
+      }
+    }
+    const symbol = identifiers?.yahoo ?? normalizeSymbol(ticker).yahoo;
 
     // Always fetch market data first so SEC outages do not take the whole API down.
     const threeYearsAgo = new Date();
@@ -322,97 +318,108 @@ export async function GET(request) {
     const twelveYearsAgo = new Date();
     twelveYearsAgo.setFullYear(twelveYearsAgo.getFullYear() - 12);
 
-    const [yahooQuote, yahooStats, priceHistoryRaw, ftsQuarterly, ftsAnnual] = await Promise.all([
-      withTimeout(yahooFinance.quote(symbol), EXTERNAL_FETCH_TIMEOUT_MS, 'yahoo quote').catch(() => null),
-      withTimeout(
-        yahooFinance.quoteSummary(symbol, {
-          modules: [
-            'summaryDetail',
-            'defaultKeyStatistics',
-            'financialData',
-            'insiderTransactions',
-            'assetProfile',
-            'institutionOwnership',
-            'fundOwnership',
-            'majorHoldersBreakdown',
-          ],
-        }),
-        EXTERNAL_FETCH_TIMEOUT_MS,
-        'yahoo quoteSummary'
-      ).catch(() => null),
-      getHistoricalPrices(symbol).catch(() => []),
-      (async () => {
-        try {
-          return await withTimeout(
-            yahooFinance.fundamentalsTimeSeries(symbol, {
-              period1: threeYearsAgo,
-              type: 'quarterly',
-              module: 'all',
-            }),
-            EXTERNAL_FETCH_TIMEOUT_MS,
-            'yahoo fundamentalsTimeSeries quarterly'
-          );
-        } catch { return []; }
-      })(),
-      (async () => {
-        try {
-          return await withTimeout(
-            yahooFinance.fundamentalsTimeSeries(symbol, {
-              period1: twelveYearsAgo,
-              type: 'annual',
-              module: 'all',
-            }),
-            EXTERNAL_FETCH_TIMEOUT_MS,
-            'yahoo fundamentalsTimeSeries annual'
-          );
-        } catch { return []; }
-      })(),
+    // Everything is requested at once; the quote is awaited first so it can be
+    // streamed before the slower history and time-series calls finish.
+    const quotePending = Promise.all([
+      provider.market.getQuote(symbol),
+      provider.market.getQuoteSummary(symbol, [
+        'summaryDetail',
+        'defaultKeyStatistics',
+        'financialData',
+        'insiderTransactions',
+        'assetProfile',
+        'institutionOwnership',
+        'fundOwnership',
+        'majorHoldersBreakdown',
+      ]),
+    ]);
+    const marketPending = Promise.all([
+      provider.market.getHistoricalPrices(symbol),
+      provider.fundamentals.getTimeSeries(symbol, { type: 'quarterly', period1: threeYearsAgo }),
+      provider.fundamentals.getTimeSeries(symbol, { type: 'annual', period1: twelveYearsAgo }),
+      provider.market.getSplits(symbol),
+      provider.market.getDividends(symbol),
     ]);
 
+    const [yahooQuote, yahooStats] = await quotePending;
+    if (yahooQuote) emit('quote', quoteSnapshot(symbol, yahooQuote, yahooStats));
+    const [priceHistoryRaw, ftsQuarterly, ftsAnnual, splitEventsRaw, dividendEventsRaw] = await marketPending;
+
     const hasYahooData = Boolean(yahooQuote) || (Array.isArray(priceHistoryRaw) && priceHistoryRaw.length > 0);
     if (!hasYahooData) {
       return NextResponse.json({ error: 'Ticker not found' }, { status: 404 });
     }
 
+    const priceHistory = normalizePriceHistory(priceHistoryRaw);
+
+    // Use the latest close at or before fiscal period end for historical valuation ratios.
+    // This avoids mixing today's price with old fundamentals.
+    const historicalPriceAtOrBefore = (targetDate) => {
+      if (!Array.isArray(priceHistory) || priceHistory.length === 0 || !targetDate) return null;
+      for (let i = priceHistory.length - 1; i >= 0; i--) {
+        if (priceHistory[i].date <= targetDate && Number.isFinite(priceHistory[i].close)) {
+          return priceHistory[i].close;
+        }
+      }
+      return null;
+    };
+
+    const tradingSignals = calculateTradingSignals(priceHistory, yahooQuote?.regularMarketPrice || 0);
+    emit('history', { priceHistory, tradingSignals });
+
     // SEC path is best-effort: valuation gets richer when available, but route stays up without it.
     const secIssues = [];
-    let cik = null;
-    try {
-      cik = await getCIK(symbol);
-    } catch (err) {
-      secIssues.push(`CIK lookup failed: ${err?.message || 'unknown_error'}`);
+    if (!identifiers) {
+      let tickerMap = null;
+      if (normalizeSymbol(ticker).sec) {
+        try {
+          tickerMap = await provider.filings.getTickerMap();
+        } catch (err) {
+          secIssues.push(`CIK lookup failed: ${err?.message || 'unknown_error'}`);
+        }
+      }
+      identifiers = resolveIdentifiers({ ticker }, tickerMap);
     }
+    if (!identifiers.sec) secIssues.push(`No SEC ticker for ${identifiers.kind} symbol ${symbol}`);
+    const { cik } = identifiers;
 
     let facts = {};
     let submissions = {};
     if (cik) {
-      const [factsRes, submissionsRes] = await Promise.all([
-        fetchWithTimeout(`${SEC_BASE}/api/xbrl/companyfacts/CIK${cik}.json`, {
-          headers: { 'User-Agent': USER_AGENT },
-        }).catch((error) => ({ ok: false, status: 0, _error: error })),
-        fetchWithTimeout(`${SEC_BASE}/submissions/CIK${cik}.json`, {
-          headers: { 'User-Agent': USER_AGENT },
-        }).catch((error) => ({ ok: false, status: 0, _error: error })),
+      const [factsResult, submissionsResult] = await Promise.allSettled([
+        provider.filings.getCompanyFacts(cik),
+        provider.filings.getSubmissions(cik),
       ]);
 
-      if (factsRes?.ok) {
-        facts = await factsRes.json();
+      if (factsResult.status === 'fulfilled') {
+        facts = factsResult.value || {};
       } else {
-        const detail = factsRes?._error?.message || (typeof factsRes?.text === 'function' ? (await factsRes.text()).slice(0, 200) : 'request_failed');
-        secIssues.push(`companyfacts unavailable (${factsRes?.status ?? 'n/a'}): ${detail}`);
+        const detail = factsResult.reason?.message || 'request_failed';
+        secIssues.push(`companyfacts unavailable (${factsResult.reason?.status ?? 'n/a'}): ${detail}`);
       }
 
-      if (submissionsRes?.ok) {
-        submissions = await submissionsRes.json();
+      if (submissionsResult.status === 'fulfilled') {
+        submissions = submissionsResult.value || {};
       } else {
-        const detail = submissionsRes?._error?.message || (typeof submissionsRes?.text === 'function' ? (await submissionsRes.text()).slice(0, 200) : 'request_failed');
-        secIssues.push(`submissions unavailable (${submissionsRes?.status ?? 'n/a'}): ${detail}`);
+        const detail = submissionsResult.reason?.message || 'request_failed';
+        secIssues.push(`submissions unavailable (${submissionsResult.reason?.status ?? 'n/a'}): ${detail}`);
       }
     } else {
       secIssues.push('CIK not available for ticker');
     }
 
-    const usGaap = facts?.facts?.['us-gaap'] || {};
+    // us-gaap for domestic filers, ifrs-full for most 20-F/40-F filers.
+    // Statements are presented in the quote currency so per-share values and
+    // multiples line up with the price; anything reported in another currency
+    // is restated before any series is built.
+    const presentationCurrency = yahooQuote?.currency || 'USD';
+    const financialDataCurrency = yahooStats?.financialData?.financialCurrency || null;
+    const secReporting = resolveReportingFacts(facts, presentationCurrency);
+    const secFacts = secReporting.facts;
+    if (secReporting.unconvertedConcepts.length > 0) {
+      secIssues.push(`no FX rate for ${secReporting.currency}->${presentationCurrency}; ${secReporting.unconvertedConcepts.length} ${secReporting.taxonomy} concepts skipped`);
+    }
+    const fiscalCalendar = createFiscalCalendar(submissions.fiscalYearEnd);
     const assetProfile = yahooStats?.assetProfile || {};
 
     // Build profile
@@ -428,106 +435,209 @@ export async function GET(request) {
       website: assetProfile.website || submissions.website || '',
     };
 
-    // Field mappings for different metrics
-    const revenueFields = ['RevenueFromContractWithCustomerExcludingAssessedTax', 'Revenues', 'SalesRevenueNet', 'SalesRevenueGoodsNet'];
-    const netIncomeFields = ['NetIncomeLoss', 'ProfitLoss', 'NetIncomeLossAvailableToCommonStockholdersBasic'];
-    const grossProfitFields = ['GrossProfit'];
-    const costOfRevenueFields = ['CostOfRevenue', 'CostOfGoodsAndServicesSold', 'CostOfGoodsSold', 'CostOfProductsSold', 'CostOfServicesSold'];
-    const operatingIncomeFields = ['OperatingIncomeLoss'];
-    const totalAssetsFields = ['Assets'];
-    const totalEquityFields = ['StockholdersEquity', 'StockholdersEquityIncludingPortionAttributableToNoncontrollingInterest'];
-    const inventoryFields = ['InventoryNet', 'InventoryFinishedGoods', 'InventoryGross', 'Inventory', 'Inventories'];
-    const receivablesFields = [
-      'AccountsReceivableNetCurrent',
-      'ReceivablesNetCurrent',
-      'AccountsAndOtherReceivablesNetCurrent',
-      'AccountsNotesAndLoansReceivableNetCurrent',
-      'AccountsReceivableNet',
-      'NotesReceivableNetCurrent',
-    ];
-    const accountsPayableFields = [
-      'AccountsPayableCurrent',
-      'AccountsPayable',
-      'AccountsPayableAndAccruedLiabilitiesCurrent',
-      'AccountsPayableAndOtherAccruedLiabilitiesCurrent',
-      'AccountsPayableAndAccruedExpensesCurrent',
-      'AccountsPayableTradeCurrent',
-    ];
-    const netPpeFields = [
-      'PropertyPlantAndEquipmentNet',
-      'PropertyPlantAndEquipmentAndFinanceLeaseRightOfUseAssetAfterAccumulatedDepreciationAndAmortization',
-      'PropertyPlantAndEquipmentAndSoftwareNet',
-    ];
-    const cashFields = ['CashAndCashEquivalentsAtCarryingValue', 'Cash'];
-    const debtFields = [
-      'DebtLongtermAndShorttermCombinedAmount',   // most comprehensive — includes all debt
-      'LongTermDebtAndCapitalLeaseObligations',   // long-term + leases
-      'LongTermDebt',                              // standard long-term debt
-      'LongTermDebtNoncurrent',                    // non-current portion
-      'ConvertibleLongTermNotesPayable',           // convertible notes (ZS, etc.)
+    // Banks, insurers and REITs get their own ratios and valuation (lib/sectors).
+    const sectorClass = classifyFiler({ sic: submissions.sic, sector: assetProfile.sector, industry: assetProfile.industry });
+    const financialFiler = isFinancialModel(sectorClass);
+
+    // Field mappings for different metrics (per taxonomy, see lib/sec/taxonomies)
+    const {
+      revenue: revenueFields,
+      netIncome: netIncomeFields,
+      grossProfit: grossProfitFields,
+      costOfRevenue: costOfRevenueFields,
+      operatingIncome: operatingIncomeFields,
+      totalAssets: totalAssetsFields,
+      totalEquity: totalEquityFields,
+      totalLiabilities: totalLiabilitiesFields,
+      minorityInterest: minorityInterestFields,
+      inventory: inventoryFields,
+      receivables: receivablesFields,
+      accountsPayable: accountsPayableFields,
+      netPpe: netPpeFields,
+      cash: cashFields,
+      debt: debtFields,
+      operatingCashFlow: operatingCashFlowFields,
+      capex: capexFields,
+      depreciation: depreciationFields,
+      currentAssets: currentAssetsFields,
+      currentLiabilities: currentLiabilitiesFields,
+      interestExpense: interestExpenseFields,
+      pretaxIncome: pretaxIncomeFields,
+      incomeTax: incomeTaxFields,
+      sharesDiluted: sharesDilutedFields,
+      sharesBasic: sharesBasicFields,
+      sellingGeneralAdministrative: sgaFields,
+      researchAndDevelopment: rndFields,
+      shareBasedCompensation: sbcFields,
+      dividendsPaid: dividendsPaidFields,
+      dividendsPerShare: dividendsPerShareFields,
+      shareRepurchases: shareRepurchasesFields,
+      sharesRepurchased: sharesRepurchasedFields,
+      shareIssuance: shareIssuanceFields,
+      debtIssuance: debtIssuanceFields,
+      debtRepayment: debtRepaymentFields,
+      acquisitions: acquisitionsFields,
+      goodwill: goodwillFields,
+      intangibleAssets: intangibleAssetsFields,
+      operatingLeaseLiabilities: operatingLeaseFields,
+      deferredRevenue: deferredRevenueFields,
+      shortTermInvestments: shortTermInvestmentsFields,
+    } = secReporting.fields;
+
+    // Get annual data (10 years)
+    const revenueAnnual = getMetricValues(secFacts, revenueFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const netIncomeAnnual = getMetricValues(secFacts, netIncomeFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const grossProfitAnnual = getMetricValues(secFacts, grossProfitFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const costOfRevenueAnnual = getMetricValues(secFacts, costOfRevenueFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const operatingIncomeAnnual = getMetricValues(secFacts, operatingIncomeFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const assetsAnnual = getMetricValues(secFacts, totalAssetsFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const equityAnnual = getMetricValues(secFacts, totalEquityFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const liabilitiesAnnual = getMetricValues(secFacts, totalLiabilitiesFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const minorityInterestAnnual = getMetricValues(secFacts, minorityInterestFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const inventoryAnnual = getMetricValues(secFacts, inventoryFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const receivablesAnnual = getMetricValues(secFacts, receivablesFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const accountsPayableAnnual = getMetricValues(secFacts, accountsPayableFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const netPpeAnnual = getMetricValues(secFacts, netPpeFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const cashAnnual = getMetricValues(secFacts, cashFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const debtAnnual = getMetricValues(secFacts, debtFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const opCashFlowAnnual = getMetricValues(secFacts, operatingCashFlowFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const capexAnnual = getMetricValues(secFacts, capexFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const depreciationAnnual = getMetricValues(secFacts, depreciationFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const currentAssetsAnnual = getMetricValues(secFacts, currentAssetsFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const currentLiabilitiesAnnual = getMetricValues(secFacts, currentLiabilitiesFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const interestExpenseAnnual = getMetricValues(secFacts, interestExpenseFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const pretaxIncomeAnnual = getMetricValues(secFacts, pretaxIncomeFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const incomeTaxAnnual = getMetricValues(secFacts, incomeTaxFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const sharesDilutedAnnualRaw = getMetricValues(secFacts, sharesDilutedFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: 'shares' });
+    const sharesBasicAnnualRaw = getMetricValues(secFacts, sharesBasicFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: 'shares' });
+    const sgaAnnual = getMetricValues(secFacts, sgaFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const rndAnnual = getMetricValues(secFacts, rndFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const sbcAnnual = getMetricValues(secFacts, sbcFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const dividendsPaidAnnual = getMetricValues(secFacts, dividendsPaidFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    // Per-share units are not FX-converted, so filers reporting in another
+    // currency fall back to Yahoo's dividend events alone.
+    const dividendsPerShareAnnual = getMetricValues(secFacts, dividendsPerShareFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: `${presentationCurrency}/shares` });
+    const shareRepurchasesAnnual = getMetricValues(secFacts, shareRepurchasesFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const sharesRepurchasedAnnualRaw = getMetricValues(secFacts, sharesRepurchasedFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: 'shares' });
+    const shareIssuanceAnnual = getMetricValues(secFacts, shareIssuanceFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const debtIssuanceAnnual = getMetricValues(secFacts, debtIssuanceFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const debtRepaymentAnnual = getMetricValues(secFacts, debtRepaymentFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const acquisitionsAnnual = getMetricValues(secFacts, acquisitionsFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const goodwillAnnual = getMetricValues(secFacts, goodwillFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const intangibleAssetsAnnual = getMetricValues(secFacts, intangibleAssetsFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const operatingLeaseAnnual = getMetricValues(secFacts, operatingLeaseFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const deferredRevenueAnnual = getMetricValues(secFacts, deferredRevenueFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    const shortTermInvestmentsAnnual = getMetricValues(secFacts, shortTermInvestmentsFields, { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+
+    // Bank, insurer and REIT line items, read only for filers routed to that model.
+    const FINANCIAL_METRICS = [
+      'goodwill', 'intangibleAssets', 'preferredEquity', 'netInterestIncome', 'interestIncome',
+      'noninterestIncome', 'noninterestExpense', 'creditLossProvision', 'loans', 'deposits', 'tier1Capital',
+      'premiumsEarned', 'policyholderBenefits', 'underwritingExpense', 'netInvestmentIncome',
     ];
-    const operatingCashFlowFields = ['NetCashProvidedByUsedInOperatingActivities'];
-    const capexFields = [
-      'PaymentsToAcquirePropertyPlantAndEquipment',
-      'CapitalExpenditures',
-      'PaymentsToAcquireProductiveAssets',
-      'PaymentsToAcquirePropertyPlantAndEquipmentAndIntangibleAssets',
+    const FINANCIAL_RATIO_METRICS = ['tier1Ratio', 'cet1Ratio'];
+    const REIT_METRICS = [
+      'gainOnSaleOfRealEstate', 'realEstateImpairment', 'capitalImprovements', 'straightLineRent',
+      'shareBasedCompensation', 'dividendsPaid', 'preferredEquity',
     ];
-    const depreciationFields = [
-      'DepreciationAndAmortization',
-      'DepreciationDepletionAndAmortization',
-      'DepreciationAmortizationAndAccretionNet',
-      'Depreciation',
+    const reitFiler = sectorClass.model === 'reit';
+    const sectorAnnual = {};
+    const sectorMetrics = financialFiler ? FINANCIAL_METRICS : reitFiler ? REIT_METRICS : [];
+    for (const metric of sectorMetrics) {
+      sectorAnnual[metric] = getMetricValues(secFacts, secReporting.fields[metric], { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: presentationCurrency });
+    }
+    if (financialFiler) {
+      for (const metric of FINANCIAL_RATIO_METRICS) {
+        sectorAnnual[metric] = getMetricValues(secFacts, secReporting.fields[metric], { period: 'FY', limit: 10, calendar: fiscalCalendar, unit: 'pure' });
+      }
+    }
+
+    // Share counts are filed on the basis in force at the time, so restate them
+    // onto today's basis before any per-share math. Yahoo's split events are
+    // authoritative; when Yahoo is unavailable, infer splits from share jumps.
+    const splitEvents = splitEventsRaw !== null && splitEventsRaw !== undefined
+      ? normalizeSplitEvents(splitEventsRaw)
+      : inferSplitsFromShares(sharesDilutedAnnualRaw.length > 0 ? sharesDilutedAnnualRaw : sharesBasicAnnualRaw);
+    const dilutedSharesNormalized = normalizeShareSeries(sharesDilutedAnnualRaw, splitEvents, 'sharesDiluted');
+    const basicSharesNormalized = normalizeShareSeries(sharesBasicAnnualRaw, splitEvents, 'sharesBasic');
+    const repurchasedSharesNormalized = normalizeShareSeries(sharesRepurchasedAnnualRaw, splitEvents, 'sharesRepurchased');
+    const splitAdjustments = [
+      ...dilutedSharesNormalized.adjustments,
+      ...basicSharesNormalized.adjustments,
+      ...repurchasedSharesNormalized.adjustments,
     ];
-    const currentAssetsFields = ['AssetsCurrent'];
-    const currentLiabilitiesFields = ['LiabilitiesCurrent'];
-    const interestExpenseFields = ['InterestExpense', 'InterestAndDebtExpense'];
-    const pretaxIncomeFields = ['IncomeBeforeTax'];
-    const incomeTaxFields = ['IncomeTaxExpenseBenefit'];
-    const sharesDilutedFields = ['WeightedAverageNumberOfDilutedSharesOutstanding'];
-    const sharesBasicFields = ['WeightedAverageNumberOfSharesOutstandingBasic'];
 
-    // Get annual data (10 years)
-    const revenueAnnual = getMetricValues(usGaap, revenueFields, 'FY', 10);
-    const netIncomeAnnual = getMetricValues(usGaap, netIncomeFields, 'FY', 10);
-    const grossProfitAnnual = getMetricValues(usGaap, grossProfitFields, 'FY', 10);
-    const costOfRevenueAnnual = getMetricValues(usGaap, costOfRevenueFields, 'FY', 10);
-    const operatingIncomeAnnual = getMetricValues(usGaap, operatingIncomeFields, 'FY', 10);
-    const assetsAnnual = getMetricValues(usGaap, totalAssetsFields, 'FY', 10);
-    const equityAnnual = getMetricValues(usGaap, totalEquityFields, 'FY', 10);
-    const inventoryAnnual = getMetricValues(usGaap, inventoryFields, 'FY', 10);
-    const receivablesAnnual = getMetricValues(usGaap, receivablesFields, 'FY', 10);
-    const accountsPayableAnnual = getMetricValues(usGaap, accountsPayableFields, 'FY', 10);
-    const netPpeAnnual = getMetricValues(usGaap, netPpeFields, 'FY', 10);
-    const cashAnnual = getMetricValues(usGaap, cashFields, 'FY', 10);
-    const debtAnnual = getMetricValues(usGaap, debtFields, 'FY', 10);
-    const opCashFlowAnnual = getMetricValues(usGaap, operatingCashFlowFields, 'FY', 10);
-    const capexAnnual = getMetricValues(usGaap, capexFields, 'FY', 10);
-    const depreciationAnnual = getMetricValues(usGaap, depreciationFields, 'FY', 10);
-    const currentAssetsAnnual = getMetricValues(usGaap, currentAssetsFields, 'FY', 10);
-    const currentLiabilitiesAnnual = getMetricValues(usGaap, currentLiabilitiesFields, 'FY', 10);
-    const interestExpenseAnnual = getMetricValues(usGaap, interestExpenseFields, 'FY', 10);
-    const pretaxIncomeAnnual = getMetricValues(usGaap, pretaxIncomeFields, 'FY', 10);
-    const incomeTaxAnnual = getMetricValues(usGaap, incomeTaxFields, 'FY', 10);
-    const sharesDilutedAnnual = getMetricValues(usGaap, sharesDilutedFields, 'FY', 10);
-    const sharesBasicAnnual = getMetricValues(usGaap, sharesBasicFields, 'FY', 10);
-
-    // Get quarterly data (40 quarters = 10 years)
-    const revenueQuarterly = getMetricValues(usGaap, revenueFields, 'Q', 40);
-    const netIncomeQuarterly = getMetricValues(usGaap, netIncomeFields, 'Q', 40);
-    const grossProfitQuarterly = getMetricValues(usGaap, grossProfitFields, 'Q', 40);
-    const costOfRevenueQuarterly = getMetricValues(usGaap, costOfRevenueFields, 'Q', 40);
-    const operatingIncomeQuarterly = getMetricValues(usGaap, operatingIncomeFields, 'Q', 40);
-    const assetsQuarterly = getMetricValues(usGaap, totalAssetsFields, 'Q', 40);
-    const equityQuarterly = getMetricValues(usGaap, totalEquityFields, 'Q', 40);
-    const inventoryQuarterly = getMetricValues(usGaap, inventoryFields, 'Q', 40);
-    const receivablesQuarterly = getMetricValues(usGaap, receivablesFields, 'Q', 40);
-    const accountsPayableQuarterly = getMetricValues(usGaap, accountsPayableFields, 'Q', 40);
-    const netPpeQuarterly = getMetricValues(usGaap, netPpeFields, 'Q', 40);
-    const cashQuarterly = getMetricValues(usGaap, cashFields, 'Q', 40);
-    const debtQuarterly = getMetricValues(usGaap, debtFields, 'Q', 40);
-    const opCashFlowQuarterly = getMetricValues(usGaap, operatingCashFlowFields, 'Q', 40);
-    const capexQuarterly = getMetricValues(usGaap, capexFields, 'Q', 40);
+    // Multi-class filers (GOOGL/GOOG, BRK-A/BRK-B): compose the classes from
+    // the latest cover page in units of the queried class, and restate the
+    // reported share series when it is kept in another class's units.
+    let shareClasses = null;
+    const shareClassCover = getShareClassCounts(facts);
+    if (shareClassCover && shareClassCover.counts.length > 1) {
+      const listedClasses = listedClassSymbols(submissions);
+      const siblingClasses = listedClasses.filter((c) => c.symbol !== symbol);
+      const siblingQuotes = await Promise.all(siblingClasses.map((c) => provider.market.getQuote(c.symbol)));
+      const classPrices = { [symbol]: yahooQuote?.regularMarketPrice ?? null };
+      siblingClasses.forEach((c, i) => {
+        classPrices[c.symbol] = siblingQuotes[i]?.regularMarketPrice ?? null;
+      });
+      shareClasses = buildShareClassStructure({ symbol, cover: shareClassCover, listed: listedClasses, prices: classPrices });
+    }
+    const classShareFactor = reportedShareConversion(
+      shareClasses,
+      dilutedSharesNormalized.series[0]?.val ?? basicSharesNormalized.series[0]?.val
+    );
+    // Foreign filers listed as ADRs report ordinary shares; restate them into
+    // ADR equivalents so per-share values compare with the ADR price.
+    const reportedShares = dilutedSharesNormalized.series[0] ?? basicSharesNormalized.series[0];
+    const adrShares = !shareClasses && isForeignFiler({ taxonomy: secReporting.taxonomy, form: reportedShares?.form })
+      ? adrShareRatio({
+        reportedShares: reportedShares?.val,
+        marketShares: yahooQuote?.sharesOutstanding,
+        marketCap: yahooQuote?.marketCap,
+        price: yahooQuote?.regularMarketPrice,
+      })
+      : null;
+    const shareFactor = classShareFactor / (adrShares?.ratio ?? 1);
+    const toQueriedClass = (series) => (shareFactor === 1
+      ? series
+      : series.map((entry) => ({ ...entry, val: entry.val * shareFactor })));
+    const sharesDilutedAnnual = toQueriedClass(dilutedSharesNormalized.series);
+    const sharesBasicAnnual = toQueriedClass(basicSharesNormalized.series);
+    const sharesRepurchasedAnnual = toQueriedClass(repurchasedSharesNormalized.series);
+
+    // Get quarterly data (40 quarters = 10 years). Flow items are rebuilt per
+    // fiscal year so Q4 (FY less 9M YTD) and YTD-only cash-flow quarters exist.
+    const revenueQuarterly = getQuarterlyValues(secFacts, revenueFields, { limit: 40, unit: presentationCurrency });
+    const netIncomeQuarterly = getQuarterlyValues(secFacts, netIncomeFields, { limit: 40, unit: presentationCurrency });
+    const grossProfitQuarterly = getQuarterlyValues(secFacts, grossProfitFields, { limit: 40, unit: presentationCurrency });
+    const costOfRevenueQuarterly = getQuarterlyValues(secFacts, costOfRevenueFields, { limit: 40, unit: presentationCurrency });
+    const operatingIncomeQuarterly = getQuarterlyValues(secFacts, operatingIncomeFields, { limit: 40, unit: presentationCurrency });
+    const assetsQuarterly = getMetricValues(secFacts, totalAssetsFields, { period: 'Q', limit: 40, calendar: fiscalCalendar, unit: presentationCurrency });
+    const equityQuarterly = getMetricValues(secFacts, totalEquityFields, { period: 'Q', limit: 40, calendar: fiscalCalendar, unit: presentationCurrency });
+    const liabilitiesQuarterly = getMetricValues(secFacts, totalLiabilitiesFields, { period: 'Q', limit: 40, calendar: fiscalCalendar, unit: presentationCurrency });
+    const minorityInterestQuarterly = getMetricValues(secFacts, minorityInterestFields, { period: 'Q', limit: 40, calendar: fiscalCalendar, unit: presentationCurrency });
+    const inventoryQuarterly = getMetricValues(secFacts, inventoryFields, { period: 'Q', limit: 40, calendar: fiscalCalendar, unit: presentationCurrency });
+    const receivablesQuarterly = getMetricValues(secFacts, receivablesFields, { period: 'Q', limit: 40, calendar: fiscalCalendar, unit: presentationCurrency });
+    const accountsPayableQuarterly = getMetricValues(secFacts, accountsPayableFields, { period: 'Q', limit: 40, calendar: fiscalCalendar, unit: presentationCurrency });
+    const netPpeQuarterly = getMetricValues(secFacts, netPpeFields, { period: 'Q', limit: 40, calendar: fiscalCalendar, unit: presentationCurrency });
+    const cashQuarterly = getMetricValues(secFacts, cashFields, { period: 'Q', limit: 40, calendar: fiscalCalendar, unit: presentationCurrency });
+    const debtQuarterly = getMetricValues(secFacts, debtFields, { period: 'Q', limit: 40, calendar: fiscalCalendar, unit: presentationCurrency });
+    const opCashFlowQuarterly = getQuarterlyValues(secFacts, operatingCashFlowFields, { limit: 40, unit: presentationCurrency });
+    const capexQuarterly = getQuarterlyValues(secFacts, capexFields, { limit: 40, unit: presentationCurrency });
+    const sgaQuarterly = getQuarterlyValues(secFacts, sgaFields, { limit: 40, unit: presentationCurrency });
+    const rndQuarterly = getQuarterlyValues(secFacts, rndFields, { limit: 40, unit: presentationCurrency });
+    const sbcQuarterly = getQuarterlyValues(secFacts, sbcFields, { limit: 40, unit: presentationCurrency });
+    const dividendsPaidQuarterly = getQuarterlyValues(secFacts, dividendsPaidFields, { limit: 40, unit: presentationCurrency });
+    const shareRepurchasesQuarterly = getQuarterlyValues(secFacts, shareRepurchasesFields, { limit: 40, unit: presentationCurrency });
+    const shareIssuanceQuarterly = getQuarterlyValues(secFacts, shareIssuanceFields, { limit: 40, unit: presentationCurrency });
+    const debtIssuanceQuarterly = getQuarterlyValues(secFacts, debtIssuanceFields, { limit: 40, unit: presentationCurrency });
+    const debtRepaymentQuarterly = getQuarterlyValues(secFacts, debtRepaymentFields, { limit: 40, unit: presentationCurrency });
+    const acquisitionsQuarterly = getQuarterlyValues(secFacts, acquisitionsFields, { limit: 40, unit: presentationCurrency });
+    const goodwillQuarterly = getMetricValues(secFacts, goodwillFields, { period: 'Q', limit: 40, calendar: fiscalCalendar, unit: presentationCurrency });
+    const intangibleAssetsQuarterly = getMetricValues(secFacts, intangibleAssetsFields, { period: 'Q', limit: 40, calendar: fiscalCalendar, unit: presentationCurrency });
+    const operatingLeaseQuarterly = getMetricValues(secFacts, operatingLeaseFields, { period: 'Q', limit: 40, calendar: fiscalCalendar, unit: presentationCurrency });
+    const deferredRevenueQuarterly = getMetricValues(secFacts, deferredRevenueFields, { period: 'Q', limit: 40, calendar: fiscalCalendar, unit: presentationCurrency });
+    const shortTermInvestmentsQuarterly = getMetricValues(secFacts, shortTermInvestmentsFields, { period: 'Q', limit: 40, calendar: fiscalCalendar, unit: presentationCurrency });
 
     const mapByEndValue = (rows) => new Map(rows.map((r) => [r.end, r.val]));
     const grossProfitAnnualByEnd = mapByEndValue(grossProfitAnnual);
@@ -535,6 +645,8 @@ export async function GET(request) {
     const operatingIncomeAnnualByEnd = mapByEndValue(operatingIncomeAnnual);
     const netIncomeAnnualByEnd = mapByEndValue(netIncomeAnnual);
     const equityAnnualByEnd = mapByEndValue(equityAnnual);
+    const liabilitiesAnnualByEnd = mapByEndValue(liabilitiesAnnual);
+    const minorityInterestAnnualByEnd = mapByEndValue(minorityInterestAnnual);
     const inventoryAnnualByEnd = mapByEndValue(inventoryAnnual);
     const receivablesAnnualByEnd = mapByEndValue(receivablesAnnual);
     const accountsPayableAnnualByEnd = mapByEndValue(accountsPayableAnnual);
@@ -549,6 +661,8 @@ export async function GET(request) {
     const operatingIncomeQuarterlyByEnd = mapByEndValue(operatingIncomeQuarterly);
     const netIncomeQuarterlyByEnd = mapByEndValue(netIncomeQuarterly);
     const equityQuarterlyByEnd = mapByEndValue(equityQuarterly);
+    const liabilitiesQuarterlyByEnd = mapByEndValue(liabilitiesQuarterly);
+    const minorityInterestQuarterlyByEnd = mapByEndValue(minorityInterestQuarterly);
     const inventoryQuarterlyByEnd = mapByEndValue(inventoryQuarterly);
     const receivablesQuarterlyByEnd = mapByEndValue(receivablesQuarterly);
     const accountsPayableQuarterlyByEnd = mapByEndValue(accountsPayableQuarterly);
@@ -556,15 +670,85 @@ export async function GET(request) {
     const cashQuarterlyByEnd = mapByEndValue(cashQuarterly);
     const debtQuarterlyByEnd = mapByEndValue(debtQuarterly);
     const capexAnnualByEnd = mapByEndValue(capexAnnual);
-    const capexAnnualByYear = new Map(capexAnnual.map((r) => [String(r.fy), r.val]));
+    const capexAnnualByYear = new Map(capexAnnual.map((r) => [String(r.calendarYear), r.val]));
     const capexQuarterlyByEnd = mapByEndValue(capexQuarterly);
     const depreciationAnnualByEnd = mapByEndValue(depreciationAnnual);
-    const depreciationAnnualByYear = new Map(depreciationAnnual.map((r) => [String(r.fy), r.val]));
+    const depreciationAnnualByYear = new Map(depreciationAnnual.map((r) => [String(r.calendarYear), r.val]));
     const interestExpenseAnnualByEnd = mapByEndValue(interestExpenseAnnual);
-    const interestExpenseAnnualByYear = new Map(interestExpenseAnnual.map((r) => [String(r.fy), r.val]));
+    const interestExpenseAnnualByYear = new Map(interestExpenseAnnual.map((r) => [String(r.calendarYear), r.val]));
+    const sgaAnnualByEnd = mapByEndValue(sgaAnnual);
+    const rndAnnualByEnd = mapByEndValue(rndAnnual);
+    const sbcAnnualByEnd = mapByEndValue(sbcAnnual);
+    const dividendsPaidAnnualByEnd = mapByEndValue(dividendsPaidAnnual);
+    const shareRepurchasesAnnualByEnd = mapByEndValue(shareRepurchasesAnnual);
+    const shareIssuanceAnnualByEnd = mapByEndValue(shareIssuanceAnnual);
+    const debtIssuanceAnnualByEnd = mapByEndValue(debtIssuanceAnnual);
+    const debtRepaymentAnnualByEnd = mapByEndValue(debtRepaymentAnnual);
+    const acquisitionsAnnualByEnd = mapByEndValue(acquisitionsAnnual);
+    const goodwillAnnualByEnd = mapByEndValue(goodwillAnnual);
+    const intangibleAssetsAnnualByEnd = mapByEndValue(intangibleAssetsAnnual);
+    const operatingLeaseAnnualByEnd = mapByEndValue(operatingLeaseAnnual);
+    const deferredRevenueAnnualByEnd = mapByEndValue(deferredRevenueAnnual);
+    const shortTermInvestmentsAnnualByEnd = mapByEndValue(shortTermInvestmentsAnnual);
+    const sgaQuarterlyByEnd = mapByEndValue(sgaQuarterly);
+    const rndQuarterlyByEnd = mapByEndValue(rndQuarterly);
+    const sbcQuarterlyByEnd = mapByEndValue(sbcQuarterly);
+    const dividendsPaidQuarterlyByEnd = mapByEndValue(dividendsPaidQuarterly);
+    const shareRepurchasesQuarterlyByEnd = mapByEndValue(shareRepurchasesQuarterly);
+    const shareIssuanceQuarterlyByEnd = mapByEndValue(shareIssuanceQuarterly);
+    const debtIssuanceQuarterlyByEnd = mapByEndValue(debtIssuanceQuarterly);
+    const debtRepaymentQuarterlyByEnd = mapByEndValue(debtRepaymentQuarterly);
+    const acquisitionsQuarterlyByEnd = mapByEndValue(acquisitionsQuarterly);
+    const goodwillQuarterlyByEnd = mapByEndValue(goodwillQuarterly);
+    const intangibleAssetsQuarterlyByEnd = mapByEndValue(intangibleAssetsQuarterly);
+    const operatingLeaseQuarterlyByEnd = mapByEndValue(operatingLeaseQuarterly);
+    const deferredRevenueQuarterlyByEnd = mapByEndValue(deferredRevenueQuarterly);
+    const shortTermInvestmentsQuarterlyByEnd = mapByEndValue(shortTermInvestmentsQuarterly);
+    // Payment tags are positive amounts; the cash flow rows carry outflows as negatives.
+    const outflow = (value) => (value === null || value === undefined ? null : -Math.abs(value));
+
+    // Field-level provenance: every statement row carries `sources`, keyed by
+    // field, naming the winning XBRL tag and filing (or the FTS fill-in).
+    const describeSecEntry = (entry) => ({
+      source: 'sec',
+      tag: entry.tag || null,
+      form: entry.form || null,
+      accn: entry.accn || null,
+      filed: entry.filed || null,
+      ...(entry.derivation && entry.derivation !== 'reported' ? { derivation: entry.derivation } : {}),
+      ...(Number.isFinite(entry.yearToDate) ? { yearToDate: entry.yearToDate } : {}),
+      ...(entry.revisions ? { revisions: entry.revisions } : {}),
+      ...(entry.reportedCurrency
+        ? {
+          reportedCurrency: entry.reportedCurrency,
+          ...(entry.fxRate ? { fxRate: entry.fxRate } : {}),
+          ...(entry.fxExtrapolated ? { fxExtrapolated: true } : {}),
+        }
+        : {}),
+    });
+    const findSecEntry = (series, end, year = null) => (
+      series.find((r) => r.end === end) || (year !== null ? series.find((r) => String(r.calendarYear) === String(year)) : null) || null
+    );
+    const secSources = (row, spec) => {
+      const sources = {};
+      for (const [field, { series, byYear = false }] of Object.entries(spec)) {
+        if (row[field] === null || row[field] === undefined) continue;
+        const entry = findSecEntry(series, row.date, byYear ? row.calendarYear : null);
+        if (entry) sources[field] = describeSecEntry(entry);
+      }
+      return sources;
+    };
+    const derivedSource = (formula) => ({ source: 'derived', formula });
+    const withSources = (row, spec, derived = {}) => {
+      const sources = secSources(row, spec);
+      for (const [field, formula] of Object.entries(derived)) {
+        if (!sources[field] && row[field] !== null && row[field] !== undefined) sources[field] = derivedSource(formula);
+      }
+      return { ...row, currency: presentationCurrency, sources };
+    };
 
     // Build income statement data (annual)
-    let income = revenueAnnual.map((rev) => ({
+    let income = revenueAnnual.map((rev) => withSources({
       grossProfit: (() => {
         const directGross = grossProfitAnnualByEnd.get(rev.end);
         if (directGross !== null && directGross !== undefined) return directGross;
@@ -572,17 +756,29 @@ export async function GET(request) {
         return costOfRevenue !== null && costOfRevenue !== undefined ? (rev.val || 0) - costOfRevenue : null;
       })(),
       date: rev.end,
-      calendarYear: String(rev.fy),
+      ...fiscalCalendar.label(rev.end),
       revenue: rev.val || 0,
       costOfRevenue: costOfRevenueAnnualByEnd.get(rev.end) ?? null,
       operatingIncome: operatingIncomeAnnualByEnd.get(rev.end) ?? null,
       netIncome: netIncomeAnnualByEnd.get(rev.end) ?? null,
-      interestExpense: interestExpenseAnnualByEnd.get(rev.end) ?? interestExpenseAnnualByYear.get(String(rev.fy)) ?? null,
-      depreciation: depreciationAnnualByEnd.get(rev.end) ?? depreciationAnnualByYear.get(String(rev.fy)) ?? null,
-    })).reverse();
+      interestExpense: interestExpenseAnnualByEnd.get(rev.end) ?? interestExpenseAnnualByYear.get(String(rev.calendarYear)) ?? null,
+      depreciation: depreciationAnnualByEnd.get(rev.end) ?? depreciationAnnualByYear.get(String(rev.calendarYear)) ?? null,
+      sellingGeneralAndAdministrativeExpenses: sgaAnnualByEnd.get(rev.end) ?? null,
+      researchAndDevelopmentExpenses: rndAnnualByEnd.get(rev.end) ?? null,
+    }, {
+      revenue: { series: revenueAnnual },
+      grossProfit: { series: grossProfitAnnual },
+      costOfRevenue: { series: costOfRevenueAnnual },
+      operatingIncome: { series: operatingIncomeAnnual },
+      netIncome: { series: netIncomeAnnual },
+      interestExpense: { series: interestExpenseAnnual, byYear: true },
+      depreciation: { series: depreciationAnnual, byYear: true },
+      sellingGeneralAndAdministrativeExpenses: { series: sgaAnnual },
+      researchAndDevelopmentExpenses: { series: rndAnnual },
+    }, { grossProfit: 'revenue - costOfRevenue' })).reverse();
 
     // Build income statement data (quarterly) from SEC
-    const incomeQSec = revenueQuarterly.map((rev) => ({
+    const incomeQSec = revenueQuarterly.map((rev) => withSources({
       grossProfit: (() => {
         const directGross = grossProfitQuarterlyByEnd.get(rev.end);
         if (directGross !== null && directGross !== undefined) return directGross;
@@ -590,76 +786,160 @@ export async function GET(request) {
         return costOfRevenue !== null && costOfRevenue !== undefined ? (rev.val || 0) - costOfRevenue : null;
       })(),
       date: rev.end,
-      fiscalYear: String(rev.fy),
-      period: rev.fp,
+      ...fiscalCalendar.label(rev.end, { quarterly: true }),
       revenue: rev.val || 0,
       costOfRevenue: costOfRevenueQuarterlyByEnd.get(rev.end) ?? null,
       operatingIncome: operatingIncomeQuarterlyByEnd.get(rev.end) ?? null,
       netIncome: netIncomeQuarterlyByEnd.get(rev.end) ?? null,
       interestExpense: null,
       depreciation: null,
-    })).reverse();
+      sellingGeneralAndAdministrativeExpenses: sgaQuarterlyByEnd.get(rev.end) ?? null,
+      researchAndDevelopmentExpenses: rndQuarterlyByEnd.get(rev.end) ?? null,
+    }, {
+      revenue: { series: revenueQuarterly },
+      grossProfit: { series: grossProfitQuarterly },
+      costOfRevenue: { series: costOfRevenueQuarterly },
+      operatingIncome: { series: operatingIncomeQuarterly },
+      netIncome: { series: netIncomeQuarterly },
+      sellingGeneralAndAdministrativeExpenses: { series: sgaQuarterly },
+      researchAndDevelopmentExpenses: { series: rndQuarterly },
+    }, { grossProfit: 'revenue - costOfRevenue' })).reverse();
 
     // Build balance sheet data (annual)
-    let balance = assetsAnnual.map((asset) => ({
+    let balance = assetsAnnual.map((asset) => withSources({
       date: asset.end,
-      calendarYear: String(asset.fy),
+      ...fiscalCalendar.label(asset.end),
       totalAssets: asset.val || 0,
       totalEquity: equityAnnualByEnd.get(asset.end) || 0,
+      totalLiabilities: liabilitiesAnnualByEnd.get(asset.end) ?? null,
+      minorityInterest: minorityInterestAnnualByEnd.get(asset.end) ?? null,
       inventory: inventoryAnnualByEnd.get(asset.end) ?? null,
       accountsReceivable: receivablesAnnualByEnd.get(asset.end) ?? null,
       accountsPayable: accountsPayableAnnualByEnd.get(asset.end) ?? null,
       netPPE: netPpeAnnualByEnd.get(asset.end) ?? null,
       cashAndCashEquivalents: cashAnnualByEnd.get(asset.end) || 0,
-      shortTermInvestments: 0,
+      shortTermInvestments: shortTermInvestmentsAnnualByEnd.get(asset.end) ?? null,
       currentAssets: currentAssetsAnnualByEnd.get(asset.end) || null,
       currentLiabilities: currentLiabilitiesAnnualByEnd.get(asset.end) || null,
       totalDebt: debtAnnualByEnd.get(asset.end) || 0,
-    })).reverse();
+      goodwill: goodwillAnnualByEnd.get(asset.end) ?? null,
+      intangibleAssets: intangibleAssetsAnnualByEnd.get(asset.end) ?? null,
+      operatingLeaseLiabilities: operatingLeaseAnnualByEnd.get(asset.end) ?? null,
+      deferredRevenue: deferredRevenueAnnualByEnd.get(asset.end) ?? null,
+    }, {
+      totalAssets: { series: assetsAnnual },
+      totalEquity: { series: equityAnnual },
+      totalLiabilities: { series: liabilitiesAnnual },
+      minorityInterest: { series: minorityInterestAnnual },
+      inventory: { series: inventoryAnnual },
+      accountsReceivable: { series: receivablesAnnual },
+      accountsPayable: { series: accountsPayableAnnual },
+      netPPE: { series: netPpeAnnual },
+      cashAndCashEquivalents: { series: cashAnnual },
+      currentAssets: { series: currentAssetsAnnual },
+      currentLiabilities: { series: currentLiabilitiesAnnual },
+      totalDebt: { series: debtAnnual },
+      shortTermInvestments: { series: shortTermInvestmentsAnnual },
+      goodwill: { series: goodwillAnnual },
+      intangibleAssets: { series: intangibleAssetsAnnual },
+      operatingLeaseLiabilities: { series: operatingLeaseAnnual },
+      deferredRevenue: { series: deferredRevenueAnnual },
+    }, {})).reverse();
 
     // Build balance sheet data (quarterly) from SEC
-    const balanceQSec = assetsQuarterly.map((asset) => ({
+    const balanceQSec = assetsQuarterly.map((asset) => withSources({
       date: asset.end,
-      fiscalYear: String(asset.fy),
-      period: asset.fp,
+      ...fiscalCalendar.label(asset.end, { quarterly: true }),
       totalAssets: asset.val || 0,
       totalEquity: equityQuarterlyByEnd.get(asset.end) || 0,
+      totalLiabilities: liabilitiesQuarterlyByEnd.get(asset.end) ?? null,
+      minorityInterest: minorityInterestQuarterlyByEnd.get(asset.end) ?? null,
       inventory: inventoryQuarterlyByEnd.get(asset.end) ?? null,
       accountsReceivable: receivablesQuarterlyByEnd.get(asset.end) ?? null,
       accountsPayable: accountsPayableQuarterlyByEnd.get(asset.end) ?? null,
       netPPE: netPpeQuarterlyByEnd.get(asset.end) ?? null,
       cashAndCashEquivalents: cashQuarterlyByEnd.get(asset.end) || 0,
-      shortTermInvestments: 0,
+      shortTermInvestments: shortTermInvestmentsQuarterlyByEnd.get(asset.end) ?? null,
       currentAssets: null,
       currentLiabilities: null,
       totalDebt: debtQuarterlyByEnd.get(asset.end) || 0,
-    })).reverse();
+      goodwill: goodwillQuarterlyByEnd.get(asset.end) ?? null,
+      intangibleAssets: intangibleAssetsQuarterlyByEnd.get(asset.end) ?? null,
+      operatingLeaseLiabilities: operatingLeaseQuarterlyByEnd.get(asset.end) ?? null,
+      deferredRevenue: deferredRevenueQuarterlyByEnd.get(asset.end) ?? null,
+    }, {
+      totalAssets: { series: assetsQuarterly },
+      totalEquity: { series: equityQuarterly },
+      totalLiabilities: { series: liabilitiesQuarterly },
+      minorityInterest: { series: minorityInterestQuarterly },
+      inventory: { series: inventoryQuarterly },
+      accountsReceivable: { series: receivablesQuarterly },
+      accountsPayable: { series: accountsPayableQuarterly },
+      netPPE: { series: netPpeQuarterly },
+      cashAndCashEquivalents: { series: cashQuarterly },
+      totalDebt: { series: debtQuarterly },
+      shortTermInvestments: { series: shortTermInvestmentsQuarterly },
+      goodwill: { series: goodwillQuarterly },
+      intangibleAssets: { series: intangibleAssetsQuarterly },
+      operatingLeaseLiabilities: { series: operatingLeaseQuarterly },
+      deferredRevenue: { series: deferredRevenueQuarterly },
+    }, {})).reverse();
 
     // Build cash flow data (annual)
-    let cashflow = opCashFlowAnnual.map((ocf) => ({
+    let cashflow = opCashFlowAnnual.map((ocf) => withSources({
       date: ocf.end,
-      calendarYear: String(ocf.fy),
+      ...fiscalCalendar.label(ocf.end),
       operatingCashFlow: ocf.val || 0,
-      capitalExpenditure: -((capexAnnualByEnd.get(ocf.end) ?? capexAnnualByYear.get(String(ocf.fy))) || 0),
-      freeCashFlow: (ocf.val || 0) - ((capexAnnualByEnd.get(ocf.end) ?? capexAnnualByYear.get(String(ocf.fy))) || 0),
-    })).reverse();
+      capitalExpenditure: -((capexAnnualByEnd.get(ocf.end) ?? capexAnnualByYear.get(String(ocf.calendarYear))) || 0),
+      freeCashFlow: (ocf.val || 0) - ((capexAnnualByEnd.get(ocf.end) ?? capexAnnualByYear.get(String(ocf.calendarYear))) || 0),
+      stockBasedCompensation: sbcAnnualByEnd.get(ocf.end) ?? null,
+      dividendsPaid: outflow(dividendsPaidAnnualByEnd.get(ocf.end)),
+      commonStockRepurchased: outflow(shareRepurchasesAnnualByEnd.get(ocf.end)),
+      commonStockIssued: shareIssuanceAnnualByEnd.get(ocf.end) ?? null,
+      debtIssued: debtIssuanceAnnualByEnd.get(ocf.end) ?? null,
+      debtRepayment: outflow(debtRepaymentAnnualByEnd.get(ocf.end)),
+      acquisitionsNet: outflow(acquisitionsAnnualByEnd.get(ocf.end)),
+    }, {
+      operatingCashFlow: { series: opCashFlowAnnual },
+      capitalExpenditure: { series: capexAnnual, byYear: true },
+      stockBasedCompensation: { series: sbcAnnual },
+      dividendsPaid: { series: dividendsPaidAnnual },
+      commonStockRepurchased: { series: shareRepurchasesAnnual },
+      commonStockIssued: { series: shareIssuanceAnnual },
+      debtIssued: { series: debtIssuanceAnnual },
+      debtRepayment: { series: debtRepaymentAnnual },
+      acquisitionsNet: { series: acquisitionsAnnual },
+    }, { freeCashFlow: 'operatingCashFlow + capitalExpenditure' })).reverse();
 
     // Build cash flow data (quarterly) from SEC
-    const cashflowQSec = opCashFlowQuarterly.map((ocf) => ({
+    const cashflowQSec = opCashFlowQuarterly.map((ocf) => withSources({
       date: ocf.end,
-      fiscalYear: String(ocf.fy),
-      period: ocf.fp,
+      ...fiscalCalendar.label(ocf.end, { quarterly: true }),
       operatingCashFlow: ocf.val || 0,
       capitalExpenditure: -((capexQuarterlyByEnd.get(ocf.end)) || 0),
       freeCashFlow: (ocf.val || 0) - ((capexQuarterlyByEnd.get(ocf.end)) || 0),
-    })).reverse();
+      stockBasedCompensation: sbcQuarterlyByEnd.get(ocf.end) ?? null,
+      dividendsPaid: outflow(dividendsPaidQuarterlyByEnd.get(ocf.end)),
+      commonStockRepurchased: outflow(shareRepurchasesQuarterlyByEnd.get(ocf.end)),
+      commonStockIssued: shareIssuanceQuarterlyByEnd.get(ocf.end) ?? null,
+      debtIssued: debtIssuanceQuarterlyByEnd.get(ocf.end) ?? null,
+      debtRepayment: outflow(debtRepaymentQuarterlyByEnd.get(ocf.end)),
+      acquisitionsNet: outflow(acquisitionsQuarterlyByEnd.get(ocf.end)),
+    }, {
+      operatingCashFlow: { series: opCashFlowQuarterly },
+      capitalExpenditure: { series: capexQuarterly },
+      stockBasedCompensation: { series: sbcQuarterly },
+      dividendsPaid: { series: dividendsPaidQuarterly },
+      commonStockRepurchased: { series: shareRepurchasesQuarterly },
+      commonStockIssued: { series: shareIssuanceQuarterly },
+      debtIssued: { series: debtIssuanceQuarterly },
+      debtRepayment: { series: debtRepaymentQuarterly },
+      acquisitionsNet: { series: acquisitionsQuarterly },
+    }, { freeCashFlow: 'operatingCashFlow + capitalExpenditure' })).reverse();
 
     // --- Merge Yahoo Finance fundamentalsTimeSeries data ---
     // FTS replaces the broken quoteSummary financial statement modules.
     // SEC is the deep historical base; FTS fills gaps for tickers with limited/no SEC data.
-    const ftsQ = Array.isArray(ftsQuarterly) ? ftsQuarterly : [];
-    const ftsA = Array.isArray(ftsAnnual) ? ftsAnnual : [];
-
     function ftsDateToISO(d) {
       if (!d) return null;
       if (d instanceof Date) return d.toISOString().slice(0, 10);
@@ -668,29 +948,82 @@ export async function GET(request) {
       return null;
     }
 
-    function guessQuarterPeriod(dateStr) {
-      if (!dateStr) return 'Q1';
-      const month = new Date(dateStr).getMonth() + 1;
-      if (month <= 3) return 'Q1';
-      if (month <= 6) return 'Q2';
-      if (month <= 9) return 'Q3';
-      return 'Q4';
+    // FTS figures are in the company's financial currency, which for ADRs and
+    // foreign listings differs from the quote. Restate them like the SEC facts:
+    // flows at the average rate over the period, balances at the period end.
+    const ftsCurrency = financialDataCurrency || secReporting.currency || presentationCurrency;
+    const convertFtsRows = (rows, months) => {
+      if (!Array.isArray(rows)) return [];
+      if (ftsCurrency === presentationCurrency) return rows;
+      const converted = rows.map((row) => {
+        const end = ftsDateToISO(row?.date);
+        if (!end) return null;
+        const startDate = new Date(`${end}T00:00:00Z`);
+        startDate.setUTCMonth(startDate.getUTCMonth() - months);
+        startDate.setUTCDate(startDate.getUTCDate() + 1);
+        const start = startDate.toISOString().slice(0, 10);
+        const flow = convertAmount(1, { from: ftsCurrency, to: presentationCurrency, start, end });
+        const balance = convertAmount(1, { from: ftsCurrency, to: presentationCurrency, end });
+        if (!flow || !balance) return null;
+        const out = {
+          ...row,
+          fx: {
+            reportedCurrency: ftsCurrency,
+            flowRate: flow.rate,
+            balanceRate: balance.rate,
+            flowExtrapolated: flow.extrapolated,
+            balanceExtrapolated: balance.extrapolated,
+          },
+        };
+        for (const field of [...FTS_FLOW_FIELDS, ...FTS_BALANCE_FIELDS]) {
+          if (!Number.isFinite(row[field])) continue;
+          out[field] = row[field] / (FTS_BALANCE_FIELDS.includes(field) ? balance.rate : flow.rate);
+        }
+        return out;
+      }).filter(Boolean);
+      if (converted.length < rows.length) {
+        secIssues.push(`no FX rate for ${ftsCurrency}->${presentationCurrency}; ${rows.length - converted.length} FTS rows skipped`);
+      }
+      return converted;
+    };
+    const ftsQ = convertFtsRows(ftsQuarterly, 3);
+    const ftsA = convertFtsRows(ftsAnnual, 12);
+
+    // FTS rows carry no filing metadata; every populated number is a Yahoo fill-in.
+    // `rate` is the FX rate applied to this statement's figures, when converted,
+    // and `extrapolated` whether it came from outside the FX tables' years.
+    const ftsSources = (row, type, fx = null, rate = null, extrapolated = false) => {
+      const sources = {};
+      const conversion = fx
+        ? { reportedCurrency: fx.reportedCurrency, fxRate: rate, ...(extrapolated ? { fxExtrapolated: true } : {}) }
+        : {};
+      for (const [field, value] of Object.entries(row)) {
+        if (typeof value === 'number' && Number.isFinite(value)) sources[field] = { source: 'yahoo-fts', type, ...conversion };
+      }
+      return sources;
+    };
+
+    // SEC and FTS can stamp the same period a few days apart (52/53-week
+    // fiscal calendars vs month-end), so dates within a week are one period.
+    function periodDateSet(rows) {
+      const times = rows.map((r) => Date.parse(r.date)).filter(Number.isFinite);
+      const toleranceMs = 7 * 24 * 60 * 60 * 1000;
+      return { has: (date) => times.some((t) => Math.abs(t - Date.parse(date)) <= toleranceMs) };
     }
 
     // --- Merge FTS annual data into SEC annual arrays ---
-    const secIncomeDatesAnnual = new Set(income.map(r => r.date));
+    const secIncomeDatesAnnual = periodDateSet(income);
     const ftsIncomeAnnualExtras = ftsA
       .filter(row => row.date && row.totalRevenue != null)
       .map(row => {
         const date = ftsDateToISO(row.date);
         if (!date || secIncomeDatesAnnual.has(date)) return null;
-        const year = date.slice(0, 4);
         const revenue = row.totalRevenue ?? 0;
         const costOfRevenue = row.costOfRevenue ?? null;
         const grossProfit = row.grossProfit ?? (costOfRevenue != null ? revenue - costOfRevenue : null);
-        return {
+        const merged = {
           date,
-          calendarYear: year,
+          ...fiscalCalendar.label(date),
           revenue,
           costOfRevenue,
           grossProfit,
@@ -698,23 +1031,24 @@ export async function GET(request) {
           netIncome: row.netIncome ?? null,
           interestExpense: row.interestExpenseNonOperating != null ? -Math.abs(row.interestExpenseNonOperating) : null,
           depreciation: null,
+          ...ftsIncomeLines(row),
         };
+        return { ...merged, currency: presentationCurrency, sources: ftsSources(merged, 'annual', row.fx, row.fx?.flowRate, row.fx?.flowExtrapolated) };
       })
       .filter(Boolean);
     if (ftsIncomeAnnualExtras.length > 0) {
       income = [...income, ...ftsIncomeAnnualExtras].sort((a, b) => a.date.localeCompare(b.date));
     }
 
-    const secBalanceDatesAnnual = new Set(balance.map(r => r.date));
+    const secBalanceDatesAnnual = periodDateSet(balance);
     const ftsBalanceAnnualExtras = ftsA
       .filter(row => row.date && row.totalAssets != null)
       .map(row => {
         const date = ftsDateToISO(row.date);
         if (!date || secBalanceDatesAnnual.has(date)) return null;
-        const year = date.slice(0, 4);
-        return {
+        const merged = {
           date,
-          calendarYear: year,
+          ...fiscalCalendar.label(date),
           totalAssets: row.totalAssets ?? 0,
           totalEquity: row.stockholdersEquity ?? 0,
           inventory: row.inventory ?? null,
@@ -726,29 +1060,32 @@ export async function GET(request) {
           currentAssets: row.currentAssets ?? null,
           currentLiabilities: row.currentLiabilities ?? null,
           totalDebt: row.totalDebt ?? row.longTermDebt ?? 0,
+          ...ftsBalanceLines(row),
         };
+        return { ...merged, currency: presentationCurrency, sources: ftsSources(merged, 'annual', row.fx, row.fx?.balanceRate, row.fx?.balanceExtrapolated) };
       })
       .filter(Boolean);
     if (ftsBalanceAnnualExtras.length > 0) {
       balance = [...balance, ...ftsBalanceAnnualExtras].sort((a, b) => a.date.localeCompare(b.date));
     }
 
-    const secCashflowDatesAnnual = new Set(cashflow.map(r => r.date));
+    const secCashflowDatesAnnual = periodDateSet(cashflow);
     const ftsCashflowAnnualExtras = ftsA
       .filter(row => row.date && row.operatingCashFlow != null)
       .map(row => {
         const date = ftsDateToISO(row.date);
         if (!date || secCashflowDatesAnnual.has(date)) return null;
-        const year = date.slice(0, 4);
         const opCF = row.operatingCashFlow ?? 0;
         const capex = row.capitalExpenditure != null ? -Math.abs(row.capitalExpenditure) : 0;
-        return {
+        const merged = {
           date,
-          calendarYear: year,
+          ...fiscalCalendar.label(date),
           operatingCashFlow: opCF,
           capitalExpenditure: capex,
           freeCashFlow: opCF + capex,
+          ...ftsCashflowLines(row),
         };
+        return { ...merged, currency: presentationCurrency, sources: ftsSources(merged, 'annual', row.fx, row.fx?.flowRate, row.fx?.flowExtrapolated) };
       })
       .filter(Boolean);
     if (ftsCashflowAnnualExtras.length > 0) {
@@ -756,20 +1093,18 @@ export async function GET(request) {
     }
 
     // --- Merge FTS quarterly data into SEC quarterly arrays ---
-    const secIncomeDates = new Set(incomeQSec.map(r => r.date));
+    const secIncomeDates = periodDateSet(incomeQSec);
     const ftsIncomeExtras = ftsQ
       .filter(row => row.date && row.totalRevenue != null)
       .map(row => {
         const date = ftsDateToISO(row.date);
         if (!date || secIncomeDates.has(date)) return null;
-        const year = date.slice(0, 4);
         const revenue = row.totalRevenue ?? 0;
         const costOfRevenue = row.costOfRevenue ?? null;
         const grossProfit = row.grossProfit ?? (costOfRevenue != null ? revenue - costOfRevenue : null);
-        return {
+        const merged = {
           date,
-          fiscalYear: year,
-          period: guessQuarterPeriod(date),
+          ...fiscalCalendar.label(date, { quarterly: true }),
           revenue,
           costOfRevenue,
           grossProfit,
@@ -777,7 +1112,9 @@ export async function GET(request) {
           netIncome: row.netIncome ?? null,
           interestExpense: row.interestExpenseNonOperating != null ? -Math.abs(row.interestExpenseNonOperating) : null,
           depreciation: null,
+          ...ftsIncomeLines(row),
         };
+        return { ...merged, currency: presentationCurrency, sources: ftsSources(merged, 'quarterly', row.fx, row.fx?.flowRate, row.fx?.flowExtrapolated) };
       })
       .filter(Boolean);
 
@@ -785,17 +1122,15 @@ export async function GET(request) {
       .sort((a, b) => a.date.localeCompare(b.date));
 
     // Merge FTS balance sheet quarterly data
-    const secBalanceDates = new Set(balanceQSec.map(r => r.date));
+    const secBalanceDates = periodDateSet(balanceQSec);
     const ftsBalanceExtras = ftsQ
       .filter(row => row.date && row.totalAssets != null)
       .map(row => {
         const date = ftsDateToISO(row.date);
         if (!date || secBalanceDates.has(date)) return null;
-        const year = date.slice(0, 4);
-        return {
+        const merged = {
           date,
-          fiscalYear: year,
-          period: guessQuarterPeriod(date),
+          ...fiscalCalendar.label(date, { quarterly: true }),
           totalAssets: row.totalAssets ?? 0,
           totalEquity: row.stockholdersEquity ?? 0,
           inventory: row.inventory ?? null,
@@ -807,7 +1142,9 @@ export async function GET(request) {
           currentAssets: row.currentAssets ?? null,
           currentLiabilities: row.currentLiabilities ?? null,
           totalDebt: row.totalDebt ?? row.longTermDebt ?? 0,
+          ...ftsBalanceLines(row),
         };
+        return { ...merged, currency: presentationCurrency, sources: ftsSources(merged, 'quarterly', row.fx, row.fx?.balanceRate, row.fx?.balanceExtrapolated) };
       })
       .filter(Boolean);
 
@@ -815,29 +1152,64 @@ export async function GET(request) {
       .sort((a, b) => a.date.localeCompare(b.date));
 
     // Merge FTS cash flow quarterly data
-    const secCashflowDates = new Set(cashflowQSec.map(r => r.date));
+    const secCashflowDates = periodDateSet(cashflowQSec);
     const ftsCashflowExtras = ftsQ
       .filter(row => row.date && row.operatingCashFlow != null)
       .map(row => {
         const date = ftsDateToISO(row.date);
         if (!date || secCashflowDates.has(date)) return null;
-        const year = date.slice(0, 4);
         const opCF = row.operatingCashFlow ?? 0;
         const capex = row.capitalExpenditure != null ? -Math.abs(row.capitalExpenditure) : 0;
-        return {
+        const merged = {
           date,
-          fiscalYear: year,
-          period: guessQuarterPeriod(date),
+          ...fiscalCalendar.label(date, { quarterly: true }),
           operatingCashFlow: opCF,
           capitalExpenditure: capex,
           freeCashFlow: opCF + capex,
+          ...ftsCashflowLines(row),
         };
+        return { ...merged, currency: presentationCurrency, sources: ftsSources(merged, 'quarterly', row.fx, row.fx?.flowRate, row.fx?.flowExtrapolated) };
       })
       .filter(Boolean);
 
     const cashflowQ = [...cashflowQSec, ...ftsCashflowExtras]
       .sort((a, b) => a.date.localeCompare(b.date));
 
+    // Operating cash flow adds stock-based compensation back as a non-cash
+    // charge; FCF after SBC treats it as the cost it is to shareholders.
+    for (const row of [...cashflow, ...cashflowQ]) {
+      row.freeCashFlowAfterSbc = Number.isFinite(row.stockBasedCompensation) && Number.isFinite(row.freeCashFlow)
+        ? row.freeCashFlow - row.stockBasedCompensation
+        : null;
+      if (row.freeCashFlowAfterSbc !== null) {
+        row.sources.freeCashFlowAfterSbc = derivedSource('freeCashFlow - stockBasedCompensation');
+      }
+    }
+
+    // Restated SEC values across all statements: original vs. latest filing.
+    const restatements = [];
+    const statementRows = { income, incomeQ, balance, balanceQ, cashflow, cashflowQ };
+    for (const [statement, rows] of Object.entries(statementRows)) {
+      for (const row of rows) {
+        for (const [field, source] of Object.entries(row.sources || {})) {
+          if (!source?.revisions) continue;
+          const original = source.revisions[0];
+          const restated = source.revisions[source.revisions.length - 1];
+          restatements.push({
+            statement,
+            field,
+            date: row.date,
+            tag: source.tag,
+            original,
+            restated,
+            changePct: original.val !== 0 ? ((restated.val - original.val) / Math.abs(original.val)) * 100 : null,
+            history: source.revisions,
+          });
+        }
+      }
+    }
+    restatements.sort((a, b) => b.date.localeCompare(a.date) || a.statement.localeCompare(b.statement));
+
     const balanceByYear = new Map(balance.map(b => [String(b.calendarYear), b]));
     const cashflowByYear = new Map(cashflow.map(c => [String(c.calendarYear), c]));
 
@@ -847,6 +1219,9 @@ export async function GET(request) {
       return {
         date: inc.date,
         calendarYear: inc.calendarYear,
+        fiscalYear: inc.fiscalYear,
+        fiscalLabel: inc.fiscalLabel,
+        calendarLabel: inc.calendarLabel,
         grossProfitMargin: (inc.revenue && inc.grossProfit !== null && inc.grossProfit !== undefined) ? inc.grossProfit / inc.revenue : null,
         operatingProfitMargin: (inc.revenue && inc.operatingIncome !== null && inc.operatingIncome !== undefined) ? inc.operatingIncome / inc.revenue : null,
         netProfitMargin: (inc.revenue && inc.netIncome !== null && inc.netIncome !== undefined) ? inc.netIncome / inc.revenue : null,
@@ -862,11 +1237,40 @@ export async function GET(request) {
       };
     });
 
+    // Sector line items are matched to the annual statement periods by end
+    // date, then by calendar year.
+    const sectorValueAt = (series, row) => (
+      (series.find((r) => r.end === row.date) || series.find((r) => String(r.calendarYear) === String(row.calendarYear)))?.val ?? null
+    );
+
+    // Bank/insurer ratios (NIM, efficiency, ROTCE, combined ratio...) on the
+    // same annual periods as `ratios`.
+    const financialRatios = financialFiler
+      ? buildFinancialRatios(income.map((inc) => {
+        const bal = balanceByYear.get(String(inc.calendarYear)) || {};
+        const row = {
+          date: inc.date,
+          calendarYear: inc.calendarYear,
+          fiscalYear: inc.fiscalYear,
+          fiscalLabel: inc.fiscalLabel,
+          calendarLabel: inc.calendarLabel,
+          netIncome: inc.netIncome ?? null,
+          totalAssets: bal.totalAssets ?? null,
+          totalEquity: bal.totalEquity ?? null,
+        };
+        for (const [metric, series] of Object.entries(sectorAnnual)) row[metric] = sectorValueAt(series, inc);
+        return row;
+      }), sectorClass.model)
+      : [];
+
     // Build metrics (per-share where possible)
     const metrics = income.map((inc) => {
       return {
         date: inc.date,
         calendarYear: inc.calendarYear,
+        fiscalYear: inc.fiscalYear,
+        fiscalLabel: inc.fiscalLabel,
+        calendarLabel: inc.calendarLabel,
         enterpriseValue: null,
         evToEBITDA: null,
         freeCashFlowYield: null,
@@ -881,185 +1285,14 @@ export async function GET(request) {
       price: yahooQuote?.regularMarketPrice || 0,
       change: yahooQuote?.regularMarketChange || 0,
       changesPercentage: yahooQuote?.regularMarketChangePercent || 0,
-      marketCap: yahooQuote?.marketCap || 0,
+      // Yahoo's market cap for one class of a multi-class company is not
+      // reliably the whole company; price every class in queried-class units.
+      marketCap: shareClasses && yahooQuote?.regularMarketPrice > 0
+        ? shareClasses.economicShares * yahooQuote.regularMarketPrice
+        : yahooQuote?.marketCap || 0,
       pe: yahooQuote?.trailingPE || null,
     };
 
-    const priceHistory = Array.isArray(priceHistoryRaw)
-      ? priceHistoryRaw
-        .map((row) => {
-          const isoDate = formatDateISO(row?.date);
-          if (!isoDate || !Number.isFinite(row?.close)) return null;
-          return {
-            date: isoDate,
-            open: Number.isFinite(row?.open) ? row.open : null,
-            high: Number.isFinite(row?.high) ? row.high : null,
-            low: Number.isFinite(row?.low) ? row.low : null,
-            close: Number.isFinite(row?.close) ? row.close : null,
-            volume: Number.isFinite(row?.volume) ? row.volume : null,
-          };
-        })
-        .filter(Boolean)
-        .sort((a, b) => a.date.localeCompare(b.date))
-      : [];
-
-    const calculateTradingSignals = (historyRows, latestPrice) => {
-      const rows = Array.isArray(historyRows)
-        ? historyRows.filter((r) =>
-          Number.isFinite(r?.close) &&
-          Number.isFinite(r?.high) &&
-          Number.isFinite(r?.low) &&
-          Number.isFinite(r?.volume)
-        )
-        : [];
-
-      if (!Number.isFinite(latestPrice) || latestPrice <= 0 || rows.length < 60) {
-        return {
-          action: 'WAIT',
-          regime: 'UNKNOWN',
-          confidence: 0,
-          reason: 'insufficient_data',
-        };
-      }
-
-      const sma = (arr, period) => {
-        if (arr.length < period) return null;
-        const slice = arr.slice(arr.length - period);
-        return slice.reduce((sum, v) => sum + v, 0) / period;
-      };
-
-      const closes = rows.map((r) => r.close);
-      const sma50 = sma(closes, 50);
-      const sma200 = sma(closes, 200);
-      const sma50Prev = closes.length >= 70
-        ? closes.slice(0, closes.length - 20).slice(-50).reduce((sum, v) => sum + v, 0) / 50
-        : null;
-
-      let vwma20 = null;
-      if (rows.length >= 20) {
-        const s = rows.slice(-20);
-        const pv = s.reduce((sum, r) => sum + (r.close * (r.volume || 0)), 0);
-        const vv = s.reduce((sum, r) => sum + (r.volume || 0), 0);
-        vwma20 = vv > 0 ? pv / vv : null;
-      }
-
-      const nowYear = new Date().getUTCFullYear();
-      const ytdStartIndex = rows.findIndex((r) => new Date(`${r.date}T00:00:00Z`).getUTCFullYear() === nowYear);
-      const anchorIndex = ytdStartIndex >= 0 ? ytdStartIndex : Math.max(0, rows.length - 252);
-      let avwap = null;
-      {
-        let pv = 0;
-        let vv = 0;
-        for (let i = anchorIndex; i < rows.length; i++) {
-          const typical = (rows[i].high + rows[i].low + rows[i].close) / 3;
-          const vol = rows[i].volume || 0;
-          pv += typical * vol;
-          vv += vol;
-        }
-        avwap = vv > 0 ? pv / vv : null;
-      }
-
-      const meanType = Number.isFinite(avwap)
-        ? 'Anchored VWAP (YTD)'
-        : Number.isFinite(vwma20)
-          ? 'VWMA-20'
-          : 'SMA-50';
-      const mean = Number.isFinite(avwap) ? avwap : (Number.isFinite(vwma20) ? vwma20 : sma50);
-
-      const stdWindow = closes.slice(-60);
-      const stdMean = stdWindow.reduce((a, b) => a + b, 0) / stdWindow.length;
-      const variance = stdWindow.reduce((sum, v) => sum + ((v - stdMean) ** 2), 0) / stdWindow.length;
-      const stdDev = Math.sqrt(variance);
-      const zScore = Number.isFinite(mean) && stdDev > 0 ? (latestPrice - mean) / stdDev : null;
-
-      const spread = Number.isFinite(sma50) && Number.isFinite(sma200) && sma200 !== 0
-        ? (sma50 - sma200) / sma200
-        : 0;
-      const slope = Number.isFinite(sma50) && Number.isFinite(sma50Prev) && sma50Prev !== 0
-        ? (sma50 - sma50Prev) / sma50Prev
-        : 0;
-      const trendUp = spread >= 0.01 && slope >= 0.005;
-      const trendDown = spread <= -0.01 && slope <= -0.005;
-      const regime = trendUp ? 'TREND_UP' : trendDown ? 'TREND_DOWN' : 'RANGE';
-
-      let action = 'WAIT';
-      if (Number.isFinite(zScore)) {
-        if (regime === 'RANGE') {
-          if (zScore <= -2.5) action = 'ACCUMULATE';
-          else if (zScore <= -1.8) action = 'SCALE IN';
-          else if (zScore >= 2.5) action = 'REDUCE EXPOSURE';
-          else if (zScore >= 1.8) action = 'TAKE PROFIT';
-        } else if (regime === 'TREND_UP') {
-          if (zScore <= -2.0) action = 'ACCUMULATE';
-          else if (zScore <= -1.0) action = 'SCALE IN';
-          else if (zScore >= 2.5) action = 'TAKE PROFIT';
-          else action = 'WAIT';
-        } else if (regime === 'TREND_DOWN') {
-          if (zScore <= -2.8) action = 'SCALE IN';
-          else if (zScore >= 2.0) action = 'REDUCE EXPOSURE';
-          else action = 'WAIT';
-        }
-      }
-
-      const zStrength = Number.isFinite(zScore) ? Math.min(100, (Math.abs(zScore) / 3) * 100) : 0;
-      const regimeFit = action === 'WAIT' ? 40 : (regime === 'RANGE' ? 85 : 75);
-      const trendFit = Number.isFinite(spread) && Number.isFinite(slope)
-        ? Math.min(100, (Math.abs(spread) * 1500) + (Math.abs(slope) * 1500))
-        : 0;
-      const confidence = Math.round((zStrength * 0.55) + (regimeFit * 0.30) + (trendFit * 0.15));
-
-      const sigma1 = Number.isFinite(mean) && Number.isFinite(stdDev) ? mean + stdDev : null;
-      const sigmaNeg1 = Number.isFinite(mean) && Number.isFinite(stdDev) ? mean - stdDev : null;
-      const sigma2 = Number.isFinite(mean) && Number.isFinite(stdDev) ? mean + (2 * stdDev) : null;
-      const sigmaNeg2 = Number.isFinite(mean) && Number.isFinite(stdDev) ? mean - (2 * stdDev) : null;
-
-      let entryZone = null;
-      if (action === 'ACCUMULATE' || action === 'SCALE IN') {
-        entryZone = Number.isFinite(sigmaNeg2) && Number.isFinite(sigmaNeg1)
-          ? { low: Math.min(sigmaNeg2, sigmaNeg1), high: Math.max(sigmaNeg2, sigmaNeg1), side: 'BUY' }
-          : null;
-      } else if (action === 'TAKE PROFIT' || action === 'REDUCE EXPOSURE') {
-        entryZone = Number.isFinite(sigma1) && Number.isFinite(sigma2)
-          ? { low: Math.min(sigma1, sigma2), high: Math.max(sigma1, sigma2), side: 'SELL' }
-          : null;
-      }
-
-      const targets = (() => {
-        if (action === 'TAKE PROFIT' || action === 'REDUCE EXPOSURE') {
-          return { tp1: sigma1, tp2: mean, tp3: sigmaNeg1 };
-        }
-        if (action === 'ACCUMULATE' || action === 'SCALE IN') {
-          return { tp1: sigmaNeg1, tp2: mean, tp3: sigma1 };
-        }
-        return { tp1: mean, tp2: sigma1, tp3: sigma2 };
-      })();
-
-      return {
-        action,
-        regime,
-        confidence,
-        meanType,
-        mean,
-        stdDev,
-        zScore,
-        slope50v200: slope,
-        levels: {
-          sigmaNeg2,
-          sigmaNeg1,
-          mean,
-          sigma1,
-          sigma2,
-        },
-        entryZone,
-        targets,
-        rationale: [
-          `Mean model: ${meanType}`,
-          Number.isFinite(zScore) ? `Current Z-score: ${zScore.toFixed(2)}σ` : 'Z-score unavailable',
-          `Regime: ${regime}`,
-        ],
-      };
-    };
-
     // Build favorites metrics
     const summaryDetail = yahooStats?.summaryDetail || {};
     const keyStats = yahooStats?.defaultKeyStatistics || {};
@@ -1122,8 +1355,8 @@ export async function GET(request) {
       psRatio: summaryDetail?.priceToSalesTrailing12Months || null,
       epsGrowth: keyStats?.earningsQuarterlyGrowth || financialData?.earningsGrowth || null,
       dividendYield: summaryDetail?.dividendYield || null,
-      marketCap: yahooQuote?.marketCap || null,
-      sharesOutstanding: keyStats?.sharesOutstanding || null,
+      marketCap: quote.marketCap || null,
+      sharesOutstanding: shareClasses?.economicShares || keyStats?.sharesOutstanding || null,
       beta: yahooQuote?.beta || keyStats?.beta || null,
       roe: financialData?.returnOnEquity || null,
       roic: null, // Will calculate from SEC data
@@ -1138,7 +1371,7 @@ export async function GET(request) {
     const ebitda = latestIncome && latestDepreciation !== null
       ? latestIncome.operatingIncome + latestDepreciation
       : null;
-    if (latestBalance && ebitda && ebitda > 0) {
+    if (!financialFiler && latestBalance && ebitda && ebitda > 0) {
       favorites.debtToEbitda = (latestBalance.totalDebt || 0) / ebitda;
     }
 
@@ -1155,8 +1388,8 @@ export async function GET(request) {
     // Iterate in reverse (oldest first) so newest entries win per key.
     const dilutedSharesByEnd = new Map(sharesDilutedAnnual.slice().reverse().map((s) => [s.end, s.val]));
     const basicSharesByEnd = new Map(sharesBasicAnnual.slice().reverse().map((s) => [s.end, s.val]));
-    const dilutedSharesByYear = new Map(sharesDilutedAnnual.slice().reverse().map((s) => [String(s.fy), s.val]));
-    const basicSharesByYear = new Map(sharesBasicAnnual.slice().reverse().map((s) => [String(s.fy), s.val]));
+    const dilutedSharesByYear = new Map(sharesDilutedAnnual.slice().reverse().map((s) => [String(s.calendarYear), s.val]));
+    const basicSharesByYear = new Map(sharesBasicAnnual.slice().reverse().map((s) => [String(s.calendarYear), s.val]));
     const sharesForYear = (year, endDate) => {
       // Try exact end-date match first (most accurate)
       if (endDate) {
@@ -1168,6 +1401,26 @@ export async function GET(request) {
       return sharesOutstanding;
     };
 
+    // REIT FFO/AFFO and dividend coverage on the annual statement periods.
+    const reitMetrics = reitFiler
+      ? buildReitMetrics(income.map((inc) => {
+        const row = {
+          date: inc.date,
+          calendarYear: inc.calendarYear,
+          fiscalYear: inc.fiscalYear,
+          fiscalLabel: inc.fiscalLabel,
+          calendarLabel: inc.calendarLabel,
+          netIncome: inc.netIncome ?? null,
+          operatingIncome: inc.operatingIncome ?? null,
+          depreciation: inc.depreciation ?? sectorValueAt(depreciationAnnual, inc),
+          shares: sharesForYear(inc.calendarYear, inc.date),
+          price: historicalPriceAtOrBefore(inc.date),
+        };
+        for (const [metric, series] of Object.entries(sectorAnnual)) row[metric] = sectorValueAt(series, inc);
+        return row;
+      }))
+      : [];
+
     // Get historical data for calculations
     const recentIncome = income.slice(-5);
     const recentCashflow = cashflow.slice(-5);
@@ -1189,12 +1442,50 @@ export async function GET(request) {
     const netIncomeGrowth = calcCAGR(recentIncome.map(d => d.netIncome).filter(v => v > 0)) ?? 0;
     const fcfGrowth = calcCAGR(recentCashflow.map(d => d.freeCashFlow).filter(v => v > 0)) ?? 0;
 
-    // Latest values
-    const latestRevenue = recentIncome[recentIncome.length - 1]?.revenue || 0;
-    const latestNetIncome = recentIncome[recentIncome.length - 1]?.netIncome || 0;
-    const latestFCF = recentCashflow[recentCashflow.length - 1]?.freeCashFlow || 0;
-    const latestOCF = recentCashflow[recentCashflow.length - 1]?.operatingCashFlow || 0;
+    // Trailing twelve months from the last four contiguous quarters (SEC with
+    // synthesized Q4, FTS filling gaps). Valuation prefers TTM over the last
+    // fiscal year so numbers are not up to 11 months stale.
+    const ttmIncome = computeTrailingTwelveMonths(incomeQ, ['revenue', 'operatingIncome', 'netIncome']);
+    const ttmCashflow = computeTrailingTwelveMonths(cashflowQ, ['operatingCashFlow', 'capitalExpenditure', 'freeCashFlow', 'stockBasedCompensation', 'freeCashFlowAfterSbc']);
+    const latestAnnualDate = income[income.length - 1]?.date || null;
+    const isCurrentTtm = (block) => Boolean(block) && (!latestAnnualDate || block.periodEnd >= latestAnnualDate);
+    const ttm = (isCurrentTtm(ttmIncome) || isCurrentTtm(ttmCashflow))
+      ? {
+        periodEnd: [ttmIncome?.periodEnd, ttmCashflow?.periodEnd].filter(Boolean).sort().pop(),
+        incomeQuarterEnds: ttmIncome?.quarterEnds || [],
+        cashflowQuarterEnds: ttmCashflow?.quarterEnds || [],
+        revenue: isCurrentTtm(ttmIncome) ? ttmIncome.revenue : null,
+        operatingIncome: isCurrentTtm(ttmIncome) ? ttmIncome.operatingIncome : null,
+        netIncome: isCurrentTtm(ttmIncome) ? ttmIncome.netIncome : null,
+        operatingCashFlow: isCurrentTtm(ttmCashflow) ? ttmCashflow.operatingCashFlow : null,
+        capitalExpenditure: isCurrentTtm(ttmCashflow) ? ttmCashflow.capitalExpenditure : null,
+        freeCashFlow: isCurrentTtm(ttmCashflow) ? ttmCashflow.freeCashFlow : null,
+        stockBasedCompensation: isCurrentTtm(ttmCashflow) ? ttmCashflow.stockBasedCompensation : null,
+        freeCashFlowAfterSbc: isCurrentTtm(ttmCashflow) ? ttmCashflow.freeCashFlowAfterSbc : null,
+        eps: null,
+      }
+      : null;
+    if (ttm && Number.isFinite(ttm.netIncome) && sharesOutstanding) {
+      ttm.eps = ttm.netIncome / sharesOutstanding;
+    }
+    emit('fundamentals', { profile, income, incomeQ, balance, balanceQ, cashflow, cashflowQ, ttm, restatements, ratios });
+
+    // Latest values (TTM when available, else last fiscal year)
+    const latestRevenue = ttm?.revenue ?? recentIncome[recentIncome.length - 1]?.revenue ?? 0;
+    const latestNetIncome = ttm?.netIncome ?? recentIncome[recentIncome.length - 1]?.netIncome ?? 0;
+    const latestFCF = ttm?.freeCashFlow ?? recentCashflow[recentCashflow.length - 1]?.freeCashFlow ?? 0;
+    const latestOCF = ttm?.operatingCashFlow ?? recentCashflow[recentCashflow.length - 1]?.operatingCashFlow ?? 0;
     const latestEquity = recentBalance[recentBalance.length - 1]?.totalEquity || 0;
+    const latestOperatingIncome = ttm?.operatingIncome ?? latestIncome?.operatingIncome ?? 0;
+    const latestSbc = ttm?.stockBasedCompensation ?? recentCashflow[recentCashflow.length - 1]?.stockBasedCompensation ?? null;
+
+    // SBC is counted once per basis (lib/valuation/dcf): 'after-sbc' charges
+    // it against OCF and FCF with the share count flat, 'reported' through the
+    // diluted share count's projected trend.
+    const sbcAdjusted = fcfBasis === 'after-sbc';
+    const sbcCharge = sbcAdjusted && Number.isFinite(latestSbc) ? latestSbc : 0;
+    const dilutionHistory = sharesDilutedAnnual.length > 1 ? sharesDilutedAnnual : sharesBasicAnnual;
+    const dilutionRate = projectedDilution(dilutionHistory);
 
     // Populate per-share metrics now that sharesOutstanding is known
     for (let i = 0; i < metrics.length; i++) {
@@ -1221,8 +1512,9 @@ export async function GET(request) {
       ? Math.min(Math.max(effectiveTax, 0), 0.35)
       : 0.21;
 
-    // Calculate ROIC using the dynamic tax rate
-    if (latestIncome && latestBalance) {
+    // Calculate ROIC using the dynamic tax rate (not meaningful for banks and
+    // insurers, whose debt is funding rather than invested capital)
+    if (!financialFiler && latestIncome && latestBalance) {
       const nopat = latestIncome.operatingIncome * (1 - taxRate);
       const investedCapital = (latestBalance.totalEquity || 0) + (latestBalance.totalDebt || 0) - (latestBalance.cashAndCashEquivalents || 0);
       if (investedCapital > 0) {
@@ -1257,60 +1549,21 @@ export async function GET(request) {
       return fallback ?? 0.10;
     };
 
-    // DCF using revenue + unlevered FCF (multi-stage with working capital)
+    // DCF using revenue + unlevered FCF (multi-stage with working capital),
+    // from GAAP operating income on either cash flow basis.
     const calcMultiStageDCF = (startRevenue, startOpMargin, ratios) => {
-      if (!startRevenue || !isFinite(startRevenue)) return null;
-      const safetySpread = 0.01;
-      if (discountRate <= terminalGrowth + safetySpread) return null;
-      const highGrowth = Math.min(Math.max(revenueGrowth, -0.05), 0.25);
-      const years = 10;
-      const fadeStart = 6;
-      const terminal = terminalGrowth;
-
-      const histMargin = ratios?.opMargin;
-      const sectorMargin = getTerminalMargin(profile.sector || profile.industry, histMargin);
-      const terminalMargin = Math.min(Math.max(sectorMargin, 0.02), 0.20);
-      const initialMargin = isFinite(startOpMargin) ? startOpMargin : (histMargin ?? terminalMargin);
-
-      const capexRatio = ratios?.capexRatio ?? 0.04;
-      const daRatio = ratios?.daRatio ?? 0.03;
-      const nwcRatio = ratios?.nwcRatio ?? 0.05;
-
-      let totalPV = 0;
-      let revenue = startRevenue;
-      let prevNwc = (ratios?.latestNwc !== null && ratios?.latestNwc !== undefined)
-        ? ratios.latestNwc
-        : (revenue * nwcRatio);
-
-      for (let year = 1; year <= years; year++) {
-        const growth = year < fadeStart
-          ? highGrowth
-          : highGrowth + (terminal - highGrowth) * ((year - fadeStart + 1) / (years - fadeStart + 1));
-        const margin = initialMargin + (terminalMargin - initialMargin) * (year / years);
-        revenue *= (1 + growth);
-
-        const ebit = revenue * margin;
-        const nopat = ebit * (1 - taxRate);
-        const da = revenue * daRatio;
-        const capex = revenue * capexRatio;
-        const nwc = revenue * nwcRatio;
-        const deltaNwc = nwc - prevNwc;
-        prevNwc = nwc;
-
-        const fcf = nopat + da - capex - deltaNwc;
-        totalPV += fcf / Math.pow(1 + discountRate, year);
-      }
-
-      const terminalEbit = revenue * terminalMargin;
-      const terminalNopat = terminalEbit * (1 - taxRate);
-      const terminalDa = revenue * daRatio;
-      const terminalCapex = revenue * capexRatio;
-      const terminalFcf = terminalNopat + terminalDa - terminalCapex;
-      if (terminalFcf <= 0) return null;
-      const terminalValue = (terminalFcf * (1 + terminal)) / (discountRate - terminal);
-      totalPV += terminalValue / Math.pow(1 + discountRate, years);
-
-      return sharesOutstanding ? totalPV / sharesOutstanding : null;
+      const sectorMargin = getTerminalMargin(profile.sector || profile.industry, ratios?.opMargin);
+      return multiStageDcf({
+        revenue: startRevenue,
+        operatingMargin: startOpMargin,
+        terminalMargin: Math.min(Math.max(sectorMargin, 0.02), 0.20),
+        revenueGrowth,
+        ratios: ratios || {},
+        taxRate,
+        discountRate,
+        terminalGrowth,
+        shares: sharesOutstanding,
+      });
     };
 
     // Calculate average multiples from historical data
@@ -1322,8 +1575,8 @@ export async function GET(request) {
 
     // Ratios for DCF inputs (working capital + reinvestment)
     const yearKey = (y) => String(y);
-    const depByYear = new Map(depreciationAnnual.map(d => [yearKey(d.fy), d.val]));
-    const capexByYear = new Map(capexAnnual.map(c => [yearKey(c.fy), Math.abs(c.val || 0)]));
+    const depByYear = new Map(depreciationAnnual.map(d => [yearKey(d.calendarYear), d.val]));
+    const capexByYear = new Map(capexAnnual.map(c => [yearKey(c.calendarYear), Math.abs(c.val || 0)]));
     const ratiosSample = [];
     for (const inc of recentIncome) {
       const yr = yearKey(inc.calendarYear);
@@ -1355,8 +1608,92 @@ export async function GET(request) {
       nwcRatio: avg(ratiosSample, 'nwcRatio'),
       latestNwc: ratiosSample.length > 0 ? ratiosSample[ratiosSample.length - 1].latestNwc : null,
     };
-    const currentOpMargin = latestRevenue ? (latestIncome?.operatingIncome || 0) / latestRevenue : dcfRatios.opMargin;
-    const dcfValue = calcMultiStageDCF(latestRevenue, currentOpMargin, dcfRatios);
+    const currentOpMargin = latestRevenue ? latestOperatingIncome / latestRevenue : dcfRatios.opMargin;
+    // Revenue, margins and reinvestment mean nothing for a bank or insurer, so
+    // they are valued on excess returns over tangible equity instead.
+    const dcfValue = financialFiler ? null : calcMultiStageDCF(latestRevenue, currentOpMargin, dcfRatios);
+    const financialValuation = financialFiler
+      ? valueFinancialInstitution({
+        ratios: financialRatios,
+        costOfEquity,
+        terminalGrowth,
+        payoutRatio: Number.isFinite(summaryDetail?.payoutRatio) ? summaryDetail.payoutRatio : null,
+        sharesOutstanding,
+      })
+      : null;
+    // Depreciation understates a REIT's earnings, so it is valued on FFO and
+    // on net asset value instead of net income.
+    const reitValuation = reitFiler
+      ? valueReit({
+        metrics: reitMetrics,
+        balance: {
+          cash: latestBalance?.cashAndCashEquivalents,
+          totalDebt: latestBalance?.totalDebt,
+          preferredEquity: sectorAnnual.preferredEquity?.[0]?.val,
+        },
+        sharesOutstanding,
+      })
+      : null;
+    const earningsBased = !reitFiler;
+
+    // Dividend history (lib/dividends): Yahoo payments by fiscal year, with SEC
+    // declared dividends per share filling years Yahoo lacks. Payout ratios
+    // use dividends paid from the cash flow statement where reported.
+    const dividendEvents = normalizeDividendEvents(dividendEventsRaw);
+    const dividendHistory = buildDividendHistory({
+      events: dividendEvents,
+      declared: adrShares?.ratio > 0 && adrShares.ratio !== 1
+        ? dividendsPerShareAnnual.map((entry) => ({ ...entry, val: entry.val * adrShares.ratio }))
+        : dividendsPerShareAnnual,
+      splits: splitEvents,
+      calendar: fiscalCalendar,
+    }).map((year) => {
+      const inc = income.find((row) => row.fiscalYear === String(year.fiscalYear));
+      const cf = cashflow.find((row) => row.fiscalYear === String(year.fiscalYear));
+      const yearShares = inc ? sharesForYear(inc.calendarYear, inc.date) : null;
+      const paid = Number.isFinite(cf?.dividendsPaid) && cf.dividendsPaid !== 0
+        ? Math.abs(cf.dividendsPaid)
+        : (yearShares ? year.dividendPerShare * yearShares : null);
+      return {
+        ...year,
+        dividendsPaid: paid,
+        payoutRatio: paid !== null && inc?.netIncome > 0 ? paid / inc.netIncome : null,
+        fcfPayoutRatio: paid !== null && cf?.freeCashFlow > 0 ? paid / cf.freeCashFlow : null,
+      };
+    });
+    const dividendGrowthStats = dividendGrowth(dividendHistory);
+    const latestDividendYear = dividendHistory[dividendHistory.length - 1] || null;
+    const latestPayoutRatio = dividendHistory.map((year) => year.payoutRatio).filter(Number.isFinite).pop() ?? null;
+    // Without Yahoo events, the latest SEC year stands in for the trailing
+    // dividend while the 10-K for the last completed year may still be pending.
+    const lastCompletedFiscalYear = fiscalCalendar.fiscalYearOf(new Date().toISOString().slice(0, 10)) - 1;
+    const trailingDividendPerShare = trailingDividend(dividendEvents)
+      ?? (latestDividendYear && latestDividendYear.fiscalYear >= lastCompletedFiscalYear - 1
+        ? latestDividendYear.dividendPerShare
+        : null);
+    const dividendDiscount = valueDividendDiscount({
+      currentDividend: trailingDividendPerShare,
+      growth: dividendGrowthStats,
+      returnOnEquity: latestEquity > 0 ? latestNetIncome / latestEquity : null,
+      payoutRatio: latestPayoutRatio
+        ?? (Number.isFinite(summaryDetail?.payoutRatio) ? summaryDetail.payoutRatio : null),
+      yearsPaid: dividendGrowthStats.consecutiveYearsPaid,
+      costOfEquity,
+      terminalGrowth,
+    });
+
+    // Capital allocation (lib/capital): buybacks, dividends, acquisitions, debt
+    // paydown and capex by year, with shareholder yield and buyback pricing.
+    const capitalAllocationYears = buildCapitalAllocation({
+      cashflow,
+      sharesFor: (row) => sharesForYear(row.calendarYear, row.date),
+      sharesRepurchased: mapByEndValue(sharesRepurchasedAnnual),
+      priceHistory,
+    });
+    const capitalAllocation = {
+      years: capitalAllocationYears,
+      scorecard: capitalAllocationScorecard(capitalAllocationYears, { marketCap }),
+    };
 
     // Calculate valuations
     const valuations = {
@@ -1367,27 +1704,38 @@ export async function GET(request) {
       dcfTerminal: null,
 
       // Relative Valuations
-      fairValuePS: avgPS && latestRevenue > 0 && sharesOutstanding ? (latestRevenue * avgPS * 0.9) / sharesOutstanding : null, // 10% margin of safety
-      fairValuePE: avgPE && latestNetIncome > 0 && sharesOutstanding ? (latestNetIncome * avgPE * 0.9) / sharesOutstanding : null,
+      fairValuePS: !financialFiler && avgPS && latestRevenue > 0 && sharesOutstanding ? (latestRevenue * avgPS * 0.9) / sharesOutstanding : null, // 10% margin of safety
+      fairValuePE: earningsBased && avgPE && latestNetIncome > 0 && sharesOutstanding ? (latestNetIncome * avgPE * 0.9) / sharesOutstanding : null,
       fairValuePB: avgPB && latestEquity > 0 && sharesOutstanding ? (latestEquity * avgPB * 0.8) / sharesOutstanding : null, // 20% margin of safety
 
       // Growth-adjusted valuations
-      pegValue: avgPE && netIncomeGrowth > 0 && sharesOutstanding
+      pegValue: earningsBased && avgPE && netIncomeGrowth > 0 && sharesOutstanding
         ? (latestNetIncome * (avgPE / (netIncomeGrowth * 100 + 1))) / sharesOutstanding
         : null,
-      psgValue: avgPS && revenueGrowth > 0 && sharesOutstanding
+      psgValue: !financialFiler && avgPS && revenueGrowth > 0 && sharesOutstanding
         ? (latestRevenue * (avgPS / (revenueGrowth * 100 + 1))) / sharesOutstanding
         : null,
 
       // Graham Number (conservative)
-      grahamNumber: latestNetIncome > 0 && latestEquity > 0 && sharesOutstanding
+      grahamNumber: earningsBased && latestNetIncome > 0 && latestEquity > 0 && sharesOutstanding
         ? Math.sqrt(22.5 * (latestNetIncome / sharesOutstanding) * (latestEquity / sharesOutstanding))
         : null,
 
       // Earnings Power Value
-      earningsPowerValue: latestNetIncome > 0 && discountRate > 0 && sharesOutstanding
+      earningsPowerValue: earningsBased && latestNetIncome > 0 && discountRate > 0 && sharesOutstanding
         ? (latestNetIncome / discountRate) / sharesOutstanding
         : null,
+
+      // Banks and insurers (lib/sectors/financials)
+      excessReturnValue: financialValuation?.excessReturnValue ?? null,
+      fairValuePTBV: financialValuation?.ptbvValue ?? null,
+
+      // REITs (lib/sectors/reits)
+      fairValuePFFO: reitValuation?.pffoValue ?? null,
+      netAssetValue: reitValuation?.navValue ?? null,
+
+      // Dividend payers (lib/dividends)
+      ddmValue: dividendDiscount?.inComposite ? dividendDiscount.value : null,
     };
 
     const compositeMethodConfig = [
@@ -1398,6 +1746,11 @@ export async function GET(request) {
       { key: 'fairValuePB', label: 'Fair Value (Price-to-Book)' },
       { key: 'earningsPowerValue', label: 'Earnings Power Value' },
       { key: 'grahamNumber', label: 'Graham Number' },
+      { key: 'excessReturnValue', label: 'Excess Return Model (ROTCE over Cost of Equity)' },
+      { key: 'fairValuePTBV', label: 'Justified Price-to-Tangible-Book' },
+      { key: 'fairValuePFFO', label: 'Fair Value (Price-to-FFO)' },
+      { key: 'netAssetValue', label: 'Net Asset Value (Capitalized NOI)' },
+      { key: 'ddmValue', label: 'Dividend Discount Model (Three-Stage)' },
     ];
 
     const compositeMethods = compositeMethodConfig
@@ -1408,7 +1761,13 @@ export async function GET(request) {
       ? compositeMethods.reduce((sum, v) => sum + v.value, 0) / compositeMethods.length
       : null;
 
-    const dcfConfidence = {
+    const dcfConfidence = financialFiler ? {
+      valid: Boolean(financialValuation),
+      missing: financialValuation ? [] : ['returnOnTangibleCommonEquity'],
+    } : reitFiler ? {
+      valid: Boolean(reitValuation),
+      missing: reitValuation ? [] : ['fundsFromOperations'],
+    } : {
       valid: dcfRatios.opMargin !== null && dcfRatios.capexRatio !== null && dcfRatios.daRatio !== null && dcfRatios.nwcRatio !== null && discountRate > terminalGrowth,
       missing: [
         dcfRatios.opMargin === null ? 'operatingMargin' : null,
@@ -1425,6 +1784,7 @@ export async function GET(request) {
       coreCompositeMethods: compositeMethods,
       coreCompositeValue: compositeValue,
       compositeSource: 'core',
+      valuationModel: financialFiler ? 'excess-return' : reitFiler ? 'ffo' : 'dcf',
       currentPrice,
       upside: compositeValue && currentPrice ? ((compositeValue - currentPrice) / currentPrice) * 100 : null,
       discountRate: discountRate * 100,
@@ -1450,6 +1810,13 @@ export async function GET(request) {
         latestFCF,
         latestOCF,
         latestEquity,
+        fcfBasis,
+        stockBasedCompensation: latestSbc,
+        sbcToRevenue: Number.isFinite(latestSbc) && latestRevenue > 0 ? (latestSbc / latestRevenue) * 100 : null,
+        sbcCharge,
+        projectedDilution: sbcAdjusted ? 0 : dilutionRate * 100,
+        fundamentalsBasis: ttm ? 'ttm' : 'fiscal_year',
+        fundamentalsPeriodEnd: ttm?.periodEnd || latestAnnualDate,
       },
     };
 
@@ -1460,18 +1827,6 @@ export async function GET(request) {
     const currentPS = favorites.psRatio;
     const currentPB = latestEquity > 0 ? currentMarketCap / latestEquity : null;
 
-    // Use the latest close at or before fiscal period end for historical valuation ratios.
-    // This avoids mixing today's price with old fundamentals.
-    const historicalPriceAtOrBefore = (targetDate) => {
-      if (!Array.isArray(priceHistory) || priceHistory.length === 0 || !targetDate) return null;
-      for (let i = priceHistory.length - 1; i >= 0; i--) {
-        if (priceHistory[i].date <= targetDate && Number.isFinite(priceHistory[i].close)) {
-          return priceHistory[i].close;
-        }
-      }
-      return null;
-    };
-
     // Calculate historical ratios (using historical prices and year-specific shares).
     const valuationRatios = income.map((inc, i) => {
       const bal = balanceByYear.get(String(inc.calendarYear)) || {};
@@ -1539,7 +1894,6 @@ export async function GET(request) {
     };
 
     // Calculate additional metrics
-    const latestOperatingIncome = latestIncome?.operatingIncome || 0;
     const ebit = latestOperatingIncome;
     const ebitdaForRatios = ebitda;
 
@@ -1583,40 +1937,42 @@ export async function GET(request) {
     );
     const oracleTerminalGrowth = 0.03;
 
-    const calcOracle20Y = (baseValue, growthBias = 1.0, shares) => {
-      if (!baseValue || baseValue <= 0 || !isFinite(baseValue)) return null;
-      const years = 20;
-      const highGrowthYears = 4;
-      const highGrowth = clamp(blendedGrowthSignal * growthBias, 0.05, 0.22);
-      let totalPV = 0;
-      let cf = baseValue;
-
-      for (let year = 1; year <= years; year++) {
-        const growth = year <= highGrowthYears
-          ? highGrowth
-          : highGrowth + (oracleTerminalGrowth - highGrowth) * ((year - highGrowthYears) / (years - highGrowthYears));
-        cf *= (1 + growth);
-        totalPV += cf / Math.pow(1 + oracleDiscountRate, year);
-      }
-
-      const terminalCF = cf * (1 + oracleTerminalGrowth);
-      const terminalValue = terminalCF / (oracleDiscountRate - oracleTerminalGrowth);
-      const pvTerminal = terminalValue / Math.pow(1 + oracleDiscountRate, years);
-      if (!shares || shares <= 0) return null;
-      return (totalPV + pvTerminal) / shares;
-    };
+    const calcOracle20Y = (baseValue, growthBias = 1.0, shares, dilution = 0) => growthDcf({
+      cashFlow: baseValue,
+      highGrowth: clamp(blendedGrowthSignal * growthBias, 0.05, 0.22),
+      discountRate: oracleDiscountRate,
+      terminalGrowth: oracleTerminalGrowth,
+      shares,
+      dilution,
+    });
+    // OCF and FCF carry SBC added back, so they go through the cash flow
+    // basis; net income expenses it and is never diluted.
+    const oracleOnBasis = (cashFlow, growthBias) => valueOnFcfBasis(fcfBasis, {
+      cashFlow,
+      sbc: latestSbc,
+      dilution: dilutionRate,
+      value: (base, dilution) => calcOracle20Y(base, growthBias, currentShares, dilution),
+    });
+    const fcfTerminalValue = valueOnFcfBasis(fcfBasis, {
+      cashFlow: latestFCF,
+      sbc: latestSbc,
+      dilution: dilutionRate,
+      value: (base) => (base > 0 && currentShares
+        ? (base * (1 + oracleTerminalGrowth) / (oracleDiscountRate - oracleTerminalGrowth)) / currentShares
+        : null),
+    });
 
     const otherValuationRatios = {
       // Per Share Metrics
       ebitdaPerShare: ebitdaForRatios && currentShares ? ebitdaForRatios / currentShares : null,
       earningsYield: currentEPS && currentEPS > 0 && currentPrice ? (currentEPS / currentPrice) * 100 : null,
 
-      // Enterprise Value Metrics
-      enterpriseValue,
-      evToFCF: latestFCF > 0 ? enterpriseValue / latestFCF : null,
-      evToEBIT: ebit > 0 ? enterpriseValue / ebit : null,
-      evToEBITDA: ebitdaForRatios && ebitdaForRatios > 0 ? enterpriseValue / ebitdaForRatios : null,
-      evToRevenue: latestRevenue > 0 ? enterpriseValue / latestRevenue : null,
+      // Enterprise Value Metrics (not meaningful when debt is funding, as at banks and insurers)
+      enterpriseValue: financialFiler ? null : enterpriseValue,
+      evToFCF: !financialFiler && latestFCF > 0 ? enterpriseValue / latestFCF : null,
+      evToEBIT: !financialFiler && ebit > 0 ? enterpriseValue / ebit : null,
+      evToEBITDA: !financialFiler && ebitdaForRatios && ebitdaForRatios > 0 ? enterpriseValue / ebitdaForRatios : null,
+      evToRevenue: !financialFiler && latestRevenue > 0 ? enterpriseValue / latestRevenue : null,
 
       // Forward Metrics
       forwardPE,
@@ -1638,10 +1994,10 @@ export async function GET(request) {
       medianPBValue: medianPB && bookValuePerShare > 0 ? medianPB * bookValuePerShare : null,
 
       // DCF Values (20-year projections, Oracle-style growth-aware path)
-      dcf20Year: calcOracle20Y(latestOCF, 0.95, currentShares),
-      dfcf20Year: calcOracle20Y(latestFCF, 1.00, currentShares),
+      dcf20Year: oracleOnBasis(latestOCF, 0.95),
+      dfcf20Year: oracleOnBasis(latestFCF, 1.00),
       dni20Year: calcOracle20Y(latestNetIncome, 0.90, currentShares),
-      dfcfTerminal: latestFCF > 0 && currentShares ? (latestFCF * (1 + oracleTerminalGrowth) / (oracleDiscountRate - oracleTerminalGrowth)) / currentShares : null,
+      dfcfTerminal: fcfTerminalValue,
 
       // Rule of 40
       ruleOf40,
@@ -1683,17 +2039,25 @@ export async function GET(request) {
     };
 
     // Oracle-style approximation (for iterative calibration against sample charts)
+    // Cash-flow and sales based methods are dropped for banks and insurers in
+    // favour of the excess return and P/TBV values; earnings-based methods are
+    // dropped for REITs in favour of P/FFO and NAV.
     const oracleRawValues = {
-      dcf20Year: otherValuationRatios.dcf20Year,
-      dfcf20Year: otherValuationRatios.dfcf20Year,
-      dni20Year: otherValuationRatios.dni20Year,
-      dfcfTerminal: otherValuationRatios.dfcfTerminal,
-      meanPSValue: otherValuationRatios.meanPSValue,
-      meanPEValue: otherValuationRatios.meanPEValue,
+      dcf20Year: financialFiler ? null : otherValuationRatios.dcf20Year,
+      dfcf20Year: financialFiler ? null : otherValuationRatios.dfcf20Year,
+      dni20Year: earningsBased ? otherValuationRatios.dni20Year : null,
+      dfcfTerminal: financialFiler ? null : otherValuationRatios.dfcfTerminal,
+      meanPSValue: financialFiler ? null : otherValuationRatios.meanPSValue,
+      meanPEValue: earningsBased ? otherValuationRatios.meanPEValue : null,
       meanPBValue: otherValuationRatios.meanPBValue,
       psgValue: valuations.psgValue,
       pegValue: valuations.pegValue,
       analystTargetValue: financialData?.targetMeanPrice || financialData?.targetMedianPrice || null,
+      excessReturnValue: valuations.excessReturnValue,
+      fairValuePTBV: valuations.fairValuePTBV,
+      fairValuePFFO: valuations.fairValuePFFO,
+      netAssetValue: valuations.netAssetValue,
+      ddmValue: valuations.ddmValue,
     };
 
     // Per-method scaling factors. Keep neutral unless broader calibration data
@@ -1709,6 +2073,11 @@ export async function GET(request) {
       psgValue: 1.0,
       pegValue: 1.0,
       analystTargetValue: 1.0,
+      excessReturnValue: 1.0,
+      fairValuePTBV: 1.0,
+      fairValuePFFO: 1.0,
+      netAssetValue: 1.0,
+      ddmValue: 1.0,
     };
 
     const calibratedOracleValue = (key, rawValue) => {
@@ -1730,6 +2099,11 @@ export async function GET(request) {
         psgValue: 0.10,
         pegValue: 0.15,
         analystTargetValue: 1.0,
+        excessReturnValue: 0.45,
+        fairValuePTBV: 0.35,
+        fairValuePFFO: 0.35,
+        netAssetValue: 0.40,
+        ddmValue: 0.25,
       },
       dcfBlendWeight: 0.55,
       relativeBlendWeight: 0.35,
@@ -1750,6 +2124,11 @@ export async function GET(request) {
       { key: 'meanPBValue', label: 'Historical Mean Price-to-Book Ratio Value', value: calibratedOracleValue('meanPBValue', oracleRawValues.meanPBValue), rawValue: oracleRawValues.meanPBValue, weight: oracleApproxConfig.methodWeights.meanPBValue, type: 'relative' },
       { key: 'psgValue', label: 'Price-to-Sales-to-Growth Ratio Value', value: calibratedOracleValue('psgValue', oracleRawValues.psgValue), rawValue: oracleRawValues.psgValue, weight: oracleApproxConfig.methodWeights.psgValue, type: 'relative' },
       { key: 'pegValue', label: 'Price-to-Earnings-to-Growth Ratio Value (Excluding Non-Recurring Items)', value: calibratedOracleValue('pegValue', oracleRawValues.pegValue), rawValue: oracleRawValues.pegValue, weight: oracleApproxConfig.methodWeights.pegValue, type: 'relative' },
+      { key: 'excessReturnValue', label: 'Excess Return Model (ROTCE over Cost of Equity)', value: calibratedOracleValue('excessReturnValue', oracleRawValues.excessReturnValue), rawValue: oracleRawValues.excessReturnValue, weight: oracleApproxConfig.methodWeights.excessReturnValue, type: 'dcf' },
+      { key: 'fairValuePTBV', label: 'Justified Price-to-Tangible-Book Value', value: calibratedOracleValue('fairValuePTBV', oracleRawValues.fairValuePTBV), rawValue: oracleRawValues.fairValuePTBV, weight: oracleApproxConfig.methodWeights.fairValuePTBV, type: 'relative' },
+      { key: 'fairValuePFFO', label: 'Historical Median Price-to-FFO Ratio Value', value: calibratedOracleValue('fairValuePFFO', oracleRawValues.fairValuePFFO), rawValue: oracleRawValues.fairValuePFFO, weight: oracleApproxConfig.methodWeights.fairValuePFFO, type: 'relative' },
+      { key: 'netAssetValue', label: 'Net Asset Value (Capitalized NOI)', value: calibratedOracleValue('netAssetValue', oracleRawValues.netAssetValue), rawValue: oracleRawValues.netAssetValue, weight: oracleApproxConfig.methodWeights.netAssetValue, type: 'dcf' },
+      { key: 'ddmValue', label: 'Dividend Discount Model (Three-Stage)', value: calibratedOracleValue('ddmValue', oracleRawValues.ddmValue), rawValue: oracleRawValues.ddmValue, weight: oracleApproxConfig.methodWeights.ddmValue, type: 'dcf' },
       { key: 'analystTargetValue', label: 'Analyst Mean Target Price', value: calibratedOracleValue('analystTargetValue', oracleRawValues.analystTargetValue), rawValue: oracleRawValues.analystTargetValue, weight: oracleApproxConfig.methodWeights.analystTargetValue, type: 'analyst' },
     ];
 
@@ -1984,8 +2363,27 @@ export async function GET(request) {
       },
     };
 
-    const tradingSignals = calculateTradingSignals(priceHistory, quote.price);
     const dataQuality = {
+      provider: provider.name,
+      cache: upstreamTrace.cache,
+      // Per upstream (sec, yahoo): request count, retries, coalesced joins and timings.
+      upstream: upstreamTrace.upstream,
+      // Accounting identities, quarterly sums, outliers, sign and share-scale checks.
+      validation: auditFinancials({
+        income,
+        incomeQ,
+        balance,
+        balanceQ,
+        cashflow,
+        cashflowQ,
+        shares: sharesDilutedAnnual,
+        marketShares: yahooQuote?.sharesOutstanding ?? null,
+      }),
+      splits: {
+        source: splitEventsRaw !== null && splitEventsRaw !== undefined ? 'yahoo' : 'inferred',
+        events: splitEvents,
+        adjustments: splitAdjustments,
+      },
       sec: {
         cik,
         available: Boolean(cik) && secIssues.length === 0,
@@ -2006,7 +2404,9 @@ export async function GET(request) {
       },
     };
 
-    return NextResponse.json({
+    const payload = applyFieldAliases({
+      schemaVersion: SCHEMA_VERSION,
+      identifiers,
       profile,
       quote,
       favorites,
@@ -2016,6 +2416,52 @@ export async function GET(request) {
       balanceQ,
       cashflow,
       cashflowQ,
+      ttm,
+      restatements,
+      shareClasses: shareClasses ? { ...shareClasses, reportedShareConversion: classShareFactor } : null,
+      reporting: {
+        taxonomy: secReporting.taxonomy,
+        currency: secReporting.currency,
+        presentationCurrency,
+        // Ordinary shares per ADR the reported share counts were divided by.
+        adr: adrShares ? { sharesPerAdr: adrShares.ratio, source: adrShares.source, mismatch: adrShares.mismatch } : null,
+        currencies: {
+          quote: yahooQuote?.currency || null,
+          statements: secReporting.currency,
+          fundamentalsTimeSeries: ftsCurrency,
+        },
+        fx: secReporting.currency === presentationCurrency && ftsCurrency === presentationCurrency
+          ? null
+          : {
+            converted: secReporting.converted,
+            method: 'flows at period-average rate, balances at period-end rate',
+            rates: 'bundled annual-average and year-end tables (lib/fx/rates)',
+          },
+      },
+      sectorModel: {
+        model: sectorClass.model,
+        basis: sectorClass.basis,
+        sic: sectorClass.sic,
+        sicDescription: submissions.sicDescription || null,
+        ratios: reitFiler ? reitMetrics : financialRatios,
+        valuation: reitFiler ? reitValuation : financialValuation,
+      },
+      capitalAllocation,
+      dividends: {
+        source: dividendEventsRaw !== null && dividendEventsRaw !== undefined ? 'yahoo' : 'sec',
+        events: dividendEvents,
+        history: dividendHistory,
+        trailingDividendPerShare,
+        dividendYield: Number.isFinite(trailingDividendPerShare) && currentPrice > 0
+          ? trailingDividendPerShare / currentPrice
+          : null,
+        ...dividendGrowthStats,
+        ddm: dividendDiscount,
+      },
+      fiscalCalendar: {
+        fiscalYearEnd: fiscalCalendar.fiscalYearEnd,
+        source: fiscalCalendar.isDefault ? 'default' : 'sec-submissions',
+      },
       ratios,
       metrics,
       dcf,
@@ -2026,8 +2472,16 @@ export async function GET(request) {
       institutionalOwnership,
       priceHistory,
       tradingSignals,
+      freshness: {
+        fundamentals: fundamentalsFreshness([income, incomeQ, balance, balanceQ, cashflow, cashflowQ]),
+        priceHistory: priceHistoryFreshness(priceHistory),
+        insiders: insidersFreshness(allInsiderTransactions),
+        ownership: ownershipFreshness([...institutionHolders, ...fundHolders]),
+      },
       dataQuality,
     });
+    enforceSchema('StockResponse', payload);
+    return NextResponse.json(payload);
 
   } catch (error) {
     console.error('API Error:', error);
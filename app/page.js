@@ -1,6 +1,6 @@
 'use client';
 
-import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import {
   BarChart,
   Bar,
@@ -18,6 +18,7 @@ import {
   ReferenceArea,
   Cell,
 } from 'recharts';
+import { SCHEMA_VERSION } from '../lib/api/schema';
 
 // Theme definitions
 const themes = {
@@ -111,7 +112,213 @@ const NAV_TABS = [
   { id: 'profile', label: 'Profile', icon: '\u25CE' },
 ];
 
-const TICKER_REGEX = /^[A-Z0-9.\-]{1,10}$/;
+const TICKER_REGEX = /^[A-Z0-9.\-/ ]{1,16}$/;
+
+// Resources under /api/stock/[ticker] each tab needs. The quote is loaded
+// with the search; the rest are fetched the first time a tab needs them.
+const TAB_RESOURCES = {
+  overview: ['valuation', 'financials'],
+  valuation: ['valuation', 'financials'],
+  financials: ['financials', 'valuation'],
+  'operating-metrics': ['financials', 'valuation'],
+  charts: ['financials'],
+  trading: ['trading'],
+  institutional: ['ownership'],
+  insider: ['ownership'],
+  profile: ['financials'],
+};
+
+// `freshness` section behind each tab's data (see lib/quality/freshness).
+const TAB_FRESHNESS = {
+  overview: 'fundamentals',
+  valuation: 'fundamentals',
+  financials: 'fundamentals',
+  'operating-metrics': 'fundamentals',
+  charts: 'fundamentals',
+  trading: 'priceHistory',
+  institutional: 'ownership',
+  insider: 'insiders',
+};
+
+async function readApiResponse(response) {
+  const contentType = response.headers.get('content-type') || '';
+  const rawBody = await response.text();
+  const isJson = contentType.includes('application/json');
+  const result = isJson
+    ? JSON.parse(rawBody)
+    : null;
+
+  if (!response.ok) {
+    const apiError = result?.error || result?.detail;
+    if (apiError) throw new Error(apiError);
+    if (!isJson) {
+      throw new Error(`Server returned ${response.status} ${response.statusText}. Try redeploying latest API build.`);
+    }
+    throw new Error('Failed to fetch data');
+  }
+
+  if (!result || typeof result !== 'object') {
+    throw new Error('Unexpected API response format. Expected JSON.');
+  }
+  // A major version change means fields this page reads may be gone.
+  if (result.schemaVersion && result.schemaVersion.split('.')[0] !== SCHEMA_VERSION.split('.')[0]) {
+    throw new Error(`API schema ${result.schemaVersion} is not supported by this page (expects ${SCHEMA_VERSION}). Reload to update.`);
+  }
+  return result;
+}
+
+const SEARCH_DEBOUNCE_MS = 150;
+const SEARCH_LIMIT = 8;
+
+// Header search box: a ticker, or a company name picked from /api/search
+// suggestions (arrow keys to move, Enter to pick, Escape to close).
+function TickerSearchInput({ value, onChange, onSubmit, loading, theme }) {
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState({ query: '', results: [] });
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+
+  useEffect(() => {
+    const text = query.trim();
+    if (!text) {
+      setSuggestions({ query: '', results: [] });
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/search?${new URLSearchParams({ q: text, limit: String(SEARCH_LIMIT) })}`, {
+          headers: { Accept: 'application/json' },
+          signal: controller.signal,
+        });
+        const result = await readApiResponse(response);
+        setSuggestions({ query: text, results: result.results || [] });
+        setHighlighted(-1);
+        setOpen(true);
+      } catch {
+        // Aborted or unavailable: the box still takes a plain ticker.
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query]);
+
+  const results = open ? suggestions.results : [];
+  const choose = (symbol) => {
+    setOpen(false);
+    setQuery('');
+    onSubmit(symbol);
+  };
+
+  const submit = () => {
+    if (highlighted >= 0 && results[highlighted]) {
+      choose(results[highlighted].ticker);
+      return;
+    }
+    // Against suggestions for exactly what was typed: an exact ticker wins,
+    // then the best match, unless the text is a symbol the SEC lists do not
+    // carry (exchange suffixes like 7203.T, indices like ^GSPC).
+    const current = suggestions.query === value.trim() ? suggestions.results : [];
+    const top = current[0];
+    choose(top && (top.match === 'exact' || !/[.^]/.test(value)) ? top.ticker : value);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.results.length > 0) {
+      e.preventDefault();
+      setOpen(true);
+      setHighlighted((index) => (index + 1) % suggestions.results.length);
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault();
+      setHighlighted((index) => (index <= 0 ? results.length - 1 : index - 1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      submit();
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex items-center rounded-lg border overflow-hidden" style={{ borderColor: theme.border, background: theme.bgInput }}>
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => {
+            onChange(e.target.value);
+            setQuery(e.target.value);
+          }}
+          onKeyDown={onKeyDown}
+          onBlur={() => setOpen(false)}
+          onFocus={() => { if (suggestions.results.length > 0 && suggestions.query === value.trim()) setOpen(true); }}
+          placeholder="Ticker or company..."
+          aria-label="Stock ticker or company name"
+          role="combobox"
+          aria-expanded={results.length > 0}
+          aria-controls="ticker-search-results"
+          aria-autocomplete="list"
+          aria-activedescendant={highlighted >= 0 && results[highlighted] ? `ticker-search-${results[highlighted].ticker}` : undefined}
+          autoComplete="off"
+          spellCheck={false}
+          className="w-24 sm:w-44 px-3 py-2 text-xs bg-transparent border-none focus:ring-0 focus:shadow-none"
+          style={{ color: theme.text, outline: 'none', boxShadow: 'none' }}
+        />
+        <button
+          onClick={submit}
+          disabled={loading}
+          className="px-4 py-2 text-[10px] font-semibold tracking-wider font-display border-l transition-all"
+          style={loading
+            ? { background: theme.bgElevated, color: theme.textTertiary, cursor: 'not-allowed', borderColor: theme.border }
+            : { background: '#2563eb', color: '#fff', borderColor: 'transparent' }
+          }
+        >
+          {loading ? '...' : 'GO'}
+        </button>
+      </div>
+      {results.length > 0 && (
+        <ul
+          id="ticker-search-results"
+          role="listbox"
+          className="absolute right-0 mt-1 w-72 max-h-80 overflow-y-auto rounded-lg border shadow-lg z-50 py-1"
+          style={{ background: theme.bgElevated, borderColor: theme.border }}
+        >
+          {results.map((item, index) => (
+            <li
+              key={item.ticker}
+              id={`ticker-search-${item.ticker}`}
+              role="option"
+              aria-selected={index === highlighted}
+              // mousedown, not click, so the input's blur does not close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                choose(item.ticker);
+              }}
+              onMouseEnter={() => setHighlighted(index)}
+              className="px-3 py-2 cursor-pointer flex items-center gap-3 text-xs"
+              style={{ background: index === highlighted ? theme.bgCard : 'transparent' }}
+            >
+              <span className="font-semibold font-display w-14 shrink-0" style={{ color: theme.text }}>{item.ticker}</span>
+              <span className="truncate flex-1" style={{ color: theme.textSecondary }}>{item.name}</span>
+              {item.exchange && <span className="text-[9px] uppercase tracking-wider shrink-0" style={{ color: theme.textTertiary }}>{item.exchange}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function SectionLoading({ theme, label }) {
+  return (
+    <div className="animate-fadeIn p-10 rounded-2xl border flex flex-col items-center gap-4" role="status" style={{ background: theme.bgCard, borderColor: theme.border }}>
+      <div className="w-8 h-8 border-2 rounded-full animate-spin" style={{ borderColor: theme.border, borderTopColor: theme.accent }} />
+      <div className="text-[10px] tracking-widest uppercase font-display" style={{ color: theme.textTertiary }}>Loading {label}...</div>
+    </div>
+  );
+}
 
 function isValidUrl(url) {
   if (!url || typeof url !== 'string') return false;
@@ -289,6 +496,87 @@ function SignalPill({ label, value, tone = 'neutral', theme }) {
   );
 }
 
+const FRESHNESS_LABELS = {
+  fundamentals: 'Financials',
+  priceHistory: 'Prices',
+  insiders: 'Insider trades',
+  ownership: '13F holdings',
+};
+
+// Green/yellow/red chip for one `freshness` entry; the thresholds come from the API.
+function FreshnessChip({ section, entry, theme }) {
+  if (!entry) return null;
+  const tone = entry.status === 'fresh'
+    ? { background: theme.positiveBg, color: theme.positive, borderColor: theme.positiveBorder }
+    : entry.status === 'aging'
+      ? { background: theme.warningBg, color: theme.warning, borderColor: theme.warningBorder }
+      : entry.status === 'stale'
+        ? { background: theme.negativeBg, color: theme.negative, borderColor: theme.negativeBorder }
+        : { background: theme.neutralPillBg, color: theme.textTertiary, borderColor: theme.border };
+  const label = FRESHNESS_LABELS[section] || section;
+  const text = entry.asOf
+    ? `${label}: ${entry.fiscalLabel || entry.asOf} \u00B7 ${entry.ageDays}d old`
+    : `${label}: no date`;
+  const title = [
+    entry.periodEnd ? `Period end ${entry.periodEnd}` : null,
+    entry.filed ? `filed ${entry.filed}${entry.form ? ` (${entry.form})` : ''}` : null,
+    `fresh up to ${entry.thresholds.fresh} days, stale after ${entry.thresholds.stale}`,
+  ].filter(Boolean).join(', ');
+
+  return (
+    <span className="px-2.5 py-1 rounded-full font-display tracking-wide border text-[10px] inline-flex items-center gap-1.5" style={tone} title={title}>
+      <span className="w-1.5 h-1.5 rounded-full" style={{ background: tone.color }} aria-hidden="true" />
+      {text}
+    </span>
+  );
+}
+
+const DATA_HEALTH_LABELS = { good: 'Data OK', fair: 'Data: check', poor: 'Data issues' };
+
+// Hero badge for dataQuality.validation; expands into the list of findings.
+function DataHealthBadge({ validation, theme }) {
+  const [open, setOpen] = useState(false);
+  if (!validation) return null;
+  const { status, counts, findings } = validation;
+  const tone = status === 'good'
+    ? { background: theme.positiveBg, color: theme.positive, borderColor: theme.positiveBorder }
+    : status === 'fair'
+      ? { background: theme.warningBg, color: theme.warning, borderColor: theme.warningBorder }
+      : { background: theme.negativeBg, color: theme.negative, borderColor: theme.negativeBorder };
+  const summary = findings.length === 0
+    ? 'All consistency checks passed'
+    : `${counts.error} error${counts.error === 1 ? '' : 's'}, ${counts.warning} warning${counts.warning === 1 ? '' : 's'}`;
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setOpen((value) => !value)}
+        disabled={findings.length === 0}
+        aria-expanded={open}
+        title={summary}
+        className="px-2.5 py-1 rounded-full font-display tracking-wide border"
+        style={tone}
+      >
+        {DATA_HEALTH_LABELS[status]}{findings.length > 0 ? ` (${findings.length})` : ''}
+      </button>
+      {open && findings.length > 0 && (
+        <ul className="basis-full mt-2 p-3 rounded-lg border text-[11px] max-h-48 overflow-y-auto space-y-1.5" style={{ background: theme.bgCard, borderColor: theme.border }}>
+          {findings.map((item, index) => (
+            <li key={`${item.check}-${item.statement}-${item.field}-${item.date}-${index}`} className="flex gap-2">
+              <span className="font-semibold uppercase text-[9px] tracking-wider shrink-0 pt-px" style={{ color: item.severity === 'error' ? theme.negative : theme.warning }}>{item.severity}</span>
+              <span style={{ color: theme.textSecondary }}>
+                <span style={{ color: theme.textTertiary }}>{item.statement}.{item.field}{item.fiscalLabel || item.date ? ` · ${item.fiscalLabel || item.date}` : ''}: </span>
+                {item.message}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+}
+
 function OverviewTab({ data, theme }) {
   const [showReferences, setShowReferences] = useState(false);
   const subtleText = theme.textSecondary;
@@ -707,17 +995,25 @@ function OverviewTab({ data, theme }) {
     </div>
   );
 }
-function ValuationTab({ data, theme }) {
+function ValuationTab({ data, theme, fcfBasis, loading, onFcfBasisChange }) {
   const [showLegacy, setShowLegacy] = useState(false);
   const safeRatio = (value, digits = 2) => (Number.isFinite(value) ? value.toFixed(digits) : 'N/A');
   const safeMoney = (value, digits = 2) => (Number.isFinite(value) ? `$${value.toFixed(digits)}` : 'N/A');
   const safePercent = (value, digits = 1) => (Number.isFinite(value) ? `${value.toFixed(digits)}%` : 'N/A');
+  const safeFractionPercent = (value, digits = 1) => safePercent(Number.isFinite(value) ? value * 100 : null, digits);
   const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
   const valuationSubtleText = theme.textSecondary;
 
   const sectorText = `${data?.profile?.sector || ''} ${data?.profile?.industry || ''}`.toLowerCase();
   const showPB = /(bank|insurance|reit|real estate|asset|utility|industrial|energy|materials|financial)/.test(sectorText);
   const currentPrice = data?.quote?.price || data?.dcf?.currentPrice || null;
+  const sbcToRevenue = data?.dcf?.assumptions?.sbcToRevenue ?? null;
+  const projectedDilution = data?.dcf?.assumptions?.projectedDilution ?? null;
+  const latestReitMetrics = data?.dcf?.valuationModel === 'ffo' ? data.sectorModel?.ratios?.[data.sectorModel.ratios.length - 1] : null;
+  const dividends = data?.dividends || null;
+  const dividendHistory = (dividends?.history || []).slice(-10);
+  const latestPayoutYear = dividendHistory.slice().reverse().find((year) => Number.isFinite(year.payoutRatio)) || null;
+  const ddm = dividends?.ddm || null;
   const sharesOutstanding = data?.dcf?.assumptions?.sharesOutstanding || data?.favorites?.sharesOutstanding || null;
   const [assumptionReturn, setAssumptionReturn] = useState(10);
   const assumptionHorizon = 10;
@@ -725,11 +1021,15 @@ function ValuationTab({ data, theme }) {
   const historicalValuationRatios = data?.valuationRatios?.historical || [];
   const latestIncome = (data?.income || [])[data?.income?.length - 1] || {};
   const latestCashflow = (data?.cashflow || [])[data?.cashflow?.length - 1] || {};
-  const latestEPS = Number.isFinite(historicalValuationRatios[historicalValuationRatios.length - 1]?.eps)
-    ? historicalValuationRatios[historicalValuationRatios.length - 1].eps
-    : (sharesOutstanding && latestIncome?.netIncome ? latestIncome.netIncome / sharesOutstanding : null);
-  const latestFCFPerShare = sharesOutstanding && Number.isFinite(latestCashflow?.freeCashFlow)
-    ? latestCashflow.freeCashFlow / sharesOutstanding
+  const ttm = data?.ttm || null;
+  const latestEPS = Number.isFinite(ttm?.eps)
+    ? ttm.eps
+    : Number.isFinite(historicalValuationRatios[historicalValuationRatios.length - 1]?.eps)
+      ? historicalValuationRatios[historicalValuationRatios.length - 1].eps
+      : (sharesOutstanding && latestIncome?.netIncome ? latestIncome.netIncome / sharesOutstanding : null);
+  const latestFreeCashFlow = Number.isFinite(ttm?.freeCashFlow) ? ttm.freeCashFlow : latestCashflow?.freeCashFlow;
+  const latestFCFPerShare = sharesOutstanding && Number.isFinite(latestFreeCashFlow)
+    ? latestFreeCashFlow / sharesOutstanding
     : null;
 
   const hasPositiveEarnings = Number.isFinite(latestEPS) && latestEPS > 0;
@@ -935,6 +1235,11 @@ function ValuationTab({ data, theme }) {
     earningsPowerValue: 'Earnings Power Value',
     grahamNumber: 'Graham Number',
     analystTargetValue: 'Analyst Target',
+    excessReturnValue: 'Excess Return',
+    fairValuePTBV: 'Justified P/TBV',
+    fairValuePFFO: 'Fair Value P/FFO',
+    netAssetValue: 'Net Asset Value',
+    ddmValue: 'Dividend Discount',
   };
 
   const methodTypeByKey = {
@@ -953,6 +1258,11 @@ function ValuationTab({ data, theme }) {
     analystTargetValue: 'analyst',
     earningsPowerValue: 'conservative',
     grahamNumber: 'conservative',
+    excessReturnValue: 'dcf',
+    fairValuePTBV: 'relative',
+    fairValuePFFO: 'relative',
+    netAssetValue: 'dcf',
+    ddmValue: 'dcf',
   };
 
   const methodColorByType = {
@@ -1064,6 +1374,131 @@ function ValuationTab({ data, theme }) {
   return (
     <div className="animate-fadeIn space-y-6" role="tabpanel" id="tabpanel-valuation" aria-labelledby="tab-valuation">
 
+      {data?.dcf?.valuationModel === 'dcf' && (
+        <div className="p-4 rounded-2xl shadow-sm border border-black/5 dark:border-white/5 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3" style={{ background: theme.bgCard, borderColor: theme.border }}>
+          <div>
+            <div className="text-[10px] font-semibold tracking-widest uppercase font-display" style={{ color: theme.textSecondary }}>Cash Flow Basis</div>
+            <div className="text-[10px] mt-1" style={{ color: theme.textTertiary }}>
+              SBC {safePercent(sbcToRevenue)} of revenue · projected dilution {safePercent(projectedDilution)}/yr.
+              {fcfBasis === 'after-sbc'
+                ? ' OCF and FCF methods treat SBC as a cash cost, hold the share count flat and never value above reported.'
+                : ' OCF and FCF methods add SBC back and charge it through dilution.'}
+              {' The multi-stage DCF starts from operating income, which already expenses SBC.'}
+            </div>
+          </div>
+          <div className="flex rounded-lg p-1 border" style={{ background: theme.bg, borderColor: theme.border }}>
+            {[['reported', 'REPORTED FCF'], ['after-sbc', 'FCF AFTER SBC']].map(([basis, label]) => (
+              <button
+                key={basis}
+                onClick={() => basis !== fcfBasis && onFcfBasisChange(basis)}
+                disabled={loading}
+                className="px-4 py-2 text-[10px] font-semibold tracking-wider rounded-md transition-all"
+                style={fcfBasis === basis ? { background: theme.accent, color: '#000' } : { color: theme.textTertiary, cursor: loading ? 'not-allowed' : 'pointer' }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {data?.dcf?.valuationModel === 'excess-return' && (
+        <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
+          <h3 className="text-xs font-semibold tracking-widest uppercase mb-1 font-display" style={{ color: theme.textSecondary }}>
+            {data.sectorModel?.model === 'insurer' ? 'Insurer' : 'Bank'} Valuation (Excess Return)
+          </h3>
+          <div className="text-[10px] mb-5" style={{ color: theme.textTertiary }}>
+            Valued on returns over tangible common equity against the cost of equity. The revenue → FCF model below does not apply to balance-sheet businesses and is shown for reference only.
+          </div>
+          {data.sectorModel?.valuation ? (
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3">
+              <MetricCard theme={theme} label="Excess Return Value" value={safeMoney(data.sectorModel.valuation.excessReturnValue)} />
+              <MetricCard theme={theme} label="Justified P/TBV Value" value={safeMoney(data.sectorModel.valuation.ptbvValue)} subtext={`${safeRatio(data.sectorModel.valuation.justifiedPriceToTangibleBook)}x tangible book`} />
+              <MetricCard theme={theme} label="Tangible Book / Share" value={safeMoney(data.sectorModel.valuation.inputs.tangibleBookValuePerShare)} subtext={Number.isFinite(currentPrice) ? `P/TBV ${safeRatio(currentPrice / data.sectorModel.valuation.inputs.tangibleBookValuePerShare)}x` : undefined} />
+              <MetricCard theme={theme} label="ROTCE (Latest / Normalized)" value={`${safePercent(data.sectorModel.valuation.inputs.currentRotce * 100)} / ${safePercent(data.sectorModel.valuation.inputs.normalizedRotce * 100)}`} />
+              <MetricCard theme={theme} label="Cost of Equity" value={safePercent(data.sectorModel.valuation.inputs.costOfEquity * 100)} />
+              <MetricCard theme={theme} label="Long-Run ROTCE" value={safePercent(data.sectorModel.valuation.inputs.longRunRotce * 100)} />
+              <MetricCard theme={theme} label="Retention Ratio" value={safePercent(data.sectorModel.valuation.inputs.retentionRatio * 100)} />
+            </div>
+          ) : (
+            <p className="text-xs" style={{ color: theme.textTertiary }}>Not enough equity and return history to run the excess return model.</p>
+          )}
+        </div>
+      )}
+
+      {data?.dcf?.valuationModel === 'ffo' && (
+        <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
+          <h3 className="text-xs font-semibold tracking-widest uppercase mb-1 font-display" style={{ color: theme.textSecondary }}>
+            REIT Valuation (FFO &amp; NAV)
+          </h3>
+          <div className="text-[10px] mb-5" style={{ color: theme.textTertiary }}>
+            Valued on funds from operations and on net operating income capitalized at a market cap rate. Earnings-based methods are excluded because real-estate depreciation understates REIT earnings.
+          </div>
+          {data.sectorModel?.valuation ? (
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3">
+              <MetricCard theme={theme} label="P/FFO Value" value={safeMoney(data.sectorModel.valuation.pffoValue)} subtext={`${safeRatio(data.sectorModel.valuation.inputs.priceToFfo)}x FFO (${data.sectorModel.valuation.inputs.multipleSource === 'default' ? 'sector default' : 'historical median'})`} />
+              <MetricCard theme={theme} label="Net Asset Value" value={safeMoney(data.sectorModel.valuation.navValue)} subtext={`${safePercent(data.sectorModel.valuation.inputs.capRate * 100)} cap rate`} />
+              <MetricCard theme={theme} label="FFO / Share" value={safeMoney(data.sectorModel.valuation.inputs.ffoPerShare)} subtext={Number.isFinite(currentPrice) ? `P/FFO ${safeRatio(currentPrice / data.sectorModel.valuation.inputs.ffoPerShare)}x` : undefined} />
+              <MetricCard theme={theme} label="AFFO / Share" value={safeMoney(data.sectorModel.valuation.inputs.affoPerShare)} />
+              <MetricCard theme={theme} label="Dividend Coverage (AFFO)" value={Number.isFinite(latestReitMetrics?.dividendCoverage) ? `${safeRatio(latestReitMetrics.dividendCoverage)}x` : 'N/A'} subtext={latestReitMetrics?.dividendCoverage < 1 ? 'Dividend exceeds AFFO' : undefined} />
+              <MetricCard theme={theme} label="AFFO Payout Ratio" value={safePercent(latestReitMetrics?.affoPayoutRatio * 100)} />
+            </div>
+          ) : (
+            <p className="text-xs" style={{ color: theme.textTertiary }}>Not enough FFO history to value this REIT.</p>
+          )}
+        </div>
+      )}
+
+      {dividendHistory.length > 0 && (
+        <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
+          <h3 className="text-xs font-semibold tracking-widest uppercase mb-1 font-display" style={{ color: theme.textSecondary }}>
+            Dividend Discount Model
+          </h3>
+          <div className="text-[10px] mb-5" style={{ color: theme.textTertiary }}>
+            Trailing dividend grown at the historical dividend CAGR (capped at ROE × retention) for {ddm?.inputs?.highGrowthYears ?? 5} years, faded to {safeFractionPercent(ddm?.inputs?.terminalGrowth)} over {ddm?.inputs?.transitionYears ?? 5} more, then capitalized at the cost of equity.
+            {ddm && !ddm.inComposite && ` Excluded from the composite: ${ddm.exclusionReason}.`}
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3 mb-5">
+            <MetricCard theme={theme} label="DDM Value" value={safeMoney(ddm?.value)} subtext={ddm ? (ddm.inComposite ? 'In composite' : 'Reference only') : 'No current dividend'} />
+            <MetricCard theme={theme} label="Trailing Dividend / Share" value={safeMoney(dividends.trailingDividendPerShare)} subtext={`Yield ${safeFractionPercent(dividends.dividendYield, 2)}`} />
+            <MetricCard theme={theme} label="Dividend CAGR (5Y)" value={safeFractionPercent(dividends.cagr5Year)} subtext={`3Y ${safeFractionPercent(dividends.cagr3Year)} · 10Y ${safeFractionPercent(dividends.cagr10Year)}`} />
+            <MetricCard theme={theme} label="Consecutive Increases" value={`${dividends.consecutiveIncreases} yrs`} subtext={`Paid ${dividends.consecutiveYearsPaid} consecutive yrs`} />
+            <MetricCard theme={theme} label={`Payout Ratio${latestPayoutYear ? ` (${latestPayoutYear.fiscalLabel})` : ''}`} value={safeFractionPercent(latestPayoutYear?.payoutRatio)} subtext={`FCF payout ${safeFractionPercent(latestPayoutYear?.fcfPayoutRatio)}`} />
+            <MetricCard theme={theme} label="High-Growth Rate" value={safeFractionPercent(ddm?.inputs?.highGrowth)} subtext={ddm?.inputs?.growthSource === 'sustainable-growth' ? 'ROE × retention' : ddm?.inputs?.growthSource === 'dividend-cagr' ? 'Dividend CAGR' : undefined} />
+            <MetricCard theme={theme} label="Cost of Equity" value={safeFractionPercent(ddm?.inputs?.costOfEquity)} />
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr style={{ background: theme.tableBg }}>
+                  {['Fiscal Year', 'Dividend / Share', 'Growth', 'Payout (Earnings)', 'Payout (FCF)', 'Source'].map((heading, i) => (
+                    <th key={heading} className={`px-3 py-3 font-semibold ${i === 0 ? 'text-left' : 'text-right'}`} style={{ color: theme.textSecondary, borderBottom: `1px solid ${theme.border}` }}>{heading}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {dividendHistory.map((year, i) => {
+                  const previous = dividendHistory[i - 1];
+                  const growth = previous?.fiscalYear === year.fiscalYear - 1 && previous.dividendPerShare > 0
+                    ? (year.dividendPerShare / previous.dividendPerShare - 1) * 100
+                    : null;
+                  return (
+                    <tr key={year.fiscalYear} style={{ borderBottom: `1px solid ${theme.border}` }}>
+                      <td className="px-3 py-3" style={{ color: theme.text }}>{year.fiscalLabel}</td>
+                      <td className="px-3 py-3 text-right" style={{ color: theme.text }}>{safeMoney(year.dividendPerShare, 3)}</td>
+                      <td className="px-3 py-3 text-right" style={{ color: growth === null ? theme.textSecondary : growth >= 0 ? theme.positive : theme.negative }}>{safePercent(growth)}</td>
+                      <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{safeFractionPercent(year.payoutRatio)}</td>
+                      <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{safeFractionPercent(year.fcfPayoutRatio)}</td>
+                      <td className="px-3 py-3 text-right" style={{ color: theme.textTertiary }}>{year.source === 'sec' ? 'SEC' : 'Yahoo'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* A. Valuation Verdict */}
       <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
         <h3 className="text-xs font-semibold tracking-widest uppercase mb-5 font-display" style={{ color: theme.textSecondary }}>Valuation Verdict</h3>
@@ -1130,7 +1565,14 @@ function ValuationTab({ data, theme }) {
       {/* B. Valuation Assumptions (First-Principles) */}
       <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
         <h3 className="text-xs font-semibold tracking-widest uppercase mb-1 font-display" style={{ color: theme.textSecondary }}>Valuation Assumptions</h3>
-        <div className="text-[10px] mb-5" style={{ color: valuationSubtleText }}>Revenue → FCF margin → perpetuity exit. All three inputs are researchable. Drag to stress-test.</div>
+        <div className="text-[10px] mb-5" style={{ color: valuationSubtleText }}>
+          Revenue → FCF margin → perpetuity exit. All three inputs are researchable. Drag to stress-test.
+          <span className="ml-1" style={{ color: theme.textTertiary }}>
+            {data?.dcf?.assumptions?.fundamentalsBasis === 'ttm'
+              ? `Base: trailing twelve months to ${data.dcf.assumptions.fundamentalsPeriodEnd}.`
+              : `Base: fiscal year ending ${data?.dcf?.assumptions?.fundamentalsPeriodEnd || 'N/A'}.`}
+          </span>
+        </div>
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           <div>
             <div className="flex items-baseline justify-between mb-0.5">
@@ -1551,7 +1993,278 @@ function ValuationTab({ data, theme }) {
     </div>
   );
 }
-function FinancialsTab({ data, theme, formatPercent, formatRatio }) {
+// "$" for dollars, otherwise the ISO code ("TWD 1.20B").
+function currencyPrefix(currency) {
+  return !currency || currency === 'USD' ? '$' : `${currency} `;
+}
+
+// "converted from TWD at 31.2 TWD per USD" for a cell restated into the presentation currency.
+function describeConversion(source, presentationCurrency) {
+  if (!source?.reportedCurrency) return null;
+  return source.fxRate
+    ? `converted from ${source.reportedCurrency} at ${Number(source.fxRate.toPrecision(4))} ${source.reportedCurrency} per ${presentationCurrency}`
+    : `converted from ${source.reportedCurrency}`;
+}
+
+// Human-readable provenance for a statement cell, e.g. "SEC 10-K, filed 2024-11-01, tag Revenues".
+function describeSource(source, formatValue = (v) => String(v), presentationCurrency = 'USD') {
+  if (!source) return 'Source unavailable';
+  if (source.source === 'sec') {
+    const parts = [`SEC ${source.form || 'filing'}`];
+    if (source.filed) parts.push(`filed ${source.filed}`);
+    if (source.tag) parts.push(`tag ${source.tag}`);
+    if (source.derivation === 'fy-less-ytd') parts.push('derived as full year less year-to-date');
+    if (source.derivation === 'ytd-decumulated') parts.push('derived from year-to-date totals');
+    if (source.accn) parts.push(`accession ${source.accn}`);
+    const conversion = describeConversion(source, presentationCurrency);
+    if (conversion) parts.push(conversion);
+    const text = parts.join(', ');
+    if (!source.revisions?.length) return text;
+    const history = source.revisions
+      .map((r) => `${formatValue(r.val)} (${r.form || 'filing'} filed ${r.filed || 'N/A'})`)
+      .join(' \u2192 ');
+    return `${text}\nRESTATED: ${history}`;
+  }
+  if (source.source === 'yahoo-fts') {
+    const conversion = describeConversion(source, presentationCurrency);
+    return `Yahoo fundamentalsTimeSeries (${source.type}) fill-in${conversion ? `, ${conversion}` : ''}`;
+  }
+  if (source.source === 'derived') return `Derived: ${source.formula}`;
+  return String(source.source || 'Unknown source');
+}
+
+// Full statements, in filing order. Lines with no value in any year (bank
+// filers have no inventory, most companies no deferred revenue) are hidden.
+const STATEMENT_SECTIONS = [
+  {
+    statement: 'income',
+    title: 'Income Statement',
+    lines: [
+      { key: 'revenue', label: 'Revenue' },
+      { key: 'costOfRevenue', label: 'Cost of Revenue' },
+      { key: 'grossProfit', label: 'Gross Profit' },
+      { key: 'sellingGeneralAndAdministrativeExpenses', label: 'SG&A Expense' },
+      { key: 'researchAndDevelopmentExpenses', label: 'R&D Expense' },
+      { key: 'depreciation', label: 'Depreciation & Amortization' },
+      { key: 'operatingIncome', label: 'Operating Income' },
+      { key: 'interestExpense', label: 'Interest Expense' },
+      { key: 'netIncome', label: 'Net Income' },
+    ],
+  },
+  {
+    statement: 'balance',
+    title: 'Balance Sheet',
+    lines: [
+      { key: 'cashAndCashEquivalents', label: 'Cash & Equivalents' },
+      { key: 'shortTermInvestments', label: 'Short-Term Investments' },
+      { key: 'accountsReceivable', label: 'Accounts Receivable' },
+      { key: 'inventory', label: 'Inventory' },
+      { key: 'currentAssets', label: 'Total Current Assets' },
+      { key: 'netPPE', label: 'Net PP&E' },
+      { key: 'goodwill', label: 'Goodwill' },
+      { key: 'intangibleAssets', label: 'Intangible Assets' },
+      { key: 'totalAssets', label: 'Total Assets' },
+      { key: 'accountsPayable', label: 'Accounts Payable' },
+      { key: 'deferredRevenue', label: 'Deferred Revenue' },
+      { key: 'currentLiabilities', label: 'Total Current Liabilities' },
+      { key: 'totalDebt', label: 'Total Debt' },
+      { key: 'operatingLeaseLiabilities', label: 'Operating Lease Liabilities' },
+      { key: 'totalEquity', label: 'Total Equity' },
+    ],
+  },
+  {
+    statement: 'cashflow',
+    title: 'Cash Flow Statement',
+    lines: [
+      { key: 'operatingCashFlow', label: 'Operating Cash Flow' },
+      { key: 'stockBasedCompensation', label: 'Stock-Based Compensation' },
+      { key: 'capitalExpenditure', label: 'Capital Expenditure' },
+      { key: 'freeCashFlow', label: 'Free Cash Flow' },
+      { key: 'freeCashFlowAfterSbc', label: 'FCF after SBC' },
+      { key: 'dividendsPaid', label: 'Dividends Paid' },
+      { key: 'commonStockRepurchased', label: 'Share Repurchases' },
+    ],
+  },
+];
+
+// Fiscal labels follow the company's own year end ("FY2024 Q1"); calendar
+// labels follow the calendar period the row ends in ("2023 Q4").
+function periodLabel(row, labelMode) {
+  if (!row) return '';
+  const label = labelMode === 'calendar' ? row.calendarLabel : row.fiscalLabel;
+  return label || row.calendarYear || row.date?.slice(0, 4) || '';
+}
+
+function PeriodLabelToggle({ theme, value, onChange }) {
+  return (
+    <div className="flex rounded-lg p-1 border" style={{ background: theme.bg, borderColor: theme.border }}>
+      {['fiscal', 'calendar'].map((mode) => (
+        <button
+          key={mode}
+          onClick={() => onChange(mode)}
+          className="px-4 py-2 text-[10px] font-semibold tracking-wider rounded-md transition-all"
+          style={value === mode ? { background: theme.accent, color: '#000' } : { color: theme.textTertiary }}
+        >
+          {mode.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function StatementTable({ data, theme, formatNumber, labelMode, setLabelMode }) {
+  const years = useMemo(() => {
+    const byYear = new Map();
+    for (const statement of ['income', 'balance', 'cashflow']) {
+      for (const row of data?.[statement] || []) {
+        const year = String(row.calendarYear || row.date?.slice(0, 4));
+        if (!byYear.has(year)) byYear.set(year, {});
+        byYear.get(year)[statement] = row;
+      }
+    }
+    return Array.from(byYear.entries()).sort((a, b) => a[0].localeCompare(b[0])).slice(-10);
+  }, [data?.income, data?.balance, data?.cashflow]);
+
+  const sections = useMemo(() => STATEMENT_SECTIONS
+    .map((section) => ({
+      ...section,
+      lines: section.lines.filter((line) => years.some(([, rows]) => Number.isFinite(rows[section.statement]?.[line.key]))),
+    }))
+    .filter((section) => section.lines.length > 0), [years]);
+
+  if (!years.length) return null;
+  const reporting = data?.reporting;
+  const presentationCurrency = reporting?.presentationCurrency || 'USD';
+  const reportedIn = [reporting?.currencies?.statements, reporting?.currencies?.fundamentalsTimeSeries]
+    .filter((c, i, all) => c && c !== presentationCurrency && all.indexOf(c) === i);
+
+  return (
+    <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-5">
+        <div>
+          <h3 className="text-xs font-semibold mb-1 tracking-widest uppercase font-display" style={{ color: theme.textSecondary }}>
+            Reported Figures ({presentationCurrency})
+          </h3>
+          <div className="text-[10px]" style={{ color: theme.textTertiary }}>
+            Hover a value to see the filing and XBRL tag it came from.
+            {data?.fiscalCalendar?.fiscalYearEnd && ` Fiscal year ends ${data.fiscalCalendar.fiscalYearEnd.replace('-', '/')}.`}
+            {reporting && (reporting.taxonomy !== 'us-gaap' || reportedIn.length > 0) &&
+              ` Reported under ${reporting.taxonomy === 'ifrs-full' ? 'IFRS' : 'US GAAP'} in ${reportedIn.length > 0 ? reportedIn.join('/') : reporting.currency}.`}
+            {reportedIn.length > 0 &&
+              ` Shown in ${presentationCurrency}: flows at period-average rates, balances at period-end rates.`}
+            {reporting?.adr?.sharesPerAdr > 0 && reporting.adr.sharesPerAdr !== 1 &&
+              ` Share counts are in ADRs (1 ADR = ${reporting.adr.sharesPerAdr} ordinary shares${reporting.adr.mismatch ? '; market cap and Yahoo share count disagree' : ''}).`}
+          </div>
+        </div>
+        <PeriodLabelToggle theme={theme} value={labelMode} onChange={setLabelMode} />
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr style={{ background: theme.tableBg }}>
+              <th className="px-3 py-3 text-left font-semibold" style={{ color: theme.textSecondary, borderBottom: `1px solid ${theme.border}` }}>Line Item</th>
+              {years.map(([year, rows]) => (
+                <th key={year} className="px-3 py-3 text-right font-medium whitespace-nowrap" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>
+                  {periodLabel(rows.income || rows.balance || rows.cashflow, labelMode) || year}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sections.map((section) => [
+              <tr key={section.statement} style={{ background: theme.tableBg, borderBottom: `1px solid ${theme.border}` }}>
+                <td colSpan={years.length + 1} className="px-3 py-2 text-[10px] font-semibold tracking-widest uppercase font-display" style={{ color: theme.textSecondary }}>
+                  {section.title}
+                </td>
+              </tr>,
+              ...section.lines.map((line) => (
+                <tr key={line.key} style={{ borderBottom: `1px solid ${theme.border}` }}>
+                  <td className="px-3 py-2.5 font-semibold whitespace-nowrap" style={{ color: theme.text }}>{line.label}</td>
+                  {years.map(([year, rows]) => {
+                    const row = rows[section.statement];
+                    const value = row?.[line.key];
+                    const source = row?.sources?.[line.key];
+                    const restated = Boolean(source?.revisions?.length);
+                    return (
+                      <td
+                        key={year}
+                        className="px-3 py-2.5 text-right tabular-nums"
+                        style={{
+                          color: source?.source === 'yahoo-fts' ? theme.warningText : theme.textSecondary,
+                          cursor: source ? 'help' : 'default',
+                          background: restated ? theme.warningBg : undefined,
+                        }}
+                        title={Number.isFinite(value) ? describeSource(source, formatNumber, presentationCurrency) : undefined}
+                      >
+                        {Number.isFinite(value) ? formatNumber(value) : 'N/A'}
+                        {restated && <sup className="ml-0.5 font-semibold" style={{ color: theme.warningStrong }}>R</sup>}
+                      </td>
+                    );
+                  })}
+                </tr>
+              )),
+            ])}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Ratio columns for the bank, insurer and REIT models (data.sectorModel.ratios).
+// Columns are fractions shown as percentages unless `type` says otherwise.
+const SECTOR_RATIO_COLUMNS = {
+  bank: [
+    { key: 'netInterestMargin', label: 'Net Interest Margin' },
+    { key: 'efficiencyRatio', label: 'Efficiency Ratio' },
+    { key: 'returnOnTangibleCommonEquity', label: 'ROTCE' },
+    { key: 'returnOnEquity', label: 'Return on Equity' },
+    { key: 'returnOnAssets', label: 'Return on Assets' },
+    { key: 'loanToDeposit', label: 'Loans to Deposits' },
+    { key: 'creditCostRatio', label: 'Provision to Loans' },
+    { key: 'tier1Ratio', label: 'Tier 1 Capital Ratio' },
+    { key: 'tier1Leverage', label: 'Tier 1 Leverage' },
+  ],
+  insurer: [
+    { key: 'lossRatio', label: 'Loss Ratio' },
+    { key: 'expenseRatio', label: 'Expense Ratio' },
+    { key: 'combinedRatio', label: 'Combined Ratio' },
+    { key: 'returnOnTangibleCommonEquity', label: 'ROTCE' },
+    { key: 'returnOnEquity', label: 'Return on Equity' },
+    { key: 'investmentYield', label: 'Investment Yield' },
+    { key: 'equityToAssets', label: 'Equity to Assets' },
+  ],
+  reit: [
+    { key: 'ffo', label: 'FFO', type: 'money' },
+    { key: 'affo', label: 'AFFO', type: 'money' },
+    { key: 'ffoPerShare', label: 'FFO / Share', type: 'perShare' },
+    { key: 'affoPerShare', label: 'AFFO / Share', type: 'perShare' },
+    { key: 'dividendPerShare', label: 'Dividends / Share', type: 'perShare' },
+    { key: 'ffoPayoutRatio', label: 'FFO Payout Ratio' },
+    { key: 'affoPayoutRatio', label: 'AFFO Payout Ratio' },
+    { key: 'dividendCoverage', label: 'Dividend Coverage (AFFO)', type: 'ratio' },
+    { key: 'priceToFfo', label: 'Price to FFO', type: 'ratio' },
+  ],
+};
+
+const SECTOR_TITLES = { bank: 'Bank Ratios', insurer: 'Insurance Ratios', reit: 'REIT Metrics' };
+
+const SECTOR_NOTES = {
+  bank: 'Net interest margin is measured on average total assets. Returns use average equity.',
+  insurer: 'Loss and expense ratios are shares of net premiums earned. Returns use average equity.',
+  reit: 'FFO adds back depreciation and impairments and removes gains on property sales; AFFO further deducts capital improvements and straight-line rent. Depreciation includes non-real-estate D&A.',
+};
+
+function sectorRatioColumns(data) {
+  return data?.sectorModel?.ratios?.length ? SECTOR_RATIO_COLUMNS[data.sectorModel.model] || null : null;
+}
+
+function FinancialsTab({ data, theme, formatNumber, formatPercent, formatRatio, labelMode, setLabelMode }) {
+  const sectorColumns = sectorRatioColumns(data);
+  const formatSectorCell = (value, type) => {
+    if (type === 'money' || type === 'perShare') return formatNumber(value);
+    return type === 'ratio' ? formatRatio(value) : formatPercent(value);
+  };
   if (!data?.ratios?.length) {
     return (
       <div className="animate-fadeIn" role="tabpanel" id="tabpanel-financials" aria-labelledby="tab-financials">
@@ -1564,51 +2277,125 @@ function FinancialsTab({ data, theme, formatPercent, formatRatio }) {
 
   return (
     <div className="animate-fadeIn space-y-6" role="tabpanel" id="tabpanel-financials" aria-labelledby="tab-financials">
-      <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
-        <h3 className="text-xs font-semibold mb-5 tracking-widest uppercase font-display" style={{ color: theme.textSecondary }}>
-          Historical Financial Ratios
-        </h3>
-        <div className="overflow-x-auto">
-          <table className="w-full text-xs">
-            <thead>
-              <tr style={{ background: theme.tableBg }}>
-                <th className="px-3 py-3 text-left font-semibold" style={{ color: theme.textSecondary, borderBottom: `1px solid ${theme.border}` }}>Year</th>
-                <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Gross Profit Margin</th>
-                <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Operating Margin</th>
-                <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Net Margin</th>
-                <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Return on Equity</th>
-                <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Return on Capital Employed</th>
-                <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Return on Assets</th>
-                <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Debt to Equity</th>
-                <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Current Ratio</th>
-              </tr>
-            </thead>
-            <tbody>
-              {data.ratios.map((r, i) => (
-                <tr key={i} style={{ borderBottom: `1px solid ${theme.border}` }}
-                  onMouseEnter={(e) => e.currentTarget.style.background = theme.tableRowHover}
-                  onMouseLeave={(e) => e.currentTarget.style.background = 'transparent'}
-                >
-                  <td className="px-3 py-3 font-semibold" style={{ color: theme.text }}>{r.calendarYear || r.date?.slice(0, 4)}</td>
-                  <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatPercent(r.grossProfitMargin)}</td>
-                  <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatPercent(r.operatingProfitMargin)}</td>
-                  <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatPercent(r.netProfitMargin)}</td>
-                  <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatPercent(r.returnOnEquity)}</td>
-                  <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatPercent(r.returnOnCapitalEmployed)}</td>
-                  <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatPercent(r.returnOnAssets)}</td>
-                  <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatRatio(r.debtToEquityRatio)}</td>
-                  <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatRatio(r.currentRatio)}</td>
+      {sectorColumns ? (
+        <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
+          <h3 className="text-xs font-semibold mb-1 tracking-widest uppercase font-display" style={{ color: theme.textSecondary }}>
+            {SECTOR_TITLES[data.sectorModel.model]}
+          </h3>
+          <div className="text-[10px] mb-5" style={{ color: theme.textTertiary }}>
+            {SECTOR_NOTES[data.sectorModel.model]}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr style={{ background: theme.tableBg }}>
+                  <th className="px-3 py-3 text-left font-semibold" style={{ color: theme.textSecondary, borderBottom: `1px solid ${theme.border}` }}>Year</th>
+                  {sectorColumns.map((c) => (
+                    <th key={c.key} className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>{c.label}</th>
+                  ))}
                 </tr>
-              ))}
-            </tbody>
-          </table>
+              </thead>
+              <tbody>
+                {data.sectorModel.ratios.map((r) => (
+                  <tr key={r.date} style={{ borderBottom: `1px solid ${theme.border}` }}
+                    onMouseEnter={(e) => e.currentTarget.style.background = theme.tableRowHover}
+                    onMouseLeave={(e) => e.currentTarget.style.background = 'transparent'}
+                  >
+                    <td className="px-3 py-3 font-semibold" style={{ color: theme.text }}>{periodLabel(r, labelMode) || r.calendarYear}</td>
+                    {sectorColumns.map((c) => (
+                      <td key={c.key} className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatSectorCell(r[c.key], c.type)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
         </div>
-      </div>
+      ) : (
+        <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
+          <h3 className="text-xs font-semibold mb-5 tracking-widest uppercase font-display" style={{ color: theme.textSecondary }}>
+            Historical Financial Ratios
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr style={{ background: theme.tableBg }}>
+                  <th className="px-3 py-3 text-left font-semibold" style={{ color: theme.textSecondary, borderBottom: `1px solid ${theme.border}` }}>Year</th>
+                  <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Gross Profit Margin</th>
+                  <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Operating Margin</th>
+                  <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Net Margin</th>
+                  <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Return on Equity</th>
+                  <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Return on Capital Employed</th>
+                  <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Return on Assets</th>
+                  <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Debt to Equity</th>
+                  <th className="px-3 py-3 text-right font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>Current Ratio</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.ratios.map((r, i) => (
+                  <tr key={i} style={{ borderBottom: `1px solid ${theme.border}` }}
+                    onMouseEnter={(e) => e.currentTarget.style.background = theme.tableRowHover}
+                    onMouseLeave={(e) => e.currentTarget.style.background = 'transparent'}
+                  >
+                    <td className="px-3 py-3 font-semibold" style={{ color: theme.text }}>{r.calendarYear || r.date?.slice(0, 4)}</td>
+                    <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatPercent(r.grossProfitMargin)}</td>
+                    <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatPercent(r.operatingProfitMargin)}</td>
+                    <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatPercent(r.netProfitMargin)}</td>
+                    <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatPercent(r.returnOnEquity)}</td>
+                    <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatPercent(r.returnOnCapitalEmployed)}</td>
+                    <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatPercent(r.returnOnAssets)}</td>
+                    <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatRatio(r.debtToEquityRatio)}</td>
+                    <td className="px-3 py-3 text-right" style={{ color: theme.textSecondary }}>{formatRatio(r.currentRatio)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <StatementTable data={data} theme={theme} formatNumber={formatNumber} labelMode={labelMode} setLabelMode={setLabelMode} />
+
+      {data?.restatements?.length > 0 && (
+        <div className="p-6 rounded-2xl shadow-sm border" style={{ background: theme.warningBg, borderColor: theme.warningBorder }}>
+          <h3 className="text-xs font-semibold mb-1 tracking-widest uppercase font-display" style={{ color: theme.warningStrong }}>
+            Restatements ({data.restatements.length})
+          </h3>
+          <div className="text-[10px] mb-5" style={{ color: theme.warningText }}>
+            Periods whose value changed in a later filing. Restatements can signal accounting corrections and deserve a closer look.
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr>
+                  {['Period', 'Line Item', 'XBRL Tag', 'Original', 'Restated', 'Change'].map((h) => (
+                    <th key={h} className="px-3 py-2 text-left font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {data.restatements.slice(0, 25).map((r) => (
+                  <tr key={`${r.statement}-${r.field}-${r.date}`} style={{ borderBottom: `1px solid ${theme.border}` }}>
+                    <td className="px-3 py-2" style={{ color: theme.text }}>{r.date}{/Q$/.test(r.statement) ? ' (Q)' : ''}</td>
+                    <td className="px-3 py-2" style={{ color: theme.textSecondary }}>{r.field}</td>
+                    <td className="px-3 py-2" style={{ color: theme.textTertiary }}>{r.tag}</td>
+                    <td className="px-3 py-2 tabular-nums" style={{ color: theme.textSecondary }} title={`${r.original.form || ''} filed ${r.original.filed || 'N/A'}`}>{formatNumber(r.original.val)}</td>
+                    <td className="px-3 py-2 tabular-nums" style={{ color: theme.textSecondary }} title={`${r.restated.form || ''} filed ${r.restated.filed || 'N/A'}`}>{formatNumber(r.restated.val)}</td>
+                    <td className="px-3 py-2 tabular-nums" style={{ color: Number.isFinite(r.changePct) && r.changePct < 0 ? theme.negative : theme.positive }}>
+                      {Number.isFinite(r.changePct) ? `${r.changePct >= 0 ? '+' : ''}${r.changePct.toFixed(2)}%` : 'N/A'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
 
-function OperatingMetricsTab({ data, theme }) {
+function OperatingMetricsTab({ data, theme, formatNumber }) {
   const incomeByYear = useMemo(
     () => new Map((data?.income || []).map((r) => [String(r.calendarYear), r])),
     [data?.income]
@@ -1625,6 +2412,14 @@ function OperatingMetricsTab({ data, theme }) {
     () => new Map((data?.ratios || []).map((r) => [String(r.calendarYear), r])),
     [data?.ratios]
   );
+  const sectorRatioByYear = useMemo(
+    () => new Map((data?.sectorModel?.ratios || []).map((r) => [String(r.calendarYear), r])),
+    [data?.sectorModel?.ratios]
+  );
+  const allocationByYear = useMemo(
+    () => new Map((data?.capitalAllocation?.years || []).map((r) => [String(r.calendarYear), r])),
+    [data?.capitalAllocation?.years]
+  );
 
   const years = useMemo(() => {
     const set = new Set([
@@ -1664,6 +2459,7 @@ function OperatingMetricsTab({ data, theme }) {
   const formatCell = (value, type) => {
     if (value === null || value === undefined || !Number.isFinite(value)) return '-';
     if (type === 'percent') return `${value.toFixed(2)}%`;
+    if (type === 'money') return formatNumber(value);
     return value.toFixed(2);
   };
 
@@ -1775,6 +2571,26 @@ function OperatingMetricsTab({ data, theme }) {
     rowFromSeries('Price to Book (PB) Ratio', years.map((y) => ratio(valuationHistoryByYear.get(y)?.pbRatio)), 'ratio'),
   ];
 
+  // Amounts are positive uses of cash; share count change is negative when
+  // the count shrinks.
+  const allocationValue = (key) => years.map((y) => ratio(allocationByYear.get(y)?.[key]));
+  const allocationPercent = (key) => years.map((y) => pct(allocationByYear.get(y)?.[key]));
+  const capitalAllocationRows = [
+    rowFromSeries('Capital Expenditure', allocationValue('capex'), 'money'),
+    rowFromSeries('Acquisitions', allocationValue('acquisitions'), 'money'),
+    rowFromSeries('Dividends', allocationValue('dividends'), 'money'),
+    rowFromSeries('Share Repurchases', allocationValue('buybacks'), 'money'),
+    rowFromSeries('Net Debt Paydown', allocationValue('netDebtPaydown'), 'money'),
+    rowFromSeries('Dividend Yield', allocationPercent('dividendYield')),
+    rowFromSeries('Net Buyback Yield', allocationPercent('netBuybackYield')),
+    rowFromSeries('Debt Paydown Yield', allocationPercent('debtPaydownYield')),
+    rowFromSeries('Net Shareholder Yield', allocationPercent('netShareholderYield')),
+    rowFromSeries('Average Repurchase Price', allocationValue('averageRepurchasePrice'), 'ratio'),
+    rowFromSeries('Average Market Price', allocationValue('averageMarketPrice'), 'ratio'),
+    rowFromSeries('Share Count Change', allocationPercent('shareCountChange')),
+  ].filter((row) => row.values.some((v) => Number.isFinite(v)));
+  const allocationScorecard = data?.capitalAllocation?.scorecard || null;
+
   const getCagr = (series, nYears) => {
     if (series.length < nYears + 1) return null;
     const end = series[series.length - 1];
@@ -1791,6 +2607,19 @@ function OperatingMetricsTab({ data, theme }) {
     { label: 'Free Cash Flow', series: (data?.cashflow || []).map((r) => r.freeCashFlow || 0) },
   ];
 
+  // Banks, insurers and REITs replace the industrial profitability, liquidity
+  // and efficiency sections with their own ratios. Absolute amounts stay on
+  // the Financials tab.
+  const sectorColumns = sectorRatioColumns(data);
+  const sectorRows = sectorColumns
+    ? sectorColumns
+      .filter((c) => c.type !== 'money')
+      .map((c) => (c.type
+        ? rowFromSeries(c.label, years.map((y) => ratio(sectorRatioByYear.get(y)?.[c.key])), 'ratio')
+        : rowFromSeries(c.label, years.map((y) => pct(sectorRatioByYear.get(y)?.[c.key])))))
+    : [];
+  const sectorTitle = SECTOR_TITLES[data?.sectorModel?.model];
+
   const ttmGross = profitabilityRows.find((r) => r.label === 'Gross Profit Margin')?.current;
   const ttmNet = profitabilityRows.find((r) => r.label === 'Net Profit Margin')?.current;
   const ttmOp = profitabilityRows.find((r) => r.label === 'Operating Profit Margin')?.current;
@@ -1847,43 +2676,85 @@ function OperatingMetricsTab({ data, theme }) {
 
   return (
     <div className="animate-fadeIn space-y-6" role="tabpanel" id="tabpanel-operating-metrics" aria-labelledby="tab-operating-metrics">
-      <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
-        <h3 className="text-xs font-semibold mb-5 tracking-widest uppercase font-display" style={{ color: theme.textSecondary }}>Profitability Ratios</h3>
-        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3">
-          <MetricCard theme={theme} label="Gross Profit Margin (TTM)" value={formatCell(ttmGross, 'percent')} />
-          <MetricCard theme={theme} label="Gross Profit Margin (5-year Average)" value={formatCell(gross5yAvg, 'percent')} />
-          <MetricCard theme={theme} label="Net Profit Margin (TTM)" value={formatCell(ttmNet, 'percent')} />
-          <MetricCard theme={theme} label="Operating Cash Flow Margin (TTM)" value={formatCell(ttmOcf, 'percent')} />
-          <MetricCard theme={theme} label="Free Cash Flow Margin (TTM)" value={formatCell(ttmFcf, 'percent')} />
-          <MetricCard theme={theme} label="Operating Profit Margin (TTM)" value={formatCell(ttmOp, 'percent')} />
-          <MetricCard theme={theme} label="Return on Assets (TTM)" value={formatCell(ttmRoa, 'percent')} />
-          <MetricCard theme={theme} label="Return on Invested Capital (TTM)" value={formatCell(ttmRoic, 'percent')} />
-          <MetricCard theme={theme} label="Return on Equity (TTM)" value={formatCell(ttmRoe, 'percent')} />
-          <MetricCard theme={theme} label="Return on Common Equity (TTM)" value={formatCell(ttmRoe, 'percent')} />
-        </div>
-      </div>
+      {sectorRows.length > 0 ? (
+        <>
+          <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
+            <h3 className="text-xs font-semibold mb-5 tracking-widest uppercase font-display" style={{ color: theme.textSecondary }}>{sectorTitle}</h3>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3">
+              {sectorRows.map((row) => (
+                <MetricCard key={row.label} theme={theme} label={`${row.label} (Latest)`} value={formatCell(row.current, row.type)} />
+              ))}
+            </div>
+          </div>
+          {renderTable(`${sectorTitle} (Historical)`, sectorRows)}
+        </>
+      ) : (
+        <>
+          <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
+            <h3 className="text-xs font-semibold mb-5 tracking-widest uppercase font-display" style={{ color: theme.textSecondary }}>Profitability Ratios</h3>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3">
+              <MetricCard theme={theme} label="Gross Profit Margin (TTM)" value={formatCell(ttmGross, 'percent')} />
+              <MetricCard theme={theme} label="Gross Profit Margin (5-year Average)" value={formatCell(gross5yAvg, 'percent')} />
+              <MetricCard theme={theme} label="Net Profit Margin (TTM)" value={formatCell(ttmNet, 'percent')} />
+              <MetricCard theme={theme} label="Operating Cash Flow Margin (TTM)" value={formatCell(ttmOcf, 'percent')} />
+              <MetricCard theme={theme} label="Free Cash Flow Margin (TTM)" value={formatCell(ttmFcf, 'percent')} />
+              <MetricCard theme={theme} label="Operating Profit Margin (TTM)" value={formatCell(ttmOp, 'percent')} />
+              <MetricCard theme={theme} label="Return on Assets (TTM)" value={formatCell(ttmRoa, 'percent')} />
+              <MetricCard theme={theme} label="Return on Invested Capital (TTM)" value={formatCell(ttmRoic, 'percent')} />
+              <MetricCard theme={theme} label="Return on Equity (TTM)" value={formatCell(ttmRoe, 'percent')} />
+              <MetricCard theme={theme} label="Return on Common Equity (TTM)" value={formatCell(ttmRoe, 'percent')} />
+            </div>
+          </div>
 
-      {renderTable('Profitability Ratios (Historical)', profitabilityRows)}
-      {renderTable('Debt & Liquidity Ratios', debtLiquidityRows)}
+          {renderTable('Profitability Ratios (Historical)', profitabilityRows)}
+          {renderTable('Debt & Liquidity Ratios', debtLiquidityRows)}
 
-      <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
-        <h3 className="text-xs font-semibold mb-5 tracking-widest uppercase font-display" style={{ color: theme.textSecondary }}>Efficiency Ratios</h3>
-        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3">
-          <MetricCard theme={theme} label="Asset Turnover Ratio (TTM)" value={formatCell(ttmAssetTurnover, 'ratio')} />
-          <MetricCard theme={theme} label="CapEx to Operating Cash Flow (TTM)" value={formatCell(ttmCapexToOcf, 'ratio')} />
-          <MetricCard theme={theme} label="CapEx to Operating Income (TTM)" value={formatCell(ttmCapexToOp, 'ratio')} />
-          <MetricCard theme={theme} label="CapEx to Revenue (TTM)" value={formatCell(ttmCapexToRev, 'ratio')} />
-          <MetricCard theme={theme} label="Cash Conversion Cycle (TTM)" value={formatCell(ttmCcc, 'ratio')} />
-          <MetricCard theme={theme} label="Days of Payables Outstanding (TTM)" value={formatCell(ttmDpo, 'ratio')} />
-          <MetricCard theme={theme} label="Fixed Asset Turnover (TTM)" value={formatCell(ttmFat, 'ratio')} />
-          <MetricCard theme={theme} label="Inventory Turnover (TTM)" value={formatCell(ttmInvTurnover, 'ratio')} />
-          <MetricCard theme={theme} label="Receivables Turnover (TTM)" value={formatCell(ttmReceivables, 'ratio')} />
-        </div>
-      </div>
+          <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
+            <h3 className="text-xs font-semibold mb-5 tracking-widest uppercase font-display" style={{ color: theme.textSecondary }}>Efficiency Ratios</h3>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3">
+              <MetricCard theme={theme} label="Asset Turnover Ratio (TTM)" value={formatCell(ttmAssetTurnover, 'ratio')} />
+              <MetricCard theme={theme} label="CapEx to Operating Cash Flow (TTM)" value={formatCell(ttmCapexToOcf, 'ratio')} />
+              <MetricCard theme={theme} label="CapEx to Operating Income (TTM)" value={formatCell(ttmCapexToOp, 'ratio')} />
+              <MetricCard theme={theme} label="CapEx to Revenue (TTM)" value={formatCell(ttmCapexToRev, 'ratio')} />
+              <MetricCard theme={theme} label="Cash Conversion Cycle (TTM)" value={formatCell(ttmCcc, 'ratio')} />
+              <MetricCard theme={theme} label="Days of Payables Outstanding (TTM)" value={formatCell(ttmDpo, 'ratio')} />
+              <MetricCard theme={theme} label="Fixed Asset Turnover (TTM)" value={formatCell(ttmFat, 'ratio')} />
+              <MetricCard theme={theme} label="Inventory Turnover (TTM)" value={formatCell(ttmInvTurnover, 'ratio')} />
+              <MetricCard theme={theme} label="Receivables Turnover (TTM)" value={formatCell(ttmReceivables, 'ratio')} />
+            </div>
+          </div>
 
-      {renderTable('Efficiency Ratios (Historical)', efficiencyRows)}
+          {renderTable('Efficiency Ratios (Historical)', efficiencyRows)}
+        </>
+      )}
       {renderTable('Price Ratios', priceRatioRows)}
 
+      {allocationScorecard && (
+        <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
+          <h3 className="text-xs font-semibold mb-1 tracking-widest uppercase font-display" style={{ color: theme.textSecondary }}>Capital Allocation Scorecard</h3>
+          <div className="text-[10px] mb-5" style={{ color: theme.textTertiary }}>
+            Last {allocationScorecard.years} fiscal years. Net shareholder yield is dividends, buybacks net of stock issued and debt repaid net of new borrowing, over market cap.
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3">
+            <MetricCard theme={theme} label="Net Shareholder Yield (Current)" value={formatCell(pct(allocationScorecard.netShareholderYield), 'percent')} subtext={`${allocationScorecard.years}Y avg ${formatCell(pct(allocationScorecard.averageNetShareholderYield), 'percent')}`} tone={allocationScorecard.netShareholderYield > 0 ? 'positive' : 'neutral'} />
+            <MetricCard
+              theme={theme}
+              label="Avg Repurchase vs Market Price"
+              value={Number.isFinite(allocationScorecard.averageRepurchasePrice) ? `${formatCell(allocationScorecard.averageRepurchasePrice, 'ratio')} vs ${formatCell(allocationScorecard.averageMarketPrice, 'ratio')}` : 'N/A'}
+              subtext={Number.isFinite(allocationScorecard.repurchasePremium) ? `${allocationScorecard.repurchasePremium >= 0 ? '+' : ''}${formatCell(pct(allocationScorecard.repurchasePremium), 'percent')} vs average market price` : 'Repurchased share counts not reported'}
+              tone={allocationScorecard.repurchasePremium < 0 ? 'positive' : allocationScorecard.repurchasePremium > 0 ? 'negative' : 'neutral'}
+            />
+            <MetricCard theme={theme} label="Net Share Count Reduction" value={formatCell(pct(allocationScorecard.netShareCountReduction), 'percent')} subtext={`${formatCell(pct(allocationScorecard.annualShareCountReduction), 'percent')} per year`} tone={allocationScorecard.netShareCountReduction > 0 ? 'positive' : allocationScorecard.netShareCountReduction < 0 ? 'negative' : 'neutral'} />
+            <MetricCard theme={theme} label={`Buybacks (${allocationScorecard.years}Y)`} value={formatCell(allocationScorecard.totalBuybacks, 'money')} />
+            <MetricCard theme={theme} label={`Dividends (${allocationScorecard.years}Y)`} value={formatCell(allocationScorecard.totalDividends, 'money')} />
+            <MetricCard theme={theme} label={`Acquisitions (${allocationScorecard.years}Y)`} value={formatCell(allocationScorecard.totalAcquisitions, 'money')} />
+            <MetricCard theme={theme} label={`Net Debt Paydown (${allocationScorecard.years}Y)`} value={formatCell(allocationScorecard.totalNetDebtPaydown, 'money')} />
+            <MetricCard theme={theme} label={`Capital Expenditure (${allocationScorecard.years}Y)`} value={formatCell(allocationScorecard.totalCapex, 'money')} />
+          </div>
+        </div>
+      )}
+      {capitalAllocationRows.length > 0 && renderTable('Capital Allocation (Historical)', capitalAllocationRows)}
+
       <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
         <h3 className="text-xs font-semibold mb-5 tracking-widest uppercase font-display" style={{ color: theme.textSecondary }}>Growth</h3>
         <div className="overflow-x-auto">
@@ -1944,26 +2815,30 @@ function OperatingMetricsTab({ data, theme }) {
   );
 }
 
-function ChartsTab({ theme, viewMode, setViewMode, marginData, returnData, incomeData, cashFlowData, balanceData }) {
+function ChartsTab({ theme, viewMode, setViewMode, labelMode, setLabelMode, currency, marginData, returnData, incomeData, cashFlowData, balanceData }) {
+  const billions = `${currencyPrefix(currency).trim()}B`;
   return (
     <div className="animate-fadeIn space-y-6" role="tabpanel" id="tabpanel-charts" aria-labelledby="tab-charts">
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
         <h3 className="text-xs font-semibold tracking-widest uppercase font-display" style={{ color: theme.textSecondary }}>Financial Charts</h3>
-        <div className="flex rounded-lg p-1 border" style={{ background: theme.bg, borderColor: theme.border }}>
-          <button
-            onClick={() => setViewMode('annual')}
-            className="px-4 py-2 text-[10px] font-semibold tracking-wider rounded-md transition-all"
-            style={viewMode === 'annual' ? { background: theme.accent, color: '#000' } : { color: theme.textTertiary }}
-          >
-            ANNUAL
-          </button>
-          <button
-            onClick={() => setViewMode('quarterly')}
-            className="px-4 py-2 text-[10px] font-semibold tracking-wider rounded-md transition-all"
-            style={viewMode === 'quarterly' ? { background: theme.accent, color: '#000' } : { color: theme.textTertiary }}
-          >
-            QUARTERLY
-          </button>
+        <div className="flex flex-wrap gap-2">
+          <PeriodLabelToggle theme={theme} value={labelMode} onChange={setLabelMode} />
+          <div className="flex rounded-lg p-1 border" style={{ background: theme.bg, borderColor: theme.border }}>
+            <button
+              onClick={() => setViewMode('annual')}
+              className="px-4 py-2 text-[10px] font-semibold tracking-wider rounded-md transition-all"
+              style={viewMode === 'annual' ? { background: theme.accent, color: '#000' } : { color: theme.textTertiary }}
+            >
+              ANNUAL
+            </button>
+            <button
+              onClick={() => setViewMode('quarterly')}
+              className="px-4 py-2 text-[10px] font-semibold tracking-wider rounded-md transition-all"
+              style={viewMode === 'quarterly' ? { background: theme.accent, color: '#000' } : { color: theme.textTertiary }}
+            >
+              QUARTERLY
+            </button>
+          </div>
         </div>
       </div>
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
@@ -1973,9 +2848,9 @@ function ChartsTab({ theme, viewMode, setViewMode, marginData, returnData, incom
             <ChartSection theme={theme} title="RETURN ON CAPITAL (%)" chartData={returnData} dataKeys={['ROE', 'ROIC', 'ROA']} colors={['#6366f1', '#f59e0b', '#8b5cf6']} unit="%" dataKeyX="year" />
           </>
         )}
-        <ChartSection theme={theme} title="INCOME STATEMENT ($B)" chartData={incomeData} dataKeys={['Revenue', 'Operating Income', 'Net Income']} colors={['#6366f1', '#f59e0b', '#10b981']} unit="B" />
-        <ChartSection theme={theme} title="CASH FLOW ($B)" chartData={cashFlowData} dataKeys={['Operating CF', 'Free Cash Flow', 'CapEx']} colors={['#f59e0b', '#10b981', '#ef4444']} unit="B" />
-        <ChartSection theme={theme} title="BALANCE SHEET ($B)" chartData={balanceData} dataKeys={['Cash & Investments', 'Total Debt']} colors={['#10b981', '#ef4444']} unit="B" />
+        <ChartSection theme={theme} title={`INCOME STATEMENT (${billions})`} chartData={incomeData} dataKeys={['Revenue', 'Operating Income', 'Net Income']} colors={['#6366f1', '#f59e0b', '#10b981']} unit="B" />
+        <ChartSection theme={theme} title={`CASH FLOW (${billions})`} chartData={cashFlowData} dataKeys={['Operating CF', 'Free Cash Flow', 'CapEx']} colors={['#f59e0b', '#10b981', '#ef4444']} unit="B" />
+        <ChartSection theme={theme} title={`BALANCE SHEET (${billions})`} chartData={balanceData} dataKeys={['Cash & Investments', 'Total Debt']} colors={['#10b981', '#ef4444']} unit="B" />
       </div>
     </div>
   );
@@ -1984,6 +2859,13 @@ function ChartsTab({ theme, viewMode, setViewMode, marginData, returnData, incom
 function ProfileTab({ data, theme }) {
   const websiteUrl = data?.profile?.website;
   const safeUrl = isValidUrl(websiteUrl) ? websiteUrl : null;
+  const shareClasses = data?.shareClasses;
+  const formatShareCount = (num) => {
+    if (!Number.isFinite(num)) return 'N/A';
+    if (Math.abs(num) >= 1e9) return `${(num / 1e9).toFixed(2)}B`;
+    if (Math.abs(num) >= 1e6) return `${(num / 1e6).toFixed(2)}M`;
+    return Math.round(num).toLocaleString();
+  };
 
   return (
     <div className="animate-fadeIn space-y-6" role="tabpanel" id="tabpanel-profile" aria-labelledby="tab-profile">
@@ -2009,6 +2891,43 @@ function ProfileTab({ data, theme }) {
         </div>
       </div>
 
+      {shareClasses && (
+        <div className="p-6 rounded-2xl shadow-sm border border-black/5 dark:border-white/5" style={{ background: theme.bgCard, borderColor: theme.border }}>
+          <h3 className="text-xs font-semibold mb-1 tracking-widest uppercase font-display" style={{ color: theme.textSecondary }}>Share Classes</h3>
+          <div className="text-[10px] mb-5" style={{ color: theme.textTertiary }}>
+            Cover page of the {shareClasses.form || 'latest filing'} as of {shareClasses.asOf || 'N/A'}. Market cap and per-share values use {shareClasses.symbol}-equivalent shares
+            {shareClasses.pricedBy === 'price-ratio' ? ', with conversion ratios read from market prices.' : '; all classes are treated as one-for-one.'}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr>
+                  {['Class', 'Shares Outstanding', 'Last Price', `${shareClasses.symbol} Equivalent`, `${shareClasses.symbol}-Equivalent Shares`].map((h) => (
+                    <th key={h} className="px-3 py-2 text-left font-medium" style={{ color: theme.textTertiary, borderBottom: `1px solid ${theme.border}` }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {shareClasses.classes.map((c, i) => (
+                  <tr key={c.symbol || `unlisted-${i}`} style={{ borderBottom: `1px solid ${theme.border}` }}>
+                    <td className="px-3 py-2 font-semibold" style={{ color: theme.text }}>{c.symbol || 'Unlisted'}{c.exchange ? ` (${c.exchange})` : ''}</td>
+                    <td className="px-3 py-2 tabular-nums" style={{ color: theme.textSecondary }}>{formatShareCount(c.shares)}</td>
+                    <td className="px-3 py-2 tabular-nums" style={{ color: theme.textSecondary }}>{Number.isFinite(c.price) ? `$${c.price.toLocaleString()}` : 'N/A'}</td>
+                    <td className="px-3 py-2 tabular-nums" style={{ color: theme.textSecondary }}>{c.equivalence >= 1 ? `${c.equivalence.toLocaleString()}x` : `1/${Math.round(1 / c.equivalence).toLocaleString()}`}</td>
+                    <td className="px-3 py-2 tabular-nums" style={{ color: theme.textSecondary }}>{formatShareCount(c.shares * c.equivalence)}</td>
+                  </tr>
+                ))}
+                <tr>
+                  <td className="px-3 py-2 font-semibold" style={{ color: theme.text }}>Total</td>
+                  <td colSpan={3} />
+                  <td className="px-3 py-2 tabular-nums font-semibold" style={{ color: theme.text }}>{formatShareCount(shareClasses.economicShares)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Disclaimer */}
       <div className="p-5 rounded-2xl shadow-sm border border-black/5 dark:border-white/5 text-xs leading-relaxed" style={{ background: theme.warningBg, borderColor: theme.warningBorder, color: theme.warningText }}>
         <span className="font-semibold" style={{ color: theme.warningStrong }}>Disclaimer:</span> This calculator provides estimates based on publicly
@@ -4315,7 +5234,15 @@ export default function StockValuationCalculator() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [data, setData] = useState(null);
+  // Resource name -> 'loading' | 'refreshing' | 'loaded' | { error }.
+  const [resources, setResources] = useState({});
+  const currentSymbol = useRef(null);
+  // Resource name -> symbol (and FCF basis) of its latest request; only that
+  // request's response is applied, whichever order they finish in.
+  const latestRequests = useRef({});
   const [viewMode, setViewMode] = useState('annual');
+  const [labelMode, setLabelMode] = useState('fiscal');
+  const [fcfBasis, setFcfBasis] = useState('reported');
   const [activeTab, setActiveTab] = useState('overview');
   const [isDark, setIsDark] = useState(true);
 
@@ -4334,15 +5261,44 @@ export default function StockValuationCalculator() {
 
   const t = isDark ? themes.dark : themes.light;
 
-  const fetchStockData = async () => {
-    const symbol = ticker.trim().toUpperCase();
+  const loadResource = useCallback(async (symbol, name, basis) => {
+    const requestKey = name === 'valuation' ? `${symbol}|${basis}` : symbol;
+    latestRequests.current[name] = requestKey;
+    const isLatest = () => currentSymbol.current === symbol && latestRequests.current[name] === requestKey;
+    setResources((prev) => ({ ...prev, [name]: prev[name] === 'loaded' ? 'refreshing' : 'loading' }));
+    try {
+      const query = name === 'valuation' && basis !== 'reported' ? `?${new URLSearchParams({ fcfBasis: basis })}` : '';
+      const response = await fetch(`/api/stock/${encodeURIComponent(symbol)}/${name}${query}`, {
+        headers: { Accept: 'application/json' },
+      });
+      const { quote, ...result } = await readApiResponse(response);
+      if (!isLatest()) return;
+      // Analysis-backed resources carry the quote of a cached analysis; the
+      // quote resource's own is fresher. Resources carry the freshness
+      // sections they know about; keep the others.
+      setData((prev) => ({
+        ...prev,
+        ...result,
+        ...(name === 'quote' || !prev?.quote ? { quote } : {}),
+        freshness: { ...prev?.freshness, ...result.freshness },
+      }));
+      setResources((prev) => ({ ...prev, [name]: 'loaded' }));
+    } catch (err) {
+      if (!isLatest()) return;
+      setResources((prev) => ({ ...prev, [name]: { error: err.message || 'Failed to fetch data' } }));
+    }
+  }, []);
+
+  // Only the quote is fetched here; tab resources follow in the effect below.
+  const fetchStockData = async ({ symbolOverride = null } = {}) => {
+    const symbol = (symbolOverride || ticker).trim().toUpperCase();
     if (!symbol) {
       setError('Please enter a ticker symbol');
       return;
     }
 
     if (!TICKER_REGEX.test(symbol)) {
-      setError('Invalid ticker. Use 1-10 characters: letters, numbers, dots, or hyphens.');
+      setError('Invalid ticker. Use 1-16 characters: letters, numbers, dots, hyphens, slashes or spaces.');
       return;
     }
 
@@ -4351,30 +5307,17 @@ export default function StockValuationCalculator() {
 
     try {
       setTicker(symbol);
-      const response = await fetch(`/api/stock?ticker=${encodeURIComponent(symbol)}`, {
+      const response = await fetch(`/api/stock/${encodeURIComponent(symbol)}/quote`, {
         headers: { Accept: 'application/json' },
       });
-      const contentType = response.headers.get('content-type') || '';
-      const rawBody = await response.text();
-      const isJson = contentType.includes('application/json');
-      const result = isJson
-        ? JSON.parse(rawBody)
-        : null;
-
-      if (!response.ok) {
-        const apiError = result?.error || result?.detail;
-        if (apiError) throw new Error(apiError);
-        if (!isJson) {
-          throw new Error(`Server returned ${response.status} ${response.statusText}. Try redeploying latest API build.`);
-        }
-        throw new Error('Failed to fetch data');
-      }
-
-      if (!result || typeof result !== 'object') {
-        throw new Error('Unexpected API response format. Expected JSON.');
-      }
+      const result = await readApiResponse(response);
 
+      // BRK.B comes back as BRK-B; later resources use the resolved symbol.
+      const resolved = result.identifiers?.yahoo || symbol;
+      currentSymbol.current = resolved;
+      setTicker(resolved);
       setData(result);
+      setResources({ quote: 'loaded' });
       setActiveTab('overview');
     } catch (err) {
       setError(err.message || 'Failed to fetch data. Please try again.');
@@ -4383,6 +5326,20 @@ export default function StockValuationCalculator() {
     }
   };
 
+  useEffect(() => {
+    const symbol = data?.profile?.symbol;
+    if (!symbol || symbol !== currentSymbol.current) return;
+    for (const name of TAB_RESOURCES[activeTab] || []) {
+      if (!resources[name]) loadResource(symbol, name, fcfBasis);
+    }
+  }, [activeTab, data?.profile?.symbol, fcfBasis, resources, loadResource]);
+
+  // The valuation is the only resource that depends on the FCF basis.
+  const changeFcfBasis = (basis) => {
+    setFcfBasis(basis);
+    if (currentSymbol.current) loadResource(currentSymbol.current, 'valuation', basis);
+  };
+
   const calculatePEGValue = useCallback(() => {
     return data?.valuationRatios?.current?.pegRatio ?? null;
   }, [data]);
@@ -4412,14 +5369,16 @@ export default function StockValuationCalculator() {
     };
   }, [data]);
 
+  const presentationCurrency = data?.reporting?.presentationCurrency || 'USD';
   const formatNumber = useCallback((num, decimals = 2) => {
     if (num === null || num === undefined || isNaN(num)) return 'N/A';
-    if (Math.abs(num) >= 1e12) return `$${(num / 1e12).toFixed(decimals)}T`;
-    if (Math.abs(num) >= 1e9) return `$${(num / 1e9).toFixed(decimals)}B`;
-    if (Math.abs(num) >= 1e6) return `$${(num / 1e6).toFixed(decimals)}M`;
-    if (Math.abs(num) >= 1e3) return `$${(num / 1e3).toFixed(decimals)}K`;
-    return `$${num.toFixed(decimals)}`;
-  }, []);
+    const prefix = currencyPrefix(presentationCurrency);
+    if (Math.abs(num) >= 1e12) return `${prefix}${(num / 1e12).toFixed(decimals)}T`;
+    if (Math.abs(num) >= 1e9) return `${prefix}${(num / 1e9).toFixed(decimals)}B`;
+    if (Math.abs(num) >= 1e6) return `${prefix}${(num / 1e6).toFixed(decimals)}M`;
+    if (Math.abs(num) >= 1e3) return `${prefix}${(num / 1e3).toFixed(decimals)}K`;
+    return `${prefix}${num.toFixed(decimals)}`;
+  }, [presentationCurrency]);
 
   const formatPercent = useCallback((num) => {
     if (num === null || num === undefined || isNaN(num)) return 'N/A';
@@ -4440,7 +5399,7 @@ export default function StockValuationCalculator() {
   const marginData = useMemo(() => {
     if (!data?.ratios) return [];
     return data.ratios.map((r) => ({
-      year: r.calendarYear || r.date?.slice(0, 4),
+      year: periodLabel(r, labelMode),
       'Gross Margin': r.grossProfitMargin !== null && r.grossProfitMargin !== undefined
         ? parseFloat((r.grossProfitMargin * 100).toFixed(1))
         : null,
@@ -4451,55 +5410,49 @@ export default function StockValuationCalculator() {
         ? parseFloat((r.netProfitMargin * 100).toFixed(1))
         : null,
     }));
-  }, [data?.ratios]);
+  }, [data?.ratios, labelMode]);
 
   const returnData = useMemo(() => {
     if (!data?.ratios) return [];
     return data.ratios.map((r) => ({
-      year: r.calendarYear || r.date?.slice(0, 4),
+      year: periodLabel(r, labelMode),
       ROE: parseFloat(((r.returnOnEquity || 0) * 100).toFixed(1)),
       ROIC: parseFloat(((r.returnOnCapitalEmployed || 0) * 100).toFixed(1)),
       ROA: parseFloat(((r.returnOnAssets || 0) * 100).toFixed(1)),
     }));
-  }, [data?.ratios]);
+  }, [data?.ratios, labelMode]);
 
   const incomeData = useMemo(() => {
     const source = viewMode === 'quarterly' ? data?.incomeQ : data?.income;
     if (!source) return [];
     return source.map((i) => ({
-      period: viewMode === 'quarterly'
-        ? `${i.fiscalYear || i.date?.slice(0, 4)} ${i.period || ''}`.trim()
-        : i.calendarYear || i.date?.slice(0, 4),
+      period: periodLabel(i, labelMode),
       Revenue: toBillions(i.revenue),
       'Operating Income': toBillions(i.operatingIncome),
       'Net Income': toBillions(i.netIncome),
     }));
-  }, [data?.income, data?.incomeQ, toBillions, viewMode]);
+  }, [data?.income, data?.incomeQ, toBillions, viewMode, labelMode]);
 
   const cashFlowData = useMemo(() => {
     const source = viewMode === 'quarterly' ? data?.cashflowQ : data?.cashflow;
     if (!source) return [];
     return source.map((c) => ({
-      period: viewMode === 'quarterly'
-        ? `${c.fiscalYear || c.date?.slice(0, 4)} ${c.period || ''}`.trim()
-        : c.calendarYear || c.date?.slice(0, 4),
+      period: periodLabel(c, labelMode),
       'Operating CF': toBillions(c.operatingCashFlow),
       'Free Cash Flow': toBillions(c.freeCashFlow),
       CapEx: toBillions(Math.abs(c.capitalExpenditure || 0)),
     }));
-  }, [data?.cashflow, data?.cashflowQ, toBillions, viewMode]);
+  }, [data?.cashflow, data?.cashflowQ, toBillions, viewMode, labelMode]);
 
   const balanceData = useMemo(() => {
     const source = viewMode === 'quarterly' ? data?.balanceQ : data?.balance;
     if (!source) return [];
     return source.map((b) => ({
-      period: viewMode === 'quarterly'
-        ? `${b.fiscalYear || b.date?.slice(0, 4)} ${b.period || ''}`.trim()
-        : b.calendarYear || b.date?.slice(0, 4),
+      period: periodLabel(b, labelMode),
       'Cash & Investments': toBillions((b.cashAndCashEquivalents || 0) + (b.shortTermInvestments || 0)),
       'Total Debt': toBillions(b.totalDebt || 0),
     }));
-  }, [data?.balance, data?.balanceQ, toBillions, viewMode]);
+  }, [data?.balance, data?.balanceQ, toBillions, viewMode, labelMode]);
 
   const calcCAGR = (values) => {
     if (!values || values.length < 2) return null;
@@ -4523,12 +5476,41 @@ export default function StockValuationCalculator() {
     : null;
 
   const renderTab = () => {
+    const pending = (TAB_RESOURCES[activeTab] || [])
+      .map((name) => resources[name])
+      .filter((status) => status !== 'loaded' && status !== 'refreshing');
+    const failed = pending.find((status) => status?.error);
+    if (failed) {
+      return (
+        <div className="mt-6 p-3 rounded-xl text-xs border flex items-center gap-2" role="alert" style={{ background: t.negativeBg, color: t.negative, borderColor: t.negativeBorder }}>
+          <span className="text-base">!</span> {failed.error}
+        </div>
+      );
+    }
+    if (pending.length > 0) {
+      const label = NAV_TABS.find((tab) => tab.id === activeTab)?.label || 'section';
+      return <div className="mt-6"><SectionLoading theme={t} label={label} /></div>;
+    }
+    const section = TAB_FRESHNESS[activeTab];
+    return (
+      <>
+        {section && data?.freshness?.[section] && (
+          <div className="flex justify-end mb-3">
+            <FreshnessChip section={section} entry={data.freshness[section]} theme={t} />
+          </div>
+        )}
+        {renderTabContent()}
+      </>
+    );
+  };
+
+  const renderTabContent = () => {
     switch (activeTab) {
       case 'overview': return <OverviewTab data={data} verdict={verdict} theme={t} formatNumber={formatNumber} formatPercent={formatPercent} formatRatio={formatRatio} calculatePEGValue={calculatePEGValue} revenueCagr={revenueCagr} fcfCagr={fcfCagr} netMargin={netMargin} marginDelta={marginDelta} />;
-      case 'valuation': return <ValuationTab data={data} theme={t} formatNumber={formatNumber} formatRatio={formatRatio} />;
-      case 'financials': return <FinancialsTab data={data} theme={t} formatPercent={formatPercent} formatRatio={formatRatio} />;
-      case 'operating-metrics': return <OperatingMetricsTab data={data} theme={t} />;
-      case 'charts': return <ChartsTab theme={t} viewMode={viewMode} setViewMode={setViewMode} marginData={marginData} returnData={returnData} incomeData={incomeData} cashFlowData={cashFlowData} balanceData={balanceData} />;
+      case 'valuation': return <ValuationTab data={data} theme={t} formatNumber={formatNumber} formatRatio={formatRatio} fcfBasis={fcfBasis} loading={resources.valuation === 'refreshing'} onFcfBasisChange={changeFcfBasis} />;
+      case 'financials': return <FinancialsTab data={data} theme={t} formatNumber={formatNumber} formatPercent={formatPercent} formatRatio={formatRatio} labelMode={labelMode} setLabelMode={setLabelMode} />;
+      case 'operating-metrics': return <OperatingMetricsTab data={data} theme={t} formatNumber={formatNumber} />;
+      case 'charts': return <ChartsTab theme={t} viewMode={viewMode} setViewMode={setViewMode} labelMode={labelMode} setLabelMode={setLabelMode} currency={presentationCurrency} marginData={marginData} returnData={returnData} incomeData={incomeData} cashFlowData={cashFlowData} balanceData={balanceData} />;
       case 'trading': return <TradingTab data={data} theme={t} />;
       case 'institutional': return <InstitutionalOwnershipTab data={data} theme={t} />;
       case 'insider': return <InsiderActivityTab data={data} theme={t} />;
@@ -4555,29 +5537,13 @@ export default function StockValuationCalculator() {
               <span className="hidden sm:block text-[10px] tracking-wider font-display" style={{ color: t.textTertiary }}>Stock Valuation</span>
             </div>
             <div className="flex items-center gap-2.5">
-              <div className="flex items-center rounded-lg border overflow-hidden" style={{ borderColor: t.border, background: t.bgInput }}>
-                <input
-                  type="text"
-                  value={ticker}
-                  onChange={(e) => setTicker(e.target.value.toUpperCase())}
-                  onKeyDown={(e) => e.key === 'Enter' && fetchStockData()}
-                  placeholder="Ticker..."
-                  aria-label="Stock ticker symbol"
-                  className="w-24 sm:w-36 px-3 py-2 text-xs bg-transparent border-none focus:ring-0 focus:shadow-none"
-                  style={{ color: t.text, outline: 'none', boxShadow: 'none' }}
-                />
-                <button
-                  onClick={fetchStockData}
-                  disabled={loading}
-                  className="px-4 py-2 text-[10px] font-semibold tracking-wider font-display border-l transition-all"
-                  style={loading
-                    ? { background: t.bgElevated, color: t.textTertiary, cursor: 'not-allowed', borderColor: t.border }
-                    : { background: '#2563eb', color: '#fff', borderColor: 'transparent' }
-                  }
-                >
-                  {loading ? '...' : 'GO'}
-                </button>
-              </div>
+              <TickerSearchInput
+                value={ticker}
+                onChange={setTicker}
+                onSubmit={(symbol) => fetchStockData({ symbolOverride: symbol })}
+                loading={loading}
+                theme={t}
+              />
               <button
                 onClick={toggleTheme}
                 className="p-2 rounded-lg border transition-all"
@@ -4664,6 +5630,8 @@ export default function StockValuationCalculator() {
                   {[data?.profile?.symbol, data?.profile?.exchangeShortName, data?.profile?.sector].filter(Boolean).map((tag) => (
                     <span key={tag} className="px-2.5 py-1 rounded-full font-display tracking-wide" style={{ background: isDark ? 'rgba(255,255,255,0.08)' : 'rgba(0,0,0,0.06)', color: isDark ? 'rgba(255,255,255,0.8)' : t.textSecondary }}>{tag}</span>
                   ))}
+                  <FreshnessChip section="fundamentals" entry={data?.freshness?.fundamentals} theme={t} />
+                  <DataHealthBadge validation={data?.dataQuality?.validation} theme={t} />
                 </div>
               </div>
               <div className="text-left sm:text-right">
@@ -0,0 +1,188 @@
+// OpenAPI 3.1 description of the stock API, built from the schemas in
+// lib/api/schema so the document cannot drift from what responses are
+// validated against. Renamed fields appear under their old name as
+// deprecated properties until they are removed.
+
+import {
+  FCF_BASES,
+  RENAMED_FIELDS,
+  RESOURCE_FIELDS,
+  SCHEMAS,
+  SCHEMA_VERSION,
+  resourceSchemaName,
+} from './schema';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+
+const errorResponse = (description) => ({ description, content: json(ref('Error')) });
+const errorResponses = {
+  400: errorResponse('Invalid ticker or query parameter'),
+  404: errorResponse('Ticker or CIK not found'),
+  500: errorResponse('Upstream or analysis failure'),
+};
+
+const tickerSchema = { type: 'string', pattern: '^[A-Za-z0-9.\\-^/ ]{1,16}$' };
+const tickerQuery = {
+  name: 'ticker',
+  in: 'query',
+  required: false,
+  description: 'Ticker in SEC, Yahoo or dotted/slashed form (BRK-B, BRK.B, BRK/B). Required unless `cik` is given.',
+  schema: tickerSchema,
+};
+const cikQuery = {
+  name: 'cik',
+  in: 'query',
+  required: false,
+  description: 'SEC CIK, with or without zero padding or a `CIK` prefix, instead of `ticker`.',
+  schema: { type: 'string', pattern: '^(CIK)?[0-9]{1,10}$' },
+};
+const fcfBasisQuery = {
+  name: 'fcfBasis',
+  in: 'query',
+  required: false,
+  description: 'Cash flow basis for the cash-flow valuation methods.',
+  schema: { type: 'string', enum: FCF_BASES, default: 'reported' },
+};
+
+// Copies the target property's schema to the old name, marked deprecated.
+function withDeprecatedAliases(schemas) {
+  const result = structuredClone(schemas);
+  for (const { from, to, removeIn } of RENAMED_FIELDS) {
+    const fromKeys = from.split('.');
+    const toKeys = to.split('.');
+    let parent = result.StockResponse;
+    for (const key of fromKeys.slice(0, -1)) {
+      const next = parent?.properties?.[key];
+      parent = next?.$ref ? result[next.$ref.split('/').pop()] : next;
+    }
+    let target = result.StockResponse;
+    for (const key of toKeys) {
+      const next = target?.properties?.[key];
+      target = next?.$ref ? result[next.$ref.split('/').pop()] : next;
+    }
+    if (!parent?.properties || !target) continue;
+    parent.properties[fromKeys[fromKeys.length - 1]] = {
+      ...target,
+      deprecated: true,
+      description: `Renamed to \`${to}\`; removed in schema ${removeIn}.`,
+    };
+  }
+  return result;
+}
+
+export function buildOpenApiDocument() {
+  const resources = Object.keys(RESOURCE_FIELDS);
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Stock Valuation Calculator API',
+      version: SCHEMA_VERSION,
+      description: 'Responses carry `schemaVersion`. Minor versions only add fields; renamed fields keep their old name (deprecated) until the next major version.',
+    },
+    paths: {
+      '/api/stock': {
+        get: {
+          summary: 'Full analysis for one ticker',
+          parameters: [
+            tickerQuery,
+            cikQuery,
+            fcfBasisQuery,
+            {
+              name: 'stream',
+              in: 'query',
+              required: false,
+              description: 'With `1`, the response is NDJSON: `{ part, data }` lines for `quote`, `history`, `fundamentals`, then `complete` (a StockResponse) or `error`.',
+              schema: { type: 'string', enum: ['1'] },
+            },
+          ],
+          responses: {
+            200: {
+              description: 'Analysis',
+              content: {
+                ...json(ref('StockResponse')),
+                'application/x-ndjson': { schema: { type: 'string' } },
+              },
+            },
+            ...errorResponses,
+          },
+        },
+      },
+      '/api/stock/{ticker}/{resource}': {
+        get: {
+          summary: 'One slice of the analysis, cached independently',
+          parameters: [
+            {
+              name: 'ticker',
+              in: 'path',
+              required: true,
+              description: 'Ticker as for `/api/stock`, or a CIK (all digits, optional `CIK` prefix).',
+              schema: tickerSchema,
+            },
+            { name: 'resource', in: 'path', required: true, schema: { type: 'string', enum: resources } },
+            { ...fcfBasisQuery, description: 'Applies to the analysis-backed resources.' },
+          ],
+          responses: {
+            200: {
+              description: 'Resource',
+              content: json({ oneOf: resources.map((resource) => ref(resourceSchemaName(resource))) }),
+            },
+            ...errorResponses,
+          },
+        },
+      },
+      '/api/stock/batch': {
+        get: {
+          summary: 'Summaries for up to 25 tickers',
+          parameters: [
+            { name: 'tickers', in: 'query', required: true, description: 'Comma-separated tickers.', schema: { type: 'string' } },
+            fcfBasisQuery,
+          ],
+          responses: {
+            200: { description: 'Per-ticker results', content: json(ref('BatchResponse')) },
+            400: errorResponse('No tickers, too many tickers or an invalid fcfBasis'),
+          },
+        },
+        post: {
+          summary: 'Summaries for up to 25 tickers',
+          requestBody: {
+            required: true,
+            content: json({
+              type: 'object',
+              properties: {
+                tickers: { type: 'array', items: { type: 'string' } },
+                fcfBasis: fcfBasisQuery.schema,
+              },
+              required: ['tickers'],
+            }),
+          },
+          responses: {
+            200: { description: 'Per-ticker results', content: json(ref('BatchResponse')) },
+            400: errorResponse('Body is not JSON, or no tickers, too many tickers or an invalid fcfBasis'),
+          },
+        },
+      },
+      '/api/search': {
+        get: {
+          summary: 'Tickers and companies matching a ticker or (part of) a company name, best first',
+          parameters: [
+            { name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: 1, maxLength: 64 } },
+            { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 25, default: 10 } },
+          ],
+          responses: {
+            200: { description: 'Ranked matches', content: json(ref('SearchResponse')) },
+            400: errorResponse('Missing or too long query, or invalid limit'),
+            500: errorResponse('SEC ticker lists unavailable'),
+          },
+        },
+      },
+      '/api/openapi.json': {
+        get: {
+          summary: 'This document',
+          responses: { 200: { description: 'OpenAPI document', content: json({ type: 'object' }) } },
+        },
+      },
+    },
+    components: { schemas: withDeprecatedAliases(SCHEMAS) },
+  };
+}
@@ -0,0 +1,367 @@
+// Response contract of the stock API.
+//
+// Schemas are JSON Schema (the subset lib/api/validate understands) and are
+// published as OpenAPI components at /api/openapi.json. They pin what clients
+// rely on: required keys and their types. Objects stay open
+// (additionalProperties is allowed) so adding a field is never a break.
+//
+// Compatibility policy, by `schemaVersion` (semver):
+// - adding a field or a resource is a minor version;
+// - renaming a field is a minor version too, but the old name keeps being
+//   sent alongside the new one (see RENAMED_FIELDS) until the next major;
+// - removing a field, removing an alias or changing a type is a major version;
+// - correcting a schema to what the API already sends is a patch version.
+
+export const SCHEMA_VERSION = '1.6.0';
+
+// { from, to, since, removeIn }: `from` is the old dotted path, answered with
+// the value at `to` until `removeIn`. Empty while nothing has been renamed.
+export const RENAMED_FIELDS = [];
+
+// Accepted values of the `fcfBasis` query parameter.
+export const FCF_BASES = ['reported', 'after-sbc'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, type: [].concat(schema.type, 'null') });
+const string = { type: 'string' };
+const number = { type: 'number' };
+const numberOrNull = nullable(number);
+const stringOrNull = nullable(string);
+const objectOrNull = { type: ['object', 'null'] };
+const arrayOf = (items) => ({ type: 'array', items });
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', properties, required });
+const numbers = (keys) => Object.fromEntries(keys.map((key) => [key, numberOrNull]));
+
+// Period label fields shared by statement, ratio and metric rows.
+const periodFields = {
+  date: string,
+  fiscalYear: string,
+  calendarYear: string,
+  fiscalLabel: string,
+  calendarLabel: string,
+};
+
+// `optional` amounts are typed but may be absent.
+const statementRow = (amounts, optional = []) => object(
+  {
+    ...periodFields,
+    period: string,
+    calendarQuarter: stringOrNull,
+    currency: string,
+    sources: { type: 'object' },
+    ...numbers([...amounts, ...optional]),
+  },
+  ['date', 'fiscalYear', 'calendarYear', 'fiscalLabel', 'calendarLabel', 'period', ...amounts]
+);
+
+const schemas = {
+  Error: object({ error: string, detail: string }, ['error']),
+
+  Profile: object({
+    symbol: string,
+    companyName: string,
+    exchangeShortName: string,
+    sector: string,
+    industry: string,
+    description: string,
+    ceo: string,
+    fullTimeEmployees: number,
+    website: string,
+  }),
+
+  // Prices in the quote currency; `changesPercentage` is in percent.
+  Quote: object({
+    price: number,
+    change: number,
+    changesPercentage: number,
+    marketCap: number,
+    pe: numberOrNull,
+  }),
+
+  IncomeRow: statementRow(['revenue', 'costOfRevenue', 'grossProfit', 'operatingIncome', 'netIncome']),
+  // totalLiabilities excludes noncontrolling interests (minorityInterest).
+  BalanceRow: statementRow(['totalAssets', 'totalEquity', 'cashAndCashEquivalents', 'totalDebt'], ['totalLiabilities', 'minorityInterest']),
+  CashflowRow: statementRow(['operatingCashFlow', 'capitalExpenditure', 'freeCashFlow']),
+
+  Ttm: nullable(object({
+    periodEnd: string,
+    incomeQuarterEnds: arrayOf(string),
+    cashflowQuarterEnds: arrayOf(string),
+    ...numbers(['revenue', 'operatingIncome', 'netIncome', 'operatingCashFlow', 'capitalExpenditure', 'freeCashFlow', 'eps']),
+  })),
+
+  // Ratios are fractions (0.25 = 25%).
+  RatioRow: object(
+    { ...periodFields, ...numbers(['grossProfitMargin', 'operatingProfitMargin', 'netProfitMargin', 'returnOnEquity', 'returnOnAssets', 'returnOnCapitalEmployed', 'debtToEquityRatio', 'currentRatio']) },
+    ['date', 'fiscalYear', 'calendarYear', 'fiscalLabel', 'calendarLabel', 'netProfitMargin', 'returnOnEquity']
+  ),
+
+  CompositeMethod: object({ key: string, label: string, value: number, weight: numberOrNull, type: string }, ['key', 'label', 'value']),
+
+  // Per-share values in the quote currency; null when a method does not apply.
+  Dcf: object(
+    {
+      ...numbers([
+        'dcfOperatingCashFlow', 'dcfFreeCashFlow', 'dcfNetIncome', 'dcfTerminal', 'fairValuePS', 'fairValuePE',
+        'fairValuePB', 'pegValue', 'psgValue', 'grahamNumber', 'earningsPowerValue', 'excessReturnValue',
+        'fairValuePTBV', 'fairValuePFFO', 'netAssetValue', 'ddmValue', 'compositeValue', 'coreCompositeValue',
+        'upside',
+      ]),
+      compositeMethods: arrayOf(ref('CompositeMethod')),
+      coreCompositeMethods: arrayOf(ref('CompositeMethod')),
+      compositeSource: string,
+      valuationModel: string,
+      // Null without a positive quote (halted or delisted).
+      currentPrice: numberOrNull,
+      discountRate: number,
+      terminalGrowth: number,
+      confidence: { type: 'object' },
+      assumptions: { type: 'object' },
+    },
+    ['compositeValue', 'compositeMethods', 'compositeSource', 'valuationModel', 'currentPrice', 'upside', 'discountRate', 'terminalGrowth', 'assumptions']
+  ),
+
+  ValuationRatios: object({
+    historical: arrayOf({ type: 'object' }),
+    current: object(numbers(['peRatio', 'psRatio', 'pbRatio', 'pegRatio', 'psgRatio'])),
+    tenYearAvg: { type: 'object' },
+    other: object(
+      numbers([
+        'forwardPE', 'earningsYield', 'enterpriseValue', 'evToEBITDA', 'evToRevenue', 'meanPE', 'meanPEValue',
+        'meanPS', 'meanPSValue', 'meanPB', 'meanPBValue', 'dcf20Year', 'dfcf20Year', 'dni20Year', 'dfcfTerminal',
+      ]),
+      []
+    ),
+  }),
+
+  FactorRanking: object({ score: number, rank: string }),
+
+  Dividends: object(
+    {
+      source: { type: 'string', enum: ['yahoo', 'sec'] },
+      events: arrayOf(object({ date: string, amount: number })),
+      history: arrayOf(object({ fiscalYear: number, fiscalLabel: string, dividendPerShare: number, source: string }, ['fiscalYear', 'dividendPerShare'])),
+      ...numbers(['trailingDividendPerShare', 'dividendYield', 'cagr3Year', 'cagr5Year', 'cagr10Year']),
+      consecutiveYearsPaid: number,
+      consecutiveIncreases: number,
+      ddm: objectOrNull,
+    },
+    ['source', 'events', 'history', 'trailingDividendPerShare', 'dividendYield', 'ddm']
+  ),
+
+  PriceBar: object({ date: string, ...numbers(['open', 'high', 'low', 'close', 'volume']) }),
+
+  // `reason` is set instead of levels when history is too short.
+  TradingSignals: object(
+    { action: string, regime: string, confidence: number, reason: string, mean: numberOrNull, zScore: numberOrNull, rationale: arrayOf(string) },
+    ['action', 'regime', 'confidence']
+  ),
+
+  // One upstream's calls for this response (lib/upstream/scheduler).
+  UpstreamSummary: object({
+    requests: number,
+    coalesced: number,
+    retries: number,
+    failures: number,
+    totalMs: number,
+    calls: arrayOf(object(
+      { label: string, status: { type: ['string', 'number'] }, ms: number, retries: number, queuedMs: number, coalesced: { type: 'boolean' } },
+      ['label', 'status', 'ms', 'retries']
+    )),
+  }),
+
+  // lib/quality/audit: `checks` counts the comparisons each check made.
+  DataValidation: object({
+    status: { type: 'string', enum: ['good', 'fair', 'poor'] },
+    counts: object({ error: number, warning: number }),
+    checks: { type: 'object', additionalProperties: number },
+    findings: arrayOf(object(
+      {
+        check: string,
+        severity: { type: 'string', enum: ['error', 'warning'] },
+        statement: string,
+        field: string,
+        date: stringOrNull,
+        fiscalLabel: stringOrNull,
+        message: string,
+        expected: numberOrNull,
+        actual: numberOrNull,
+      },
+      ['check', 'severity', 'statement', 'field', 'date', 'message']
+    )),
+  }),
+
+  // lib/quality/freshness: `asOf` is null (and status 'unknown') without a date.
+  FreshnessEntry: object(
+    {
+      asOf: stringOrNull,
+      ageDays: numberOrNull,
+      status: { type: 'string', enum: ['fresh', 'aging', 'stale', 'unknown'] },
+      thresholds: object({ fresh: number, stale: number }),
+      periodEnd: stringOrNull,
+      fiscalLabel: stringOrNull,
+      filed: stringOrNull,
+      form: stringOrNull,
+      source: stringOrNull,
+    },
+    ['asOf', 'ageDays', 'status', 'thresholds']
+  ),
+
+  // Sections present depend on the resource; the full response has all four.
+  Freshness: object(
+    Object.fromEntries(['fundamentals', 'priceHistory', 'insiders', 'ownership'].map((section) => [section, ref('FreshnessEntry')])),
+    []
+  ),
+
+  // lib/market/symbols: how the request resolved. `sec` is null for symbols
+  // SEC does not list (indices, non-US listings); `cik` is null when SEC's
+  // ticker map has no entry for the symbol or could not be loaded.
+  Identifiers: object(
+    {
+      input: string,
+      resolvedBy: { type: 'string', enum: ['ticker', 'cik'] },
+      kind: { type: 'string', enum: ['common', 'class', 'preferred', 'unit', 'warrant', 'other', 'foreign', 'index'] },
+      yahoo: string,
+      sec: stringOrNull,
+      cik: stringOrNull,
+    }
+  ),
+
+  InsiderTransaction: object(
+    { date: string, insider: string, relation: string, side: string, shares: numberOrNull, value: numberOrNull },
+    ['date', 'insider', 'side']
+  ),
+};
+
+schemas.StockResponse = object({
+  schemaVersion: string,
+  identifiers: ref('Identifiers'),
+  profile: ref('Profile'),
+  quote: ref('Quote'),
+  favorites: { type: 'object' },
+  income: arrayOf(ref('IncomeRow')),
+  incomeQ: arrayOf(ref('IncomeRow')),
+  balance: arrayOf(ref('BalanceRow')),
+  balanceQ: arrayOf(ref('BalanceRow')),
+  cashflow: arrayOf(ref('CashflowRow')),
+  cashflowQ: arrayOf(ref('CashflowRow')),
+  ttm: ref('Ttm'),
+  restatements: arrayOf(object({ statement: string, field: string, date: string, changePct: numberOrNull }, ['statement', 'field', 'date'])),
+  shareClasses: objectOrNull,
+  reporting: object({
+    taxonomy: string,
+    currency: string,
+    presentationCurrency: string,
+    adr: nullable(object({ sharesPerAdr: number, source: stringOrNull, mismatch: { type: 'boolean' } })),
+    currencies: { type: 'object' },
+    fx: objectOrNull,
+  }),
+  sectorModel: object({ model: string, basis: string, ratios: arrayOf({ type: 'object' }), valuation: objectOrNull }, ['model', 'ratios', 'valuation']),
+  capitalAllocation: object({ years: arrayOf({ type: 'object' }), scorecard: objectOrNull }),
+  dividends: ref('Dividends'),
+  fiscalCalendar: object({ fiscalYearEnd: string, source: { type: 'string', enum: ['default', 'sec-submissions'] } }),
+  ratios: arrayOf(ref('RatioRow')),
+  metrics: arrayOf({ type: 'object' }),
+  dcf: ref('Dcf'),
+  valuationRatios: ref('ValuationRatios'),
+  factorRankings: {
+    type: 'object',
+    additionalProperties: ref('FactorRanking'),
+  },
+  insiderTransactions: arrayOf(ref('InsiderTransaction')),
+  insiderSelling: arrayOf(ref('InsiderTransaction')),
+  institutionalOwnership: { type: 'object' },
+  priceHistory: arrayOf(ref('PriceBar')),
+  tradingSignals: ref('TradingSignals'),
+  freshness: ref('Freshness'),
+  dataQuality: object(
+    {
+      provider: string,
+      cache: { type: 'object' },
+      upstream: { type: 'object', additionalProperties: ref('UpstreamSummary') },
+      validation: ref('DataValidation'),
+    },
+    ['provider', 'cache']
+  ),
+});
+
+// Slices of StockResponse served by /api/stock/[ticker]/[resource].
+export const RESOURCE_FIELDS = {
+  quote: ['identifiers', 'profile', 'quote'],
+  trading: ['priceHistory', 'tradingSignals', 'freshness'],
+  financials: [
+    'identifiers', 'profile', 'reporting', 'fiscalCalendar', 'shareClasses',
+    'income', 'incomeQ', 'balance', 'balanceQ', 'cashflow', 'cashflowQ', 'ttm', 'restatements',
+    'ratios', 'metrics', 'sectorModel', 'capitalAllocation', 'dataQuality', 'freshness',
+  ],
+  valuation: ['quote', 'reporting', 'favorites', 'dcf', 'valuationRatios', 'factorRankings', 'dividends', 'freshness'],
+  ownership: ['institutionalOwnership', 'insiderTransactions', 'insiderSelling', 'freshness'],
+};
+
+export const resourceSchemaName = (resource) => `${resource[0].toUpperCase()}${resource.slice(1)}Resource`;
+
+for (const [resource, fields] of Object.entries(RESOURCE_FIELDS)) {
+  schemas[resourceSchemaName(resource)] = object(
+    Object.fromEntries(['schemaVersion', ...fields].map((key) => [key, schemas.StockResponse.properties[key]]))
+  );
+}
+
+schemas.BatchResult = object(
+  {
+    ticker: string,
+    status: { type: 'string', enum: ['ok', 'error'] },
+    httpStatus: number,
+    error: string,
+    name: stringOrNull,
+    price: numberOrNull,
+    fairValue: numberOrNull,
+    upside: numberOrNull,
+  },
+  ['ticker', 'status']
+);
+
+schemas.BatchResponse = object({
+  schemaVersion: string,
+  requested: number,
+  succeeded: number,
+  failed: number,
+  results: arrayOf(ref('BatchResult')),
+});
+
+// /api/search (lib/search/tickers); `exchange` is null for tickers only in
+// SEC's plain ticker list.
+schemas.SearchResult = object({
+  ticker: string,
+  name: string,
+  exchange: stringOrNull,
+  cik: stringOrNull,
+  score: number,
+  match: { type: 'string', enum: ['exact', 'ticker', 'name', 'fuzzy'] },
+});
+
+schemas.SearchResponse = object({
+  schemaVersion: string,
+  query: string,
+  results: arrayOf(ref('SearchResult')),
+});
+
+export const SCHEMAS = schemas;
+
+// Adds the old name of every renamed field that is present under its new name.
+export function applyFieldAliases(payload) {
+  for (const { from, to } of RENAMED_FIELDS) {
+    const value = readPath(payload, to);
+    if (value === undefined) continue;
+    const keys = from.split('.');
+    const parent = readPath(payload, keys.slice(0, -1).join('.'));
+    if (parent && typeof parent === 'object' && !(keys[keys.length - 1] in parent)) {
+      parent[keys[keys.length - 1]] = value;
+    }
+  }
+  return payload;
+}
+
+function readPath(value, path) {
+  if (!path) return value;
+  return path.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), value);
+}
@@ -0,0 +1,95 @@
+// Minimal JSON Schema validator for the response contract in lib/api/schema:
+// type (including type arrays and 'integer'), enum, required, properties,
+// additionalProperties, items and local $refs. Nothing else is interpreted.
+//
+// STOCK_SCHEMA_VALIDATION selects what happens to responses: 'off' (default in
+// production), 'warn' (default elsewhere; violations are logged) or 'strict'
+// (violations fail the request, for test runs against fixtures).
+
+import { SCHEMAS } from './schema';
+
+const MAX_REPORTED_ERRORS = 20;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolve(schema) {
+  if (!schema?.$ref) return schema;
+  const name = schema.$ref.replace('#/components/schemas/', '');
+  const target = SCHEMAS[name];
+  if (!target) throw new Error(`Unknown schema reference ${schema.$ref}`);
+  return target;
+}
+
+function check(schema, value, path, errors) {
+  if (errors.length >= MAX_REPORTED_ERRORS) return;
+  const resolved = resolve(schema);
+  if (!resolved) return;
+
+  if (resolved.type) {
+    const types = [].concat(resolved.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(' | ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    errors.push(`${path}: ${JSON.stringify(value)} is not one of ${resolved.enum.join(', ')}`);
+    return;
+  }
+
+  if (Array.isArray(value) && resolved.items) {
+    value.forEach((item, index) => check(resolved.items, item, `${path}[${index}]`, errors));
+    return;
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of resolved.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: required`);
+    }
+    const properties = resolved.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        check(properties[key], item, `${path}.${key}`, errors);
+      } else if (resolved.additionalProperties === false) {
+        errors.push(`${path}.${key}: not allowed`);
+      } else if (resolved.additionalProperties && typeof resolved.additionalProperties === 'object') {
+        check(resolved.additionalProperties, item, `${path}.${key}`, errors);
+      }
+    }
+  }
+}
+
+// Violations of `SCHEMAS[name]` by `value`, as "path: message" strings.
+export function validateSchema(name, value) {
+  const errors = [];
+  check({ $ref: `#/components/schemas/${name}` }, value, '$', errors);
+  return errors;
+}
+
+export function schemaValidationMode() {
+  const mode = process.env.STOCK_SCHEMA_VALIDATION;
+  if (['off', 'warn', 'strict'].includes(mode)) return mode;
+  return process.env.NODE_ENV === 'production' ? 'off' : 'warn';
+}
+
+// Checks a response against its schema per schemaValidationMode(); throws in
+// strict mode so the route answers with its usual 500.
+export function enforceSchema(name, value) {
+  const mode = schemaValidationMode();
+  if (mode === 'off') return;
+  const errors = validateSchema(name, value);
+  if (errors.length === 0) return;
+  const summary = `${name} does not match schema: ${errors.join('; ')}`;
+  if (mode === 'strict') throw new Error(summary);
+  console.warn(summary);
+}
@@ -0,0 +1,179 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Per-source freshness policy. Within `ttlMs` an entry is served as-is; within
+// `ttlMs + staleMs` it is served immediately while a background refresh runs;
+// past that the caller waits for a (conditional) refetch.
+export const CACHE_POLICIES = {
+  tickerMap: { ttlMs: 24 * HOUR, staleMs: 7 * DAY },
+  tickerExchangeMap: { ttlMs: 24 * HOUR, staleMs: 7 * DAY },
+  companyfacts: { ttlMs: 12 * HOUR, staleMs: 7 * DAY },
+  submissions: { ttlMs: 6 * HOUR, staleMs: 3 * DAY },
+  history: { ttlMs: 6 * HOUR, staleMs: 2 * DAY },
+  splits: { ttlMs: 24 * HOUR, staleMs: 7 * DAY },
+  dividends: { ttlMs: 24 * HOUR, staleMs: 7 * DAY },
+};
+
+// The in-memory front is bounded by the JSON size of what it holds (parsed
+// objects take a few times more). A single entry over a quarter of the budget,
+// such as a large filer's companyfacts, is only kept on disk.
+const MEMORY_BYTE_LIMIT = 32 * 1024 * 1024;
+const MEMORY_ENTRY_SHARE = 0.25;
+
+function safeKey(key) {
+  return String(key).replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+// File-backed cache store with an in-memory front, least recently used first
+// out, so hot payloads are not re-read and re-parsed on every request.
+export function createDiskCache(dir, { memoryBytes = MEMORY_BYTE_LIMIT } = {}) {
+  const memory = new Map();
+  let memoryUsed = 0;
+
+  const fileFor = (source, key) => path.join(dir, source, `${safeKey(key)}.json`);
+
+  const forget = (file) => {
+    const held = memory.get(file);
+    if (!held) return;
+    memory.delete(file);
+    memoryUsed -= held.bytes;
+  };
+
+  // `bytes` is the entry's JSON length.
+  const remember = (file, entry, bytes) => {
+    forget(file);
+    if (bytes > memoryBytes * MEMORY_ENTRY_SHARE) return;
+    memory.set(file, { entry, bytes });
+    memoryUsed += bytes;
+    for (const [oldest, held] of memory) {
+      if (memoryUsed <= memoryBytes) break;
+      memory.delete(oldest);
+      memoryUsed -= held.bytes;
+    }
+  };
+
+  return {
+    async read(source, key) {
+      const file = fileFor(source, key);
+      const held = memory.get(file);
+      if (held) {
+        remember(file, held.entry, held.bytes);
+        return held.entry;
+      }
+      try {
+        const text = await fs.readFile(file, 'utf8');
+        const entry = JSON.parse(text);
+        remember(file, entry, text.length);
+        return entry;
+      } catch {
+        return null;
+      }
+    },
+    async write(source, key, entry) {
+      const file = fileFor(source, key);
+      const text = JSON.stringify(entry);
+      remember(file, entry, text.length);
+      try {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, text);
+        await fs.rename(tmp, file);
+      } catch (error) {
+        // Read-only or full filesystems degrade to the in-memory layer, for
+        // entries small enough to be held there.
+        console.warn(`cache write failed for ${source}/${key}: ${error?.message || error}`);
+      }
+    },
+  };
+}
+
+let sharedCache = null;
+
+export function getSharedCache() {
+  if (!sharedCache) {
+    sharedCache = createDiskCache(process.env.STOCK_CACHE_DIR || path.join(os.tmpdir(), 'stock-valuation-cache'));
+  }
+  return sharedCache;
+}
+
+const refreshing = new Map();
+const loading = new Map();
+
+async function refresh(store, source, key, entry, load) {
+  const result = await load({ etag: entry?.etag || null, lastModified: entry?.lastModified || null });
+  const now = Date.now();
+  if (result?.notModified && entry) {
+    const renewed = { ...entry, fetchedAt: now };
+    await store.write(source, key, renewed);
+    return { entry: renewed, status: 'revalidated' };
+  }
+  const fresh = {
+    fetchedAt: now,
+    etag: result?.etag || null,
+    lastModified: result?.lastModified || null,
+    data: result?.data,
+  };
+  await store.write(source, key, fresh);
+  return { entry: fresh, status: 'miss' };
+}
+
+// Concurrent misses for one key (e.g. a batch whose tickers all need the SEC
+// ticker map) share a single upstream request.
+function loadOnce(store, source, key, entry, load) {
+  const loadKey = `${source}/${key}`;
+  if (!loading.has(loadKey)) {
+    loading.set(loadKey, refresh(store, source, key, entry, load).finally(() => loading.delete(loadKey)));
+  }
+  return loading.get(loadKey);
+}
+
+// Loads `source/key` through the cache. `load(validators)` must resolve to
+// `{ data, etag?, lastModified? }` or `{ notModified: true }` when the upstream
+// honoured If-None-Match / If-Modified-Since. Status is written to
+// `trace.cache[source]` as one of hit | stale | revalidated | miss | stale-error.
+export async function cachedLoad(store, { source, key, load, trace }) {
+  const policy = CACHE_POLICIES[source] || { ttlMs: HOUR, staleMs: 0 };
+  const entry = await store.read(source, key);
+  const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+  const report = (status, ageMs) => {
+    if (trace?.cache) {
+      trace.cache[source] = {
+        key: String(key),
+        status,
+        ageSeconds: Number.isFinite(ageMs) ? Math.round(ageMs / 1000) : null,
+      };
+    }
+  };
+
+  if (entry && age < policy.ttlMs) {
+    report('hit', age);
+    return entry.data;
+  }
+
+  const refreshKey = `${source}/${key}`;
+  if (entry && age < policy.ttlMs + policy.staleMs) {
+    if (!refreshing.has(refreshKey)) {
+      const pending = refresh(store, source, key, entry, load)
+        .catch(() => null)
+        .finally(() => refreshing.delete(refreshKey));
+      refreshing.set(refreshKey, pending);
+    }
+    report('stale', age);
+    return entry.data;
+  }
+
+  try {
+    const { entry: next, status } = await loadOnce(store, source, key, entry, load);
+    report(status, 0);
+    return next.data;
+  } catch (error) {
+    if (!entry) throw error;
+    report('stale-error', age);
+    return entry.data;
+  }
+}
@@ -0,0 +1,148 @@
+// Capital allocation: where operating cash goes, and what buybacks achieve.
+//
+// Cash flow rows carry outflows as negatives (see the statement rows in the
+// stock route); amounts here are positive. Shareholder yield follows the
+// usual definition: dividends, plus buybacks net of stock issued, plus debt
+// repaid net of debt raised, over market capitalisation. Share counts and
+// repurchased shares are on today's split basis and prices are Yahoo's
+// split-adjusted closes, so per-share prices compare across years.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SUMMARY_YEARS = 5;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const amount = (value) => (isNumber(value) ? Math.abs(value) : null);
+const ratio = (numerator, denominator) => (
+  isNumber(numerator) && isNumber(denominator) && denominator > 0 ? numerator / denominator : null
+);
+const sum = (values) => values.reduce((total, value) => total + (isNumber(value) ? value : 0), 0);
+const total = (values) => (values.some(isNumber) ? sum(values) : null);
+
+// Mean close over the year ending on `endDate`.
+function averageClose(priceHistory, endDate) {
+  const start = new Date(new Date(`${endDate}T00:00:00Z`).getTime() - 365 * DAY_MS).toISOString().slice(0, 10);
+  const closes = (priceHistory || [])
+    .filter((bar) => bar.date > start && bar.date <= endDate && isNumber(bar.close))
+    .map((bar) => bar.close);
+  return closes.length > 0 ? closes.reduce((a, b) => a + b, 0) / closes.length : null;
+}
+
+function closeAtOrBefore(priceHistory, date) {
+  for (let i = (priceHistory || []).length - 1; i >= 0; i--) {
+    if (priceHistory[i].date <= date && isNumber(priceHistory[i].close)) return priceHistory[i].close;
+  }
+  return null;
+}
+
+// Per-year breakdown, oldest first. `cashflow` rows are annual; `sharesFor(row)`
+// returns the diluted share count for a row's year; `sharesRepurchased` maps a
+// period end to the number of shares bought back.
+export function buildCapitalAllocation({ cashflow, sharesFor, sharesRepurchased, priceHistory }) {
+  const rows = cashflow || [];
+  return rows.map((row, i) => {
+    const capex = amount(row.capitalExpenditure);
+    const acquisitions = amount(row.acquisitionsNet);
+    const dividends = amount(row.dividendsPaid);
+    const buybacks = amount(row.commonStockRepurchased);
+    const stockIssued = amount(row.commonStockIssued);
+    const debtIssued = amount(row.debtIssued);
+    const debtRepaid = amount(row.debtRepayment);
+    const netDebtPaydown = isNumber(debtRepaid) || isNumber(debtIssued) ? (debtRepaid ?? 0) - (debtIssued ?? 0) : null;
+    const netBuybacks = isNumber(buybacks) ? buybacks - (stockIssued ?? 0) : null;
+
+    // Deployment mix across the five uses; net borrowing is a source, not a use.
+    const uses = { capex, acquisitions, dividends, buybacks, debtPaydown: isNumber(netDebtPaydown) ? Math.max(netDebtPaydown, 0) : null };
+    const deployed = sum(Object.values(uses));
+    const mix = Object.fromEntries(Object.entries(uses).map(([key, value]) => [key, deployed > 0 && isNumber(value) ? value / deployed : null]));
+
+    const shares = sharesFor(row);
+    const previousShares = i > 0 ? sharesFor(rows[i - 1]) : null;
+    const price = closeAtOrBefore(priceHistory, row.date);
+    const marketCap = isNumber(price) && shares > 0 ? price * shares : null;
+    const dividendYield = ratio(dividends, marketCap);
+    const netBuybackYield = ratio(netBuybacks, marketCap);
+    const debtPaydownYield = ratio(netDebtPaydown, marketCap);
+    const repurchasedShares = sharesRepurchased?.get(row.date) ?? null;
+    const averageRepurchasePrice = ratio(buybacks, repurchasedShares);
+    const averageMarketPrice = averageClose(priceHistory, row.date);
+
+    return {
+      date: row.date,
+      calendarYear: row.calendarYear,
+      fiscalYear: row.fiscalYear,
+      fiscalLabel: row.fiscalLabel,
+      calendarLabel: row.calendarLabel,
+      operatingCashFlow: isNumber(row.operatingCashFlow) ? row.operatingCashFlow : null,
+      capex,
+      acquisitions,
+      dividends,
+      buybacks,
+      stockIssued,
+      debtIssued,
+      debtRepaid,
+      netDebtPaydown,
+      deployed,
+      mix,
+      sharesOutstanding: shares ?? null,
+      shareCountChange: previousShares > 0 && shares > 0 ? shares / previousShares - 1 : null,
+      marketCap,
+      dividendYield,
+      netBuybackYield,
+      debtPaydownYield,
+      netShareholderYield: isNumber(marketCap) ? sum([dividendYield, netBuybackYield, debtPaydownYield]) : null,
+      repurchasedShares,
+      averageRepurchasePrice,
+      averageMarketPrice,
+      repurchasePremium: isNumber(averageRepurchasePrice) && averageMarketPrice > 0
+        ? averageRepurchasePrice / averageMarketPrice - 1
+        : null,
+    };
+  });
+}
+
+// Scorecard over the last five years: current net shareholder yield (latest
+// year's flows on today's market cap), dollar-weighted repurchase price versus
+// the average market price in the same years, and the net change in the
+// diluted share count.
+export function capitalAllocationScorecard(years, { marketCap } = {}) {
+  const recent = (years || []).slice(-SUMMARY_YEARS);
+  const latest = recent[recent.length - 1];
+  if (!latest) return null;
+
+  const netBuybacks = isNumber(latest.buybacks) ? latest.buybacks - (latest.stockIssued ?? 0) : null;
+  const currentYield = isNumber(marketCap) && marketCap > 0
+    ? sum([latest.dividends, netBuybacks, latest.netDebtPaydown]) / marketCap
+    : null;
+
+  const yields = recent.map((year) => year.netShareholderYield).filter(isNumber);
+  const priced = recent.filter((year) => year.buybacks > 0 && year.repurchasedShares > 0 && year.averageMarketPrice > 0);
+  const buybackDollars = sum(priced.map((year) => year.buybacks));
+  const averageRepurchasePrice = ratio(buybackDollars, sum(priced.map((year) => year.repurchasedShares)));
+  // Market price weighted by the same dollars, so both sides cover the same years.
+  const averageMarketPrice = buybackDollars > 0
+    ? sum(priced.map((year) => year.averageMarketPrice * year.buybacks)) / buybackDollars
+    : null;
+
+  const first = recent.find((year) => year.sharesOutstanding > 0);
+  const shareSpan = first && latest.sharesOutstanding > 0 ? Number(latest.fiscalYear) - Number(first.fiscalYear) : 0;
+
+  return {
+    years: recent.length,
+    netShareholderYield: currentYield,
+    averageNetShareholderYield: yields.length > 0 ? sum(yields) / yields.length : null,
+    totalBuybacks: total(recent.map((year) => year.buybacks)),
+    totalDividends: total(recent.map((year) => year.dividends)),
+    totalAcquisitions: total(recent.map((year) => year.acquisitions)),
+    totalCapex: total(recent.map((year) => year.capex)),
+    totalNetDebtPaydown: total(recent.map((year) => year.netDebtPaydown)),
+    averageRepurchasePrice,
+    averageMarketPrice,
+    repurchasePremium: isNumber(averageRepurchasePrice) && averageMarketPrice > 0
+      ? averageRepurchasePrice / averageMarketPrice - 1
+      : null,
+    netShareCountReduction: shareSpan > 0 ? 1 - latest.sharesOutstanding / first.sharesOutstanding : null,
+    annualShareCountReduction: shareSpan > 0
+      ? 1 - Math.pow(latest.sharesOutstanding / first.sharesOutstanding, 1 / shareSpan)
+      : null,
+  };
+}
@@ -0,0 +1,100 @@
+// Three-stage dividend discount model.
+//
+// The trailing dividend grows at a high-growth rate for five years, fades
+// linearly to the terminal rate over the next five, and is then capitalised
+// with the Gordon growth formula, all discounted at the cost of equity. The
+// high-growth rate is the historical dividend CAGR, held to the growth the
+// company can fund from retained earnings (ROE x retention) when that is
+// lower.
+//
+// A DDM only captures the cash returned as dividends, so it joins the
+// composite only for established payers that distribute a meaningful share
+// of earnings; for everyone else the value is reported but excluded.
+
+const HIGH_GROWTH_YEARS = 5;
+const TRANSITION_YEARS = 5;
+const MAX_HIGH_GROWTH = 0.12;
+const MIN_SPREAD = 0.01;
+const MIN_PAYOUT_FOR_COMPOSITE = 0.3;
+const MIN_DIVIDEND_YEARS = 3;
+
+const clamp = (value, low, high) => Math.min(high, Math.max(low, value));
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// `growth` comes from dividendGrowth(); `payoutRatio` is dividends over net
+// income for the latest fiscal year; `yearsPaid` counts consecutive years with
+// a dividend.
+export function valueDividendDiscount({
+  currentDividend,
+  growth = {},
+  returnOnEquity,
+  payoutRatio,
+  yearsPaid = 0,
+  costOfEquity,
+  terminalGrowth,
+}) {
+  if (!isNumber(currentDividend) || currentDividend <= 0) return null;
+  if (!isNumber(costOfEquity) || costOfEquity - terminalGrowth < MIN_SPREAD) return null;
+
+  const historical = growth.cagr5Year ?? growth.cagr3Year ?? null;
+  const sustainable = isNumber(returnOnEquity) && isNumber(payoutRatio) && payoutRatio <= 1
+    ? returnOnEquity * (1 - payoutRatio)
+    : null;
+  let highGrowth = terminalGrowth;
+  let growthSource = 'terminal';
+  if (isNumber(historical) && (!isNumber(sustainable) || historical <= sustainable)) {
+    highGrowth = historical;
+    growthSource = 'dividend-cagr';
+  } else if (isNumber(sustainable)) {
+    highGrowth = sustainable;
+    growthSource = 'sustainable-growth';
+  }
+  highGrowth = clamp(highGrowth, 0, MAX_HIGH_GROWTH);
+
+  let dividend = currentDividend;
+  let pvHighGrowth = 0;
+  let pvTransition = 0;
+  const years = HIGH_GROWTH_YEARS + TRANSITION_YEARS;
+  for (let year = 1; year <= years; year++) {
+    const rate = year <= HIGH_GROWTH_YEARS
+      ? highGrowth
+      : highGrowth - ((highGrowth - terminalGrowth) * (year - HIGH_GROWTH_YEARS)) / TRANSITION_YEARS;
+    dividend *= 1 + rate;
+    const pv = dividend / Math.pow(1 + costOfEquity, year);
+    if (year <= HIGH_GROWTH_YEARS) pvHighGrowth += pv;
+    else pvTransition += pv;
+  }
+  const terminalValue = (dividend * (1 + terminalGrowth)) / (costOfEquity - terminalGrowth);
+  const pvTerminal = terminalValue / Math.pow(1 + costOfEquity, years);
+  const value = pvHighGrowth + pvTransition + pvTerminal;
+
+  let exclusionReason = null;
+  if (yearsPaid < MIN_DIVIDEND_YEARS) {
+    exclusionReason = `fewer than ${MIN_DIVIDEND_YEARS} consecutive years of dividends`;
+  } else if (!isNumber(payoutRatio) || payoutRatio < MIN_PAYOUT_FOR_COMPOSITE) {
+    exclusionReason = `payout ratio below ${MIN_PAYOUT_FOR_COMPOSITE * 100}% of earnings`;
+  }
+
+  return {
+    value,
+    inComposite: exclusionReason === null,
+    exclusionReason,
+    inputs: {
+      currentDividend,
+      highGrowth,
+      growthSource,
+      historicalGrowth: historical,
+      sustainableGrowth: sustainable,
+      terminalGrowth,
+      costOfEquity,
+      highGrowthYears: HIGH_GROWTH_YEARS,
+      transitionYears: TRANSITION_YEARS,
+      payoutRatio: isNumber(payoutRatio) ? payoutRatio : null,
+    },
+    presentValue: {
+      highGrowth: pvHighGrowth,
+      transition: pvTransition,
+      terminal: pvTerminal,
+    },
+  };
+}
@@ -0,0 +1,109 @@
+// Dividend-per-share history, growth and streaks.
+//
+// Yahoo dividend events are cash amounts per share as paid, already restated
+// for later splits, and are summed into the fiscal year they were paid in.
+// SEC `CommonStockDividendsPerShareDeclared` is stated on the share basis in
+// force when it was filed, so it is restated with the same split events used
+// for share counts before it fills fiscal years Yahoo does not cover. Only
+// completed fiscal years are reported; the current year is partial.
+
+import { splitFactorSince } from '../shares/splits';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+function toISODate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  if (typeof value === 'number') return new Date(value * 1000).toISOString().slice(0, 10);
+  const text = String(value);
+  return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.slice(0, 10) : null;
+}
+
+// Yahoo dividend events ({ date, dividends }) -> [{ date, amount }], oldest first.
+export function normalizeDividendEvents(events) {
+  return (Array.isArray(events) ? events : [])
+    .map((event) => {
+      const date = toISODate(event?.date);
+      const amount = Number(event?.dividends ?? event?.amount);
+      return date && amount > 0 ? { date, amount } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Dividends paid in the 365 days up to `asOf`.
+export function trailingDividend(events, asOf = new Date()) {
+  const end = toISODate(asOf);
+  const start = toISODate(new Date(new Date(`${end}T00:00:00Z`).getTime() - 365 * DAY_MS));
+  const window = (events || []).filter((e) => e.date > start && e.date <= end);
+  return window.length > 0 ? window.reduce((sum, e) => sum + e.amount, 0) : null;
+}
+
+// Per-fiscal-year dividend per share, oldest first:
+// [{ fiscalYear, fiscalLabel, dividendPerShare, payments, source }].
+// `declared` is the SEC annual series ({ end, filed, val }).
+export function buildDividendHistory({ events, declared, splits, calendar, asOf = new Date() }) {
+  const currentFiscalYear = calendar.fiscalYearOf(toISODate(asOf));
+  const years = new Map();
+
+  for (const event of events || []) {
+    const fiscalYear = calendar.fiscalYearOf(event.date);
+    if (fiscalYear >= currentFiscalYear) continue;
+    const year = years.get(fiscalYear) || { fiscalYear, dividendPerShare: 0, payments: 0, source: 'yahoo' };
+    year.dividendPerShare += event.amount;
+    year.payments += 1;
+    years.set(fiscalYear, year);
+  }
+
+  for (const entry of declared || []) {
+    const fiscalYear = Number(calendar.label(entry.end).fiscalYear);
+    if (!isNumber(entry.val) || entry.val <= 0 || fiscalYear >= currentFiscalYear || years.has(fiscalYear)) continue;
+    const factor = splitFactorSince(splits, entry.filed || entry.end);
+    years.set(fiscalYear, {
+      fiscalYear,
+      dividendPerShare: entry.val / factor,
+      payments: null,
+      source: 'sec',
+      ...(factor !== 1 ? { splitFactor: factor, reportedDividendPerShare: entry.val } : {}),
+    });
+  }
+
+  return Array.from(years.values())
+    .sort((a, b) => a.fiscalYear - b.fiscalYear)
+    .map((year) => ({ ...year, fiscalLabel: `FY${year.fiscalYear}` }));
+}
+
+// Compound annual growth of dividend per share over 3, 5 and 10 years, and
+// the number of consecutive years (ending with the latest) with a dividend and
+// with an increase. Growth needs both end points; a missing year ends a streak.
+export function dividendGrowth(history) {
+  const byYear = new Map((history || []).map((year) => [year.fiscalYear, year.dividendPerShare]));
+  const latest = history?.length ? history[history.length - 1] : null;
+
+  const cagr = (span) => {
+    if (!latest) return null;
+    const start = byYear.get(latest.fiscalYear - span);
+    return start > 0 && latest.dividendPerShare > 0
+      ? Math.pow(latest.dividendPerShare / start, 1 / span) - 1
+      : null;
+  };
+
+  let consecutiveYearsPaid = 0;
+  for (let year = latest?.fiscalYear; byYear.get(year) > 0; year--) consecutiveYearsPaid += 1;
+
+  let consecutiveIncreases = 0;
+  for (let year = latest?.fiscalYear; byYear.has(year) && byYear.has(year - 1); year--) {
+    if (!(byYear.get(year) > byYear.get(year - 1))) break;
+    consecutiveIncreases += 1;
+  }
+
+  return {
+    cagr3Year: cagr(3),
+    cagr5Year: cagr(5),
+    cagr10Year: cagr(10),
+    consecutiveYearsPaid,
+    consecutiveIncreases,
+  };
+}
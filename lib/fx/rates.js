@@ -0,0 +1,138 @@
+// Bundled FX tables for restating statements in another currency.
+//
+// Rates are quoted as units of currency per 1 USD (market convention); any
+// pair converts through USD. Flows (income, cash flow) use the average rate
+// over their period, built from annual averages weighted by days; balances
+// use the rate at their period end, interpolated between year-end rates.
+// The current year is a year-to-date estimate; refresh the tables once a
+// year. Years outside a table use the nearest year present, and conversions
+// that did so are marked `extrapolated`.
+
+export const ANNUAL_AVERAGE_RATES = {
+  EUR: { 2010: 0.755, 2011: 0.719, 2012: 0.778, 2013: 0.753, 2014: 0.754, 2015: 0.902, 2016: 0.904, 2017: 0.887, 2018: 0.848, 2019: 0.893, 2020: 0.877, 2021: 0.846, 2022: 0.951, 2023: 0.925, 2024: 0.924, 2025: 0.890 },
+  GBP: { 2010: 0.647, 2011: 0.624, 2012: 0.633, 2013: 0.640, 2014: 0.607, 2015: 0.654, 2016: 0.741, 2017: 0.777, 2018: 0.750, 2019: 0.784, 2020: 0.780, 2021: 0.727, 2022: 0.811, 2023: 0.804, 2024: 0.783, 2025: 0.760 },
+  CHF: { 2010: 1.043, 2011: 0.888, 2012: 0.938, 2013: 0.927, 2014: 0.916, 2015: 0.962, 2016: 0.985, 2017: 0.985, 2018: 0.978, 2019: 0.994, 2020: 0.939, 2021: 0.914, 2022: 0.955, 2023: 0.899, 2024: 0.880, 2025: 0.830 },
+  DKK: { 2010: 5.62, 2011: 5.36, 2012: 5.79, 2013: 5.62, 2014: 5.62, 2015: 6.73, 2016: 6.73, 2017: 6.60, 2018: 6.32, 2019: 6.67, 2020: 6.54, 2021: 6.29, 2022: 7.08, 2023: 6.89, 2024: 6.89, 2025: 6.64 },
+  SEK: { 2010: 7.21, 2011: 6.49, 2012: 6.77, 2013: 6.51, 2014: 6.86, 2015: 8.43, 2016: 8.56, 2017: 8.55, 2018: 8.69, 2019: 9.46, 2020: 9.21, 2021: 8.58, 2022: 10.11, 2023: 10.61, 2024: 10.57, 2025: 9.90 },
+  NOK: { 2010: 6.04, 2011: 5.61, 2012: 5.82, 2013: 5.88, 2014: 6.30, 2015: 8.06, 2016: 8.40, 2017: 8.26, 2018: 8.13, 2019: 8.80, 2020: 9.42, 2021: 8.60, 2022: 9.61, 2023: 10.56, 2024: 10.74, 2025: 10.40 },
+  JPY: { 2010: 87.8, 2011: 79.8, 2012: 79.8, 2013: 97.6, 2014: 105.9, 2015: 121.0, 2016: 108.8, 2017: 112.2, 2018: 110.4, 2019: 109.0, 2020: 106.8, 2021: 109.8, 2022: 131.5, 2023: 140.5, 2024: 151.4, 2025: 149.0 },
+  TWD: { 2010: 31.6, 2011: 29.4, 2012: 29.6, 2013: 29.8, 2014: 30.4, 2015: 31.9, 2016: 32.3, 2017: 30.4, 2018: 30.2, 2019: 30.9, 2020: 29.5, 2021: 28.0, 2022: 29.8, 2023: 31.2, 2024: 32.1, 2025: 31.0 },
+  KRW: { 2010: 1156, 2011: 1108, 2012: 1127, 2013: 1095, 2014: 1053, 2015: 1131, 2016: 1160, 2017: 1131, 2018: 1100, 2019: 1166, 2020: 1180, 2021: 1144, 2022: 1292, 2023: 1306, 2024: 1364, 2025: 1410 },
+  CNY: { 2010: 6.77, 2011: 6.46, 2012: 6.31, 2013: 6.20, 2014: 6.16, 2015: 6.28, 2016: 6.64, 2017: 6.76, 2018: 6.62, 2019: 6.91, 2020: 6.90, 2021: 6.45, 2022: 6.73, 2023: 7.08, 2024: 7.19, 2025: 7.20 },
+  HKD: { 2010: 7.77, 2011: 7.78, 2012: 7.76, 2013: 7.76, 2014: 7.75, 2015: 7.75, 2016: 7.76, 2017: 7.79, 2018: 7.84, 2019: 7.84, 2020: 7.76, 2021: 7.77, 2022: 7.83, 2023: 7.83, 2024: 7.80, 2025: 7.80 },
+  INR: { 2010: 45.7, 2011: 46.7, 2012: 53.4, 2013: 58.6, 2014: 61.0, 2015: 64.2, 2016: 67.2, 2017: 65.1, 2018: 68.4, 2019: 70.4, 2020: 74.1, 2021: 73.9, 2022: 78.6, 2023: 82.6, 2024: 83.7, 2025: 86.0 },
+  SGD: { 2010: 1.36, 2011: 1.26, 2012: 1.25, 2013: 1.25, 2014: 1.27, 2015: 1.37, 2016: 1.38, 2017: 1.38, 2018: 1.35, 2019: 1.36, 2020: 1.38, 2021: 1.34, 2022: 1.38, 2023: 1.34, 2024: 1.34, 2025: 1.31 },
+  CAD: { 2010: 1.030, 2011: 0.989, 2012: 0.999, 2013: 1.030, 2014: 1.104, 2015: 1.279, 2016: 1.325, 2017: 1.298, 2018: 1.296, 2019: 1.327, 2020: 1.341, 2021: 1.254, 2022: 1.301, 2023: 1.350, 2024: 1.370, 2025: 1.390 },
+  AUD: { 2010: 1.090, 2011: 0.969, 2012: 0.966, 2013: 1.036, 2014: 1.109, 2015: 1.331, 2016: 1.345, 2017: 1.305, 2018: 1.338, 2019: 1.439, 2020: 1.453, 2021: 1.331, 2022: 1.442, 2023: 1.506, 2024: 1.516, 2025: 1.560 },
+  BRL: { 2010: 1.76, 2011: 1.67, 2012: 1.95, 2013: 2.16, 2014: 2.35, 2015: 3.33, 2016: 3.49, 2017: 3.19, 2018: 3.65, 2019: 3.94, 2020: 5.16, 2021: 5.40, 2022: 5.16, 2023: 4.99, 2024: 5.39, 2025: 5.60 },
+  MXN: { 2010: 12.6, 2011: 12.4, 2012: 13.2, 2013: 12.8, 2014: 13.3, 2015: 15.9, 2016: 18.7, 2017: 18.9, 2018: 19.2, 2019: 19.3, 2020: 21.5, 2021: 20.3, 2022: 20.1, 2023: 17.8, 2024: 18.3, 2025: 19.2 },
+  ILS: { 2010: 3.73, 2011: 3.58, 2012: 3.86, 2013: 3.61, 2014: 3.58, 2015: 3.89, 2016: 3.84, 2017: 3.60, 2018: 3.59, 2019: 3.56, 2020: 3.44, 2021: 3.23, 2022: 3.36, 2023: 3.69, 2024: 3.70, 2025: 3.50 },
+  ZAR: { 2010: 7.32, 2011: 7.26, 2012: 8.21, 2013: 9.66, 2014: 10.85, 2015: 12.76, 2016: 14.71, 2017: 13.32, 2018: 13.23, 2019: 14.45, 2020: 16.46, 2021: 14.79, 2022: 16.36, 2023: 18.45, 2024: 18.33, 2025: 18.00 },
+};
+
+export const YEAR_END_RATES = {
+  EUR: { 2009: 0.694, 2010: 0.748, 2011: 0.773, 2012: 0.758, 2013: 0.725, 2014: 0.824, 2015: 0.919, 2016: 0.949, 2017: 0.834, 2018: 0.873, 2019: 0.891, 2020: 0.815, 2021: 0.880, 2022: 0.935, 2023: 0.905, 2024: 0.962, 2025: 0.860 },
+  GBP: { 2009: 0.619, 2010: 0.641, 2011: 0.644, 2012: 0.615, 2013: 0.604, 2014: 0.642, 2015: 0.675, 2016: 0.810, 2017: 0.740, 2018: 0.784, 2019: 0.755, 2020: 0.732, 2021: 0.739, 2022: 0.827, 2023: 0.785, 2024: 0.799, 2025: 0.750 },
+  CHF: { 2009: 1.030, 2010: 0.935, 2011: 0.938, 2012: 0.915, 2013: 0.890, 2014: 0.994, 2015: 1.001, 2016: 1.018, 2017: 0.975, 2018: 0.985, 2019: 0.968, 2020: 0.885, 2021: 0.912, 2022: 0.925, 2023: 0.841, 2024: 0.906, 2025: 0.800 },
+  DKK: { 2009: 5.17, 2010: 5.58, 2011: 5.75, 2012: 5.66, 2013: 5.41, 2014: 6.13, 2015: 6.86, 2016: 7.06, 2017: 6.21, 2018: 6.52, 2019: 6.66, 2020: 6.06, 2021: 6.54, 2022: 6.97, 2023: 6.75, 2024: 7.18, 2025: 6.42 },
+  SEK: { 2009: 7.15, 2010: 6.73, 2011: 6.89, 2012: 6.51, 2013: 6.44, 2014: 7.80, 2015: 8.44, 2016: 9.10, 2017: 8.20, 2018: 8.87, 2019: 9.32, 2020: 8.19, 2021: 9.05, 2022: 10.42, 2023: 10.07, 2024: 11.03, 2025: 9.50 },
+  NOK: { 2009: 5.78, 2010: 5.86, 2011: 5.99, 2012: 5.57, 2013: 6.08, 2014: 7.43, 2015: 8.81, 2016: 8.62, 2017: 8.20, 2018: 8.69, 2019: 8.78, 2020: 8.53, 2021: 8.82, 2022: 9.86, 2023: 10.16, 2024: 11.36, 2025: 10.10 },
+  JPY: { 2009: 92.1, 2010: 81.2, 2011: 77.7, 2012: 86.6, 2013: 105.3, 2014: 119.8, 2015: 120.4, 2016: 116.8, 2017: 112.7, 2018: 109.7, 2019: 108.6, 2020: 103.2, 2021: 115.1, 2022: 131.1, 2023: 141.0, 2024: 157.2, 2025: 150.0 },
+  TWD: { 2009: 32.0, 2010: 29.2, 2011: 30.3, 2012: 29.0, 2013: 29.8, 2014: 31.7, 2015: 33.0, 2016: 32.3, 2017: 29.8, 2018: 30.7, 2019: 30.0, 2020: 28.1, 2021: 27.7, 2022: 30.7, 2023: 30.7, 2024: 32.8, 2025: 30.5 },
+  KRW: { 2009: 1164, 2010: 1134, 2011: 1152, 2012: 1071, 2013: 1055, 2014: 1099, 2015: 1172, 2016: 1208, 2017: 1071, 2018: 1116, 2019: 1157, 2020: 1088, 2021: 1189, 2022: 1264, 2023: 1288, 2024: 1472, 2025: 1400 },
+  CNY: { 2009: 6.83, 2010: 6.62, 2011: 6.30, 2012: 6.23, 2013: 6.05, 2014: 6.21, 2015: 6.49, 2016: 6.94, 2017: 6.51, 2018: 6.88, 2019: 6.96, 2020: 6.52, 2021: 6.37, 2022: 6.90, 2023: 7.10, 2024: 7.30, 2025: 7.12 },
+  HKD: { 2009: 7.75, 2010: 7.77, 2011: 7.77, 2012: 7.75, 2013: 7.75, 2014: 7.76, 2015: 7.75, 2016: 7.76, 2017: 7.82, 2018: 7.83, 2019: 7.79, 2020: 7.75, 2021: 7.80, 2022: 7.80, 2023: 7.81, 2024: 7.77, 2025: 7.78 },
+  INR: { 2009: 46.5, 2010: 44.8, 2011: 53.0, 2012: 54.8, 2013: 61.9, 2014: 63.0, 2015: 66.2, 2016: 67.9, 2017: 63.9, 2018: 69.8, 2019: 71.4, 2020: 73.1, 2021: 74.3, 2022: 82.7, 2023: 83.2, 2024: 85.6, 2025: 88.0 },
+  SGD: { 2009: 1.40, 2010: 1.28, 2011: 1.30, 2012: 1.22, 2013: 1.26, 2014: 1.32, 2015: 1.41, 2016: 1.45, 2017: 1.34, 2018: 1.36, 2019: 1.35, 2020: 1.32, 2021: 1.35, 2022: 1.34, 2023: 1.32, 2024: 1.36, 2025: 1.29 },
+  CAD: { 2009: 1.050, 2010: 0.995, 2011: 1.020, 2012: 0.990, 2013: 1.060, 2014: 1.160, 2015: 1.380, 2016: 1.340, 2017: 1.250, 2018: 1.360, 2019: 1.300, 2020: 1.270, 2021: 1.260, 2022: 1.350, 2023: 1.320, 2024: 1.440, 2025: 1.390 },
+  AUD: { 2009: 1.110, 2010: 0.980, 2011: 0.980, 2012: 0.960, 2013: 1.120, 2014: 1.220, 2015: 1.370, 2016: 1.380, 2017: 1.280, 2018: 1.420, 2019: 1.420, 2020: 1.300, 2021: 1.380, 2022: 1.470, 2023: 1.470, 2024: 1.610, 2025: 1.520 },
+  BRL: { 2009: 1.74, 2010: 1.66, 2011: 1.87, 2012: 2.05, 2013: 2.36, 2014: 2.66, 2015: 3.96, 2016: 3.26, 2017: 3.31, 2018: 3.87, 2019: 4.03, 2020: 5.20, 2021: 5.58, 2022: 5.28, 2023: 4.85, 2024: 6.18, 2025: 5.40 },
+  MXN: { 2009: 13.1, 2010: 12.4, 2011: 13.9, 2012: 12.9, 2013: 13.1, 2014: 14.7, 2015: 17.2, 2016: 20.7, 2017: 19.7, 2018: 19.7, 2019: 18.9, 2020: 19.9, 2021: 20.5, 2022: 19.5, 2023: 17.0, 2024: 20.8, 2025: 18.4 },
+  ILS: { 2009: 3.78, 2010: 3.55, 2011: 3.82, 2012: 3.73, 2013: 3.47, 2014: 3.89, 2015: 3.90, 2016: 3.85, 2017: 3.47, 2018: 3.75, 2019: 3.46, 2020: 3.22, 2021: 3.11, 2022: 3.52, 2023: 3.62, 2024: 3.65, 2025: 3.30 },
+  ZAR: { 2009: 7.38, 2010: 6.63, 2011: 8.09, 2012: 8.48, 2013: 10.49, 2014: 11.57, 2015: 15.54, 2016: 13.74, 2017: 12.38, 2018: 14.39, 2019: 14.03, 2020: 14.69, 2021: 15.96, 2022: 17.02, 2023: 18.30, 2024: 18.87, 2025: 17.50 },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toTime(value) {
+  return new Date(`${String(value).slice(0, 10)}T00:00:00Z`).getTime();
+}
+
+function nearestYearRate(table, year) {
+  if (table[year]) return table[year];
+  const years = Object.keys(table).map(Number);
+  const nearest = years.reduce((best, y) => (Math.abs(y - year) < Math.abs(best - year) ? y : best), years[0]);
+  return table[nearest];
+}
+
+export function hasRatesFor(currency) {
+  return currency === 'USD' || Boolean(ANNUAL_AVERAGE_RATES[currency] && YEAR_END_RATES[currency]);
+}
+
+// Units of `currency` per USD averaged over [start, end].
+export function averageRate(currency, start, end) {
+  if (currency === 'USD') return 1;
+  const table = ANNUAL_AVERAGE_RATES[currency];
+  const from = toTime(start);
+  const to = toTime(end);
+  if (!table || !Number.isFinite(to)) return null;
+  if (!Number.isFinite(from) || from >= to) return nearestYearRate(table, new Date(to).getUTCFullYear());
+
+  let weighted = 0;
+  let days = 0;
+  for (let year = new Date(from).getUTCFullYear(); year <= new Date(to).getUTCFullYear(); year++) {
+    const spanStart = Math.max(from, Date.UTC(year, 0, 1));
+    const spanEnd = Math.min(to, Date.UTC(year + 1, 0, 1));
+    const spanDays = (spanEnd - spanStart) / DAY_MS;
+    if (spanDays <= 0) continue;
+    weighted += nearestYearRate(table, year) * spanDays;
+    days += spanDays;
+  }
+  return days > 0 ? weighted / days : null;
+}
+
+// Units of `currency` per USD on `date`.
+export function periodEndRate(currency, date) {
+  if (currency === 'USD') return 1;
+  const table = YEAR_END_RATES[currency];
+  const time = toTime(date);
+  if (!table || !Number.isFinite(time)) return null;
+  const year = new Date(time).getUTCFullYear();
+  const previous = nearestYearRate(table, year - 1);
+  const current = nearestYearRate(table, year);
+  const fraction = (time - Date.UTC(year, 0, 1)) / (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1));
+  return previous + (current - previous) * fraction;
+}
+
+// Whether the tables hold every year a conversion reads: each year a flow's
+// [start, end] spans, or the year-ends either side of a balance's `end`.
+export function ratesCover(currency, { start = null, end }) {
+  if (currency === 'USD') return true;
+  const table = start ? ANNUAL_AVERAGE_RATES[currency] : YEAR_END_RATES[currency];
+  const to = toTime(end);
+  if (!table || !Number.isFinite(to)) return false;
+  const endYear = new Date(to).getUTCFullYear();
+  const from = start ? toTime(start) : NaN;
+  const firstYear = !start ? endYear - 1 : Number.isFinite(from) && from < to ? new Date(from).getUTCFullYear() : endYear;
+  for (let year = firstYear; year <= endYear; year++) {
+    if (!table[year]) return false;
+  }
+  return true;
+}
+
+// Converts `value` from one currency to another. Pass `start` for flows
+// (average rate over the period); omit it for balances (period-end rate).
+// Returns { value, rate, extrapolated } with `rate` in units of `from` per
+// unit of `to`, or null when either currency is missing from the tables.
+// `extrapolated` is set when a year the period needs is past the tables.
+export function convertAmount(value, { from, to, start = null, end }) {
+  if (!Number.isFinite(value)) return null;
+  if (from === to) return { value, rate: 1 };
+  const rateFor = (currency) => (start ? averageRate(currency, start, end) : periodEndRate(currency, end));
+  const fromPerUsd = rateFor(from);
+  const toPerUsd = rateFor(to);
+  if (!fromPerUsd || !toPerUsd) return null;
+  const rate = fromPerUsd / toPerUsd;
+  const extrapolated = !ratesCover(from, { start, end }) || !ratesCover(to, { start, end });
+  return { value: value / rate, rate, extrapolated };
+}
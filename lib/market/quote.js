@@ -0,0 +1,27 @@
+// Quote and profile straight from Yahoo, without SEC data. The stock route
+// streams this ahead of the full analysis and the quote resource serves it on
+// its own, so the price can refresh without rebuilding the statements. Market
+// cap is Yahoo's, not the share-class-aware figure of the full analysis.
+export function quoteSnapshot(symbol, yahooQuote, yahooStats) {
+  const assetProfile = yahooStats?.assetProfile || {};
+  return {
+    profile: {
+      symbol,
+      companyName: yahooQuote?.longName || yahooQuote?.shortName || symbol,
+      exchangeShortName: yahooQuote?.exchange || '',
+      sector: assetProfile.sector || '',
+      industry: assetProfile.industry || '',
+      description: assetProfile.longBusinessSummary || '',
+      ceo: assetProfile.companyOfficers?.[0]?.name || '',
+      fullTimeEmployees: 0,
+      website: assetProfile.website || '',
+    },
+    quote: {
+      price: yahooQuote?.regularMarketPrice || 0,
+      change: yahooQuote?.regularMarketChange || 0,
+      changesPercentage: yahooQuote?.regularMarketChangePercent || 0,
+      marketCap: yahooQuote?.marketCap || 0,
+      pe: yahooQuote?.trailingPE || null,
+    },
+  };
+}
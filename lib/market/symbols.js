@@ -0,0 +1,122 @@
+// Ticker spellings, mapped to the forms SEC and Yahoo use.
+//
+// The same security is written several ways: Berkshire's B shares are BRK.B on
+// most quote screens, BRK/B or "BRK B" in broker feeds and BRK-B at SEC and
+// Yahoo. Preferreds, units and warrants vary the same way. The recognized
+// suffixes, after a dot, dash, slash or space:
+//   share class   BRK.B  BRK/B  BRK B              -> BRK-B
+//   preferred     BAC.PR.L  BAC/PRL  BAC-P-L  BAC-PL -> BAC-PL  (series optional)
+//   unit          PSTH.U  PSTH/U  PSTH.UN          -> PSTH-UN
+//   warrant       PSTH.WS  PSTH/WS  PSTH.WT        -> PSTH-WT
+// Both sources spell US listings alike; they part ways on everything outside
+// SEC's list. Yahoo symbols with an exchange suffix (SHOP.TO, BP.L) and
+// indices (^GSPC) have no SEC form: a root that matches a US ticker may be a
+// different company (AC.TO is Air Canada, AC is Associated Capital).
+//
+// Nasdaq appends the unit or warrant letter without a separator (ABCDU, ABCDW);
+// those are ordinary tickers here and pass through unchanged.
+
+// Yahoo's exchange suffixes. PR (Prague) is left out so that BAC.PR reads as
+// a preferred.
+const YAHOO_EXCHANGE_SUFFIXES = new Set([
+  'TO', 'V', 'NE', 'CN', 'L', 'IL', 'T', 'HK', 'SS', 'SZ', 'KS', 'KQ', 'TW', 'TWO',
+  'AX', 'NZ', 'SI', 'BO', 'NS', 'JK', 'BK', 'KL', 'PA', 'DE', 'F', 'MI', 'MC', 'AS',
+  'BR', 'LS', 'SW', 'ST', 'OL', 'CO', 'HE', 'IR', 'VI', 'WA', 'AT', 'IS', 'TA', 'SA',
+  'MX', 'BA', 'SN', 'JO', 'SR', 'QA',
+]);
+
+const SEPARATORS = /[.\-/\s]+/;
+const ROOT_PATTERN = /^[A-Z0-9]{1,8}$/;
+const SYMBOL_PATTERN = /^\^?[A-Z0-9][A-Z0-9.\-]{0,13}$/;
+const CIK_PATTERN = /^(?:CIK)?0*(\d{1,10})$/i;
+
+// Suffix after the root (separators dropped) -> kind and the dash suffix
+// both sources use.
+function classifySuffix(suffix) {
+  if (!suffix) return { kind: 'common', suffix: '' };
+  if (/^(?:U|UN|UNIT|UNITS)$/.test(suffix)) return { kind: 'unit', suffix: 'UN' };
+  if (/^(?:WS|WT|WTS)$/.test(suffix)) return { kind: 'warrant', suffix: 'WT' };
+  const preferred = suffix.match(/^PR?([A-Z])?$/);
+  if (preferred) return { kind: 'preferred', suffix: `P${preferred[1] || ''}` };
+  if (/^[A-Z]$/.test(suffix)) return { kind: 'class', suffix };
+  return null;
+}
+
+// `input` as `{ input, kind, yahoo, sec }`, or null when it is not a symbol.
+// `kind` is 'common', 'class', 'preferred', 'unit', 'warrant', 'other' (an
+// unrecognized suffix, dash-joined), 'foreign' or 'index'; `sec` is null for
+// the last two.
+export function normalizeSymbol(input) {
+  const text = String(input ?? '').trim().toUpperCase();
+  if (!text) return null;
+  const result = (kind, yahoo, sec) => (
+    SYMBOL_PATTERN.test(yahoo) ? { input: String(input).trim(), kind, yahoo, sec } : null
+  );
+
+  if (text.startsWith('^')) return result('index', text, null);
+
+  // BAC.PR.L is series L of a preferred, not a London listing.
+  const exchange = text.match(/^(.+)\.([A-Z]{1,3})$/);
+  if (exchange && YAHOO_EXCHANGE_SUFFIXES.has(exchange[2]) && !/[.\-/\s]PR?$/.test(exchange[1])) {
+    // Yahoo writes a class ahead of the exchange with a dash: RCI-B.TO.
+    const local = exchange[1].split(SEPARATORS).filter(Boolean).join('-');
+    return result('foreign', `${local}.${exchange[2]}`, null);
+  }
+
+  const [root, ...rest] = text.split(SEPARATORS).filter(Boolean);
+  if (!root || !ROOT_PATTERN.test(root)) return null;
+  const suffix = classifySuffix(rest.join(''));
+  if (!suffix) {
+    const symbol = [root, ...rest].join('-');
+    return result('other', symbol, symbol);
+  }
+  const symbol = suffix.suffix ? `${root}-${suffix.suffix}` : root;
+  return result(suffix.kind, symbol, symbol);
+}
+
+// "320193", "0000320193" or "CIK0000320193" -> "0000320193"; null otherwise.
+export function normalizeCik(value) {
+  const match = String(value ?? '').trim().match(CIK_PATTERN);
+  return match ? match[1].padStart(10, '0') : null;
+}
+
+// normalizeSymbol for a ticker as SEC lists it, where a lowercase p can mark a
+// preferred series (BACpL).
+export function normalizeSecTicker(ticker) {
+  return normalizeSymbol(String(ticker ?? '').replace(/^([A-Z0-9]+)p([A-Z]?)$/, '$1-P$2'));
+}
+
+// SEC ticker map entry for `secTicker`: an exact match first, then any entry
+// whose ticker normalizes to the same form (SEC has written some preferreds
+// as BAC/PL or BACpL).
+export function findTickerEntry(tickerMap, secTicker) {
+  if (!secTicker) return null;
+  const entries = Object.values(tickerMap || {});
+  return entries.find((entry) => String(entry?.ticker || '').toUpperCase() === secTicker)
+    || entries.find((entry) => normalizeSecTicker(entry?.ticker)?.sec === secTicker)
+    || null;
+}
+
+// SEC ticker map entry for a CIK: the first ticker SEC lists for the company
+// when it has several (BRK-B ahead of BRK-A).
+export function findCikEntry(tickerMap, cik) {
+  const number = Number(cik);
+  return Object.values(tickerMap || {}).find((entry) => Number(entry?.cik_str) === number) || null;
+}
+
+// Identifiers for a request by ticker (`{ ticker }`) or by CIK (`{ cik }`),
+// resolved against SEC's ticker map. A ticker resolves without the map (SEC
+// unavailable, or no SEC form), with a null CIK; a CIK needs it. Null when the
+// input is invalid or the CIK is not in the map.
+export function resolveIdentifiers({ ticker = null, cik = null }, tickerMap) {
+  if (cik) {
+    const normalized = normalizeCik(cik);
+    const entry = normalized ? findCikEntry(tickerMap, normalized) : null;
+    const symbol = entry ? normalizeSecTicker(entry.ticker) : null;
+    return symbol ? { ...symbol, input: String(cik).trim(), resolvedBy: 'cik', cik: normalized } : null;
+  }
+  const symbol = normalizeSymbol(ticker);
+  if (!symbol) return null;
+  const entry = findTickerEntry(tickerMap, symbol.sec);
+  return { ...symbol, resolvedBy: 'ticker', cik: entry ? String(entry.cik_str).padStart(10, '0') : null };
+}
@@ -0,0 +1,136 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// On-disk layout shared by the fixture provider and the recorder:
+//   <dir>/<SYMBOL>/quote.json | quoteSummary.json | historical.json | splits.json | dividends.json
+//   <dir>/<SYMBOL>/fts-quarterly.json | fts-annual.json
+//   <dir>/sec/company_tickers.json | company_tickers_exchange.json
+//   <dir>/sec/CIK<cik>/companyfacts.json | submissions.json
+// quoteSummary.json holds every module recorded for the symbol, merged across
+// calls that asked for different module sets.
+const fixturePaths = {
+  quote: (dir, symbol) => path.join(dir, symbol.toUpperCase(), 'quote.json'),
+  quoteSummary: (dir, symbol) => path.join(dir, symbol.toUpperCase(), 'quoteSummary.json'),
+  historical: (dir, symbol) => path.join(dir, symbol.toUpperCase(), 'historical.json'),
+  splits: (dir, symbol) => path.join(dir, symbol.toUpperCase(), 'splits.json'),
+  dividends: (dir, symbol) => path.join(dir, symbol.toUpperCase(), 'dividends.json'),
+  timeSeries: (dir, symbol, type) => path.join(dir, symbol.toUpperCase(), `fts-${type}.json`),
+  tickerMap: (dir) => path.join(dir, 'sec', 'company_tickers.json'),
+  tickerExchangeMap: (dir) => path.join(dir, 'sec', 'company_tickers_exchange.json'),
+  companyFacts: (dir, cik) => path.join(dir, 'sec', `CIK${cik}`, 'companyfacts.json'),
+  submissions: (dir, cik) => path.join(dir, 'sec', `CIK${cik}`, 'submissions.json'),
+};
+
+async function readFixture(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error?.code === 'ENOENT') return undefined;
+    throw error;
+  }
+}
+
+async function writeFixture(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+}
+
+// The requested quoteSummary modules, or null when none were recorded, as
+// Yahoo only returns the modules asked for.
+function pickModules(summary, modules) {
+  if (!summary || !Array.isArray(modules) || modules.length === 0) return summary ?? null;
+  const picked = Object.fromEntries(modules.filter((name) => name in summary).map((name) => [name, summary[name]]));
+  return Object.keys(picked).length > 0 ? picked : null;
+}
+
+// Filings fixtures mirror the live provider: a missing file behaves like an SEC 404.
+async function readFilingFixture(filePath, label) {
+  const data = await readFixture(filePath);
+  if (data === undefined) {
+    const err = new Error(`no ${label} fixture at ${filePath}`);
+    err.status = 404;
+    throw err;
+  }
+  return data;
+}
+
+// Serves previously recorded upstream payloads from disk so the route can run
+// offline and reproduce a response exactly as it was first computed.
+export function createFixtureProvider(dir) {
+  return {
+    name: 'fixture',
+    market: {
+      getQuote: async (symbol) => (await readFixture(fixturePaths.quote(dir, symbol))) ?? null,
+      getQuoteSummary: async (symbol, modules) => pickModules(await readFixture(fixturePaths.quoteSummary(dir, symbol)), modules),
+      getHistoricalPrices: async (symbol) => (await readFixture(fixturePaths.historical(dir, symbol))) ?? [],
+      getSplits: async (symbol) => (await readFixture(fixturePaths.splits(dir, symbol))) ?? null,
+      getDividends: async (symbol) => (await readFixture(fixturePaths.dividends(dir, symbol))) ?? null,
+    },
+    fundamentals: {
+      getTimeSeries: async (symbol, { type }) => (await readFixture(fixturePaths.timeSeries(dir, symbol, type))) ?? [],
+    },
+    filings: {
+      getTickerMap: () => readFilingFixture(fixturePaths.tickerMap(dir), 'company_tickers'),
+      getTickerExchangeMap: () => readFilingFixture(fixturePaths.tickerExchangeMap(dir), 'company_tickers_exchange'),
+      getCompanyFacts: (cik) => readFilingFixture(fixturePaths.companyFacts(dir, cik), 'companyfacts'),
+      getSubmissions: (cik) => readFilingFixture(fixturePaths.submissions(dir, cik), 'submissions'),
+    },
+  };
+}
+
+// Pending recording writes by file. Shared by every recording provider, as
+// they are built per request and concurrent requests record the same files.
+const writes = new Map();
+
+// Wraps a provider and writes every successful upstream payload into the
+// fixture layout above. Recording failures are logged, never surfaced. Writes
+// to one file run in call order so quoteSummary merges see each other.
+export function createRecordingProvider(inner, dir) {
+  const record = (filePath, data, { merge = false } = {}) => {
+    if (data === null || data === undefined) return data;
+    const write = (writes.get(filePath) || Promise.resolve())
+      .then(async () => writeFixture(filePath, merge ? { ...(await readFixture(filePath)), ...data } : data))
+      .catch((error) => {
+        console.warn(`fixture record failed for ${filePath}: ${error?.message || error}`);
+      });
+    writes.set(filePath, write);
+    write.then(() => {
+      if (writes.get(filePath) === write) writes.delete(filePath);
+    });
+    return data;
+  };
+
+  return {
+    name: `record:${inner.name}`,
+    market: {
+      getQuote: async (symbol) => record(fixturePaths.quote(dir, symbol), await inner.market.getQuote(symbol)),
+      getQuoteSummary: async (symbol, modules) => record(
+        fixturePaths.quoteSummary(dir, symbol),
+        await inner.market.getQuoteSummary(symbol, modules),
+        { merge: true }
+      ),
+      getHistoricalPrices: async (symbol) => record(
+        fixturePaths.historical(dir, symbol),
+        await inner.market.getHistoricalPrices(symbol)
+      ),
+      getSplits: async (symbol) => record(fixturePaths.splits(dir, symbol), await inner.market.getSplits(symbol)),
+      getDividends: async (symbol) => record(fixturePaths.dividends(dir, symbol), await inner.market.getDividends(symbol)),
+    },
+    fundamentals: {
+      getTimeSeries: async (symbol, options) => record(
+        fixturePaths.timeSeries(dir, symbol, options.type),
+        await inner.fundamentals.getTimeSeries(symbol, options)
+      ),
+    },
+    filings: {
+      getTickerMap: async () => record(fixturePaths.tickerMap(dir), await inner.filings.getTickerMap()),
+      getTickerExchangeMap: async () => record(fixturePaths.tickerExchangeMap(dir), await inner.filings.getTickerExchangeMap()),
+      getCompanyFacts: async (cik) => record(fixturePaths.companyFacts(dir, cik), await inner.filings.getCompanyFacts(cik)),
+      getSubmissions: async (cik) => record(fixturePaths.submissions(dir, cik), await inner.filings.getSubmissions(cik)),
+    },
+    // Resolves once every write started so far has landed.
+    flush: async () => {
+      await Promise.all(writes.values());
+    },
+  };
+}
@@ -0,0 +1,37 @@
+import path from 'path';
+import { createYahooSecProvider } from './yahooSec';
+import { createFixtureProvider, createRecordingProvider } from './fixture';
+import { getSharedCache } from '../cache/diskCache';
+
+// Data provider contract used by the API routes:
+//   market.getQuote(symbol)                    -> Yahoo-shaped quote | null
+//   market.getQuoteSummary(symbol, modules)    -> quoteSummary object | null
+//   market.getHistoricalPrices(symbol)         -> daily bars (10y window) | []
+//   market.getSplits(symbol)                   -> Yahoo split events ({ date, stockSplits }) | null
+//   market.getDividends(symbol)                -> Yahoo dividend events ({ date, dividends }) | null
+//   fundamentals.getTimeSeries(symbol, { type: 'quarterly' | 'annual', period1 }) -> rows | []
+//   filings.getTickerMap()                     -> SEC company_tickers.json (throws on failure)
+//   filings.getTickerExchangeMap()             -> SEC company_tickers_exchange.json (throws on failure)
+//   filings.getCompanyFacts(cik)               -> SEC companyfacts (throws with .status)
+//   filings.getSubmissions(cik)                -> SEC submissions (throws with .status)
+//
+// Selected with STOCK_DATA_PROVIDER:
+//   live (default) — Yahoo Finance + SEC EDGAR
+//   fixture        — recorded JSON under STOCK_FIXTURE_DIR, no network
+//   record         — live, writing every payload to STOCK_FIXTURE_DIR
+//
+// Providers are cheap and built per request so `trace` (e.g. { cache: {} })
+// collects that request's upstream diagnostics; the on-disk cache is shared.
+// Record mode bypasses the cache so fixtures always hold upstream payloads.
+export function getDataProvider({ trace = null } = {}) {
+  const mode = (process.env.STOCK_DATA_PROVIDER || 'live').toLowerCase();
+  const fixtureDir = path.resolve(process.env.STOCK_FIXTURE_DIR || 'fixtures');
+
+  if (mode === 'fixture') {
+    return createFixtureProvider(fixtureDir);
+  }
+  if (mode === 'record') {
+    return createRecordingProvider(createYahooSecProvider({ trace }), fixtureDir);
+  }
+  return createYahooSecProvider({ cache: getSharedCache(), trace });
+}
@@ -0,0 +1,210 @@
+import YahooFinance from 'yahoo-finance2';
+import { cachedLoad } from '../cache/diskCache';
+import { createScheduler, parseRetryAfter } from '../upstream/scheduler';
+
+const yahooFinance = new YahooFinance({ validation: { logErrors: false } });
+const SEC_BASE = 'https://data.sec.gov';
+const USER_AGENT = `StockValuationCalculator/1.0 (${process.env.SEC_CONTACT_EMAIL || 'admin@stockvaluationcalculator.app'})`;
+export const EXTERNAL_FETCH_TIMEOUT_MS = 12000;
+
+// SEC fair-access policy: at most 10 requests per second from one client,
+// however many API requests this server is handling. Yahoo publishes no
+// limit; its calls are only coalesced, retried and timed.
+const secScheduler = createScheduler({ name: 'sec', requestsPerSecond: 10 });
+const yahooScheduler = createScheduler({ name: 'yahoo' });
+
+// Rejects with `status` 0 (no response) after `timeoutMs`.
+export async function withTimeout(promise, timeoutMs, label = 'request') {
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      const err = new Error(`${label} timed out after ${timeoutMs}ms`);
+      err.status = 0;
+      reject(err);
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([promise, timeoutPromise]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+export async function fetchWithTimeout(url, options = {}, timeoutMs = EXTERNAL_FETCH_TIMEOUT_MS) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Gives yahoo-finance2 failures the `status` the scheduler retries on: its
+// HTTPError carries the response status as `code`, and a network failure
+// surfaces as fetch's TypeError (with the socket error as `cause`).
+export function withYahooStatus(error) {
+  if (error && typeof error.status !== 'number') {
+    if (error.name === 'HTTPError' && Number.isInteger(error.code)) error.status = error.code;
+    else if (error.name === 'TypeError' && error.cause) error.status = 0;
+  }
+  return error;
+}
+
+// Fetch an SEC JSON document, sending cache validators when we have them.
+// Failures throw with `status` set so callers can report the same
+// "<source> unavailable (<status>): <detail>" issue text.
+async function fetchSecJson(url, label, { etag, lastModified } = {}) {
+  const headers = { 'User-Agent': USER_AGENT };
+  if (etag) headers['If-None-Match'] = etag;
+  if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+  let response;
+  try {
+    response = await fetchWithTimeout(url, { headers });
+  } catch (error) {
+    const err = new Error(error?.message || 'request_failed');
+    err.status = 0;
+    throw err;
+  }
+  if (response.status === 304) return { notModified: true };
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    const err = new Error(text.slice(0, 200) || `${label} request failed`);
+    err.status = response.status;
+    err.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    throw err;
+  }
+  return {
+    data: await response.json(),
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified'),
+  };
+}
+
+async function fetchSplitEvents(symbol) {
+  const data = await withTimeout(
+    yahooFinance.historical(symbol, {
+      period1: '1980-01-01',
+      period2: new Date(),
+      events: 'split',
+    }),
+    EXTERNAL_FETCH_TIMEOUT_MS,
+    'yahoo splits'
+  );
+  return Array.isArray(data) ? data : [];
+}
+
+async function fetchDividendEvents(symbol) {
+  const data = await withTimeout(
+    yahooFinance.historical(symbol, {
+      period1: '1980-01-01',
+      period2: new Date(),
+      events: 'dividends',
+    }),
+    EXTERNAL_FETCH_TIMEOUT_MS,
+    'yahoo dividends'
+  );
+  return Array.isArray(data) ? data : [];
+}
+
+async function fetchHistoricalPrices(symbol) {
+  const period2 = new Date();
+  const period1 = new Date(period2);
+  period1.setFullYear(period1.getFullYear() - 10); // bounded window for reliability on serverless
+
+  const data = await withTimeout(
+    yahooFinance.historical(symbol, {
+      period1,
+      period2,
+      interval: '1d',
+    }),
+    EXTERNAL_FETCH_TIMEOUT_MS,
+    'yahoo historical'
+  );
+  return Array.isArray(data) ? data : [];
+}
+
+// Live provider: Yahoo Finance for market data and fundamentalsTimeSeries,
+// SEC EDGAR for filings. Market/fundamentals calls resolve to null/[] on
+// failure; filings calls throw so the route can record an SEC issue.
+// SEC documents and price history go through `cache` when one is given;
+// per-source cache status is reported on `trace.cache`, and every upstream
+// call (timings, retries, coalescing) on `trace.upstream`.
+export function createYahooSecProvider({ cache = null, trace = null } = {}) {
+  const load = (source, key, loader) => (cache
+    ? cachedLoad(cache, { source, key, load: loader, trace })
+    : loader({}).then((result) => result.data));
+  const sec = (url, label, validators = {}) => secScheduler(
+    { key: [url, validators.etag, validators.lastModified].join('|'), label, trace },
+    () => fetchSecJson(url, label, validators)
+  );
+  const yahoo = (key, task) => yahooScheduler({ key, trace }, () => task().catch((error) => {
+    throw withYahooStatus(error);
+  }));
+
+  return {
+    name: 'live',
+    market: {
+      getQuote: (symbol) => yahoo(
+        `quote:${symbol}`,
+        () => withTimeout(yahooFinance.quote(symbol), EXTERNAL_FETCH_TIMEOUT_MS, 'yahoo quote')
+      ).catch(() => null),
+      getQuoteSummary: (symbol, modules) => yahoo(
+        `quoteSummary:${symbol}:${modules.join(',')}`,
+        () => withTimeout(yahooFinance.quoteSummary(symbol, { modules }), EXTERNAL_FETCH_TIMEOUT_MS, 'yahoo quoteSummary')
+      ).catch(() => null),
+      getHistoricalPrices: (symbol) => load(
+        'history',
+        symbol.toUpperCase(),
+        async () => ({ data: await yahoo(`history:${symbol.toUpperCase()}`, () => fetchHistoricalPrices(symbol.toUpperCase())) })
+      ).catch(() => []),
+      getSplits: (symbol) => load(
+        'splits',
+        symbol.toUpperCase(),
+        async () => ({ data: await yahoo(`splits:${symbol.toUpperCase()}`, () => fetchSplitEvents(symbol.toUpperCase())) })
+      ).catch(() => null),
+      getDividends: (symbol) => load(
+        'dividends',
+        symbol.toUpperCase(),
+        async () => ({ data: await yahoo(`dividends:${symbol.toUpperCase()}`, () => fetchDividendEvents(symbol.toUpperCase())) })
+      ).catch(() => null),
+    },
+    fundamentals: {
+      getTimeSeries: (symbol, { type, period1 }) => yahoo(
+        `fundamentalsTimeSeries:${symbol}:${type}:${new Date(period1).toISOString().slice(0, 10)}`,
+        () => withTimeout(
+          yahooFinance.fundamentalsTimeSeries(symbol, { period1, type, module: 'all' }),
+          EXTERNAL_FETCH_TIMEOUT_MS,
+          `yahoo fundamentalsTimeSeries ${type}`
+        )
+      ).catch(() => []),
+    },
+    filings: {
+      getTickerMap: () => load(
+        'tickerMap',
+        'company_tickers',
+        (validators) => sec('https://www.sec.gov/files/company_tickers.json', 'SEC ticker map', validators)
+      ).catch((error) => {
+        throw new Error(`SEC ticker map fetch failed (${error.status ?? 'n/a'}): ${error.message}`);
+      }),
+      getTickerExchangeMap: () => load(
+        'tickerExchangeMap',
+        'company_tickers_exchange',
+        (validators) => sec('https://www.sec.gov/files/company_tickers_exchange.json', 'SEC ticker exchange map', validators)
+      ).catch((error) => {
+        throw new Error(`SEC ticker exchange map fetch failed (${error.status ?? 'n/a'}): ${error.message}`);
+      }),
+      getCompanyFacts: (cik) => load(
+        'companyfacts',
+        cik,
+        (validators) => sec(`${SEC_BASE}/api/xbrl/companyfacts/CIK${cik}.json`, 'companyfacts', validators)
+      ),
+      getSubmissions: (cik) => load(
+        'submissions',
+        cik,
+        (validators) => sec(`${SEC_BASE}/submissions/CIK${cik}.json`, 'submissions', validators)
+      ),
+    },
+  };
+}
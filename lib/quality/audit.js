@@ -0,0 +1,297 @@
+// Consistency checks on the merged statements, reported in
+// dataQuality.validation so a reader can tell when a number should not be
+// trusted. Nothing here changes a statement; findings only point at them.
+//
+// Each finding names the statement (`income`, `balanceQ`, ...), the field and
+// the period it refers to, and carries a severity:
+// - 'error': the figures contradict each other (an identity or a quarterly
+//   sum is off by more than rounding and restatement noise, or a share count
+//   is 1000x off);
+// - 'warning': worth a look but can be real (a small gap, an outlier year, a
+//   sign that differs from the rest of its series, a figure converted at
+//   another year's FX rate).
+//
+// Statement rows carry outflows as negatives (see the stock route), so a
+// positive capital expenditure means a source reported it with the other sign.
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Relative gaps (of the stated base) above which a finding is raised.
+const BALANCE_TOLERANCE = { warning: 0.01, error: 0.05 };
+const GROSS_PROFIT_TOLERANCE = { warning: 0.005, error: 0.05 };
+const QUARTER_SUM_TOLERANCE = { warning: 0.02, error: 0.1 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Quarter ends that belong to the year ending on an annual row's date.
+const QUARTER_WINDOW_DAYS = 300;
+
+// Year-over-year outliers: a change more than OUTLIER_SIGMA standard
+// deviations from the other years' changes, and at least a 50% move, in a
+// series with at least OUTLIER_MIN_CHANGES changes.
+const OUTLIER_SIGMA = 3;
+const OUTLIER_MIN_MOVE = Math.log(1.5);
+const OUTLIER_MIN_CHANGES = 5;
+
+// A share count within this factor of 1000x another is a thousands/units slip.
+const SHARE_SCALE = { min: 1000 / Math.SQRT2, max: 1000 * Math.SQRT2 };
+
+// Stored as outflows (negative) while SEC tags report them as positive payments.
+const OUTFLOW_FIELDS = ['capitalExpenditure'];
+
+const QUARTER_SUM_FIELDS = {
+  income: ['revenue', 'operatingIncome', 'netIncome'],
+  cashflow: ['operatingCashFlow', 'capitalExpenditure'],
+};
+const OUTLIER_FIELDS = {
+  income: ['revenue'],
+  balance: ['totalAssets'],
+  cashflow: ['operatingCashFlow', 'capitalExpenditure'],
+};
+
+const byDate = (rows) => (rows || []).filter((row) => row?.date).slice().sort((a, b) => a.date.localeCompare(b.date));
+const formatPct = (value) => `${(value * 100).toFixed(1)}%`;
+
+function severityFor(gap, tolerance) {
+  if (gap > tolerance.error) return 'error';
+  if (gap > tolerance.warning) return 'warning';
+  return null;
+}
+
+function finding(check, severity, statement, field, row, message, extra = {}) {
+  return {
+    check,
+    severity,
+    statement,
+    field,
+    date: row?.date ?? null,
+    fiscalLabel: row?.fiscalLabel ?? null,
+    message,
+    ...extra,
+  };
+}
+
+// Assets = liabilities + equity. Equity may or may not include noncontrolling
+// interests depending on the tag that won, so the closer of the two sums counts.
+function checkBalanceIdentity(rows, statement, findings) {
+  let checked = 0;
+  for (const row of byDate(rows)) {
+    const { totalAssets, totalLiabilities, totalEquity } = row;
+    if (!isNumber(totalAssets) || totalAssets <= 0 || !isNumber(totalLiabilities) || !isNumber(totalEquity)) continue;
+    checked += 1;
+    const candidates = [totalLiabilities + totalEquity];
+    if (isNumber(row.minorityInterest)) candidates.push(totalLiabilities + totalEquity + row.minorityInterest);
+    const expected = candidates.reduce((best, value) => (Math.abs(totalAssets - value) < Math.abs(totalAssets - best) ? value : best));
+    const gap = Math.abs(totalAssets - expected) / totalAssets;
+    const severity = severityFor(gap, BALANCE_TOLERANCE);
+    if (!severity) continue;
+    findings.push(finding('balanceIdentity', severity, statement, 'totalAssets', row,
+      `Assets differ from liabilities plus equity by ${formatPct(gap)} of assets`,
+      { expected, actual: totalAssets }));
+  }
+  return checked;
+}
+
+function checkGrossProfit(rows, statement, findings) {
+  let checked = 0;
+  for (const row of byDate(rows)) {
+    const { revenue, costOfRevenue, grossProfit } = row;
+    if (!isNumber(revenue) || revenue === 0 || !isNumber(costOfRevenue) || !isNumber(grossProfit)) continue;
+    checked += 1;
+    const expected = revenue - costOfRevenue;
+    const gap = Math.abs(grossProfit - expected) / Math.abs(revenue);
+    const severity = severityFor(gap, GROSS_PROFIT_TOLERANCE);
+    if (!severity) continue;
+    findings.push(finding('grossProfit', severity, statement, 'grossProfit', row,
+      `Gross profit differs from revenue less cost of revenue by ${formatPct(gap)} of revenue`,
+      { expected, actual: grossProfit }));
+  }
+  return checked;
+}
+
+// Quarterly sums, on figures that were filed rather than derived. Quarters
+// lib/sec/quarters rebuilds from year-to-date totals (Q4 as the full year
+// less nine months, cash-flow quarters as differences of YTD figures) add up
+// to those totals by construction and are never compared. Instead:
+// - an annual period is checked against its four quarters when none of them
+//   was derived for the field (Yahoo quarters, SEC quarters all filed as
+//   three-month spans);
+// - a reported SEC quarter after Q1, with the reported quarters before it in
+//   its fiscal year, is checked against the year-to-date total filed for its
+//   end (six and nine months in a 10-Q).
+// Quarters are matched to annual periods by end date rather than fiscal label
+// so 52/53-week calendars and relabelled periods still line up.
+function checkQuarterSums(annualRows, quarterlyRows, statement, fields, findings) {
+  const quarters = byDate(quarterlyRows).filter((row) => /^Q[1-4]$/.test(row.period || ''));
+  const quartersOf = (annual) => {
+    const end = Date.parse(annual.date);
+    return quarters.filter((row) => {
+      const date = Date.parse(row.date);
+      return date > end - QUARTER_WINDOW_DAYS * DAY_MS && date <= end + 7 * DAY_MS;
+    });
+  };
+  const isDerived = (row, field) => Boolean(row.sources?.[field]?.derivation);
+  const compare = (actual, expected, field, row, message) => {
+    const gap = Math.abs(actual - expected) / Math.abs(expected);
+    const severity = severityFor(gap, QUARTER_SUM_TOLERANCE);
+    if (!severity) return;
+    findings.push(finding('quarterSum', severity, `${statement}Q`, field, row,
+      message.replace('{gap}', formatPct(gap)),
+      { expected, actual }));
+  };
+
+  let checked = 0;
+  for (const annual of byDate(annualRows)) {
+    const covered = quartersOf(annual);
+    if (covered.length !== 4) continue;
+    for (const field of fields) {
+      const values = covered.map((row) => row[field]);
+      if (!isNumber(annual[field]) || annual[field] === 0 || !values.every(isNumber)) continue;
+      if (covered.some((row) => isDerived(row, field))) continue;
+      checked += 1;
+      compare(values.reduce((total, value) => total + value, 0), annual[field], field, annual,
+        `Quarters of ${annual.fiscalLabel || annual.fiscalYear} sum to {gap} away from the annual figure`);
+    }
+  }
+
+  for (const quarter of quarters) {
+    const number = Number(quarter.period.slice(1));
+    const yearQuarters = new Map(quarters
+      .filter((row) => row.fiscalYear === quarter.fiscalYear && Number(row.period.slice(1)) <= number)
+      .map((row) => [row.period, row]));
+    if (number < 2 || yearQuarters.size !== number) continue;
+    for (const field of fields) {
+      const yearToDate = quarter.sources?.[field]?.yearToDate;
+      if (!isNumber(yearToDate) || yearToDate === 0) continue;
+      const rows = [...yearQuarters.values()];
+      if (!rows.every((row) => isNumber(row[field]) && !isDerived(row, field))) continue;
+      checked += 1;
+      const expected = OUTFLOW_FIELDS.includes(field) ? -Math.abs(yearToDate) : yearToDate;
+      compare(rows.reduce((total, row) => total + row[field], 0), expected, field, quarter,
+        `Reported quarters of ${quarter.fiscalYear} through ${quarter.period} sum to {gap} away from the year-to-date figure`);
+    }
+  }
+  return checked;
+}
+
+// Log changes between consecutive years, each tested against the mean and
+// standard deviation of the other changes so one outlier cannot hide itself.
+function checkOutliers(rows, statement, fields, findings) {
+  let checked = 0;
+  const sorted = byDate(rows);
+  for (const field of fields) {
+    const changes = [];
+    for (let i = 1; i < sorted.length; i++) {
+      const previous = Math.abs(sorted[i - 1][field]);
+      const current = Math.abs(sorted[i][field]);
+      if (!isNumber(previous) || !isNumber(current) || previous <= 0 || current <= 0) continue;
+      changes.push({ row: sorted[i], previous: sorted[i - 1], change: Math.log(current / previous) });
+    }
+    if (changes.length < OUTLIER_MIN_CHANGES) continue;
+    checked += changes.length;
+
+    for (const item of changes) {
+      const others = changes.filter((other) => other !== item).map((other) => other.change);
+      const mean = others.reduce((total, value) => total + value, 0) / others.length;
+      const sd = Math.sqrt(others.reduce((total, value) => total + (value - mean) ** 2, 0) / (others.length - 1));
+      if (Math.abs(item.change) < OUTLIER_MIN_MOVE || sd === 0) continue;
+      const sigma = Math.abs(item.change - mean) / sd;
+      if (sigma <= OUTLIER_SIGMA) continue;
+      findings.push(finding('yoyOutlier', 'warning', statement, field, item.row,
+        `${field} moved ${formatPct(Math.exp(item.change) - 1)} year over year, ${sigma.toFixed(1)} sigma from its usual change`,
+        { expected: item.previous[field] * Math.exp(mean), actual: item.row[field], sigma }));
+    }
+  }
+  return checked;
+}
+
+// Capital expenditure is stored as an outflow; a positive value next to
+// negative ones means a source used the opposite sign convention.
+function checkCapexSigns(rows, statement, findings) {
+  const values = byDate(rows).filter((row) => isNumber(row.capitalExpenditure) && row.capitalExpenditure !== 0);
+  const negatives = values.filter((row) => row.capitalExpenditure < 0).length;
+  if (negatives === 0) return values.length;
+  for (const row of values) {
+    if (row.capitalExpenditure <= 0) continue;
+    const source = row.sources?.capitalExpenditure?.source;
+    findings.push(finding('signFlip', 'warning', statement, 'capitalExpenditure', row,
+      `Capital expenditure is positive (an inflow) while ${negatives} of ${values.length} periods are outflows${source ? `; source ${source}` : ''}`,
+      { expected: -Math.abs(row.capitalExpenditure), actual: row.capitalExpenditure }));
+  }
+  return values.length;
+}
+
+// Figures restated from another currency at a rate the bundled FX tables
+// (lib/fx/rates) do not hold for their period: the nearest year's rate stood
+// in, typically the last tabled year for a period after it.
+function checkFxRates(rows, statement, findings) {
+  let checked = 0;
+  for (const row of byDate(rows)) {
+    const converted = Object.entries(row.sources || {}).filter(([, source]) => source?.reportedCurrency);
+    if (converted.length === 0) continue;
+    checked += 1;
+    const fallback = converted.filter(([, source]) => source.fxExtrapolated);
+    if (fallback.length === 0) continue;
+    const [[field, source]] = fallback;
+    findings.push(finding('fxFallback', 'warning', statement, field, row,
+      `${fallback.length} of ${converted.length} figures converted from ${source.reportedCurrency} at a rate from another year; the FX tables end before this period`,
+      { fields: fallback.map(([name]) => name) }));
+  }
+  return checked;
+}
+
+// `shares` is the annual diluted series ({ end, val }); `marketShares` is the
+// quote's share count. Both are on the queried class and today's split basis.
+function checkShareScale(shares, marketShares, findings) {
+  const isScaleSlip = (a, b) => {
+    const ratio = Math.max(a, b) / Math.min(a, b);
+    return ratio >= SHARE_SCALE.min && ratio <= SHARE_SCALE.max;
+  };
+  const series = (shares || [])
+    .filter((item) => item?.end && isNumber(item.val) && item.val > 0)
+    .slice()
+    .sort((a, b) => a.end.localeCompare(b.end));
+
+  let checked = 0;
+  for (let i = 1; i < series.length; i++) {
+    checked += 1;
+    if (!isScaleSlip(series[i - 1].val, series[i].val)) continue;
+    findings.push(finding('shareScale', 'error', 'shares', 'sharesDiluted', { date: series[i].end },
+      `Diluted shares jump ${(series[i].val / series[i - 1].val).toPrecision(3)}x from the prior year, a thousands/units mismatch`,
+      { expected: series[i - 1].val, actual: series[i].val }));
+  }
+  const latest = series[series.length - 1];
+  if (latest && isNumber(marketShares) && marketShares > 0) {
+    checked += 1;
+    if (isScaleSlip(latest.val, marketShares)) {
+      findings.push(finding('shareScale', 'error', 'shares', 'sharesDiluted', { date: latest.end },
+        `Filed diluted shares are ${(latest.val / marketShares).toPrecision(3)}x the quote's shares outstanding`,
+        { expected: marketShares, actual: latest.val }));
+    }
+  }
+  return checked;
+}
+
+// Runs every check over the statements as served. Returns the findings,
+// their counts by severity, how many comparisons each check made, and an
+// overall status: 'poor' with any error, 'fair' with any warning, else 'good'.
+export function auditFinancials({ income, incomeQ, balance, balanceQ, cashflow, cashflowQ, shares, marketShares }) {
+  const findings = [];
+  const checks = {
+    balanceIdentity: checkBalanceIdentity(balance, 'balance', findings) + checkBalanceIdentity(balanceQ, 'balanceQ', findings),
+    grossProfit: checkGrossProfit(income, 'income', findings) + checkGrossProfit(incomeQ, 'incomeQ', findings),
+    quarterSum: checkQuarterSums(income, incomeQ, 'income', QUARTER_SUM_FIELDS.income, findings)
+      + checkQuarterSums(cashflow, cashflowQ, 'cashflow', QUARTER_SUM_FIELDS.cashflow, findings),
+    yoyOutlier: checkOutliers(income, 'income', OUTLIER_FIELDS.income, findings)
+      + checkOutliers(balance, 'balance', OUTLIER_FIELDS.balance, findings)
+      + checkOutliers(cashflow, 'cashflow', OUTLIER_FIELDS.cashflow, findings),
+    signFlip: checkCapexSigns(cashflow, 'cashflow', findings) + checkCapexSigns(cashflowQ, 'cashflowQ', findings),
+    shareScale: checkShareScale(shares, marketShares, findings),
+    fxFallback: [['income', income], ['incomeQ', incomeQ], ['balance', balance], ['balanceQ', balanceQ], ['cashflow', cashflow], ['cashflowQ', cashflowQ]]
+      .reduce((total, [statement, rows]) => total + checkFxRates(rows, statement, findings), 0),
+  };
+
+  const counts = { error: 0, warning: 0 };
+  for (const item of findings) counts[item.severity] += 1;
+  const status = counts.error > 0 ? 'poor' : counts.warning > 0 ? 'fair' : 'good';
+  return { status, counts, checks, findings };
+}
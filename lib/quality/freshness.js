@@ -0,0 +1,78 @@
+// How old each section's data is, reported under `freshness` so the page can
+// warn before anyone acts on a stale balance sheet or price series.
+//
+// Every entry has the date the section is current to (`asOf`), its age in
+// whole days and a status from the section's thresholds: 'fresh' up to
+// `fresh` days, 'aging' up to `stale` days, 'stale' beyond, and 'unknown'
+// when there is no date at all. The defaults follow each source's cadence:
+// - fundamentals: age of the latest period end; a 10-Q lands up to 45 days
+//   after its quarter, so a period end up to 135 days old is current;
+// - priceHistory: the last daily bar; weekends and holidays allow 4 days;
+// - insiders: the latest insider transaction;
+// - ownership: the latest 13F report date, filed quarterly with a 45-day lag.
+//
+// STOCK_FRESHNESS_DAYS overrides them as `section=fresh/stale` pairs, e.g.
+// `fundamentals=100/150,priceHistory=2/5`.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_FRESHNESS_DAYS = {
+  fundamentals: { fresh: 135, stale: 200 },
+  priceHistory: { fresh: 4, stale: 10 },
+  insiders: { fresh: 90, stale: 183 },
+  ownership: { fresh: 135, stale: 225 },
+};
+
+export function freshnessThresholds() {
+  const thresholds = structuredClone(DEFAULT_FRESHNESS_DAYS);
+  for (const pair of (process.env.STOCK_FRESHNESS_DAYS || '').split(',')) {
+    const match = pair.trim().match(/^(\w+)=(\d+)\/(\d+)$/);
+    if (!match || !thresholds[match[1]]) continue;
+    const fresh = Number(match[2]);
+    const stale = Number(match[3]);
+    if (stale >= fresh) thresholds[match[1]] = { fresh, stale };
+  }
+  return thresholds;
+}
+
+function entry(section, asOf, details = {}) {
+  const thresholds = freshnessThresholds()[section];
+  const time = asOf ? Date.parse(`${asOf}T00:00:00Z`) : NaN;
+  if (!Number.isFinite(time)) return { asOf: null, ageDays: null, status: 'unknown', thresholds, ...details };
+  const ageDays = Math.max(0, Math.floor((Date.now() - time) / DAY_MS));
+  const status = ageDays <= thresholds.fresh ? 'fresh' : ageDays <= thresholds.stale ? 'aging' : 'stale';
+  return { asOf, ageDays, status, thresholds, ...details };
+}
+
+const latestDate = (dates) => dates.filter(Boolean).reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+
+// Latest period end across the statements, with the filing that reported it.
+// Rows filled in from Yahoo carry no filing, so `filed` is null for them.
+export function fundamentalsFreshness(statements) {
+  const rows = statements.flatMap((rows) => rows || []);
+  const periodEnd = latestDate(rows.map((row) => row?.date));
+  const latestRows = rows.filter((row) => row?.date === periodEnd);
+  const sources = latestRows.flatMap((row) => Object.values(row.sources || {}));
+  const filing = sources
+    .filter((item) => item?.filed)
+    .reduce((latest, item) => (!latest || item.filed > latest.filed ? item : latest), null);
+  return entry('fundamentals', periodEnd, {
+    periodEnd,
+    fiscalLabel: latestRows[0]?.fiscalLabel || null,
+    filed: filing?.filed || null,
+    form: filing?.form || null,
+    source: filing?.source || sources[0]?.source || null,
+  });
+}
+
+export function priceHistoryFreshness(priceHistory) {
+  return entry('priceHistory', latestDate((priceHistory || []).map((bar) => bar?.date)));
+}
+
+export function insidersFreshness(transactions) {
+  return entry('insiders', latestDate((transactions || []).map((tx) => tx?.date)));
+}
+
+export function ownershipFreshness(holders) {
+  return entry('ownership', latestDate((holders || []).map((holder) => holder?.reportDate)));
+}
@@ -0,0 +1,182 @@
+// Ticker and company-name search over SEC's ticker lists.
+//
+// company_tickers_exchange.json adds the listing exchange to what
+// company_tickers.json has; either list alone is enough to search. Matches are
+// ranked by how they matched, best first:
+//   exact ticker > ticker prefix > name prefix > every word a name-word prefix
+//   > name substring > fuzzy (one or two typos in a ticker or name word)
+// Ties go to major exchanges over OTC, then to shorter tickers.
+
+import { normalizeSymbol } from '../market/symbols';
+
+const MAX_LIMIT = 25;
+
+const SCORES = {
+  exactTicker: 100,
+  tickerPrefix: 80,
+  namePrefix: 70,
+  wordPrefixes: 60,
+  nameSubstring: 45,
+  fuzzy: 30,
+};
+
+// Lower ranks win ties; unlisted exchanges sort after OTC.
+const EXCHANGE_RANK = { NYSE: 0, Nasdaq: 0, CBOE: 0, OTC: 1 };
+
+const normalizeName = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+function buildEntries(tickerMap, exchangeMap) {
+  const entries = new Map();
+  if (exchangeMap?.fields && Array.isArray(exchangeMap.data)) {
+    const column = Object.fromEntries(exchangeMap.fields.map((field, index) => [field, index]));
+    for (const row of exchangeMap.data) {
+      const ticker = String(row[column.ticker] || '').toUpperCase();
+      if (!ticker || entries.has(ticker)) continue;
+      entries.set(ticker, { ticker, name: row[column.name] || '', cik: row[column.cik] ?? null, exchange: row[column.exchange] || null });
+    }
+  }
+  for (const row of Object.values(tickerMap || {})) {
+    const ticker = String(row?.ticker || '').toUpperCase();
+    if (!ticker || entries.has(ticker)) continue;
+    entries.set(ticker, { ticker, name: row.title || '', cik: row.cik_str ?? null, exchange: null });
+  }
+  return [...entries.values()].map((entry) => {
+    const nameKey = normalizeName(entry.name);
+    return {
+      ...entry,
+      cik: entry.cik === null ? null : String(entry.cik).padStart(10, '0'),
+      nameKey,
+      nameWords: nameKey.split(' ').filter(Boolean),
+      nameCompact: nameKey.replace(/ /g, ''),
+    };
+  });
+}
+
+// The lists change daily at most; rebuild only when the provider hands back
+// different objects (the shared cache returns the same ones between refreshes).
+let lastIndex = null;
+
+export function buildTickerIndex({ tickerMap = null, exchangeMap = null }) {
+  if (lastIndex && lastIndex.tickerMap === tickerMap && lastIndex.exchangeMap === exchangeMap) return lastIndex.entries;
+  const entries = buildEntries(tickerMap, exchangeMap);
+  lastIndex = { tickerMap, exchangeMap, entries };
+  return entries;
+}
+
+// Edit distance counting an adjacent swap as one edit (optimal string
+// alignment), giving up (returning max + 1) once it exceeds `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const typoBudget = (token) => (token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0);
+
+// Best typo distance of `token` against the start of any name word (a prefix
+// one letter shorter or longer covers a dropped or doubled letter), or null.
+// The first letter must match: typos there are rare, and skipping those words
+// keeps a search over the full SEC list fast.
+function fuzzyWordDistance(token, words) {
+  const budget = typoBudget(token);
+  if (budget === 0) return null;
+  let best = null;
+  for (const word of words) {
+    if (word[0] !== token[0]) continue;
+    for (let length = token.length - 1; length <= token.length + 1; length++) {
+      const distance = editDistance(token, word.slice(0, length), budget);
+      if (distance <= budget && (best === null || distance < best)) best = distance;
+    }
+  }
+  return best;
+}
+
+function scoreEntry(entry, query) {
+  const { ticker, nameWords, nameCompact } = entry;
+  if (ticker === query.ticker) return { score: SCORES.exactTicker, match: 'exact' };
+  if (query.ticker && ticker.startsWith(query.ticker)) {
+    return { score: SCORES.tickerPrefix - Math.min(ticker.length - query.ticker.length, 9), match: 'ticker' };
+  }
+  if (query.compact.length >= 2 && nameCompact.startsWith(query.compact)) return { score: SCORES.namePrefix, match: 'name' };
+  if (query.tokens.length > 0 && query.tokens.every((token) => nameWords.some((word) => word.startsWith(token)))) {
+    // "berkshire b" prefers the B shares.
+    const classLetter = query.tokens.some((token) => token.length === 1 && ticker.endsWith(`-${token.toUpperCase()}`));
+    return {
+      score: SCORES.wordPrefixes + (nameWords[0]?.startsWith(query.tokens[0]) ? 5 : 0) + (classLetter ? 3 : 0),
+      match: 'name',
+    };
+  }
+  if (query.compact.length >= 3 && nameCompact.includes(query.compact)) return { score: SCORES.nameSubstring, match: 'name' };
+
+  let distance = null;
+  if (query.ticker.length >= 3 && query.ticker.length <= 6) {
+    const tickerDistance = editDistance(query.ticker, ticker, 1);
+    if (tickerDistance <= 1) distance = tickerDistance;
+  }
+  if (query.tokens.length > 0 && query.tokens.some((token) => token.length >= 4)) {
+    const distances = query.tokens.map((token) => (
+      nameWords.some((word) => word.startsWith(token)) ? 0 : fuzzyWordDistance(token, nameWords)
+    ));
+    if (distances.every((value) => value !== null)) {
+      const total = distances.reduce((sum, value) => sum + value, 0);
+      distance = distance === null ? total : Math.min(distance, total);
+    }
+    // Spacing typed differently from the name ("jp morgn" for JPMORGAN).
+    const compactDistance = fuzzyWordDistance(query.compact, [nameCompact]);
+    if (compactDistance !== null) distance = distance === null ? compactDistance : Math.min(distance, compactDistance);
+  }
+  if (distance === null) return null;
+  return { score: SCORES.fuzzy - distance * 5, match: 'fuzzy' };
+}
+
+// Ranked matches for `text`, at most `limit` of them.
+export function searchTickers(entries, text, { limit = 10 } = {}) {
+  const nameKey = normalizeName(text);
+  const query = {
+    // In SEC's spelling, so BRK.B and BAC.PR.L find BRK-B and BAC-PL.
+    ticker: normalizeSymbol(text)?.sec || '',
+    tokens: nameKey.split(' ').filter(Boolean),
+    compact: nameKey.replace(/ /g, ''),
+  };
+  if (!query.ticker && query.tokens.length === 0) return [];
+
+  const results = [];
+  for (const entry of entries) {
+    const scored = scoreEntry(entry, query);
+    if (scored) results.push({ entry, ...scored });
+  }
+  const exchangeRank = (exchange) => EXCHANGE_RANK[exchange] ?? 2;
+  results.sort((a, b) => (
+    b.score - a.score
+    || exchangeRank(a.entry.exchange) - exchangeRank(b.entry.exchange)
+    || a.entry.ticker.length - b.entry.ticker.length
+    || a.entry.ticker.localeCompare(b.entry.ticker)
+  ));
+  return results.slice(0, Math.min(Math.max(limit, 1), MAX_LIMIT)).map(({ entry, score, match }) => ({
+    ticker: entry.ticker,
+    name: entry.name,
+    exchange: entry.exchange,
+    cik: entry.cik,
+    score,
+    match,
+  }));
+}
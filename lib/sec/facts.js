@@ -0,0 +1,121 @@
+// Helpers for reading SEC companyfacts (XBRL) series.
+
+import { createFiscalCalendar } from './fiscalCalendar';
+
+// Values this close are the same number re-filed at a different rounding
+// (e.g. millions vs. thousands), not a restatement.
+const REVISION_TOLERANCE = 0.0005;
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  const scale = Math.max(Math.abs(a), Math.abs(b));
+  return scale > 0 && Math.abs(a - b) / scale <= REVISION_TOLERANCE;
+}
+
+// Every filing repeats prior periods as comparatives. Collapse one period's
+// filings (same tag) into the distinct values in filing order; more than one
+// entry means the period was restated or revised.
+export function collapseRevisions(history = []) {
+  const ordered = history
+    .filter((h) => Number.isFinite(h?.val))
+    .sort((a, b) => String(a.filed || '').localeCompare(String(b.filed || '')));
+  const distinct = [];
+  for (const h of ordered) {
+    const previous = distinct[distinct.length - 1];
+    if (previous && sameValue(previous.val, h.val)) continue;
+    distinct.push({ val: h.val, filed: h.filed || null, form: h.form || null, accn: h.accn || null });
+  }
+  return distinct;
+}
+
+// Entries for one unit of a concept. Share counts appear under several
+// spellings of the unit; currencies are matched exactly.
+export function unitEntries(concept, unit = 'USD') {
+  const units = concept?.units || {};
+  if (unit === 'shares') return units.shares || units.Share || units.Shares || [];
+  return units[unit] || [];
+}
+
+export function withRevisions(entry, history) {
+  const revisions = collapseRevisions(history);
+  return revisions.length > 1 ? { ...entry, revisions } : entry;
+}
+
+// Get metric values, combining data from multiple field names for full history.
+// Keys by actual data period (end date) instead of filing year to avoid picking
+// prior-year comparative data that SEC EDGAR includes in each filing.
+// `calendar` (see fiscalCalendar.js) labels each entry by its own period end;
+// without one, fiscal years are assumed to end in December. `unit` is the
+// currency code (or 'shares', 'pure' for ratios) to read; other units are
+// never substituted.
+export function getMetricValues(facts, fieldNames, {
+  period = 'FY',
+  limit = 20,
+  calendar = createFiscalCalendar(null),
+  unit = 'USD',
+} = {}) {
+  const seen = new Map();
+  const versions = new Map();
+
+  for (const fieldName of fieldNames) {
+    const data = unitEntries(facts?.[fieldName], unit);
+
+    let filtered;
+    if (period === 'Q') {
+      // Quarterly: require fp in Q1-Q4 and a single-quarter span (~3 months)
+      filtered = data.filter(d => {
+        if (!['Q1', 'Q2', 'Q3', 'Q4'].includes(d.fp)) return false;
+        if (d.start && d.end) {
+          const months = (new Date(d.end) - new Date(d.start)) / (1000 * 60 * 60 * 24 * 30);
+          return months < 5;
+        }
+        return true;
+      });
+    } else {
+      // Annual: require fp === 'FY' and validate ~12-month span when dates available
+      filtered = data.filter(d => {
+        if (d.fp !== period) return false;
+        if (d.start && d.end) {
+          const months = (new Date(d.end) - new Date(d.start)) / (1000 * 60 * 60 * 24 * 30);
+          if (months < 10 || months > 14) return false;
+        }
+        return true;
+      });
+    }
+
+    // Key by the actual data period (end date) instead of the filing year.
+    // SEC filings include prior-year comparatives, so the same fy can have
+    // entries for different actual years. Using end date ensures we get the
+    // correct value for each period and don't lose the most recent year's data.
+    for (const entry of filtered) {
+      if (!entry.end) continue;
+      const key = entry.end; // e.g. "2024-12-31" for annual, "2024-03-31" for Q1
+      const versionKey = `${key}|${fieldName}`;
+      if (!versions.has(versionKey)) versions.set(versionKey, []);
+      versions.get(versionKey).push(entry);
+      const existing = seen.get(key);
+      if (!existing || new Date(entry.filed) > new Date(existing.filed)) {
+        // The filing's fy/fp describe the 10-K/10-Q, not this (possibly
+        // comparative) period, so relabel from the period end itself.
+        const labels = calendar.label(entry.end, { quarterly: period === 'Q' });
+        seen.set(key, {
+          ...entry,
+          fy: Number(labels.fiscalYear),
+          fp: labels.period,
+          calendarYear: Number(labels.calendarYear),
+          tag: fieldName,
+          ...(/^[A-Z]{3}$/.test(unit) ? { currency: unit } : {}),
+        });
+      }
+    }
+  }
+
+  return Array.from(seen.values())
+    .map((entry) => withRevisions(entry, versions.get(`${entry.end}|${entry.tag}`)))
+    .sort((a, b) => {
+      // Sort by end date descending for consistent ordering
+      if (a.end && b.end) return b.end.localeCompare(a.end);
+      return b.fy - a.fy || (b.fp || '').localeCompare(a.fp || '');
+    })
+    .slice(0, limit);
+}
@@ -0,0 +1,86 @@
+// Fiscal vs. calendar period labels for a company's fiscal-year end.
+//
+// SEC submissions carry `fiscalYearEnd` as "MMDD" (e.g. "0928" for Apple).
+// A fiscal year is named for the calendar year it ends in, the SEC/EDGAR
+// convention (Apple FY2024 ends 2024-09-28). 52/53-week filers drift a few
+// days either side of the nominal date, so period ends are matched with a
+// small tolerance.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_END_TOLERANCE_DAYS = 10;
+const DEFAULT_FISCAL_YEAR_END = { month: 12, day: 31 };
+
+function toTime(value) {
+  return new Date(`${String(value).slice(0, 10)}T00:00:00Z`).getTime();
+}
+
+export function parseFiscalYearEnd(value) {
+  const match = /^(\d{2})-?(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+  const month = Number(match[1]);
+  const day = Number(match[2]);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return { month, day };
+}
+
+export function createFiscalCalendar(fiscalYearEnd) {
+  const parsed = parseFiscalYearEnd(fiscalYearEnd);
+  const { month, day } = parsed || DEFAULT_FISCAL_YEAR_END;
+
+  // Nominal end of fiscal year `year`, clamped for short months (e.g. "0229").
+  const yearEndTime = (year) => {
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return Date.UTC(year, month - 1, Math.min(day, lastDay));
+  };
+
+  const fiscalYearOf = (time) => {
+    const year = new Date(time).getUTCFullYear();
+    for (const candidate of [year - 1, year, year + 1]) {
+      if (time <= yearEndTime(candidate) + YEAR_END_TOLERANCE_DAYS * DAY_MS) return candidate;
+    }
+    return year + 1;
+  };
+
+  // Labels for a period ending on `date`. `quarterly` periods also get their
+  // fiscal quarter (by elapsed time since the prior year end) and the calendar
+  // quarter they mostly fall in.
+  const label = (date, { quarterly = false } = {}) => {
+    const time = toTime(date);
+    if (!Number.isFinite(time)) return {};
+    const fiscalYear = fiscalYearOf(time);
+    // A period ending on Jan 1-3 of a 52/53-week year belongs to the prior calendar year.
+    const calendarDate = new Date(time - (YEAR_END_TOLERANCE_DAYS / 2) * DAY_MS);
+    const calendarYear = calendarDate.getUTCFullYear();
+
+    if (!quarterly) {
+      return {
+        fiscalYear: String(fiscalYear),
+        period: 'FY',
+        calendarYear: String(calendarYear),
+        calendarQuarter: null,
+        fiscalLabel: `FY${fiscalYear}`,
+        calendarLabel: `CY${calendarYear}`,
+      };
+    }
+
+    const elapsedDays = (time - yearEndTime(fiscalYear - 1)) / DAY_MS;
+    const fiscalQuarter = Math.min(4, Math.max(1, Math.round(elapsedDays / 91.3)));
+    const calendarQuarter = Math.floor(new Date(time - 45 * DAY_MS).getUTCMonth() / 3) + 1;
+    const calendarQuarterYear = new Date(time - 45 * DAY_MS).getUTCFullYear();
+    return {
+      fiscalYear: String(fiscalYear),
+      period: `Q${fiscalQuarter}`,
+      calendarYear: String(calendarQuarterYear),
+      calendarQuarter: `Q${calendarQuarter}`,
+      fiscalLabel: `FY${fiscalYear} Q${fiscalQuarter}`,
+      calendarLabel: `${calendarQuarterYear} Q${calendarQuarter}`,
+    };
+  };
+
+  return {
+    fiscalYearEnd: `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+    isDefault: !parsed,
+    fiscalYearOf: (date) => fiscalYearOf(toTime(date)),
+    label,
+  };
+}
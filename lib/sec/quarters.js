@@ -0,0 +1,197 @@
+// Single-quarter reconstruction from SEC duration facts.
+//
+// 10-Qs report income items for the quarter *and* year-to-date, but cash-flow
+// items only year-to-date, and Q4 only ever appears inside the 10-K's full
+// year. Walking each fiscal year in order lets us recover every quarter:
+//   reported 3-month span          -> used as-is
+//   YTD(n) - YTD(n-1)              -> de-cumulated quarter (6M - 3M, 9M - 6M)
+//   FY - YTD(9M) or FY - (Q1+Q2+Q3) -> synthesized Q4
+// A reported quarter after Q1 also carries the year-to-date total filed for
+// its end (`yearToDate`), so the quarters can be checked against it.
+
+import { unitEntries, withRevisions } from './facts';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_TOLERANCE_DAYS = 7; // 52/53-week fiscal calendars drift a few days
+
+function toTime(value) {
+  return new Date(`${value}T00:00:00Z`).getTime();
+}
+
+function daysBetween(a, b) {
+  return (toTime(b) - toTime(a)) / DAY_MS;
+}
+
+function nearDate(a, b, tolerance = DATE_TOLERANCE_DAYS) {
+  return Math.abs(daysBetween(a, b)) <= tolerance;
+}
+
+function addDays(value, days) {
+  return new Date(toTime(value) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Latest-filed value per (start, end) span across all candidate tags.
+function collectDurationFacts(facts, fieldNames, unit) {
+  const spans = new Map();
+  const versions = new Map();
+  for (const fieldName of fieldNames) {
+    const data = unitEntries(facts?.[fieldName], unit);
+    for (const entry of data) {
+      if (!entry?.start || !entry?.end || !Number.isFinite(entry.val)) continue;
+      const key = `${entry.start}|${entry.end}`;
+      const versionKey = `${key}|${fieldName}`;
+      if (!versions.has(versionKey)) versions.set(versionKey, []);
+      versions.get(versionKey).push(entry);
+      const existing = spans.get(key);
+      if (!existing || new Date(entry.filed) > new Date(existing.filed)) {
+        spans.set(key, { ...entry, tag: fieldName });
+      }
+    }
+  }
+  return Array.from(spans.values())
+    .map((span) => withRevisions(span, versions.get(`${span.start}|${span.end}|${span.tag}`)));
+}
+
+function fiscalYearStarts(spans) {
+  const annual = spans
+    .filter((s) => {
+      const days = daysBetween(s.start, s.end);
+      return days >= 350 && days <= 380;
+    })
+    .sort((a, b) => a.start.localeCompare(b.start));
+
+  const starts = [];
+  for (const span of annual) {
+    if (!starts.some((s) => nearDate(s, span.start))) starts.push(span.start);
+  }
+  // The fiscal year in progress starts the day after the latest full year ends.
+  const latestAnnual = annual[annual.length - 1];
+  if (latestAnnual) {
+    const nextStart = addDays(latestAnnual.end, 1);
+    if (!starts.some((s) => nearDate(s, nextStart))) starts.push(nextStart);
+  }
+  return starts;
+}
+
+function quartersForFiscalYear(spans, fyStart, fyLabel, unit) {
+  const horizonEnd = addDays(fyStart, 380);
+  const inYear = spans.filter((s) => s.end > fyStart && s.end <= horizonEnd);
+  const cumulative = inYear.filter((s) => nearDate(s.start, fyStart));
+  const discrete = inYear.filter((s) => {
+    const days = daysBetween(s.start, s.end);
+    return days >= 80 && days <= 100;
+  });
+
+  const ends = [];
+  for (const span of [...cumulative, ...discrete].sort((a, b) => a.end.localeCompare(b.end))) {
+    if (!ends.some((e) => nearDate(e, span.end))) ends.push(span.end);
+  }
+
+  const quarters = [];
+  let prevEnd = addDays(fyStart, -1);
+  let prevCum = 0;
+  for (const end of ends) {
+    // Skip boundaries closer together than a quarter (e.g. monthly restatement spans).
+    if (daysBetween(prevEnd, end) < 75) continue;
+    const direct = discrete.find((s) => nearDate(s.end, end) && nearDate(s.start, addDays(prevEnd, 1)));
+    const cum = cumulative
+      .filter((s) => nearDate(s.end, end))
+      .sort((a, b) => new Date(b.filed) - new Date(a.filed))[0];
+
+    let val = null;
+    let derivation = null;
+    let basis = null;
+    if (direct) {
+      val = direct.val;
+      derivation = 'reported';
+      basis = direct;
+    } else if (cum && prevCum !== null) {
+      val = cum.val - prevCum;
+      derivation = daysBetween(fyStart, end) >= 350 ? 'fy-less-ytd' : 'ytd-decumulated';
+      basis = cum;
+    }
+
+    const cumulativeVal = cum ? cum.val : (prevCum !== null && val !== null ? prevCum + val : null);
+    if (val !== null) {
+      quarters.push({
+        start: addDays(prevEnd, 1),
+        end,
+        val,
+        fy: fyLabel,
+        fp: `Q${quarters.length + 1}`,
+        form: basis.form,
+        accn: basis.accn,
+        filed: basis.filed,
+        tag: basis.tag,
+        derivation,
+        ...(derivation === 'reported' && basis.revisions ? { revisions: basis.revisions } : {}),
+        ...(derivation === 'reported' && cum && quarters.length > 0 ? { yearToDate: cum.val } : {}),
+        ...(unit === 'shares' ? {} : { currency: unit }),
+        ...(basis.reportedCurrency ? { reportedCurrency: basis.reportedCurrency } : {}),
+        ...(basis.fxExtrapolated ? { fxExtrapolated: true } : {}),
+      });
+    } else {
+      // Keep ordinal positions honest even when a quarter cannot be derived.
+      quarters.push(null);
+    }
+    prevCum = cumulativeVal;
+    prevEnd = end;
+    if (quarters.length >= 4) break;
+  }
+  return quarters.filter(Boolean);
+}
+
+// Single-quarter values for a duration metric, newest first (same ordering
+// and shape as getMetricValues with period 'Q', plus `start`, `derivation`
+// and, on reported quarters, `yearToDate`).
+export function getQuarterlyValues(facts, fieldNames, { limit = 40, unit = 'USD' } = {}) {
+  const spans = collectDurationFacts(facts, fieldNames, unit);
+  if (spans.length === 0) return [];
+
+  const quarters = [];
+  for (const fyStart of fiscalYearStarts(spans)) {
+    const fyLabel = new Date(toTime(addDays(fyStart, 364))).getUTCFullYear();
+    for (const quarter of quartersForFiscalYear(spans, fyStart, fyLabel, unit)) {
+      if (!quarters.some((q) => nearDate(q.end, quarter.end))) quarters.push(quarter);
+    }
+  }
+
+  return quarters
+    .sort((a, b) => b.end.localeCompare(a.end))
+    .slice(0, limit);
+}
+
+// Trailing-twelve-month sums over merged quarterly rows ({ date, ...fields },
+// oldest first). Requires four consecutive quarters roughly 3 months apart;
+// rows whose dates sit within a few days of each other are one quarter
+// reported by two sources, and only the newer-listed row is used.
+export function computeTrailingTwelveMonths(rows, fields) {
+  const ordered = (Array.isArray(rows) ? rows : [])
+    .filter((r) => r?.date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const picked = [];
+  for (let i = ordered.length - 1; i >= 0 && picked.length < 4; i--) {
+    const row = ordered[i];
+    const newer = picked[picked.length - 1];
+    if (newer) {
+      const gap = daysBetween(row.date, newer.date);
+      if (gap < 20) continue;
+      if (gap < 75 || gap > 105) break;
+    }
+    picked.push(row);
+  }
+  if (picked.length < 4) return null;
+
+  const result = {
+    periodEnd: picked[0].date,
+    quarterEnds: picked.map((r) => r.date).reverse(),
+  };
+  for (const field of fields) {
+    const values = picked.map((r) => r[field]);
+    result[field] = values.every((v) => Number.isFinite(v))
+      ? values.reduce((sum, v) => sum + v, 0)
+      : null;
+  }
+  return result;
+}
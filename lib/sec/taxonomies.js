@@ -0,0 +1,309 @@
+// SEC companyfacts taxonomies and reporting currencies.
+//
+// Domestic filers tag statements in us-gaap; foreign private issuers filing
+// 20-F/40-F under IFRS tag them in ifrs-full. Both map onto the same metric
+// names so the route can read either. Statements reported in a currency other
+// than the quote currency are restated with the bundled FX tables before any
+// series is built, so every downstream number stays in one currency.
+
+import { convertAmount, hasRatesFor } from '../fx/rates';
+
+// Candidate tags per metric, in priority order.
+export const SEC_FIELD_MAP = {
+  'us-gaap': {
+    revenue: ['RevenueFromContractWithCustomerExcludingAssessedTax', 'Revenues', 'SalesRevenueNet', 'SalesRevenueGoodsNet'],
+    netIncome: ['NetIncomeLoss', 'ProfitLoss', 'NetIncomeLossAvailableToCommonStockholdersBasic'],
+    grossProfit: ['GrossProfit'],
+    costOfRevenue: ['CostOfRevenue', 'CostOfGoodsAndServicesSold', 'CostOfGoodsSold', 'CostOfProductsSold', 'CostOfServicesSold'],
+    operatingIncome: ['OperatingIncomeLoss'],
+    totalAssets: ['Assets'],
+    totalEquity: ['StockholdersEquity', 'StockholdersEquityIncludingPortionAttributableToNoncontrollingInterest'],
+    totalLiabilities: ['Liabilities'],
+    minorityInterest: ['MinorityInterest'],
+    inventory: ['InventoryNet', 'InventoryFinishedGoods', 'InventoryGross', 'Inventory', 'Inventories'],
+    receivables: [
+      'AccountsReceivableNetCurrent',
+      'ReceivablesNetCurrent',
+      'AccountsAndOtherReceivablesNetCurrent',
+      'AccountsNotesAndLoansReceivableNetCurrent',
+      'AccountsReceivableNet',
+      'NotesReceivableNetCurrent',
+    ],
+    accountsPayable: [
+      'AccountsPayableCurrent',
+      'AccountsPayable',
+      'AccountsPayableAndAccruedLiabilitiesCurrent',
+      'AccountsPayableAndOtherAccruedLiabilitiesCurrent',
+      'AccountsPayableAndAccruedExpensesCurrent',
+      'AccountsPayableTradeCurrent',
+    ],
+    netPpe: [
+      'PropertyPlantAndEquipmentNet',
+      'PropertyPlantAndEquipmentAndFinanceLeaseRightOfUseAssetAfterAccumulatedDepreciationAndAmortization',
+      'PropertyPlantAndEquipmentAndSoftwareNet',
+    ],
+    cash: ['CashAndCashEquivalentsAtCarryingValue', 'Cash'],
+    debt: [
+      'DebtLongtermAndShorttermCombinedAmount',   // most comprehensive — includes all debt
+      'LongTermDebtAndCapitalLeaseObligations',   // long-term + leases
+      'LongTermDebt',                              // standard long-term debt
+      'LongTermDebtNoncurrent',                    // non-current portion
+      'ConvertibleLongTermNotesPayable',           // convertible notes (ZS, etc.)
+    ],
+    operatingCashFlow: ['NetCashProvidedByUsedInOperatingActivities'],
+    capex: [
+      'PaymentsToAcquirePropertyPlantAndEquipment',
+      'CapitalExpenditures',
+      'PaymentsToAcquireProductiveAssets',
+      'PaymentsToAcquirePropertyPlantAndEquipmentAndIntangibleAssets',
+    ],
+    depreciation: [
+      'DepreciationAndAmortization',
+      'DepreciationDepletionAndAmortization',
+      'DepreciationAmortizationAndAccretionNet',
+      'Depreciation',
+    ],
+    currentAssets: ['AssetsCurrent'],
+    currentLiabilities: ['LiabilitiesCurrent'],
+    interestExpense: ['InterestExpense', 'InterestAndDebtExpense'],
+    pretaxIncome: ['IncomeBeforeTax'],
+    incomeTax: ['IncomeTaxExpenseBenefit'],
+    sharesDiluted: ['WeightedAverageNumberOfDilutedSharesOutstanding'],
+    sharesBasic: ['WeightedAverageNumberOfSharesOutstandingBasic'],
+    sellingGeneralAdministrative: ['SellingGeneralAndAdministrativeExpense', 'GeneralAndAdministrativeExpense'],
+    researchAndDevelopment: ['ResearchAndDevelopmentExpense', 'ResearchAndDevelopmentExpenseExcludingAcquiredInProcessCost'],
+    shareBasedCompensation: ['ShareBasedCompensation', 'AllocatedShareBasedCompensationExpense'],
+    dividendsPaid: ['PaymentsOfDividendsCommonStock', 'PaymentsOfDividends'],
+    // Per share, read with a '<currency>/shares' unit.
+    dividendsPerShare: ['CommonStockDividendsPerShareDeclared', 'CommonStockDividendsPerShareCashPaid'],
+    shareRepurchases: ['PaymentsForRepurchaseOfCommonStock', 'PaymentsForRepurchaseOfEquity'],
+    // Read with the 'shares' unit.
+    sharesRepurchased: ['StockRepurchasedDuringPeriodShares', 'TreasuryStockSharesAcquired'],
+    shareIssuance: ['ProceedsFromIssuanceOfCommonStock', 'ProceedsFromStockOptionsExercised'],
+    debtIssuance: ['ProceedsFromIssuanceOfLongTermDebt', 'ProceedsFromIssuanceOfDebt', 'ProceedsFromIssuanceOfSeniorLongTermDebt'],
+    debtRepayment: ['RepaymentsOfLongTermDebt', 'RepaymentsOfDebt', 'RepaymentsOfSeniorDebt'],
+    acquisitions: ['PaymentsToAcquireBusinessesNetOfCashAcquired', 'PaymentsToAcquireBusinessesGross'],
+    goodwill: ['Goodwill'],
+    intangibleAssets: ['IntangibleAssetsNetExcludingGoodwill', 'FiniteLivedIntangibleAssetsNet'],
+    operatingLeaseLiabilities: ['OperatingLeaseLiability', 'OperatingLeaseLiabilityNoncurrent'],
+    deferredRevenue: [
+      'ContractWithCustomerLiability',
+      'DeferredRevenue',
+      'ContractWithCustomerLiabilityCurrent',
+      'DeferredRevenueCurrent',
+    ],
+    shortTermInvestments: ['ShortTermInvestments', 'MarketableSecuritiesCurrent', 'AvailableForSaleSecuritiesDebtSecuritiesCurrent'],
+    // Banks and insurers (see lib/sectors/financials.js).
+    preferredEquity: ['PreferredStockValue', 'PreferredStockValueOutstanding'],
+    netInterestIncome: ['InterestIncomeExpenseNet', 'InterestIncomeExpenseOperating'],
+    interestIncome: ['InterestAndDividendIncomeOperating', 'InterestIncomeOperating'],
+    noninterestIncome: ['NoninterestIncome'],
+    noninterestExpense: ['NoninterestExpense'],
+    creditLossProvision: [
+      'ProvisionForLoanLeaseAndOtherLosses',
+      'ProvisionForLoanAndLeaseLosses',
+      'ProvisionForLoanLossesExpensed',
+      'ProvisionForCreditLossesNet',
+    ],
+    loans: [
+      'LoansAndLeasesReceivableNetReportedAmount',
+      'LoansAndLeasesReceivableNetOfDeferredIncome',
+      'FinancingReceivableExcludingAccruedInterestAfterAllowanceForCreditLoss',
+    ],
+    deposits: ['Deposits'],
+    tier1Capital: ['TierOneRiskBasedCapital'],
+    tier1Ratio: ['TierOneRiskBasedCapitalToRiskWeightedAssets'],
+    cet1Ratio: ['CommonEquityTierOneCapitalRatio', 'CommonEquityTierOneCapitalToRiskWeightedAssets'],
+    premiumsEarned: ['PremiumsEarnedNet'],
+    policyholderBenefits: ['PolicyholderBenefitsAndClaimsIncurredNet', 'IncurredClaimsPropertyCasualtyAndLiability'],
+    underwritingExpense: ['DeferredPolicyAcquisitionCostAmortizationExpense', 'OtherUnderwritingExpense'],
+    netInvestmentIncome: ['NetInvestmentIncome'],
+    // REITs (see lib/sectors/reits.js).
+    gainOnSaleOfRealEstate: [
+      'GainsLossesOnSalesOfInvestmentRealEstate',
+      'GainLossOnSaleOfProperties',
+      'GainLossOnDispositionOfAssets',
+      'GainLossOnSaleOfPropertyPlantEquipment',
+    ],
+    realEstateImpairment: ['ImpairmentOfRealEstate', 'ImpairmentOfLongLivedAssetsHeldForUse'],
+    capitalImprovements: ['PaymentsForCapitalImprovements'],
+    straightLineRent: ['StraightLineRent'],
+  },
+  'ifrs-full': {
+    revenue: ['Revenue', 'RevenueFromContractsWithCustomers', 'RevenueFromSaleOfGoods'],
+    netIncome: ['ProfitLossAttributableToOwnersOfParent', 'ProfitLoss'],
+    grossProfit: ['GrossProfit'],
+    costOfRevenue: ['CostOfSales'],
+    operatingIncome: ['ProfitLossFromOperatingActivities'],
+    totalAssets: ['Assets'],
+    totalEquity: ['EquityAttributableToOwnersOfParent', 'Equity'],
+    totalLiabilities: ['Liabilities'],
+    minorityInterest: ['NoncontrollingInterests'],
+    inventory: ['Inventories'],
+    receivables: ['TradeAndOtherCurrentReceivables', 'CurrentTradeReceivables'],
+    accountsPayable: ['TradeAndOtherCurrentPayables', 'TradeAndOtherCurrentPayablesToTradeSuppliers'],
+    netPpe: ['PropertyPlantAndEquipment'],
+    cash: ['CashAndCashEquivalents', 'Cash'],
+    debt: ['Borrowings', 'LongtermBorrowings', 'NoncurrentPortionOfNoncurrentBorrowings'],
+    operatingCashFlow: ['CashFlowsFromUsedInOperatingActivities'],
+    capex: [
+      'PurchaseOfPropertyPlantAndEquipmentClassifiedAsInvestingActivities',
+      'PurchaseOfPropertyPlantAndEquipment',
+      'PurchaseOfPropertyPlantAndEquipmentAndIntangibleAssets',
+    ],
+    depreciation: [
+      'DepreciationAndAmortisationExpense',
+      'DepreciationAmortisationAndImpairmentLossReversalOfImpairmentLossRecognisedInProfitOrLoss',
+      'DepreciationExpense',
+    ],
+    currentAssets: ['CurrentAssets'],
+    currentLiabilities: ['CurrentLiabilities'],
+    interestExpense: ['InterestExpense', 'FinanceCosts'],
+    pretaxIncome: ['ProfitLossBeforeTax'],
+    incomeTax: ['IncomeTaxExpenseContinuingOperations'],
+    sharesDiluted: ['AdjustedWeightedAverageShares'],
+    sharesBasic: ['WeightedAverageShares'],
+    sellingGeneralAdministrative: ['SellingGeneralAndAdministrativeExpense'],
+    researchAndDevelopment: ['ResearchAndDevelopmentExpense'],
+    shareBasedCompensation: ['AdjustmentsForSharebasedPayments'],
+    dividendsPaid: ['DividendsPaidClassifiedAsFinancingActivities', 'DividendsPaid'],
+    dividendsPerShare: ['DividendsRecognisedAsDistributionsToOwnersPerShare'],
+    shareRepurchases: ['PaymentsToAcquireOrRedeemEntitysShares'],
+    sharesRepurchased: [],
+    shareIssuance: ['ProceedsFromIssuingShares'],
+    debtIssuance: ['ProceedsFromBorrowingsClassifiedAsFinancingActivities', 'ProceedsFromNoncurrentBorrowings'],
+    debtRepayment: ['RepaymentsOfBorrowingsClassifiedAsFinancingActivities', 'RepaymentsOfNoncurrentBorrowings'],
+    acquisitions: ['CashFlowsUsedInObtainingControlOfSubsidiariesOrOtherBusinessesClassifiedAsInvestingActivities'],
+    goodwill: ['Goodwill'],
+    intangibleAssets: ['IntangibleAssetsOtherThanGoodwill'],
+    // IFRS 16 does not separate operating from finance leases.
+    operatingLeaseLiabilities: ['LeaseLiabilities'],
+    deferredRevenue: ['ContractLiabilities', 'CurrentContractLiabilities'],
+    shortTermInvestments: ['CurrentInvestments', 'OtherCurrentFinancialAssets'],
+    preferredEquity: ['PreferenceShares'],
+    netInterestIncome: ['InterestRevenueExpense', 'NetInterestIncomeExpense'],
+    interestIncome: ['RevenueFromInterest', 'InterestIncome'],
+    noninterestIncome: ['FeeAndCommissionIncomeExpense'],
+    noninterestExpense: ['OperatingExpense'],
+    creditLossProvision: [
+      'ImpairmentLossImpairmentGainAndReversalOfImpairmentLossDeterminedInAccordanceWithIFRS9',
+      'ImpairmentLossOnFinancialAssets',
+    ],
+    loans: ['LoansAndAdvancesToCustomers'],
+    deposits: ['DepositsFromCustomers'],
+    tier1Capital: [],
+    tier1Ratio: [],
+    cet1Ratio: [],
+    premiumsEarned: ['InsuranceRevenue', 'RevenueFromInsuranceContractsIssuedWithoutReductionForReinsuranceHeld'],
+    policyholderBenefits: ['InsuranceServiceExpensesFromInsuranceContractsIssued', 'ClaimsAndBenefitsPaidNetOfReinsuranceRecoveries'],
+    underwritingExpense: [],
+    netInvestmentIncome: ['InvestmentIncome'],
+    gainOnSaleOfRealEstate: ['GainsLossesOnDisposalsOfInvestmentProperties'],
+    realEstateImpairment: [],
+    capitalImprovements: [],
+    straightLineRent: [],
+  },
+};
+
+// Metrics that decide which taxonomy actually carries the statements.
+const CORE_METRICS = ['revenue', 'netIncome', 'totalAssets', 'operatingCashFlow'];
+const CURRENCY_UNIT = /^[A-Z]{3}$/;
+
+function conceptEntryCount(concept) {
+  return Object.values(concept?.units || {}).reduce((sum, entries) => sum + (entries?.length || 0), 0);
+}
+
+// The taxonomy with the most core-metric facts; us-gaap wins ties.
+export function selectTaxonomy(companyFacts) {
+  let best = { taxonomy: 'us-gaap', score: -1 };
+  for (const taxonomy of Object.keys(SEC_FIELD_MAP)) {
+    const facts = companyFacts?.facts?.[taxonomy];
+    if (!facts) continue;
+    const score = CORE_METRICS.reduce(
+      (sum, metric) => sum + SEC_FIELD_MAP[taxonomy][metric].reduce((s, tag) => s + conceptEntryCount(facts[tag]), 0),
+      0
+    );
+    if (score > best.score) best = { taxonomy, score };
+  }
+  return best.taxonomy;
+}
+
+// Most frequent ISO currency unit across the taxonomy's facts.
+export function detectReportingCurrency(taxonomyFacts) {
+  const counts = new Map();
+  for (const concept of Object.values(taxonomyFacts || {})) {
+    for (const [unit, entries] of Object.entries(concept?.units || {})) {
+      if (CURRENCY_UNIT.test(unit)) counts.set(unit, (counts.get(unit) || 0) + (entries?.length || 0));
+    }
+  }
+  let currency = 'USD';
+  let max = 0;
+  for (const [unit, count] of counts) {
+    if (count > max) {
+      currency = unit;
+      max = count;
+    }
+  }
+  return currency;
+}
+
+// Restates monetary concepts reported in `from` into a `to` unit: flows at
+// the average rate over their span, balances at the period-end rate. Each
+// converted entry keeps its reported value, currency and the rate applied,
+// and `fxExtrapolated` when the rate came from outside the FX tables' years.
+// Monetary concepts with no `to` figures and no known rate are dropped rather
+// than passed through as if they were already in `to`.
+export function convertFacts(taxonomyFacts, from, to) {
+  if (from === to) return { facts: taxonomyFacts || {}, converted: false, dropped: [] };
+  const canConvert = hasRatesFor(from) && hasRatesFor(to);
+  const facts = {};
+  const dropped = [];
+  for (const [tag, concept] of Object.entries(taxonomyFacts || {})) {
+    const units = concept?.units || {};
+    if (units[to] || !units[from]) {
+      facts[tag] = concept;
+      continue;
+    }
+    if (!canConvert) {
+      dropped.push(tag);
+      continue;
+    }
+    const { [from]: reported, ...otherUnits } = units;
+    const convertedEntries = reported
+      .map((entry) => {
+        const result = convertAmount(entry.val, { from, to, start: entry.start || null, end: entry.end });
+        return result
+          ? {
+            ...entry,
+            val: result.value,
+            reportedVal: entry.val,
+            reportedCurrency: from,
+            fxRate: result.rate,
+            ...(result.extrapolated ? { fxExtrapolated: true } : {}),
+          }
+          : null;
+      })
+      .filter(Boolean);
+    facts[tag] = { ...concept, units: { ...otherUnits, [to]: convertedEntries } };
+  }
+  return { facts, converted: canConvert, dropped };
+}
+
+// Picks the taxonomy and reporting currency for a companyfacts payload and
+// returns facts restated in `presentationCurrency` (the quote currency), ready
+// for getMetricValues/getQuarterlyValues with `unit: presentationCurrency`.
+export function resolveReportingFacts(companyFacts, presentationCurrency = 'USD') {
+  const taxonomy = selectTaxonomy(companyFacts);
+  const taxonomyFacts = companyFacts?.facts?.[taxonomy] || {};
+  const currency = detectReportingCurrency(taxonomyFacts);
+  const { facts, converted, dropped } = convertFacts(taxonomyFacts, currency, presentationCurrency);
+  return {
+    taxonomy,
+    currency,
+    presentationCurrency,
+    facts,
+    fields: SEC_FIELD_MAP[taxonomy],
+    converted,
+    unconvertedConcepts: dropped,
+  };
+}
@@ -0,0 +1,50 @@
+// Which valuation model fits a filer.
+//
+// The default path (revenue, margins, capex and working capital feeding an
+// unlevered DCF) misprices balance-sheet businesses: a bank's "debt" is its
+// raw material and its revenue has no gross margin. Filers are routed by the
+// SIC code in SEC submissions, falling back to Yahoo's sector/industry when
+// SEC data is missing. REITs are routed away from earnings-based methods,
+// which their real-estate depreciation distorts.
+
+const SIC_MODELS = [
+  // Depository institutions, credit agencies and lenders, bank holding companies.
+  { model: 'bank', ranges: [[6011, 6099], [6111, 6163], [6712, 6712]] },
+  // Insurance carriers (agents and brokers, 6411, are fee businesses).
+  { model: 'insurer', ranges: [[6311, 6399]] },
+  // Real estate investment trusts.
+  { model: 'reit', ranges: [[6798, 6798]] },
+];
+
+const SECTOR_MODELS = [
+  { model: 'bank', test: (sector, industry) => /financial/.test(sector) && /bank|credit services|mortgage finance/.test(industry) },
+  { model: 'insurer', test: (sector, industry) => /financial/.test(sector) && /insurance/.test(industry) && !/broker/.test(industry) },
+  { model: 'reit', test: (sector, industry) => /real estate/.test(sector) && /reit/.test(industry) },
+];
+
+function modelForSic(sic) {
+  for (const { model, ranges } of SIC_MODELS) {
+    if (ranges.some(([low, high]) => sic >= low && sic <= high)) return model;
+  }
+  return null;
+}
+
+// { model: 'bank' | 'insurer' | 'reit' | 'general', basis: 'sic' | 'sector' | null, sic }
+// A specific SIC code wins; otherwise the sector can still route the filer
+// (some REITs file under general real-estate codes).
+export function classifyFiler({ sic, sector, industry } = {}) {
+  const parsed = Number.parseInt(sic, 10);
+  const code = Number.isFinite(parsed) ? parsed : null;
+  const sicModel = code !== null ? modelForSic(code) : null;
+  if (sicModel) return { model: sicModel, basis: 'sic', sic: code };
+
+  const sectorText = String(sector || '').toLowerCase();
+  const industryText = String(industry || '').toLowerCase();
+  const match = SECTOR_MODELS.find(({ test }) => test(sectorText, industryText));
+  if (match) return { model: match.model, basis: 'sector', sic: code };
+  return { model: 'general', basis: code !== null ? 'sic' : (sectorText ? 'sector' : null), sic: code };
+}
+
+export function isFinancialModel(classification) {
+  return classification?.model === 'bank' || classification?.model === 'insurer';
+}
@@ -0,0 +1,148 @@
+// Bank and insurer analysis.
+//
+// Balance-sheet businesses earn a spread on capital rather than a margin on
+// revenue, so they are measured on returns over tangible common equity and
+// valued on the excess of those returns over the cost of equity. Rows are
+// annual, oldest first, with SEC values keyed by the SEC_FIELD_MAP metric
+// names (netIncome, totalAssets, totalEquity, goodwill, netInterestIncome...).
+
+const PROJECTION_YEARS = 10;
+const DEFAULT_PAYOUT_RATIO = 0.4;
+const NORMALIZATION_YEARS = 5;
+
+const clamp = (value, low, high) => Math.min(high, Math.max(low, value));
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const ratio = (numerator, denominator) => (
+  isNumber(numerator) && isNumber(denominator) && denominator !== 0 ? numerator / denominator : null
+);
+
+// Average of the opening and closing balance; the closing balance alone for
+// the first year.
+function averageBalance(previous, current) {
+  if (!isNumber(current)) return null;
+  return isNumber(previous) ? (previous + current) / 2 : current;
+}
+
+// Common equity less preferred stock, goodwill and other intangibles.
+export function tangibleCommonEquity(row) {
+  if (!isNumber(row?.totalEquity)) return null;
+  return row.totalEquity
+    - (isNumber(row.preferredEquity) ? row.preferredEquity : 0)
+    - (isNumber(row.goodwill) ? row.goodwill : 0)
+    - (isNumber(row.intangibleAssets) ? row.intangibleAssets : 0);
+}
+
+// Per-year ratios for `model` ('bank' or 'insurer'). Net interest margin is
+// measured on average total assets because earning assets are not tagged
+// consistently; it runs somewhat below the NIM banks report. The Tier 1
+// leverage ratio is on the same average assets, where regulators use the
+// quarter's average consolidated assets.
+export function buildFinancialRatios(rows, model) {
+  return (rows || []).map((row, i) => {
+    const previous = rows[i - 1] || null;
+    const tce = tangibleCommonEquity(row);
+    const averageAssets = averageBalance(previous?.totalAssets, row.totalAssets);
+    const averageEquity = averageBalance(previous?.totalEquity, row.totalEquity);
+    const averageTce = averageBalance(previous ? tangibleCommonEquity(previous) : null, tce);
+
+    const common = {
+      date: row.date,
+      calendarYear: row.calendarYear,
+      fiscalYear: row.fiscalYear,
+      fiscalLabel: row.fiscalLabel,
+      calendarLabel: row.calendarLabel,
+      tangibleCommonEquity: tce,
+      returnOnEquity: ratio(row.netIncome, averageEquity),
+      returnOnAssets: ratio(row.netIncome, averageAssets),
+      returnOnTangibleCommonEquity: averageTce > 0 ? ratio(row.netIncome, averageTce) : null,
+      equityToAssets: ratio(row.totalEquity, row.totalAssets),
+    };
+
+    if (model === 'insurer') {
+      const lossRatio = ratio(row.policyholderBenefits, row.premiumsEarned);
+      const expenseRatio = ratio(row.underwritingExpense, row.premiumsEarned);
+      return {
+        ...common,
+        premiumsEarned: row.premiumsEarned ?? null,
+        lossRatio,
+        expenseRatio,
+        combinedRatio: isNumber(lossRatio) && isNumber(expenseRatio) ? lossRatio + expenseRatio : null,
+        investmentYield: ratio(row.netInvestmentIncome, averageAssets),
+      };
+    }
+
+    const netRevenue = isNumber(row.netInterestIncome)
+      ? row.netInterestIncome + (isNumber(row.noninterestIncome) ? row.noninterestIncome : 0)
+      : null;
+    return {
+      ...common,
+      netInterestIncome: row.netInterestIncome ?? null,
+      netRevenue,
+      netInterestMargin: ratio(row.netInterestIncome, averageAssets),
+      efficiencyRatio: ratio(row.noninterestExpense, netRevenue),
+      loanToDeposit: ratio(row.loans, row.deposits),
+      creditCostRatio: ratio(row.creditLossProvision, row.loans),
+      tier1Ratio: row.tier1Ratio ?? null,
+      tier1Leverage: ratio(row.tier1Capital, averageAssets),
+      cet1Ratio: row.cet1Ratio ?? null,
+    };
+  });
+}
+
+// Values the equity from financial ratios (see buildFinancialRatios).
+//
+// Excess return model: tangible book plus the present value of the returns
+// above the cost of equity it earns. ROTCE fades over ten years from the
+// latest year to a long-run level halfway between the through-cycle average
+// and the cost of equity; retained earnings grow the book. The justified
+// P/TBV, (ROTCE - g) / (r - g), is the same idea in steady state.
+export function valueFinancialInstitution({ ratios, costOfEquity, terminalGrowth, payoutRatio = null, sharesOutstanding }) {
+  const latest = ratios?.[ratios.length - 1];
+  const tce = latest?.tangibleCommonEquity;
+  if (!isNumber(tce) || tce <= 0 || !isNumber(sharesOutstanding) || sharesOutstanding <= 0) return null;
+  if (!isNumber(costOfEquity) || costOfEquity <= terminalGrowth) return null;
+
+  const history = ratios
+    .slice(-NORMALIZATION_YEARS)
+    .map((r) => r.returnOnTangibleCommonEquity)
+    .filter(isNumber);
+  if (history.length === 0) return null;
+  const normalizedRotce = history.reduce((sum, v) => sum + v, 0) / history.length;
+  const currentRotce = clamp(
+    isNumber(latest.returnOnTangibleCommonEquity) ? latest.returnOnTangibleCommonEquity : normalizedRotce,
+    -0.1,
+    0.35
+  );
+  const longRunRotce = costOfEquity + clamp((normalizedRotce - costOfEquity) / 2, -0.02, 0.05);
+  const retentionRatio = 1 - clamp(isNumber(payoutRatio) ? payoutRatio : DEFAULT_PAYOUT_RATIO, 0, 1);
+
+  let book = tce;
+  let presentValue = 0;
+  for (let year = 1; year <= PROJECTION_YEARS; year++) {
+    const rotce = currentRotce + (longRunRotce - currentRotce) * (year / PROJECTION_YEARS);
+    presentValue += ((rotce - costOfEquity) * book) / Math.pow(1 + costOfEquity, year);
+    book *= 1 + Math.max(rotce, 0) * retentionRatio;
+  }
+  const terminalValue = ((longRunRotce - costOfEquity) * book) / (costOfEquity - terminalGrowth);
+  presentValue += terminalValue / Math.pow(1 + costOfEquity, PROJECTION_YEARS);
+
+  const tangibleBookValuePerShare = tce / sharesOutstanding;
+  const excessReturnValue = (tce + presentValue) / sharesOutstanding;
+  const justifiedPriceToTangibleBook = (normalizedRotce - terminalGrowth) / (costOfEquity - terminalGrowth);
+
+  return {
+    excessReturnValue: excessReturnValue > 0 ? excessReturnValue : null,
+    ptbvValue: justifiedPriceToTangibleBook > 0 ? justifiedPriceToTangibleBook * tangibleBookValuePerShare : null,
+    justifiedPriceToTangibleBook: justifiedPriceToTangibleBook > 0 ? justifiedPriceToTangibleBook : null,
+    inputs: {
+      tangibleBookValuePerShare,
+      currentRotce,
+      normalizedRotce,
+      longRunRotce,
+      costOfEquity,
+      terminalGrowth,
+      retentionRatio,
+      projectionYears: PROJECTION_YEARS,
+    },
+  };
+}
@@ -0,0 +1,96 @@
+// REIT analysis: FFO, AFFO and dividend coverage.
+//
+// GAAP net income for a REIT is net of depreciation on buildings that
+// usually hold or gain value, so REITs are measured on funds from operations
+// (NAREIT definition: net income + real-estate depreciation - gains on
+// property sales + impairments of depreciable real estate) and adjusted FFO
+// (FFO - recurring capital improvements - straight-line rent + stock comp).
+// The depreciation input is total D&A, which slightly overstates real-estate
+// depreciation. Rows are annual, oldest first.
+
+const DEFAULT_PRICE_TO_FFO = 16;
+const DEFAULT_CAP_RATE = 0.065;
+const MIN_MULTIPLE_HISTORY = 3;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const orZero = (value) => (isNumber(value) ? value : 0);
+const ratio = (numerator, denominator) => (
+  isNumber(numerator) && isNumber(denominator) && denominator > 0 ? numerator / denominator : null
+);
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Per-year FFO/AFFO and dividend coverage. Each row needs netIncome and
+// depreciation; `shares` and `price` (period-end close) enable the per-share
+// and P/FFO columns.
+export function buildReitMetrics(rows) {
+  return (rows || []).map((row) => {
+    const ffo = isNumber(row.netIncome) && isNumber(row.depreciation)
+      ? row.netIncome + row.depreciation - orZero(row.gainOnSaleOfRealEstate) + orZero(row.realEstateImpairment)
+      : null;
+    const affo = isNumber(ffo)
+      ? ffo - Math.abs(orZero(row.capitalImprovements)) - orZero(row.straightLineRent) + orZero(row.shareBasedCompensation)
+      : null;
+    const dividends = isNumber(row.dividendsPaid) ? Math.abs(row.dividendsPaid) : null;
+    const ffoPerShare = ratio(ffo, row.shares);
+    return {
+      date: row.date,
+      calendarYear: row.calendarYear,
+      fiscalYear: row.fiscalYear,
+      fiscalLabel: row.fiscalLabel,
+      calendarLabel: row.calendarLabel,
+      ffo,
+      affo,
+      dividendsPaid: dividends,
+      ffoPerShare,
+      affoPerShare: ratio(affo, row.shares),
+      dividendPerShare: ratio(dividends, row.shares),
+      ffoPayoutRatio: ratio(dividends, ffo),
+      affoPayoutRatio: ratio(dividends, affo),
+      dividendCoverage: ratio(affo, dividends),
+      priceToFfo: isNumber(row.price) && ffoPerShare > 0 ? row.price / ffoPerShare : null,
+      // Net operating income proxy: operating income before D&A.
+      netOperatingIncome: isNumber(row.operatingIncome) && isNumber(row.depreciation)
+        ? row.operatingIncome + row.depreciation
+        : null,
+    };
+  });
+}
+
+// P/FFO value: the REIT's own median historical P/FFO (a sector-typical
+// multiple when history is short) on the latest FFO per share.
+// NAV value: net operating income capitalised at `capRate`, plus cash, less
+// debt and preferred stock, per share.
+export function valueReit({ metrics, balance = {}, sharesOutstanding, capRate = DEFAULT_CAP_RATE }) {
+  const latest = (metrics || []).filter((m) => isNumber(m.ffo)).pop();
+  if (!latest || !isNumber(sharesOutstanding) || sharesOutstanding <= 0) return null;
+
+  const history = metrics.slice(-10).map((m) => m.priceToFfo).filter((v) => isNumber(v) && v > 0);
+  const historicalMultiple = history.length >= MIN_MULTIPLE_HISTORY ? median(history) : null;
+  const priceToFfo = historicalMultiple ?? DEFAULT_PRICE_TO_FFO;
+  const ffoPerShare = latest.ffo / sharesOutstanding;
+
+  const noi = latest.netOperatingIncome;
+  const netDebt = orZero(balance.totalDebt) + orZero(balance.preferredEquity) - orZero(balance.cash);
+  const nav = isNumber(noi) && noi > 0 ? noi / capRate - netDebt : null;
+
+  return {
+    pffoValue: ffoPerShare > 0 ? priceToFfo * ffoPerShare : null,
+    navValue: isNumber(nav) && nav > 0 ? nav / sharesOutstanding : null,
+    inputs: {
+      ffoPerShare,
+      affoPerShare: isNumber(latest.affo) ? latest.affo / sharesOutstanding : null,
+      priceToFfo,
+      multipleSource: historicalMultiple !== null ? 'historical-median' : 'default',
+      netOperatingIncome: isNumber(noi) ? noi : null,
+      capRate,
+      netDebt,
+      periodEnd: latest.date,
+    },
+  };
+}
@@ -0,0 +1,44 @@
+// American depositary receipts.
+//
+// Foreign private issuers (20-F/40-F, most under IFRS) report share counts
+// in ordinary shares, while the listed symbol is an ADR that may stand for
+// several of them (TSM: 1 ADR = 5 ordinary shares) or for a fraction of one.
+// Per-share values are compared against the ADR price, so the reported share
+// series is restated into ADR equivalents first. The ratio is read off the
+// market: the shares implied by market cap over price, which are in ADR
+// units by construction, checked against Yahoo's share count.
+
+// Depositary ratios are whole numbers of ordinary shares per ADR (or whole
+// ADRs per share). Reported weighted-average counts drift from the current
+// outstanding count by buybacks and issuance, so allow this much slack.
+const RATIO_SNAP = 0.1;
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+function snapRatio(ratio) {
+  if (!isPositive(ratio)) return null;
+  const whole = ratio >= 1 ? Math.round(ratio) : Math.round(1 / ratio);
+  if (whole < 1 || Math.abs((ratio >= 1 ? ratio : 1 / ratio) / whole - 1) > RATIO_SNAP) return null;
+  return ratio >= 1 ? whole : 1 / whole;
+}
+
+// 20-F and 40-F filers; ifrs-full is only filed by foreign private issuers.
+export function isForeignFiler({ taxonomy, form }) {
+  return taxonomy === 'ifrs-full' || /^(20|40)-F/.test(form || '');
+}
+
+// Ordinary shares per ADR for `reportedShares`, from market cap over price
+// and from Yahoo's `marketShares`. `ratio` is 1 when the series already
+// matches the listing or no source snaps to a depositary ratio; `mismatch`
+// is set when the two sources snap to different ratios.
+export function adrShareRatio({ reportedShares, marketShares, marketCap, price }) {
+  const impliedShares = isPositive(marketCap) && isPositive(price) ? marketCap / price : null;
+  const fromMarketCap = isPositive(reportedShares) && impliedShares ? snapRatio(reportedShares / impliedShares) : null;
+  const fromShares = isPositive(reportedShares) && isPositive(marketShares) ? snapRatio(reportedShares / marketShares) : null;
+  const ratio = fromMarketCap ?? fromShares ?? 1;
+  return {
+    ratio,
+    source: fromMarketCap ? 'market-cap' : fromShares ? 'shares-outstanding' : null,
+    mismatch: fromMarketCap !== null && fromShares !== null && fromMarketCap !== fromShares,
+  };
+}
@@ -0,0 +1,108 @@
+// Multi-class share structures (GOOGL/GOOG, BRK-A/BRK-B, META).
+//
+// The cover page of every 10-K/10-Q reports dei:EntityCommonStockSharesOutstanding
+// once per share class. companyfacts drops the class dimension, so a filing
+// with several entries for the same date is a multi-class filer and the
+// entries are its classes. Classes are matched to listed tickers by price
+// (fewer shares trade at the higher price), and each class is expressed in
+// units of the queried class so market cap and per-share values compare
+// like for like. Unlisted classes (e.g. Alphabet class B) are assumed to
+// convert one-for-one into the lowest-priced listed class.
+
+import { normalizeSecTicker } from '../market/symbols';
+
+// Price ratios within this band of 1 are the same economic share (GOOGL and
+// GOOG trade a few percent apart). Wider ratios are a conversion ratio read
+// off market prices, rounded to two significant figures (BRK-A/BRK-B ~1500).
+const EQUIVALENCE_SNAP = 0.1;
+
+function roundSignificant(value) {
+  const magnitude = 10 ** (Math.floor(Math.log10(value)) - 1);
+  return Math.round(value / magnitude) * magnitude;
+}
+
+function snapEquivalence(ratio) {
+  if (!Number.isFinite(ratio) || ratio <= 0) return null;
+  if (Math.abs(ratio - 1) <= EQUIVALENCE_SNAP) return 1;
+  return ratio > 1 ? roundSignificant(ratio) : 1 / roundSignificant(1 / ratio);
+}
+
+// Class share counts from the latest filing's cover page, largest first.
+export function getShareClassCounts(facts) {
+  const data = facts?.facts?.dei?.EntityCommonStockSharesOutstanding?.units?.shares || [];
+  const valid = data.filter((d) => d?.accn && d?.end && Number.isFinite(d.val) && d.val > 0);
+  if (valid.length === 0) return null;
+
+  const latest = valid.reduce((best, d) => (!best || String(d.filed) > String(best.filed) ? d : best), null);
+  const classes = valid
+    .filter((d) => d.accn === latest.accn && d.end === latest.end)
+    .map((d) => d.val)
+    .sort((a, b) => b - a);
+  return { asOf: latest.end, filed: latest.filed || null, form: latest.form || null, accn: latest.accn, counts: classes };
+}
+
+// Listed share classes for the company: SEC submissions tickers that carry an
+// exchange, as Yahoo symbols.
+export function listedClassSymbols(submissions) {
+  const tickers = Array.isArray(submissions?.tickers) ? submissions.tickers : [];
+  const exchanges = Array.isArray(submissions?.exchanges) ? submissions.exchanges : [];
+  return tickers
+    .map((ticker, i) => ({ symbol: normalizeSecTicker(ticker)?.yahoo || null, exchange: exchanges[i] || null }))
+    .filter((t) => t.symbol && t.exchange && t.exchange !== 'OTC');
+}
+
+// Builds the class composition in units of `symbol`. `prices` maps each listed
+// symbol to its last price. Returns null for single-class companies.
+export function buildShareClassStructure({ symbol, cover, listed, prices }) {
+  if (!cover || cover.counts.length < 2) return null;
+
+  const queriedPrice = prices[symbol];
+  const priced = listed
+    .map((t) => ({ ...t, price: prices[t.symbol] }))
+    .filter((t) => Number.isFinite(t.price) && t.price > 0)
+    .sort((a, b) => b.price - a.price);
+  const minPrice = priced.length > 0 ? priced[priced.length - 1].price : null;
+  const spread = priced.length > 1 ? priced[0].price / minPrice : 1;
+
+  // Only pair classes to tickers when prices actually differ; otherwise the
+  // classes are economically identical and the pairing would be arbitrary.
+  const byCountAscending = cover.counts.slice().sort((a, b) => a - b);
+  const classes = byCountAscending.map((shares, i) => {
+    const match = spread > 1 + EQUIVALENCE_SNAP ? priced[i] : null;
+    const price = match?.price ?? minPrice;
+    const equivalence = Number.isFinite(queriedPrice) && Number.isFinite(price) && queriedPrice > 0
+      ? snapEquivalence(price / queriedPrice)
+      : 1;
+    return {
+      symbol: match?.symbol ?? null,
+      exchange: match?.exchange ?? null,
+      shares,
+      price: match?.price ?? null,
+      equivalence: equivalence ?? 1,
+    };
+  }).sort((a, b) => b.shares - a.shares);
+
+  const economicShares = classes.reduce((sum, c) => sum + c.shares * c.equivalence, 0);
+  return {
+    symbol,
+    asOf: cover.asOf,
+    filed: cover.filed,
+    form: cover.form,
+    classes,
+    economicShares,
+    pricedBy: spread > 1 + EQUIVALENCE_SNAP ? 'price-ratio' : 'one-for-one',
+  };
+}
+
+// Filers such as Berkshire report weighted-average shares in one class's
+// units (Class A equivalents). When `reportedShares` lines up with the
+// economic total expressed in some class, return the factor that restates
+// the reported series into units of the queried class.
+export function reportedShareConversion(structure, reportedShares) {
+  if (!structure || !Number.isFinite(reportedShares) || reportedShares <= 0) return 1;
+  const ratio = structure.economicShares / reportedShares;
+  for (const c of structure.classes) {
+    if (Math.abs(ratio / c.equivalence - 1) <= EQUIVALENCE_SNAP) return c.equivalence;
+  }
+  return 1;
+}
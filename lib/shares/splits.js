@@ -0,0 +1,102 @@
+// Stock-split normalization for share counts and per-share values.
+//
+// SEC share counts are stated on the basis in force when they were filed: a
+// 10-K filed before a 4:1 split reports pre-split shares, and later filings
+// only restate the comparatives they happen to repeat. Restating a value onto
+// today's basis multiplies it by every split that took effect after it was
+// filed; per-share values divide by the same factor.
+
+// Forward ratios accepted when inferring a split from a share-count jump.
+const COMMON_SPLIT_RATIOS = [2, 3, 4, 5, 6, 7, 8, 10, 15, 20, 25, 30, 40, 50];
+const INFERENCE_TOLERANCE = 0.08;
+const MIN_INFERRED_JUMP = 1.8;
+
+function toISODate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  if (typeof value === 'number') return new Date(value * 1000).toISOString().slice(0, 10);
+  const text = String(value);
+  return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.slice(0, 10) : null;
+}
+
+// "4:1" -> 4, "1:10" -> 0.1 (reverse split).
+export function parseSplitRatio(value) {
+  if (Number.isFinite(value) && value > 0) return value;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*[:/]\s*(\d+(?:\.\d+)?)\s*$/.exec(String(value ?? ''));
+  if (!match) return null;
+  const numerator = Number(match[1]);
+  const denominator = Number(match[2]);
+  return numerator > 0 && denominator > 0 ? numerator / denominator : null;
+}
+
+function ratioLabel(ratio) {
+  return ratio >= 1 ? `${Math.round(ratio * 100) / 100}:1` : `1:${Math.round((1 / ratio) * 100) / 100}`;
+}
+
+// Yahoo split events ({ date, stockSplits: "4:1" }) -> [{ date, ratio, label, source }], oldest first.
+export function normalizeSplitEvents(events) {
+  return (Array.isArray(events) ? events : [])
+    .map((event) => {
+      const date = toISODate(event?.date);
+      const ratio = parseSplitRatio(event?.stockSplits ?? event?.ratio);
+      if (!date || !ratio || ratio === 1) return null;
+      return { date, ratio, label: ratioLabel(ratio), source: 'yahoo' };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Splits implied by a share series ({ end, filed, val }): consecutive periods
+// whose counts jump by close to a common split ratio. The split is dated at
+// the later value's filing, so only values filed before it are restated.
+export function inferSplitsFromShares(series) {
+  const ordered = (Array.isArray(series) ? series : [])
+    .filter((entry) => entry?.end && Number.isFinite(entry.val) && entry.val > 0)
+    .sort((a, b) => a.end.localeCompare(b.end));
+
+  const splits = [];
+  for (let i = 1; i < ordered.length; i++) {
+    const previous = ordered[i - 1];
+    const current = ordered[i];
+    const jump = current.val / previous.val;
+    const magnitude = jump >= 1 ? jump : 1 / jump;
+    if (magnitude < MIN_INFERRED_JUMP) continue;
+    const candidate = COMMON_SPLIT_RATIOS.find((r) => Math.abs(magnitude / r - 1) <= INFERENCE_TOLERANCE);
+    if (!candidate) continue;
+    const ratio = jump >= 1 ? candidate : 1 / candidate;
+    splits.push({
+      date: current.filed || current.end,
+      ratio,
+      label: ratioLabel(ratio),
+      source: 'inferred',
+      evidence: { from: previous.end, to: current.end, jump },
+    });
+  }
+  return splits;
+}
+
+// Multiplier restating a share count stated as of `asOf` onto today's basis.
+export function splitFactorSince(splits, asOf) {
+  if (!asOf) return 1;
+  return (splits || []).reduce((factor, split) => (split.date > asOf ? factor * split.ratio : factor), 1);
+}
+
+// Restates a share series onto the current basis. Each restated value keeps
+// its original as `unadjustedVal`; `adjustments` records one entry per value.
+export function normalizeShareSeries(series, splits, name) {
+  const adjustments = [];
+  const adjusted = (Array.isArray(series) ? series : []).map((entry) => {
+    const factor = splitFactorSince(splits, entry?.filed || entry?.end);
+    if (factor === 1 || !Number.isFinite(entry?.val)) return entry;
+    adjustments.push({
+      series: name,
+      end: entry.end,
+      filed: entry.filed || null,
+      factor,
+      original: entry.val,
+      adjusted: entry.val * factor,
+    });
+    return { ...entry, val: entry.val * factor, unadjustedVal: entry.val, splitFactor: factor };
+  });
+  return { series: adjusted, adjustments };
+}
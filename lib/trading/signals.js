@@ -0,0 +1,193 @@
+// Daily price history and the mean-reversion / trend signals shown on the
+// Trading tab.
+
+function isValidDate(value) {
+  const time = Date.parse(value);
+  return Number.isFinite(time);
+}
+
+function formatDateISO(value) {
+  if (!isValidDate(value)) return null;
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+// Yahoo daily bars -> [{ date, open, high, low, close, volume }], oldest first.
+export function normalizePriceHistory(priceHistoryRaw) {
+  return Array.isArray(priceHistoryRaw)
+    ? priceHistoryRaw
+      .map((row) => {
+        const isoDate = formatDateISO(row?.date);
+        if (!isoDate || !Number.isFinite(row?.close)) return null;
+        return {
+          date: isoDate,
+          open: Number.isFinite(row?.open) ? row.open : null,
+          high: Number.isFinite(row?.high) ? row.high : null,
+          low: Number.isFinite(row?.low) ? row.low : null,
+          close: Number.isFinite(row?.close) ? row.close : null,
+          volume: Number.isFinite(row?.volume) ? row.volume : null,
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.date.localeCompare(b.date))
+    : [];
+}
+
+// Trend regime from the 50/200-day averages, stretch from a volume-weighted
+// mean (YTD anchored VWAP, else VWMA-20, else SMA-50) in 60-day standard
+// deviations, and the resulting action at `latestPrice`.
+export function calculateTradingSignals(historyRows, latestPrice) {
+  const rows = Array.isArray(historyRows)
+    ? historyRows.filter((r) =>
+      Number.isFinite(r?.close) &&
+      Number.isFinite(r?.high) &&
+      Number.isFinite(r?.low) &&
+      Number.isFinite(r?.volume)
+    )
+    : [];
+
+  if (!Number.isFinite(latestPrice) || latestPrice <= 0 || rows.length < 60) {
+    return {
+      action: 'WAIT',
+      regime: 'UNKNOWN',
+      confidence: 0,
+      reason: 'insufficient_data',
+    };
+  }
+
+  const sma = (arr, period) => {
+    if (arr.length < period) return null;
+    const slice = arr.slice(arr.length - period);
+    return slice.reduce((sum, v) => sum + v, 0) / period;
+  };
+
+  const closes = rows.map((r) => r.close);
+  const sma50 = sma(closes, 50);
+  const sma200 = sma(closes, 200);
+  const sma50Prev = closes.length >= 70
+    ? closes.slice(0, closes.length - 20).slice(-50).reduce((sum, v) => sum + v, 0) / 50
+    : null;
+
+  let vwma20 = null;
+  if (rows.length >= 20) {
+    const s = rows.slice(-20);
+    const pv = s.reduce((sum, r) => sum + (r.close * (r.volume || 0)), 0);
+    const vv = s.reduce((sum, r) => sum + (r.volume || 0), 0);
+    vwma20 = vv > 0 ? pv / vv : null;
+  }
+
+  const nowYear = new Date().getUTCFullYear();
+  const ytdStartIndex = rows.findIndex((r) => new Date(`${r.date}T00:00:00Z`).getUTCFullYear() === nowYear);
+  const anchorIndex = ytdStartIndex >= 0 ? ytdStartIndex : Math.max(0, rows.length - 252);
+  let avwap = null;
+  {
+    let pv = 0;
+    let vv = 0;
+    for (let i = anchorIndex; i < rows.length; i++) {
+      const typical = (rows[i].high + rows[i].low + rows[i].close) / 3;
+      const vol = rows[i].volume || 0;
+      pv += typical * vol;
+      vv += vol;
+    }
+    avwap = vv > 0 ? pv / vv : null;
+  }
+
+  const meanType = Number.isFinite(avwap)
+    ? 'Anchored VWAP (YTD)'
+    : Number.isFinite(vwma20)
+      ? 'VWMA-20'
+      : 'SMA-50';
+  const mean = Number.isFinite(avwap) ? avwap : (Number.isFinite(vwma20) ? vwma20 : sma50);
+
+  const stdWindow = closes.slice(-60);
+  const stdMean = stdWindow.reduce((a, b) => a + b, 0) / stdWindow.length;
+  const variance = stdWindow.reduce((sum, v) => sum + ((v - stdMean) ** 2), 0) / stdWindow.length;
+  const stdDev = Math.sqrt(variance);
+  const zScore = Number.isFinite(mean) && stdDev > 0 ? (latestPrice - mean) / stdDev : null;
+
+  const spread = Number.isFinite(sma50) && Number.isFinite(sma200) && sma200 !== 0
+    ? (sma50 - sma200) / sma200
+    : 0;
+  const slope = Number.isFinite(sma50) && Number.isFinite(sma50Prev) && sma50Prev !== 0
+    ? (sma50 - sma50Prev) / sma50Prev
+    : 0;
+  const trendUp = spread >= 0.01 && slope >= 0.005;
+  const trendDown = spread <= -0.01 && slope <= -0.005;
+  const regime = trendUp ? 'TREND_UP' : trendDown ? 'TREND_DOWN' : 'RANGE';
+
+  let action = 'WAIT';
+  if (Number.isFinite(zScore)) {
+    if (regime === 'RANGE') {
+      if (zScore <= -2.5) action = 'ACCUMULATE';
+      else if (zScore <= -1.8) action = 'SCALE IN';
+      else if (zScore >= 2.5) action = 'REDUCE EXPOSURE';
+      else if (zScore >= 1.8) action = 'TAKE PROFIT';
+    } else if (regime === 'TREND_UP') {
+      if (zScore <= -2.0) action = 'ACCUMULATE';
+      else if (zScore <= -1.0) action = 'SCALE IN';
+      else if (zScore >= 2.5) action = 'TAKE PROFIT';
+      else action = 'WAIT';
+    } else if (regime === 'TREND_DOWN') {
+      if (zScore <= -2.8) action = 'SCALE IN';
+      else if (zScore >= 2.0) action = 'REDUCE EXPOSURE';
+      else action = 'WAIT';
+    }
+  }
+
+  const zStrength = Number.isFinite(zScore) ? Math.min(100, (Math.abs(zScore) / 3) * 100) : 0;
+  const regimeFit = action === 'WAIT' ? 40 : (regime === 'RANGE' ? 85 : 75);
+  const trendFit = Number.isFinite(spread) && Number.isFinite(slope)
+    ? Math.min(100, (Math.abs(spread) * 1500) + (Math.abs(slope) * 1500))
+    : 0;
+  const confidence = Math.round((zStrength * 0.55) + (regimeFit * 0.30) + (trendFit * 0.15));
+
+  const sigma1 = Number.isFinite(mean) && Number.isFinite(stdDev) ? mean + stdDev : null;
+  const sigmaNeg1 = Number.isFinite(mean) && Number.isFinite(stdDev) ? mean - stdDev : null;
+  const sigma2 = Number.isFinite(mean) && Number.isFinite(stdDev) ? mean + (2 * stdDev) : null;
+  const sigmaNeg2 = Number.isFinite(mean) && Number.isFinite(stdDev) ? mean - (2 * stdDev) : null;
+
+  let entryZone = null;
+  if (action === 'ACCUMULATE' || action === 'SCALE IN') {
+    entryZone = Number.isFinite(sigmaNeg2) && Number.isFinite(sigmaNeg1)
+      ? { low: Math.min(sigmaNeg2, sigmaNeg1), high: Math.max(sigmaNeg2, sigmaNeg1), side: 'BUY' }
+      : null;
+  } else if (action === 'TAKE PROFIT' || action === 'REDUCE EXPOSURE') {
+    entryZone = Number.isFinite(sigma1) && Number.isFinite(sigma2)
+      ? { low: Math.min(sigma1, sigma2), high: Math.max(sigma1, sigma2), side: 'SELL' }
+      : null;
+  }
+
+  const targets = (() => {
+    if (action === 'TAKE PROFIT' || action === 'REDUCE EXPOSURE') {
+      return { tp1: sigma1, tp2: mean, tp3: sigmaNeg1 };
+    }
+    if (action === 'ACCUMULATE' || action === 'SCALE IN') {
+      return { tp1: sigmaNeg1, tp2: mean, tp3: sigma1 };
+    }
+    return { tp1: mean, tp2: sigma1, tp3: sigma2 };
+  })();
+
+  return {
+    action,
+    regime,
+    confidence,
+    meanType,
+    mean,
+    stdDev,
+    zScore,
+    slope50v200: slope,
+    levels: {
+      sigmaNeg2,
+      sigmaNeg1,
+      mean,
+      sigma1,
+      sigma2,
+    },
+    entryZone,
+    targets,
+    rationale: [
+      `Mean model: ${meanType}`,
+      Number.isFinite(zScore) ? `Current Z-score: ${zScore.toFixed(2)}σ` : 'Z-score unavailable',
+      `Regime: ${regime}`,
+    ],
+  };
+}
@@ -0,0 +1,122 @@
+// Shared scheduler for upstream requests.
+//
+// One scheduler per upstream lives for the whole server process, so its
+// limits hold across concurrent API requests:
+// - request starts are spaced to stay under `requestsPerSecond`;
+// - 429 and 5xx failures are retried with exponential backoff (honouring
+//   Retry-After), up to `maxRetries` times; timeouts and network failures
+//   (no response) only once, as each already waited out a full timeout;
+// - identical requests already in flight (same key) share one promise.
+//
+// Tasks signal an HTTP failure by throwing an error with `status` (and
+// optionally `retryAfterMs`), and a failure without a response with `status`
+// 0. Errors without a numeric `status` are not retried. Each call is recorded
+// on `trace.upstream[name]` so a response can report timings and retries per
+// upstream.
+
+const DEFAULT_MAX_RETRIES = 3;
+const NO_RESPONSE_RETRIES = 1;
+const DEFAULT_BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const NO_RESPONSE = 0;
+
+const retryLimit = (status, maxRetries) => {
+  if (status === NO_RESPONSE) return Math.min(maxRetries, NO_RESPONSE_RETRIES);
+  return status === 429 || (status >= 500 && status < 600) ? maxRetries : 0;
+};
+
+// Retry-After is either delay seconds or an HTTP date.
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+function record(trace, name, call) {
+  if (!trace) return;
+  trace.upstream = trace.upstream || {};
+  const summary = trace.upstream[name] || (trace.upstream[name] = {
+    requests: 0,
+    coalesced: 0,
+    retries: 0,
+    failures: 0,
+    totalMs: 0,
+    calls: [],
+  });
+  summary.requests += 1;
+  if (call.coalesced) summary.coalesced += 1;
+  else summary.retries += call.retries;
+  if (call.status !== 'ok') summary.failures += 1;
+  summary.totalMs += call.ms;
+  summary.calls.push(call);
+}
+
+export function createScheduler({
+  name,
+  requestsPerSecond = null,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+}) {
+  const inFlight = new Map();
+  let nextStartAt = 0;
+
+  // Reserves the next start slot and waits for it; returns the wait in ms.
+  const acquireSlot = async () => {
+    if (!requestsPerSecond) return 0;
+    const now = Date.now();
+    const startAt = Math.max(now, nextStartAt);
+    nextStartAt = startAt + 1000 / requestsPerSecond;
+    if (startAt > now) await sleep(startAt - now);
+    return startAt - now;
+  };
+
+  // Settles to { value } or { error } with the stats of the shared attempt.
+  const run = async (task) => {
+    const startedAt = Date.now();
+    let retries = 0;
+    let queuedMs = 0;
+    for (;;) {
+      queuedMs += await acquireSlot();
+      try {
+        const value = await task();
+        return { value, retries, queuedMs, status: 'ok', ms: Date.now() - startedAt };
+      } catch (error) {
+        const status = typeof error?.status === 'number' ? error.status : null;
+        if (status === null || retries >= retryLimit(status, maxRetries)) {
+          return { error, retries, queuedMs, status: status || 'error', ms: Date.now() - startedAt };
+        }
+        retries += 1;
+        const backoff = Math.min(MAX_DELAY_MS, baseDelayMs * 2 ** (retries - 1) * (1 + Math.random() * 0.25));
+        await sleep(Math.min(MAX_DELAY_MS, Math.max(backoff, error?.retryAfterMs ?? 0)));
+      }
+    }
+  };
+
+  // `key` identifies identical requests; `label` names the call in traces.
+  return async function schedule({ key, label = key, trace = null }, task) {
+    let shared = inFlight.get(key);
+    const coalesced = Boolean(shared);
+    const joinedAt = Date.now();
+    if (!shared) {
+      shared = run(task).finally(() => inFlight.delete(key));
+      inFlight.set(key, shared);
+    }
+
+    const outcome = await shared;
+    record(trace, name, {
+      label,
+      status: outcome.status,
+      ms: coalesced ? Date.now() - joinedAt : outcome.ms,
+      retries: outcome.retries,
+      queuedMs: coalesced ? 0 : outcome.queuedMs,
+      coalesced,
+    });
+    if (outcome.error) throw outcome.error;
+    return outcome.value;
+  };
+}
@@ -0,0 +1,128 @@
+// Cash-flow DCFs and the basis they count stock-based compensation on.
+//
+// SBC is a real cost that operating cash flow adds back. Each basis charges
+// it exactly once:
+// - 'reported': OCF and FCF as filed, with the cost carried by the share
+//   count's projected dilution instead.
+// - 'after-sbc': SBC deducted from OCF and FCF as a cash cost, with the share
+//   count held flat. A steep share-count trend can make dilution the larger
+//   charge, so this basis is held at or below 'reported'.
+//
+// The multi-stage DCF starts from GAAP operating income, which already
+// expenses SBC, so it is the same undiluted valuation on both bases.
+
+const MAX_DILUTION = 0.05;
+const DILUTION_LOOKBACK = 5;
+
+const clamp = (value, low, high) => Math.min(high, Math.max(low, value));
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Net dilution rate from the share count's five-year CAGR (`series` newest
+// first, as { calendarYear, val }). Buybacks are funded from the cash flows
+// being valued, so a shrinking count is not credited again.
+export function projectedDilution(series) {
+  if (!Array.isArray(series) || series.length < 2) return 0;
+  const base = series[Math.min(DILUTION_LOOKBACK, series.length - 1)];
+  const latest = series[0];
+  const years = Number(latest.calendarYear) - Number(base.calendarYear);
+  if (!(years > 0) || !(base.val > 0) || !(latest.val > 0)) return 0;
+  return clamp(Math.pow(latest.val / base.val, 1 / years) - 1, 0, MAX_DILUTION);
+}
+
+// Share count in `year` of a `years`-long projection, relative to today. The
+// dilution rate fades to zero over the projection.
+export function shareCountFactor(dilution, year, years) {
+  let factor = 1;
+  for (let t = 1; t <= Math.min(year, years); t++) factor *= 1 + dilution * (1 - (t - 1) / years);
+  return factor;
+}
+
+// Per-share value of an OCF- or FCF-driven method on `fcfBasis`.
+// `value(cashFlow, dilution)` runs the method; `sbc` is the latest SBC.
+export function valueOnFcfBasis(fcfBasis, { cashFlow, sbc, dilution, value }) {
+  const reported = value(cashFlow, dilution);
+  if (fcfBasis !== 'after-sbc') return reported;
+  const afterSbc = value(cashFlow - (isNumber(sbc) ? sbc : 0), 0);
+  return isNumber(afterSbc) && isNumber(reported) ? Math.min(afterSbc, reported) : afterSbc;
+}
+
+// Revenue-driven unlevered FCF over ten years: growth holds for five years
+// and fades to `terminalGrowth`, the operating margin moves linearly to
+// `terminalMargin`, and D&A, capex and working capital track revenue.
+export function multiStageDcf({
+  revenue: startRevenue,
+  operatingMargin,
+  terminalMargin,
+  revenueGrowth,
+  ratios = {},
+  taxRate,
+  discountRate,
+  terminalGrowth,
+  shares,
+}) {
+  if (!startRevenue || !isFinite(startRevenue)) return null;
+  const safetySpread = 0.01;
+  if (discountRate <= terminalGrowth + safetySpread) return null;
+  const highGrowth = clamp(revenueGrowth, -0.05, 0.25);
+  const years = 10;
+  const fadeStart = 6;
+
+  const initialMargin = isFinite(operatingMargin) ? operatingMargin : (ratios.opMargin ?? terminalMargin);
+  const capexRatio = ratios.capexRatio ?? 0.04;
+  const daRatio = ratios.daRatio ?? 0.03;
+  const nwcRatio = ratios.nwcRatio ?? 0.05;
+
+  let totalPV = 0;
+  let revenue = startRevenue;
+  let prevNwc = (ratios.latestNwc !== null && ratios.latestNwc !== undefined)
+    ? ratios.latestNwc
+    : (revenue * nwcRatio);
+
+  for (let year = 1; year <= years; year++) {
+    const growth = year < fadeStart
+      ? highGrowth
+      : highGrowth + (terminalGrowth - highGrowth) * ((year - fadeStart + 1) / (years - fadeStart + 1));
+    const margin = initialMargin + (terminalMargin - initialMargin) * (year / years);
+    revenue *= (1 + growth);
+
+    const nopat = revenue * margin * (1 - taxRate);
+    const da = revenue * daRatio;
+    const capex = revenue * capexRatio;
+    const nwc = revenue * nwcRatio;
+    const deltaNwc = nwc - prevNwc;
+    prevNwc = nwc;
+
+    totalPV += (nopat + da - capex - deltaNwc) / Math.pow(1 + discountRate, year);
+  }
+
+  const terminalFcf = revenue * terminalMargin * (1 - taxRate) + revenue * daRatio - revenue * capexRatio;
+  if (terminalFcf <= 0) return null;
+  const terminalValue = (terminalFcf * (1 + terminalGrowth)) / (discountRate - terminalGrowth);
+  totalPV += terminalValue / Math.pow(1 + discountRate, years);
+
+  return shares ? totalPV / shares : null;
+}
+
+// Twenty-year growth DCF: `highGrowth` for four years, fading linearly to
+// `terminalGrowth`, with a Gordon terminal value. `dilution` is applied
+// through shareCountFactor().
+export function growthDcf({ cashFlow, highGrowth, discountRate, terminalGrowth, shares, dilution = 0 }) {
+  if (!cashFlow || cashFlow <= 0 || !isFinite(cashFlow)) return null;
+  if (!shares || shares <= 0) return null;
+  const years = 20;
+  const highGrowthYears = 4;
+  let totalPV = 0;
+  let cf = cashFlow;
+
+  for (let year = 1; year <= years; year++) {
+    const growth = year <= highGrowthYears
+      ? highGrowth
+      : highGrowth + (terminalGrowth - highGrowth) * ((year - highGrowthYears) / (years - highGrowthYears));
+    cf *= (1 + growth);
+    totalPV += cf / Math.pow(1 + discountRate, year) / shareCountFactor(dilution, year, years);
+  }
+
+  const terminalValue = cf * (1 + terminalGrowth) / (discountRate - terminalGrowth);
+  const pvTerminal = terminalValue / Math.pow(1 + discountRate, years) / shareCountFactor(dilution, years, years);
+  return (totalPV + pvTerminal) / shares;
+}
@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+// Contract test: serves the built app from fixtures with
+// STOCK_SCHEMA_VALIDATION=strict, so any response that breaks the JSON Schemas
+// in lib/api/schema fails with a 500, and requests every endpoint.
+//
+//   node scripts/contractTest.js            synthetic fixtures written to a temp dir
+//   STOCK_FIXTURE_DIR=./fixtures node ...   every ticker recorded there
+//
+// The synthetic set has one filer with a live quote (ACME), one whose quote
+// has no price (HALT), as Yahoo returns for halted and delisted symbols, and a
+// 20-F filer listed as an ADR of five ordinary shares (ADRX) that is otherwise
+// ACME, so its per-share values must come out the same.
+// Needs a production build (`next build`); `npm run test:contract` does both.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = Number(process.env.CONTRACT_TEST_PORT || 3917);
+const BASE_URL = `http://127.0.0.1:${PORT}`;
+const RESOURCES = ['quote', 'trading', 'financials', 'valuation', 'ownership'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SYNTHETIC_FILERS = [
+  { ticker: 'ACME', cik: 1111111, name: 'ACME WIDGETS INC', price: 50, shares: 2e9, revenue: 40e9 },
+  { ticker: 'HALT', cik: 2222222, name: 'HALTED HOLDINGS CORP', price: 0, shares: 5e8, revenue: 6e9 },
+  { ticker: 'ADRX', cik: 3333333, name: 'ADR EXAMPLE CO LTD', price: 50, shares: 2e9, revenue: 40e9, sharesPerAdr: 5 },
+];
+
+function writeJson(dir, relativePath, data) {
+  const filePath = path.join(dir, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data));
+}
+
+const isoDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Ten fiscal years (calendar) of companyfacts for a steadily growing filer:
+// a 10-K per year and 10-Qs for the first three quarters. ADR filers file a
+// 20-F with 6-K quarters and count ordinary shares.
+function companyFacts({ cik, name, shares: listedShares, revenue, sharesPerAdr }) {
+  const shares = listedShares * (sharesPerAdr || 1);
+  const annualForm = sharesPerAdr ? '20-F' : '10-K';
+  const quarterForm = sharesPerAdr ? '6-K' : '10-Q';
+  const lastYear = new Date().getUTCFullYear() - 1;
+  const years = Array.from({ length: 10 }, (_, i) => lastYear - 9 + i);
+  const quarterEnds = ['03-31', '06-30', '09-30'];
+  const entries = (base, growth, { instant = false } = {}) => years.flatMap((year) => {
+    const annual = base * Math.pow(1 + growth, year - years[0]);
+    const filed = `${year + 1}-02-15`;
+    const accn = (n) => `000${cik}-${year}-00000${n}`;
+    return [
+      { start: instant ? undefined : `${year}-01-01`, end: `${year}-12-31`, val: Math.round(annual), fy: year, fp: 'FY', form: annualForm, accn: accn(4), filed },
+      ...quarterEnds.map((end, q) => ({
+        start: instant ? undefined : `${year}-${String(q * 3 + 1).padStart(2, '0')}-01`,
+        end: `${year}-${end}`,
+        val: Math.round(instant ? annual : annual / 4),
+        fy: year,
+        fp: `Q${q + 1}`,
+        form: quarterForm,
+        accn: accn(q + 1),
+        filed: `${year}-${String(q * 3 + 5).padStart(2, '0')}-10`,
+      })),
+    ];
+  });
+  const usd = (base, growth, options) => ({ units: { USD: entries(base, growth, options) } });
+
+  return {
+    cik,
+    entityName: name,
+    facts: {
+      dei: {
+        EntityCommonStockSharesOutstanding: {
+          units: { shares: [{ end: `${lastYear + 1}-01-31`, val: shares, fy: lastYear, fp: 'FY', form: annualForm, accn: 'cover', filed: `${lastYear + 1}-02-15` }] },
+        },
+      },
+      'us-gaap': {
+        Revenues: usd(revenue, 0.06),
+        CostOfRevenue: usd(revenue * 0.6, 0.06),
+        GrossProfit: usd(revenue * 0.4, 0.06),
+        OperatingIncomeLoss: usd(revenue * 0.18, 0.07),
+        IncomeLossFromContinuingOperationsBeforeIncomeTaxesExtraordinaryItemsNoncontrollingInterest: usd(revenue * 0.16, 0.07),
+        IncomeTaxExpenseBenefit: usd(revenue * 0.035, 0.07),
+        InterestExpense: usd(revenue * 0.01, 0.02),
+        NetIncomeLoss: usd(revenue * 0.125, 0.07),
+        Assets: usd(revenue * 1.5, 0.04, { instant: true }),
+        Liabilities: usd(revenue * 0.9, 0.04, { instant: true }),
+        StockholdersEquity: usd(revenue * 0.6, 0.04, { instant: true }),
+        AssetsCurrent: usd(revenue * 0.5, 0.04, { instant: true }),
+        LiabilitiesCurrent: usd(revenue * 0.3, 0.04, { instant: true }),
+        CashAndCashEquivalentsAtCarryingValue: usd(revenue * 0.15, 0.03, { instant: true }),
+        LongTermDebt: usd(revenue * 0.4, 0.02, { instant: true }),
+        NetCashProvidedByUsedInOperatingActivities: usd(revenue * 0.2, 0.07),
+        PaymentsToAcquirePropertyPlantAndEquipment: usd(revenue * 0.05, 0.05),
+        DepreciationDepletionAndAmortization: usd(revenue * 0.04, 0.05),
+        ShareBasedCompensation: usd(revenue * 0.02, 0.08),
+        PaymentsForRepurchaseOfCommonStock: usd(revenue * 0.05, 0.05),
+        PaymentsOfDividends: usd(revenue * 0.03, 0.05),
+        WeightedAverageNumberOfDilutedSharesOutstanding: {
+          units: { shares: entries(shares * 1.05, -0.005).filter((entry) => entry.fp === 'FY') },
+        },
+      },
+    },
+  };
+}
+
+// Two years of weekday closes ending yesterday.
+function priceHistory(price) {
+  const bars = [];
+  const start = Date.now() - 730 * DAY_MS;
+  for (let day = 0; day < 730; day++) {
+    const time = start + day * DAY_MS;
+    const weekday = new Date(time).getUTCDay();
+    if (weekday === 0 || weekday === 6) continue;
+    const close = Math.max(price, 10) * (0.8 + 0.2 * (day / 730) + 0.02 * Math.sin(day / 9));
+    bars.push({ date: `${isoDate(time)}T00:00:00.000Z`, open: close, high: close * 1.01, low: close * 0.99, close, adjClose: close, volume: 1e6 });
+  }
+  return bars;
+}
+
+function writeSyntheticFixtures(dir) {
+  writeJson(dir, 'sec/company_tickers.json', Object.fromEntries(
+    SYNTHETIC_FILERS.map(({ ticker, cik, name }, i) => [i, { cik_str: cik, ticker, title: name }])
+  ));
+  writeJson(dir, 'sec/company_tickers_exchange.json', {
+    fields: ['cik', 'name', 'ticker', 'exchange'],
+    data: SYNTHETIC_FILERS.map(({ ticker, cik, name }) => [cik, name, ticker, 'NYSE']),
+  });
+
+  for (const filer of SYNTHETIC_FILERS) {
+    const cikDir = `sec/CIK${String(filer.cik).padStart(10, '0')}`;
+    writeJson(dir, `${cikDir}/companyfacts.json`, companyFacts(filer));
+    writeJson(dir, `${cikDir}/submissions.json`, {
+      cik: String(filer.cik),
+      name: filer.name,
+      sic: '3560',
+      sicDescription: 'General Industrial Machinery & Equipment',
+      fiscalYearEnd: '1231',
+      tickers: [filer.ticker],
+      exchanges: ['NYSE'],
+      filings: { recent: {} },
+    });
+
+    writeJson(dir, `${filer.ticker}/quote.json`, {
+      symbol: filer.ticker,
+      longName: filer.name,
+      regularMarketPrice: filer.price,
+      regularMarketChange: 0,
+      regularMarketChangePercent: 0,
+      marketCap: filer.price * filer.shares,
+      sharesOutstanding: filer.shares,
+      beta: 1.1,
+      currency: 'USD',
+      financialCurrency: 'USD',
+    });
+    writeJson(dir, `${filer.ticker}/quoteSummary.json`, {
+      summaryDetail: { currency: 'USD' },
+      defaultKeyStatistics: { sharesOutstanding: filer.shares },
+      financialData: { financialCurrency: 'USD' },
+      assetProfile: { sector: 'Industrials', industry: 'Specialty Industrial Machinery' },
+      insiderTransactions: {
+        transactions: [{
+          startDate: new Date(Date.now() - 30 * DAY_MS).toISOString(),
+          shares: 1000,
+          value: 1000 * filer.price,
+          transactionText: 'Sale',
+          filerName: 'Jane Doe',
+          filerRelation: 'Chief Financial Officer',
+        }],
+      },
+      institutionOwnership: {
+        ownershipList: [{
+          organization: 'Index Fund Advisers',
+          reportDate: new Date(Date.now() - 60 * DAY_MS).toISOString(),
+          position: filer.shares * 0.08,
+          value: filer.shares * 0.08 * filer.price,
+          pctHeld: 0.08,
+        }],
+      },
+      fundOwnership: { ownershipList: [] },
+    });
+    writeJson(dir, `${filer.ticker}/historical.json`, priceHistory(filer.price));
+    writeJson(dir, `${filer.ticker}/splits.json`, []);
+    writeJson(dir, `${filer.ticker}/dividends.json`, []);
+  }
+}
+
+function requestsFor(tickers, { synthetic }) {
+  const requests = [];
+  for (const ticker of tickers) {
+    requests.push({ path: `/api/stock?ticker=${encodeURIComponent(ticker)}` });
+    requests.push({ path: `/api/stock?ticker=${encodeURIComponent(ticker)}&fcfBasis=after-sbc` });
+    for (const resource of RESOURCES) {
+      requests.push({ path: `/api/stock/${encodeURIComponent(ticker)}/${resource}` });
+    }
+  }
+  requests.push({ path: `/api/stock/batch?tickers=${tickers.slice(0, 25).map(encodeURIComponent).join(',')}` });
+  requests.push({ path: `/api/search?q=${encodeURIComponent(tickers[0])}` });
+  requests.push({ path: '/api/openapi.json' });
+  if (synthetic) {
+    requests.push({ path: `/api/stock?cik=${SYNTHETIC_FILERS[0].cik}` });
+    requests.push({ path: `/api/stock/${SYNTHETIC_FILERS[0].cik}/quote` });
+    requests.push({ path: '/api/stock?cik=9999999', status: 404 });
+    requests.push({ path: '/api/stock/batch?tickers=ACME&fcfBasis=bogus', status: 400 });
+  }
+  return requests;
+}
+
+// ADRX is ACME with its share counts in ordinary shares; once restated into
+// ADRs every per-share value must match.
+async function checkAdrPerShare() {
+  const [acme, adrx] = await Promise.all(['ACME', 'ADRX'].map(async (ticker) => (
+    (await fetch(`${BASE_URL}/api/stock?ticker=${ticker}`)).json()
+  )));
+  const lastMetrics = (body) => body.metrics[body.metrics.length - 1] || {};
+  const values = {
+    'reporting.adr.sharesPerAdr': [5, adrx.reporting?.adr?.sharesPerAdr],
+    'dcf.assumptions.sharesOutstanding': [acme.dcf.assumptions.sharesOutstanding, adrx.dcf.assumptions.sharesOutstanding],
+    'metrics.netIncomePerShare': [lastMetrics(acme).netIncomePerShare, lastMetrics(adrx).netIncomePerShare],
+    'metrics.bookValuePerShare': [lastMetrics(acme).bookValuePerShare, lastMetrics(adrx).bookValuePerShare],
+    'dcf.grahamNumber': [acme.dcf.grahamNumber, adrx.dcf.grahamNumber],
+    'dcf.dcfOperatingCashFlow': [acme.dcf.dcfOperatingCashFlow, adrx.dcf.dcfOperatingCashFlow],
+    'dcf.upside': [acme.dcf.upside, adrx.dcf.upside],
+  };
+  return Object.entries(values)
+    .filter(([, [expected, actual]]) => !(Number.isFinite(actual) && Math.abs(actual - expected) <= Math.abs(expected) * 1e-6))
+    .map(([field, [expected, actual]]) => `ADRX ${field}: expected ${expected}, got ${actual}`);
+}
+
+async function waitForServer(server) {
+  const deadline = Date.now() + 60 * 1000;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) throw new Error(`next start exited with code ${server.exitCode}`);
+    try {
+      await fetch(`${BASE_URL}/api/openapi.json`);
+      return;
+    } catch {
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    }
+  }
+  throw new Error('next start did not answer within 60s');
+}
+
+async function main() {
+  if (!fs.existsSync(path.join(ROOT, '.next', 'BUILD_ID'))) {
+    console.error('No production build found; run `next build` first.');
+    process.exit(1);
+  }
+
+  const recordedDir = process.env.STOCK_FIXTURE_DIR ? path.resolve(process.env.STOCK_FIXTURE_DIR) : null;
+  const fixtureDir = recordedDir || fs.mkdtempSync(path.join(os.tmpdir(), 'stock-contract-'));
+  if (!recordedDir) writeSyntheticFixtures(fixtureDir);
+  const tickers = recordedDir
+    ? fs.readdirSync(fixtureDir).filter((name) => name !== 'sec' && fs.statSync(path.join(fixtureDir, name)).isDirectory())
+    : SYNTHETIC_FILERS.map((filer) => filer.ticker);
+  if (tickers.length === 0) {
+    console.error(`No ticker fixtures in ${fixtureDir}.`);
+    process.exit(1);
+  }
+
+  const server = spawn(process.execPath, [require.resolve('next/dist/bin/next'), 'start', '-p', String(PORT)], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      STOCK_DATA_PROVIDER: 'fixture',
+      STOCK_FIXTURE_DIR: fixtureDir,
+      STOCK_SCHEMA_VALIDATION: 'strict',
+    },
+    stdio: ['ignore', 'ignore', 'inherit'],
+  });
+
+  const failures = [];
+  try {
+    await waitForServer(server);
+    for (const { path: requestPath, status = 200 } of requestsFor(tickers, { synthetic: !recordedDir })) {
+      const response = await fetch(`${BASE_URL}${requestPath}`);
+      const body = await response.text();
+      const ok = response.status === status;
+      console.log(`${ok ? 'ok  ' : 'FAIL'} ${response.status} ${requestPath}`);
+      if (!ok) failures.push(`${requestPath}: expected ${status}, got ${response.status}: ${body.slice(0, 500)}`);
+    }
+    if (!recordedDir) {
+      const adrFailures = await checkAdrPerShare();
+      console.log(`${adrFailures.length === 0 ? 'ok  ' : 'FAIL'} ADRX per-share values match ACME`);
+      failures.push(...adrFailures);
+    }
+  } finally {
+    server.kill();
+    if (!recordedDir) fs.rmSync(fixtureDir, { recursive: true, force: true });
+  }
+
+  if (failures.length > 0) {
+    console.error(`\n${failures.length} request(s) failed:\n${failures.join('\n')}`);
+    process.exit(1);
+  }
+  console.log(`\nAll requests passed against ${recordedDir || 'synthetic fixtures'}.`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { cachedLoad, createDiskCache } from '../../lib/cache/diskCache';
+
+// An entry whose JSON is a little over `bytes` long; four of 200 fit in 900.
+const entryOf = (bytes, tag) => ({ fetchedAt: Date.now(), data: { tag, pad: 'x'.repeat(bytes - 50) } });
+
+async function withCache(memoryBytes, run) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'cache-test-'));
+  try {
+    await run(createDiskCache(dir, { memoryBytes }), dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('the memory front evicts the least recently used entries past its byte budget', () => withCache(900, async (cache, dir) => {
+  await cache.write('quotes', 'A', entryOf(200, 'A'));
+  await cache.write('quotes', 'B', entryOf(200, 'B'));
+  await cache.write('quotes', 'C', entryOf(200, 'C'));
+  await cache.read('quotes', 'A');
+  await cache.write('quotes', 'D', entryOf(200, 'D'));
+  await cache.write('quotes', 'E', entryOf(200, 'E'));
+
+  // Only entries still in memory survive their files being removed.
+  await rm(path.join(dir, 'quotes'), { recursive: true });
+  const held = [];
+  for (const key of ['A', 'B', 'C', 'D', 'E']) {
+    if (await cache.read('quotes', key)) held.push(key);
+  }
+  assert.deepEqual(held, ['A', 'C', 'D', 'E']);
+}));
+
+test('an entry over a quarter of the budget is served from disk only', () => withCache(1000, async (cache, dir) => {
+  await cache.write('companyfacts', 'BIG', entryOf(400, 'BIG'));
+  assert.equal((await cache.read('companyfacts', 'BIG')).data.tag, 'BIG');
+  await rm(path.join(dir, 'companyfacts'), { recursive: true });
+  assert.equal(await cache.read('companyfacts', 'BIG'), null);
+}));
+
+test('cachedLoad serves a fresh entry without calling upstream', () => withCache(1000, async (cache) => {
+  let loads = 0;
+  const load = async () => {
+    loads += 1;
+    return { data: { loads } };
+  };
+  const trace = { cache: {} };
+  assert.deepEqual(await cachedLoad(cache, { source: 'tickerMap', key: 'all', load, trace }), { loads: 1 });
+  assert.equal(trace.cache.tickerMap.status, 'miss');
+  assert.deepEqual(await cachedLoad(cache, { source: 'tickerMap', key: 'all', load, trace }), { loads: 1 });
+  assert.equal(trace.cache.tickerMap.status, 'hit');
+  assert.equal(loads, 1);
+}));
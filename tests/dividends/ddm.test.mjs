@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { valueDividendDiscount } from '../../lib/dividends/ddm';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+test('valueDividendDiscount reduces to the Gordon formula at terminal growth', () => {
+  const value = valueDividendDiscount({
+    currentDividend: 2,
+    growth: { cagr5Year: 0.03 },
+    returnOnEquity: 0.2,
+    payoutRatio: 0.5,
+    yearsPaid: 10,
+    costOfEquity: 0.08,
+    terminalGrowth: 0.03,
+  });
+  close(value.value, (2 * 1.03) / (0.08 - 0.03));
+  assert.equal(value.inputs.growthSource, 'dividend-cagr');
+  assert.equal(value.inComposite, true);
+});
+
+test('valueDividendDiscount holds growth to what retained earnings fund', () => {
+  const value = valueDividendDiscount({
+    currentDividend: 1,
+    growth: { cagr5Year: 0.2 },
+    returnOnEquity: 0.1,
+    payoutRatio: 0.6,
+    yearsPaid: 10,
+    costOfEquity: 0.09,
+    terminalGrowth: 0.025,
+  });
+  close(value.inputs.highGrowth, 0.04);
+  assert.equal(value.inputs.growthSource, 'sustainable-growth');
+  close(value.value, value.presentValue.highGrowth + value.presentValue.transition + value.presentValue.terminal);
+});
+
+test('valueDividendDiscount keeps low payers and short records out of the composite', () => {
+  const base = { currentDividend: 1, growth: {}, costOfEquity: 0.09, terminalGrowth: 0.025 };
+  const lowPayout = valueDividendDiscount({ ...base, payoutRatio: 0.1, yearsPaid: 10 });
+  assert.equal(lowPayout.inComposite, false);
+  assert.match(lowPayout.exclusionReason, /payout ratio/);
+  assert.match(valueDividendDiscount({ ...base, payoutRatio: 0.5, yearsPaid: 2 }).exclusionReason, /consecutive years/);
+  assert.equal(valueDividendDiscount({ ...base, currentDividend: 0 }), null);
+  assert.equal(valueDividendDiscount({ ...base, costOfEquity: 0.03 }), null);
+});
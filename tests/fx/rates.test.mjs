@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { YEAR_END_RATES, averageRate, convertAmount, periodEndRate, ratesCover } from '../../lib/fx/rates';
+
+test('averageRate over a calendar year is that year\'s average', () => {
+  assert.equal(averageRate('TWD', '2023-01-01', '2023-12-31'), 31.2);
+  assert.equal(averageRate('USD', '2023-01-01', '2023-12-31'), 1);
+  assert.equal(averageRate('XXX', '2023-01-01', '2023-12-31'), null);
+});
+
+test('averageRate weights the years a period spans by days', () => {
+  // Half of 2023 at 31.2 and half of 2024 at 32.1.
+  const rate = averageRate('TWD', '2023-07-02', '2024-07-01');
+  assert.ok(Math.abs(rate - (31.2 + 32.1) / 2) < 0.01);
+});
+
+test('periodEndRate interpolates between year-end rates', () => {
+  assert.ok(Math.abs(periodEndRate('EUR', '2023-12-31') - YEAR_END_RATES.EUR[2023]) < 0.001);
+  assert.ok(Math.abs(periodEndRate('EUR', '2024-07-02') - (0.905 + 0.962) / 2) < 0.001);
+});
+
+test('convertAmount restates a flow at the average rate and reports the rate', () => {
+  const { value, rate } = convertAmount(312_000, { from: 'TWD', to: 'USD', start: '2023-01-01', end: '2023-12-31' });
+  assert.equal(rate, 31.2);
+  assert.ok(Math.abs(value - 10_000) < 1e-6);
+  // Cross rates go through USD.
+  const eur = convertAmount(100, { from: 'GBP', to: 'EUR', start: '2023-01-01', end: '2023-12-31' });
+  assert.ok(Math.abs(eur.value - (100 / 0.804) * 0.925) < 1e-9);
+  assert.equal(convertAmount(1, { from: 'TWD', to: 'XXX', end: '2023-12-31' }), null);
+});
+
+test('convertAmount marks conversions for periods past the tables', () => {
+  const lastYear = Math.max(...Object.keys(YEAR_END_RATES.TWD).map(Number));
+  const inTable = convertAmount(100, { from: 'TWD', to: 'USD', start: `${lastYear}-01-01`, end: `${lastYear}-12-31` });
+  assert.equal(inTable.extrapolated, false);
+  const flow = convertAmount(100, { from: 'TWD', to: 'USD', start: `${lastYear + 1}-01-01`, end: `${lastYear + 1}-03-31` });
+  assert.equal(flow.extrapolated, true);
+  assert.equal(flow.rate, averageRate('TWD', `${lastYear}-01-01`, `${lastYear}-12-31`));
+  assert.equal(convertAmount(100, { from: 'TWD', to: 'USD', end: `${lastYear + 1}-06-30` }).extrapolated, true);
+  assert.equal(ratesCover('USD', { end: '2099-12-31' }), true);
+  assert.equal(ratesCover('EUR', { start: `${lastYear}-07-01`, end: `${lastYear + 1}-06-30` }), false);
+});
@@ -0,0 +1,22 @@
+// Module hooks for node:test. Next bundles lib/ as ES modules imported without
+// file extensions; plain Node needs both spelled out.
+
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const LIB = new URL('../lib/', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (/^\.\.?\//.test(specifier) && !/\.[cm]?js$|\.json$/.test(specifier) && context.parentURL) {
+    for (const candidate of [`${specifier}.js`, `${specifier}/index.js`]) {
+      const url = new URL(candidate, context.parentURL);
+      if (existsSync(fileURLToPath(url))) return nextResolve(url.href, context);
+    }
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(LIB) && url.endsWith('.js')) return nextLoad(url, { ...context, format: 'module' });
+  return nextLoad(url, context);
+}
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findCikEntry,
+  findTickerEntry,
+  normalizeCik,
+  normalizeSecTicker,
+  normalizeSymbol,
+  resolveIdentifiers,
+} from '../../lib/market/symbols';
+
+const forms = (input) => {
+  const symbol = normalizeSymbol(input);
+  return symbol && [symbol.kind, symbol.yahoo, symbol.sec];
+};
+
+test('normalizeSymbol maps class, preferred, unit and warrant spellings', () => {
+  assert.deepEqual(forms('aapl'), ['common', 'AAPL', 'AAPL']);
+  for (const input of ['BRK.B', 'BRK/B', 'brk b', 'BRK-B']) assert.deepEqual(forms(input), ['class', 'BRK-B', 'BRK-B']);
+  for (const input of ['BAC.PR.L', 'BAC/PRL', 'BAC-P-L', 'BAC-PL']) assert.deepEqual(forms(input), ['preferred', 'BAC-PL', 'BAC-PL']);
+  assert.deepEqual(forms('BAC.PR'), ['preferred', 'BAC-P', 'BAC-P']);
+  assert.deepEqual(forms('PSTH.U'), ['unit', 'PSTH-UN', 'PSTH-UN']);
+  assert.deepEqual(forms('PSTH/WS'), ['warrant', 'PSTH-WT', 'PSTH-WT']);
+});
+
+test('normalizeSymbol gives foreign listings and indices no SEC form', () => {
+  assert.deepEqual(forms('shop.to'), ['foreign', 'SHOP.TO', null]);
+  assert.deepEqual(forms('RCI.B.TO'), ['foreign', 'RCI-B.TO', null]);
+  assert.deepEqual(forms('^GSPC'), ['index', '^GSPC', null]);
+  assert.equal(normalizeSymbol(''), null);
+  assert.equal(normalizeSymbol('AAPL;DROP'), null);
+});
+
+test('normalizeCik and normalizeSecTicker', () => {
+  assert.equal(normalizeCik('320193'), '0000320193');
+  assert.equal(normalizeCik('CIK0000320193'), '0000320193');
+  assert.equal(normalizeCik('AAPL'), null);
+  assert.equal(normalizeSecTicker('BACpL').sec, 'BAC-PL');
+});
+
+const tickerMap = {
+  0: { cik_str: 1067983, ticker: 'BRK-B', title: 'BERKSHIRE HATHAWAY INC' },
+  1: { cik_str: 1067983, ticker: 'BRK-A', title: 'BERKSHIRE HATHAWAY INC' },
+  2: { cik_str: 70858, ticker: 'BACpL', title: 'BANK OF AMERICA CORP' },
+};
+
+test('ticker map lookups match normalized spellings', () => {
+  assert.equal(findTickerEntry(tickerMap, 'BAC-PL').ticker, 'BACpL');
+  assert.equal(findTickerEntry(tickerMap, 'BRK-C'), null);
+  assert.equal(findCikEntry(tickerMap, '0001067983').ticker, 'BRK-B');
+});
+
+test('resolveIdentifiers resolves a ticker or a CIK against the map', () => {
+  assert.deepEqual(resolveIdentifiers({ ticker: 'brk.a' }, tickerMap), {
+    input: 'brk.a', kind: 'class', yahoo: 'BRK-A', sec: 'BRK-A', resolvedBy: 'ticker', cik: '0001067983',
+  });
+  assert.equal(resolveIdentifiers({ ticker: 'SHOP.TO' }, null).cik, null);
+  const byCik = resolveIdentifiers({ cik: '1067983' }, tickerMap);
+  assert.equal(byCik.yahoo, 'BRK-B');
+  assert.equal(byCik.resolvedBy, 'cik');
+  assert.equal(byCik.input, '1067983');
+  assert.equal(resolveIdentifiers({ cik: '9999999' }, tickerMap), null);
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createFixtureProvider, createRecordingProvider } from '../../lib/providers/fixture';
+
+const SUMMARY = {
+  summaryDetail: { dividendYield: 0.005 },
+  defaultKeyStatistics: { sharesOutstanding: 15e9 },
+  assetProfile: { sector: 'Technology' },
+};
+
+// Answers quoteSummary with only the requested modules, as Yahoo does.
+const upstream = {
+  name: 'fake',
+  market: {
+    getQuote: async (symbol) => ({ symbol, regularMarketPrice: 190 }),
+    getQuoteSummary: async (symbol, modules) => Object.fromEntries(modules.map((name) => [name, SUMMARY[name]])),
+  },
+};
+
+test('quoteSummary calls with different modules record into one fixture and replay', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'fixture-test-'));
+  try {
+    const recorder = createRecordingProvider(upstream, dir);
+    await recorder.market.getQuoteSummary('AAPL', ['summaryDetail', 'defaultKeyStatistics', 'assetProfile']);
+    await recorder.market.getQuoteSummary('aapl', ['assetProfile']);
+    await recorder.market.getQuote('AAPL');
+    await recorder.flush();
+
+    const replay = createFixtureProvider(dir);
+    assert.deepEqual(
+      await replay.market.getQuoteSummary('AAPL', ['summaryDetail', 'defaultKeyStatistics', 'assetProfile']),
+      SUMMARY
+    );
+    assert.deepEqual(await replay.market.getQuoteSummary('AAPL', ['assetProfile']), { assetProfile: SUMMARY.assetProfile });
+    assert.equal(await replay.market.getQuoteSummary('AAPL', ['earnings']), null);
+    assert.deepEqual(await replay.market.getQuote('AAPL'), { symbol: 'AAPL', regularMarketPrice: 190 });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('concurrent recordings of one quoteSummary keep every module', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'fixture-test-'));
+  try {
+    const first = createRecordingProvider(upstream, dir);
+    const second = createRecordingProvider(upstream, dir);
+    await Promise.all([
+      first.market.getQuoteSummary('MSFT', ['summaryDetail']),
+      second.market.getQuoteSummary('MSFT', ['assetProfile']),
+      first.market.getQuoteSummary('MSFT', ['defaultKeyStatistics']),
+    ]);
+    await first.flush();
+
+    assert.deepEqual(await createFixtureProvider(dir).market.getQuoteSummary('MSFT'), SUMMARY);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('fixture filings answer a missing file like an SEC 404', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'fixture-test-'));
+  try {
+    await assert.rejects(createFixtureProvider(dir).filings.getCompanyFacts('0000320193'), { status: 404 });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
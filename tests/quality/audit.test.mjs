@@ -0,0 +1,134 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { auditFinancials } from '../../lib/quality/audit';
+
+const empty = { income: [], incomeQ: [], balance: [], balanceQ: [], cashflow: [], cashflowQ: [], shares: [], marketShares: null };
+const checksOf = (result, check) => result.findings.filter((f) => f.check === check);
+
+test('auditFinancials reports a clean set as good', () => {
+  const result = auditFinancials({
+    ...empty,
+    balance: [{ date: '2023-12-31', totalAssets: 1000, totalLiabilities: 600, totalEquity: 400 }],
+    income: [{ date: '2023-12-31', revenue: 500, costOfRevenue: 300, grossProfit: 200 }],
+  });
+  assert.equal(result.status, 'good');
+  assert.deepEqual(result.counts, { error: 0, warning: 0 });
+  assert.equal(result.checks.balanceIdentity, 1);
+  assert.equal(result.checks.grossProfit, 1);
+});
+
+test('auditFinancials grades balance sheet gaps by size', () => {
+  const result = auditFinancials({
+    ...empty,
+    balance: [
+      { date: '2022-12-31', totalAssets: 1000, totalLiabilities: 600, totalEquity: 370 },
+      { date: '2023-12-31', totalAssets: 1000, totalLiabilities: 600, totalEquity: 300 },
+      // Equity that excludes noncontrolling interests balances with them added.
+      { date: '2024-12-31', totalAssets: 1000, totalLiabilities: 600, totalEquity: 350, minorityInterest: 50 },
+    ],
+  });
+  assert.deepEqual(checksOf(result, 'balanceIdentity').map((f) => [f.date, f.severity]), [
+    ['2022-12-31', 'warning'],
+    ['2023-12-31', 'error'],
+  ]);
+  assert.equal(result.status, 'poor');
+});
+
+test('auditFinancials flags a share count off by a thousand', () => {
+  const result = auditFinancials({
+    ...empty,
+    shares: [
+      { end: '2022-12-31', val: 1_000_000_000 },
+      { end: '2023-12-31', val: 1_010_000 },
+    ],
+    marketShares: 1_000_000_000,
+  });
+  const findings = checksOf(result, 'shareScale');
+  assert.equal(findings.length, 2);
+  assert.ok(findings.every((f) => f.severity === 'error'));
+});
+
+test('auditFinancials flags a positive capex among outflows', () => {
+  const result = auditFinancials({
+    ...empty,
+    cashflow: [
+      { date: '2022-12-31', capitalExpenditure: -50 },
+      { date: '2023-12-31', capitalExpenditure: 55, sources: { capitalExpenditure: { source: 'fts' } } },
+    ],
+  });
+  const [flip] = checksOf(result, 'signFlip');
+  assert.equal(flip.date, '2023-12-31');
+  assert.equal(flip.expected, -55);
+  assert.match(flip.message, /source fts/);
+});
+
+test('auditFinancials flags a year-over-year outlier', () => {
+  const revenue = [100, 108, 119, 130, 142, 500, 540, 590];
+  const result = auditFinancials({
+    ...empty,
+    income: revenue.map((value, i) => ({ date: `${2017 + i}-12-31`, revenue: value })),
+  });
+  assert.deepEqual(checksOf(result, 'yoyOutlier').map((f) => [f.date, f.severity]), [['2022-12-31', 'warning']]);
+  assert.equal(result.checks.yoyOutlier, 7);
+});
+
+// FY2023 as a 10-Q filer reports it: discrete quarters with six- and
+// nine-month totals, and Q4 derived as the full year less nine months.
+const filedQuarters = (q2YearToDate) => [
+  { date: '2023-03-31', fiscalYear: '2023', period: 'Q1', revenue: 100, sources: { revenue: { source: 'sec' } } },
+  { date: '2023-06-30', fiscalYear: '2023', period: 'Q2', revenue: 110, sources: { revenue: { source: 'sec', yearToDate: q2YearToDate } } },
+  { date: '2023-09-30', fiscalYear: '2023', period: 'Q3', revenue: 120, sources: { revenue: { source: 'sec', yearToDate: 330 } } },
+  { date: '2023-12-31', fiscalYear: '2023', period: 'Q4', revenue: 70, sources: { revenue: { source: 'sec', derivation: 'fy-less-ytd' } } },
+];
+
+test('auditFinancials checks reported quarters against year-to-date totals, not derived Q4s', () => {
+  const result = auditFinancials({
+    ...empty,
+    income: [{ date: '2023-12-31', fiscalYear: '2023', revenue: 400 }],
+    incomeQ: filedQuarters(210),
+  });
+  assert.equal(result.checks.quarterSum, 2);
+  assert.deepEqual(checksOf(result, 'quarterSum'), []);
+});
+
+test('auditFinancials flags reported quarters that miss their year-to-date total', () => {
+  const result = auditFinancials({
+    ...empty,
+    income: [{ date: '2023-12-31', fiscalYear: '2023', revenue: 400 }],
+    incomeQ: filedQuarters(250),
+  });
+  assert.deepEqual(checksOf(result, 'quarterSum').map((f) => [f.statement, f.date, f.severity, f.expected, f.actual]), [
+    ['incomeQ', '2023-06-30', 'error', 250, 210],
+  ]);
+});
+
+test('auditFinancials sums four independent quarters against the annual figure', () => {
+  const result = auditFinancials({
+    ...empty,
+    cashflow: [{ date: '2023-12-31', fiscalYear: '2023', operatingCashFlow: 420 }],
+    cashflowQ: [100, 110, 120, 70].map((value, i) => ({
+      date: ['2023-03-31', '2023-06-30', '2023-09-30', '2023-12-31'][i],
+      fiscalYear: '2023',
+      period: `Q${i + 1}`,
+      operatingCashFlow: value,
+      sources: { operatingCashFlow: { source: 'yahoo-fts' } },
+    })),
+  });
+  assert.equal(result.checks.quarterSum, 1);
+  assert.deepEqual(checksOf(result, 'quarterSum').map((f) => [f.date, f.severity]), [['2023-12-31', 'warning']]);
+});
+
+test('auditFinancials warns about figures converted past the FX tables', () => {
+  const twd = (extra = {}) => ({ source: 'sec', reportedCurrency: 'TWD', fxRate: 31, ...extra });
+  const result = auditFinancials({
+    ...empty,
+    incomeQ: [
+      { date: '2025-12-31', period: 'Q4', revenue: 30, netIncome: 12, sources: { revenue: twd(), netIncome: twd() } },
+      { date: '2026-03-31', period: 'Q1', revenue: 31, netIncome: 13, sources: { revenue: twd({ fxExtrapolated: true }), netIncome: twd({ fxExtrapolated: true }) } },
+    ],
+  });
+  assert.equal(result.checks.fxFallback, 2);
+  const [fallback] = checksOf(result, 'fxFallback');
+  assert.deepEqual([fallback.statement, fallback.date, fallback.severity, fallback.fields], ['incomeQ', '2026-03-31', 'warning', ['revenue', 'netIncome']]);
+  assert.match(fallback.message, /2 of 2 figures converted from TWD/);
+});
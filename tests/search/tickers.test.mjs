@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTickerIndex, searchTickers } from '../../lib/search/tickers';
+
+const exchangeMap = {
+  fields: ['cik', 'name', 'ticker', 'exchange'],
+  data: [
+    [320193, 'Apple Inc.', 'AAPL', 'Nasdaq'],
+    [1067983, 'BERKSHIRE HATHAWAY INC', 'BRK-B', 'NYSE'],
+    [1067983, 'BERKSHIRE HATHAWAY INC', 'BRK-A', 'NYSE'],
+    [19617, 'JPMORGAN CHASE & CO', 'JPM', 'NYSE'],
+    [1418121, 'Apple Hospitality REIT, Inc.', 'APLE', 'NYSE'],
+    [999001, 'Applied Materials OTC Shell', 'APPLX', 'OTC'],
+    [2488, 'ADVANCED MICRO DEVICES INC', 'AMD', 'Nasdaq'],
+  ],
+};
+const tickerMap = { 0: { cik_str: 12345, ticker: 'ZZZQ', title: 'Only In Ticker Map Corp' } };
+const entries = buildTickerIndex({ tickerMap, exchangeMap });
+const tickers = (text, options) => searchTickers(entries, text, options).map((r) => r.ticker);
+
+test('buildTickerIndex merges both SEC lists with padded CIKs', () => {
+  assert.equal(entries.length, 8);
+  assert.equal(entries.find((e) => e.ticker === 'ZZZQ').cik, '0000012345');
+  assert.equal(buildTickerIndex({ tickerMap, exchangeMap }), entries);
+});
+
+test('searchTickers ranks an exact ticker first, then prefixes', () => {
+  const [first, ...rest] = searchTickers(entries, 'aapl');
+  assert.deepEqual([first.ticker, first.match, first.score], ['AAPL', 'exact', 100]);
+  assert.ok(rest.every((r) => r.match === 'fuzzy' && r.score < first.score));
+  assert.equal(tickers('apl')[0], 'APLE');
+});
+
+test('searchTickers matches names by prefix and by word', () => {
+  assert.deepEqual(tickers('apple').slice(0, 2), ['AAPL', 'APLE']);
+  // "berkshire b" prefers the B shares.
+  assert.deepEqual(tickers('berkshire b').slice(0, 2), ['BRK-B', 'BRK-A']);
+  assert.deepEqual(tickers('micro devices'), ['AMD']);
+});
+
+test('searchTickers reads share-class spellings as SEC tickers', () => {
+  assert.equal(tickers('brk.a')[0], 'BRK-A');
+});
+
+test('searchTickers tolerates typos', () => {
+  const [result] = searchTickers(entries, 'jp morgn');
+  assert.equal(result.ticker, 'JPM');
+  assert.equal(result.match, 'fuzzy');
+  assert.deepEqual(tickers('berkshre'), ['BRK-A', 'BRK-B']);
+});
+
+test('searchTickers breaks ties by exchange, then ticker length', () => {
+  assert.deepEqual(tickers('a', { limit: 4 }), ['AMD', 'AAPL', 'APLE', 'APPLX']);
+  assert.deepEqual(searchTickers(entries, '  '), []);
+});
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { collapseRevisions, getMetricValues } from '../../lib/sec/facts';
+import { createFiscalCalendar } from '../../lib/sec/fiscalCalendar';
+
+const annual = (start, end, val, filed) => ({ start, end, val, filed, fp: 'FY', form: '10-K', accn: `accn-${filed}` });
+
+test('collapseRevisions keeps distinct values in filing order and ignores rounding', () => {
+  const revisions = collapseRevisions([
+    { val: 1000, filed: '2023-02-01', form: '10-K', accn: 'a' },
+    { val: 1000.2, filed: '2024-02-01', form: '10-K', accn: 'b' },
+    { val: 950, filed: '2025-02-01', form: '10-K/A', accn: 'c' },
+  ]);
+  assert.deepEqual(revisions.map((r) => [r.val, r.filed]), [[1000, '2023-02-01'], [950, '2025-02-01']]);
+});
+
+test('getMetricValues takes the latest filing of a restated period and lists its revisions', () => {
+  const facts = {
+    NetIncomeLoss: {
+      units: {
+        USD: [
+          annual('2021-10-01', '2022-09-30', 500, '2022-11-01'),
+          annual('2021-10-01', '2022-09-30', 480, '2023-11-01'),
+          annual('2022-10-01', '2023-09-30', 600, '2023-11-01'),
+        ],
+      },
+    },
+  };
+  const calendar = createFiscalCalendar('0930');
+  const values = getMetricValues(facts, ['NetIncomeLoss'], { calendar });
+  assert.deepEqual(values.map((v) => [v.end, v.val, v.fy]), [['2023-09-30', 600, 2023], ['2022-09-30', 480, 2022]]);
+  assert.deepEqual(values[1].revisions.map((r) => r.val), [500, 480]);
+  assert.equal(values[0].revisions, undefined);
+});
+
+test('getMetricValues reads only the requested unit', () => {
+  const facts = {
+    Revenues: {
+      units: {
+        EUR: [annual('2023-01-01', '2023-12-31', 900, '2024-02-01')],
+        USD: [annual('2023-01-01', '2023-12-31', 1000, '2024-02-01')],
+      },
+    },
+  };
+  assert.equal(getMetricValues(facts, ['Revenues'], { unit: 'EUR' })[0].val, 900);
+  assert.equal(getMetricValues(facts, ['Revenues'], { unit: 'GBP' }).length, 0);
+});
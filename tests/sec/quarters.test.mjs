@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeTrailingTwelveMonths, getQuarterlyValues } from '../../lib/sec/quarters';
+
+const fact = (start, end, val, filed, form = '10-Q') => ({ start, end, val, filed, form, accn: `accn-${filed}` });
+
+// FY2023 revenue as a 10-K and three 10-Qs report it: Q1 as a quarter, Q2 and
+// Q3 only year to date, Q4 only inside the full year.
+const revenue = {
+  Revenues: {
+    units: {
+      USD: [
+        fact('2023-01-01', '2023-03-31', 100, '2023-05-01'),
+        fact('2023-01-01', '2023-06-30', 210, '2023-08-01'),
+        fact('2023-01-01', '2023-09-30', 330, '2023-11-01'),
+        fact('2023-01-01', '2023-12-31', 400, '2024-02-01', '10-K'),
+      ],
+    },
+  },
+};
+
+test('getQuarterlyValues de-cumulates year-to-date spans and synthesizes Q4', () => {
+  const quarters = getQuarterlyValues(revenue, ['Revenues']);
+  assert.deepEqual(
+    quarters.map((q) => [q.fp, q.start, q.end, q.val, q.derivation]),
+    [
+      ['Q4', '2023-10-01', '2023-12-31', 70, 'fy-less-ytd'],
+      ['Q3', '2023-07-01', '2023-09-30', 120, 'ytd-decumulated'],
+      ['Q2', '2023-04-01', '2023-06-30', 110, 'ytd-decumulated'],
+      ['Q1', '2023-01-01', '2023-03-31', 100, 'reported'],
+    ]
+  );
+  assert.equal(quarters[0].form, '10-K');
+  assert.equal(quarters[0].currency, 'USD');
+});
+
+test('getQuarterlyValues prefers a reported quarter over the year-to-date difference', () => {
+  const facts = {
+    Revenues: {
+      units: { USD: [...revenue.Revenues.units.USD, fact('2023-04-01', '2023-06-30', 111, '2023-08-01')] },
+    },
+  };
+  const q2 = getQuarterlyValues(facts, ['Revenues']).find((q) => q.fp === 'Q2');
+  assert.equal(q2.val, 111);
+  assert.equal(q2.derivation, 'reported');
+  assert.equal(q2.yearToDate, 210);
+});
+
+test('computeTrailingTwelveMonths sums the latest four quarters', () => {
+  const rows = [
+    { date: '2022-12-31', revenue: 90 },
+    { date: '2023-03-31', revenue: 100 },
+    { date: '2023-06-30', revenue: 110 },
+    { date: '2023-09-30', revenue: 120 },
+    { date: '2023-12-31', revenue: 70, netIncome: 5 },
+  ];
+  const ttm = computeTrailingTwelveMonths(rows, ['revenue', 'netIncome']);
+  assert.equal(ttm.periodEnd, '2023-12-31');
+  assert.deepEqual(ttm.quarterEnds, ['2023-03-31', '2023-06-30', '2023-09-30', '2023-12-31']);
+  assert.equal(ttm.revenue, 400);
+  assert.equal(ttm.netIncome, null);
+});
+
+test('computeTrailingTwelveMonths counts a quarter reported by two sources once', () => {
+  const rows = [
+    { date: '2023-03-31', revenue: 100 },
+    { date: '2023-06-30', revenue: 110 },
+    { date: '2023-09-30', revenue: 120 },
+    { date: '2023-12-28', revenue: 69 },
+    { date: '2023-12-31', revenue: 70 },
+  ];
+  assert.equal(computeTrailingTwelveMonths(rows, ['revenue']).revenue, 400);
+});
+
+test('computeTrailingTwelveMonths needs four consecutive quarters', () => {
+  const rows = [
+    { date: '2022-12-31', revenue: 90 },
+    { date: '2023-06-30', revenue: 110 },
+    { date: '2023-09-30', revenue: 120 },
+    { date: '2023-12-31', revenue: 70 },
+  ];
+  assert.equal(computeTrailingTwelveMonths(rows, ['revenue']), null);
+});
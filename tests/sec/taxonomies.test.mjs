@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { convertFacts, detectReportingCurrency, resolveReportingFacts, selectTaxonomy } from '../../lib/sec/taxonomies';
+
+const twd = (start, end, val) => ({ start, end, val, filed: '2024-04-01', form: '20-F', fp: 'FY', accn: 'a' });
+
+// A 20-F filer tagging IFRS in TWD, with a stray us-gaap dei-style concept.
+const companyFacts = {
+  facts: {
+    'us-gaap': { Revenues: { units: { USD: [{ end: '2015-12-31', val: 1 }] } } },
+    'ifrs-full': {
+      Revenue: { units: { TWD: [twd('2023-01-01', '2023-12-31', 2_161_736_000_000)] } },
+      ProfitLoss: { units: { TWD: [twd('2023-01-01', '2023-12-31', 838_498_000_000)] } },
+      Assets: { units: { TWD: [{ end: '2023-12-31', val: 5_532_371_000_000, filed: '2024-04-01', fp: 'FY' }] } },
+      AdjustedWeightedAverageShares: { units: { shares: [twd('2023-01-01', '2023-12-31', 25_929_000_000)] } },
+    },
+  },
+};
+
+test('selectTaxonomy picks the taxonomy that carries the statements', () => {
+  assert.equal(selectTaxonomy(companyFacts), 'ifrs-full');
+  assert.equal(selectTaxonomy({ facts: {} }), 'us-gaap');
+});
+
+test('detectReportingCurrency counts currency units only', () => {
+  assert.equal(detectReportingCurrency(companyFacts.facts['ifrs-full']), 'TWD');
+});
+
+test('resolveReportingFacts restates flows at the average rate and balances at year end', () => {
+  const reporting = resolveReportingFacts(companyFacts, 'USD');
+  assert.equal(reporting.taxonomy, 'ifrs-full');
+  assert.equal(reporting.currency, 'TWD');
+  assert.ok(reporting.fields.sharesDiluted.includes('AdjustedWeightedAverageShares'));
+
+  const [revenue] = reporting.facts.Revenue.units.USD;
+  assert.equal(revenue.fxRate, 31.2);
+  assert.equal(revenue.reportedCurrency, 'TWD');
+  assert.ok(Math.abs(revenue.val - 2_161_736_000_000 / 31.2) < 1);
+
+  const [assets] = reporting.facts.Assets.units.USD;
+  assert.ok(Math.abs(assets.fxRate - 30.7) < 0.01);
+  // Share counts are not money and pass through.
+  assert.equal(reporting.facts.AdjustedWeightedAverageShares.units.shares[0].val, 25_929_000_000);
+});
+
+test('convertFacts drops monetary concepts it has no rate for', () => {
+  const { facts, dropped } = convertFacts({ Revenue: { units: { XXX: [twd('2023-01-01', '2023-12-31', 1)] } } }, 'XXX', 'USD');
+  assert.deepEqual(dropped, ['Revenue']);
+  assert.equal(facts.Revenue, undefined);
+});
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFinancialRatios, tangibleCommonEquity, valueFinancialInstitution } from '../../lib/sectors/financials';
+
+const close = (actual, expected, digits = 6) => assert.ok(
+  Math.abs(actual - expected) < 10 ** -digits,
+  `expected ${expected}, got ${actual}`
+);
+
+const bankRows = [
+  { date: '2022-12-31', totalAssets: 1000, totalEquity: 100, goodwill: 10, intangibleAssets: 5, preferredEquity: 5, netIncome: 10 },
+  {
+    date: '2023-12-31',
+    totalAssets: 1200,
+    totalEquity: 120,
+    goodwill: 10,
+    intangibleAssets: 5,
+    preferredEquity: 5,
+    netIncome: 15,
+    netInterestIncome: 33,
+    noninterestIncome: 11,
+    noninterestExpense: 22,
+    loans: 600,
+    deposits: 800,
+    creditLossProvision: 6,
+    tier1Capital: 88,
+    tier1Ratio: 0.14,
+  },
+];
+
+test('tangibleCommonEquity deducts preferred, goodwill and intangibles', () => {
+  assert.equal(tangibleCommonEquity(bankRows[1]), 100);
+  assert.equal(tangibleCommonEquity({ totalEquity: 50 }), 50);
+  assert.equal(tangibleCommonEquity({}), null);
+});
+
+test('buildFinancialRatios measures a bank on average balances', () => {
+  const latest = buildFinancialRatios(bankRows, 'bank')[1];
+  close(latest.returnOnEquity, 15 / 110);
+  close(latest.returnOnTangibleCommonEquity, 15 / 90);
+  close(latest.netInterestMargin, 33 / 1100);
+  close(latest.efficiencyRatio, 22 / 44);
+  close(latest.loanToDeposit, 0.75);
+  close(latest.creditCostRatio, 0.01);
+  close(latest.tier1Leverage, 88 / 1100);
+  assert.equal(latest.tier1Ratio, 0.14);
+});
+
+test('buildFinancialRatios adds the combined ratio for insurers', () => {
+  const [row] = buildFinancialRatios([{
+    date: '2023-12-31', totalAssets: 500, totalEquity: 100, netIncome: 8,
+    premiumsEarned: 200, policyholderBenefits: 130, underwritingExpense: 56, netInvestmentIncome: 20,
+  }], 'insurer');
+  close(row.lossRatio, 0.65);
+  close(row.expenseRatio, 0.28);
+  close(row.combinedRatio, 0.93);
+  close(row.investmentYield, 0.04);
+});
+
+test('valueFinancialInstitution prices tangible book at the justified multiple', () => {
+  const ratios = [{ tangibleCommonEquity: 1000, returnOnTangibleCommonEquity: 0.15 }];
+  const value = valueFinancialInstitution({ ratios, costOfEquity: 0.1, terminalGrowth: 0.03, sharesOutstanding: 100 });
+  close(value.justifiedPriceToTangibleBook, 0.12 / 0.07);
+  close(value.ptbvValue, (0.12 / 0.07) * 10);
+  close(value.inputs.longRunRotce, 0.125);
+  // Returns above the cost of equity are worth more than book.
+  assert.ok(value.excessReturnValue > value.inputs.tangibleBookValuePerShare);
+});
+
+test('valueFinancialInstitution needs a cost of equity above growth', () => {
+  const ratios = [{ tangibleCommonEquity: 1000, returnOnTangibleCommonEquity: 0.15 }];
+  assert.equal(valueFinancialInstitution({ ratios, costOfEquity: 0.03, terminalGrowth: 0.03, sharesOutstanding: 100 }), null);
+});
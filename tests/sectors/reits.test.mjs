@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReitMetrics, valueReit } from '../../lib/sectors/reits';
+import { classifyFiler, isFinancialModel } from '../../lib/sectors/classify';
+
+const row = (year, price) => ({
+  date: `${year}-12-31`,
+  netIncome: 100,
+  depreciation: 80,
+  gainOnSaleOfRealEstate: 20,
+  realEstateImpairment: 5,
+  capitalImprovements: -15,
+  straightLineRent: 4,
+  shareBasedCompensation: 3,
+  dividendsPaid: -130,
+  operatingIncome: 150,
+  shares: 50,
+  price,
+});
+
+test('buildReitMetrics computes NAREIT FFO, AFFO and coverage', () => {
+  const [metrics] = buildReitMetrics([row(2023, 48)]);
+  assert.equal(metrics.ffo, 165);
+  assert.equal(metrics.affo, 149);
+  assert.equal(metrics.ffoPerShare, 3.3);
+  assert.equal(metrics.dividendPerShare, 2.6);
+  assert.ok(Math.abs(metrics.dividendCoverage - 149 / 130) < 1e-12);
+  assert.ok(Math.abs(metrics.priceToFfo - 48 / 3.3) < 1e-12);
+  assert.equal(metrics.netOperatingIncome, 230);
+});
+
+test('valueReit uses the median historical P/FFO and capitalises NOI', () => {
+  const metrics = buildReitMetrics([row(2021, 33), row(2022, 49.5), row(2023, 66)]);
+  const value = valueReit({ metrics, balance: { totalDebt: 2000, cash: 100 }, sharesOutstanding: 50, capRate: 0.1 });
+  assert.equal(value.inputs.multipleSource, 'historical-median');
+  assert.ok(Math.abs(value.inputs.priceToFfo - 15) < 1e-9);
+  assert.ok(Math.abs(value.pffoValue - 49.5) < 1e-9);
+  assert.equal(value.navValue, (2300 - 1900) / 50);
+});
+
+test('valueReit falls back to a sector multiple with short history', () => {
+  const value = valueReit({ metrics: buildReitMetrics([row(2023, 48)]), sharesOutstanding: 50 });
+  assert.equal(value.inputs.multipleSource, 'default');
+  assert.ok(Math.abs(value.pffoValue - 16 * 3.3) < 1e-9);
+});
+
+test('classifyFiler routes by SIC first, then by sector', () => {
+  assert.deepEqual(classifyFiler({ sic: '6021' }), { model: 'bank', basis: 'sic', sic: 6021 });
+  assert.equal(classifyFiler({ sic: '6331' }).model, 'insurer');
+  assert.equal(classifyFiler({ sic: '6798' }).model, 'reit');
+  assert.equal(classifyFiler({ sic: '6411' }).model, 'general');
+  assert.equal(classifyFiler({ sector: 'Real Estate', industry: 'REIT - Retail' }).model, 'reit');
+  assert.equal(classifyFiler({ sector: 'Financial Services', industry: 'Insurance Brokers' }).model, 'general');
+  assert.equal(isFinancialModel(classifyFiler({ sic: '6022' })), true);
+  assert.equal(isFinancialModel(classifyFiler({ sic: '6798' })), false);
+});
@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { adrShareRatio, isForeignFiler } from '../../lib/shares/adr';
+
+// TSM: 25.9bn ordinary shares behind 5.19bn ADR equivalents at $180.
+const tsm = { reportedShares: 25.93e9, marketShares: 5.186e9, marketCap: 5.186e9 * 180, price: 180 };
+
+test('isForeignFiler covers IFRS and 20-F/40-F filers', () => {
+  assert.equal(isForeignFiler({ taxonomy: 'ifrs-full', form: '20-F' }), true);
+  assert.equal(isForeignFiler({ taxonomy: 'us-gaap', form: '20-F/A' }), true);
+  assert.equal(isForeignFiler({ taxonomy: 'us-gaap', form: '40-F' }), true);
+  assert.equal(isForeignFiler({ taxonomy: 'us-gaap', form: '10-K' }), false);
+});
+
+test('adrShareRatio snaps ordinary shares per ADR from market cap over price', () => {
+  assert.deepEqual(adrShareRatio(tsm), { ratio: 5, source: 'market-cap', mismatch: false });
+});
+
+test('adrShareRatio tolerates weighted-average drift but not an unrelated ratio', () => {
+  assert.equal(adrShareRatio({ ...tsm, reportedShares: 25.93e9 * 1.08 }).ratio, 5);
+  assert.deepEqual(adrShareRatio({ ...tsm, reportedShares: 5.186e9 * 2.5 }), { ratio: 1, source: null, mismatch: false });
+});
+
+test('adrShareRatio handles ADRs worth a fraction of a share and one-for-one listings', () => {
+  assert.equal(adrShareRatio({ ...tsm, reportedShares: 5.186e9 / 4 }).ratio, 0.25);
+  assert.equal(adrShareRatio({ ...tsm, reportedShares: 5.3e9 }).ratio, 1);
+});
+
+test('adrShareRatio falls back to the share count and flags sources that disagree', () => {
+  assert.deepEqual(adrShareRatio({ ...tsm, marketCap: null }), { ratio: 5, source: 'shares-outstanding', mismatch: false });
+  assert.deepEqual(adrShareRatio({ ...tsm, marketShares: tsm.reportedShares }), { ratio: 5, source: 'market-cap', mismatch: true });
+});
+
+test('per-share values follow the ADR price once shares are restated', () => {
+  const netIncome = 1.17e12 / 31.2;
+  const { ratio } = adrShareRatio(tsm);
+  const eps = netIncome / (tsm.reportedShares / ratio);
+  assert.ok(Math.abs(tsm.price / eps - 24) < 1, `P/E ${tsm.price / eps}`);
+});
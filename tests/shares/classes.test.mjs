@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildShareClassStructure,
+  getShareClassCounts,
+  listedClassSymbols,
+  reportedShareConversion,
+} from '../../lib/shares/classes';
+
+const cover = (entries) => ({
+  facts: { dei: { EntityCommonStockSharesOutstanding: { units: { shares: entries } } } },
+});
+
+test('getShareClassCounts reads every class from the latest cover page', () => {
+  const counts = getShareClassCounts(cover([
+    { end: '2023-10-20', filed: '2023-11-06', accn: 'old', val: 999 },
+    { end: '2024-04-22', filed: '2024-05-06', accn: 'new', val: 571_000 },
+    { end: '2024-04-22', filed: '2024-05-06', accn: 'new', val: 1_313_000_000 },
+  ]));
+  assert.deepEqual(counts.counts, [1_313_000_000, 571_000]);
+  assert.equal(counts.asOf, '2024-04-22');
+});
+
+test('listedClassSymbols keeps exchange-listed classes in Yahoo spelling', () => {
+  const listed = listedClassSymbols({ tickers: ['BRK-B', 'BRK-A', 'BRKXX'], exchanges: ['NYSE', 'NYSE', 'OTC'] });
+  assert.deepEqual(listed.map((c) => c.symbol), ['BRK-B', 'BRK-A']);
+});
+
+const berkshire = {
+  symbol: 'BRK-B',
+  cover: { asOf: '2024-04-22', counts: [1_313_000_000, 571_000] },
+  listed: [{ symbol: 'BRK-B', exchange: 'NYSE' }, { symbol: 'BRK-A', exchange: 'NYSE' }],
+  prices: { 'BRK-B': 400, 'BRK-A': 603_000 },
+};
+
+test('buildShareClassStructure prices each class in units of the queried class', () => {
+  const structure = buildShareClassStructure(berkshire);
+  assert.equal(structure.pricedBy, 'price-ratio');
+  assert.deepEqual(structure.classes.map((c) => [c.symbol, c.equivalence]), [['BRK-B', 1], ['BRK-A', 1500]]);
+  assert.equal(structure.economicShares, 1_313_000_000 + 571_000 * 1500);
+});
+
+test('reportedShareConversion restates Class A-equivalent counts into B shares', () => {
+  const structure = buildShareClassStructure(berkshire);
+  const classAEquivalents = structure.economicShares / 1500;
+  assert.equal(reportedShareConversion(structure, classAEquivalents), 1500);
+  assert.equal(reportedShareConversion(structure, structure.economicShares), 1);
+  assert.equal(reportedShareConversion(null, classAEquivalents), 1);
+});
+
+test('classes trading a few percent apart count one for one', () => {
+  const structure = buildShareClassStructure({
+    symbol: 'GOOGL',
+    cover: { counts: [5_800_000_000, 5_500_000_000, 860_000_000] },
+    listed: [{ symbol: 'GOOGL', exchange: 'Nasdaq' }, { symbol: 'GOOG', exchange: 'Nasdaq' }],
+    prices: { GOOGL: 170, GOOG: 172 },
+  });
+  assert.equal(structure.pricedBy, 'one-for-one');
+  assert.equal(structure.economicShares, 5_800_000_000 + 5_500_000_000 + 860_000_000);
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  inferSplitsFromShares,
+  normalizeShareSeries,
+  normalizeSplitEvents,
+  parseSplitRatio,
+  splitFactorSince,
+} from '../../lib/shares/splits';
+
+test('parseSplitRatio reads forward and reverse ratios', () => {
+  assert.equal(parseSplitRatio('4:1'), 4);
+  assert.equal(parseSplitRatio('1:10'), 0.1);
+  assert.equal(parseSplitRatio('3/2'), 1.5);
+  assert.equal(parseSplitRatio(20), 20);
+  assert.equal(parseSplitRatio('n/a'), null);
+});
+
+test('normalizeSplitEvents sorts Yahoo events and drops 1:1 entries', () => {
+  const events = normalizeSplitEvents([
+    { date: new Date('2020-08-31T00:00:00Z'), stockSplits: '4:1' },
+    { date: '2014-06-09', stockSplits: '7:1' },
+    { date: '2010-01-01', stockSplits: '1:1' },
+  ]);
+  assert.deepEqual(events.map((e) => [e.date, e.ratio, e.label]), [['2014-06-09', 7, '7:1'], ['2020-08-31', 4, '4:1']]);
+});
+
+test('splitFactorSince multiplies every split after the as-of date', () => {
+  const splits = [{ date: '2014-06-09', ratio: 7 }, { date: '2020-08-31', ratio: 4 }];
+  assert.equal(splitFactorSince(splits, '2013-10-30'), 28);
+  assert.equal(splitFactorSince(splits, '2019-10-31'), 4);
+  assert.equal(splitFactorSince(splits, '2021-10-29'), 1);
+});
+
+test('normalizeShareSeries restates counts filed before a split', () => {
+  const splits = [{ date: '2020-08-31', ratio: 4 }];
+  const { series, adjustments } = normalizeShareSeries([
+    { end: '2020-09-26', filed: '2020-10-30', val: 17_528_214_000 },
+    { end: '2019-09-28', filed: '2019-10-31', val: 4_648_913_000 },
+  ], splits, 'sharesDiluted');
+  assert.deepEqual(series.map((s) => s.val), [17_528_214_000, 18_595_652_000]);
+  assert.equal(series[1].unadjustedVal, 4_648_913_000);
+  assert.deepEqual(adjustments.map((a) => [a.end, a.factor]), [['2019-09-28', 4]]);
+});
+
+test('inferSplitsFromShares dates an inferred split at the filing that shows it', () => {
+  const splits = inferSplitsFromShares([
+    { end: '2021-12-31', filed: '2022-02-01', val: 100_000_000 },
+    { end: '2022-12-31', filed: '2023-02-01', val: 2_010_000_000 },
+    { end: '2023-12-31', filed: '2024-02-01', val: 2_000_000_000 },
+  ]);
+  assert.equal(splits.length, 1);
+  assert.equal(splits[0].ratio, 20);
+  assert.equal(splits[0].date, '2023-02-01');
+  assert.equal(splits[0].source, 'inferred');
+});
+
+test('inferSplitsFromShares ignores jumps that are not a split ratio', () => {
+  assert.deepEqual(inferSplitsFromShares([
+    { end: '2022-12-31', val: 100 },
+    { end: '2023-12-31', val: 260 },
+  ]), []);
+});
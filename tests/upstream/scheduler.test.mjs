@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler, parseRetryAfter } from '../../lib/upstream/scheduler';
+import { withTimeout, withYahooStatus } from '../../lib/providers/yahooSec';
+
+const failWith = (status, message = `status ${status}`) => Object.assign(new Error(message), { status });
+
+// A task failing with each of `failures` in turn, then answering 'ok'.
+function flaky(failures) {
+  let calls = 0;
+  const task = async () => {
+    calls += 1;
+    if (calls <= failures.length) throw failures[calls - 1];
+    return 'ok';
+  };
+  return { task, calls: () => calls };
+}
+
+const scheduler = () => createScheduler({ name: 'test', baseDelayMs: 1 });
+
+test('scheduler retries 429 and 5xx up to maxRetries', async () => {
+  const trace = {};
+  const { task, calls } = flaky([failWith(503), failWith(429)]);
+  assert.equal(await scheduler()({ key: 'a', trace }, task), 'ok');
+  assert.equal(calls(), 3);
+  assert.equal(trace.upstream.test.retries, 2);
+
+  const exhausted = flaky([failWith(500), failWith(500), failWith(500), failWith(500)]);
+  await assert.rejects(scheduler()({ key: 'b' }, exhausted.task), { status: 500 });
+  assert.equal(exhausted.calls(), 4);
+});
+
+test('scheduler retries a timeout or network failure once', async () => {
+  const recovered = flaky([failWith(0, 'timed out')]);
+  assert.equal(await scheduler()({ key: 'a' }, recovered.task), 'ok');
+
+  const down = flaky([failWith(0), failWith(0), failWith(0)]);
+  await assert.rejects(scheduler()({ key: 'b' }, down.task), { status: 0 });
+  assert.equal(down.calls(), 2);
+});
+
+test('scheduler does not retry client errors or errors without a status', async () => {
+  const notFound = flaky([failWith(404)]);
+  await assert.rejects(scheduler()({ key: 'a' }, notFound.task), { status: 404 });
+  assert.equal(notFound.calls(), 1);
+
+  const invalid = flaky([new Error('validation failed')]);
+  await assert.rejects(scheduler()({ key: 'b' }, invalid.task), /validation failed/);
+  assert.equal(invalid.calls(), 1);
+});
+
+test('scheduler coalesces identical requests in flight', async () => {
+  const trace = {};
+  const { task, calls } = flaky([]);
+  const schedule = scheduler();
+  assert.deepEqual(await Promise.all([schedule({ key: 'a', trace }, task), schedule({ key: 'a', trace }, task)]), ['ok', 'ok']);
+  assert.equal(calls(), 1);
+  assert.equal(trace.upstream.test.coalesced, 1);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+test('yahoo timeouts and failures carry the status the scheduler retries on', async () => {
+  await assert.rejects(withTimeout(new Promise(() => {}), 5, 'yahoo quote'), { status: 0, message: /timed out/ });
+
+  const http = Object.assign(new Error('Too Many Requests'), { name: 'HTTPError', code: 429 });
+  assert.equal(withYahooStatus(http).status, 429);
+  const network = new TypeError('fetch failed', { cause: Object.assign(new Error('reset'), { code: 'ECONNRESET' }) });
+  assert.equal(withYahooStatus(network).status, 0);
+  assert.equal(withYahooStatus(new Error('Quote not found')).status, undefined);
+});
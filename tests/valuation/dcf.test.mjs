@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  growthDcf,
+  multiStageDcf,
+  projectedDilution,
+  shareCountFactor,
+  valueOnFcfBasis,
+} from '../../lib/valuation/dcf';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+// SBC at 20% of revenue and a share count growing 4% a year.
+const sbcHeavy = {
+  revenue: 10e9,
+  operatingCashFlow: 3e9,
+  sbc: 2e9,
+  shares: 1e9,
+  shareHistory: [2025, 2024, 2023, 2022, 2021, 2020].map((calendarYear, i) => ({ calendarYear, val: 1e9 / Math.pow(1.04, i) })),
+};
+const oracle = { highGrowth: 0.15, discountRate: 0.11, terminalGrowth: 0.03, shares: sbcHeavy.shares };
+const value = (cashFlow, dilution) => growthDcf({ ...oracle, cashFlow, dilution });
+
+test('projectedDilution takes the five-year CAGR, floored at zero and capped at 5%', () => {
+  close(projectedDilution(sbcHeavy.shareHistory), 0.04);
+  assert.equal(projectedDilution(sbcHeavy.shareHistory.map((row, i) => ({ ...row, val: 1e9 * Math.pow(1.02, i) }))), 0);
+  assert.equal(projectedDilution(sbcHeavy.shareHistory.map((row, i) => ({ ...row, val: 1e9 / Math.pow(1.2, i) }))), 0.05);
+  assert.equal(projectedDilution([{ calendarYear: 2025, val: 1e9 }]), 0);
+});
+
+test('shareCountFactor fades the dilution rate to zero', () => {
+  close(shareCountFactor(0.1, 1, 4), 1.1);
+  close(shareCountFactor(0.1, 4, 4), 1.1 * 1.075 * 1.05 * 1.025);
+  close(shareCountFactor(0.1, 9, 4), shareCountFactor(0.1, 4, 4));
+});
+
+test('after-sbc never values above reported, and neither above the undiluted baseline', () => {
+  const baseline = value(sbcHeavy.operatingCashFlow, 0);
+  const inputs = { cashFlow: sbcHeavy.operatingCashFlow, sbc: sbcHeavy.sbc, dilution: projectedDilution(sbcHeavy.shareHistory), value };
+  const reported = valueOnFcfBasis('reported', inputs);
+  const afterSbc = valueOnFcfBasis('after-sbc', inputs);
+  assert.ok(reported < baseline);
+  assert.ok(afterSbc < reported);
+  close(afterSbc, value(sbcHeavy.operatingCashFlow - sbcHeavy.sbc, 0));
+});
+
+test('after-sbc takes the reported value when dilution is the larger charge', () => {
+  const inputs = { cashFlow: sbcHeavy.operatingCashFlow, sbc: 0.05e9, dilution: 0.05, value };
+  const reported = valueOnFcfBasis('reported', inputs);
+  assert.ok(value(inputs.cashFlow - inputs.sbc, 0) > reported);
+  assert.equal(valueOnFcfBasis('after-sbc', inputs), reported);
+});
+
+test('after-sbc returns null once SBC consumes the cash flow', () => {
+  const inputs = { cashFlow: 1e9, sbc: sbcHeavy.sbc, dilution: 0.04, value };
+  assert.ok(valueOnFcfBasis('reported', inputs) > 0);
+  assert.equal(valueOnFcfBasis('after-sbc', inputs), null);
+});
+
+test('multiStageDcf values per share and needs a discount spread over terminal growth', () => {
+  const inputs = {
+    revenue: sbcHeavy.revenue,
+    operatingMargin: 0.2,
+    terminalMargin: 0.18,
+    revenueGrowth: 0.1,
+    ratios: { capexRatio: 0.04, daRatio: 0.03, nwcRatio: 0.05, latestNwc: 0.5e9 },
+    taxRate: 0.21,
+    discountRate: 0.09,
+    terminalGrowth: 0.025,
+    shares: sbcHeavy.shares,
+  };
+  const perShare = multiStageDcf(inputs);
+  assert.ok(perShare > 0);
+  close(multiStageDcf({ ...inputs, shares: sbcHeavy.shares / 2 }), perShare * 2);
+  assert.equal(multiStageDcf({ ...inputs, discountRate: 0.03 }), null);
+  assert.equal(multiStageDcf({ ...inputs, revenue: 0 }), null);
+});
+
+test('growthDcf at the terminal rate reduces to a Gordon value', () => {
+  const perShare = growthDcf({ cashFlow: 100, highGrowth: 0.03, discountRate: 0.1, terminalGrowth: 0.03, shares: 10 });
+  close(perShare, (100 * 1.03) / (0.1 - 0.03) / 10);
+});